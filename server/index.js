@@ -0,0 +1,558 @@
+/**
+ * Local REST service for shared data storage
+ * Serves the application and persists each storage key to a JSON file on disk,
+ * so several machines on the same network can work against one shared copy.
+ *
+ * Usage: node server/index.js (or npm run server)
+ * Environment: PORT (default 3000), HOST (default 127.0.0.1; set 0.0.0.0 to share it on the network),
+ *              DATA_DIR (default server/data), ALLOWED_ORIGINS (comma-separated origins besides the service's own
+ *              that may call the API, e.g. "null" for file:// copies), API_TOKEN (when set, every API request
+ *              must send it in the X-Storage-Token header), CLIENT_LOG_MAX_BYTES (size at which client-log.ndjson
+ *              is rotated, default 5 MB)
+ */
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, 'server', 'data'));
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const API_TOKEN = process.env.API_TOKEN || '';
+
+// Maximum accepted request body (large schools can have big assignment arrays)
+const MAX_BODY_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Keys the service accepts - mirrors SHARED_KEYS in src/utils/storage.js
+ */
+const ALLOWED_KEYS = [
+    'staff',
+    'standards',
+    'groups',
+    'assignments',
+    'saved_charts',
+    'masterlog_columns',
+    'custom_classifications',
+    'validation_rules',
+    'archived_assignments',
+    'achievement_scale',
+    'code_templates'
+];
+
+// Append-only audit log shared by every client (one JSON entry per line); entries are never removed
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.ndjson');
+const AUDIT_LOCK = '/api/audit';
+
+/**
+ * Files and directories the service serves as the app (everything else in the repository stays private)
+ */
+const STATIC_FILES = ['index.html', 'favicon.ico'];
+const STATIC_DIRS = ['src'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.ico': 'image/x-icon',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+/**
+ * Log a message with a timestamp (same format as the client Logger)
+ * @param {string} message - Message to log
+ * @param {string} level - Log level (INFO, WARN, ERROR)
+ */
+const log = (message, level = 'INFO') => {
+    console.log(`[${new Date().toISOString()}] ${level}: ${message}`);
+};
+
+/**
+ * Get the file path used to persist a key
+ * @param {string} key - Storage key
+ * @returns {string} - Absolute file path
+ */
+const fileForKey = (key) => path.join(DATA_DIR, `${key}.json`);
+
+// File that collects log entries posted by clients (one JSON object per line). Once it reaches
+// MAX_CLIENT_LOG_BYTES it is rotated to client-log.1.ndjson ... client-log.<CLIENT_LOG_FILES>.ndjson
+// and the oldest file is dropped, so client logs never use more than (CLIENT_LOG_FILES + 1) x the limit
+const CLIENT_LOG_FILE = path.join(DATA_DIR, 'client-log.ndjson');
+const MAX_CLIENT_LOG_BYTES = parseInt(process.env.CLIENT_LOG_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const CLIENT_LOG_FILES = 3;
+
+// Limits for one POST to /api/logs
+const MAX_LOG_BODY_BYTES = 1024 * 1024;
+const MAX_LOG_ENTRIES = 1000;
+
+/**
+ * Read a stored key from disk
+ * @param {string} key - Storage key
+ * @returns {Promise<Object|null>} - Stored record ({ key, data, updated_at, version }) or null if missing
+ */
+const readKey = async (key) => {
+    try {
+        const contents = await fs.readFile(fileForKey(key), 'utf8');
+        return JSON.parse(contents);
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+};
+
+/**
+ * Get the version of a stored record (records written before versioning count as version 1)
+ * @param {Object|null} record - Stored record
+ * @returns {number} - Version, 0 if the key is not stored
+ */
+const versionOf = (record) => (record ? record.version || 1 : 0);
+
+/**
+ * Write a key to disk atomically (write to a temp file, then rename)
+ * @param {string} key - Storage key
+ * @param {any} data - Data to store
+ * @param {number} version - Version of the new record
+ * @returns {Promise<Object>} - Stored record
+ */
+const writeKey = async (key, data, version) => {
+    const record = { key, data, updated_at: new Date().toISOString(), version };
+    const target = fileForKey(key);
+    // Unique per write, so overlapping writes to one key never share (or rename away) each other's temp file
+    const temp = `${target}.${process.pid}.${crypto.randomUUID()}.tmp`;
+
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.writeFile(temp, JSON.stringify(record), 'utf8');
+    await fs.rename(temp, target);
+    return record;
+};
+
+/**
+ * Delete a key from disk
+ * @param {string} key - Storage key
+ * @returns {Promise<boolean>} - True if a file was removed
+ */
+const deleteKey = async (key) => {
+    try {
+        await fs.unlink(fileForKey(key));
+        return true;
+    } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+    }
+};
+
+// Pending write per key: read-check-write sequences on one key run one after another
+const keyLocks = new Map();
+
+/**
+ * Run a function while holding the write lock of a key
+ * @param {string} key - Storage key
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<any>} - Result of fn
+ */
+const withKeyLock = (key, fn) => {
+    const previous = keyLocks.get(key) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    keyLocks.set(key, settled);
+    settled.then(() => {
+        if (keyLocks.get(key) === settled) keyLocks.delete(key);
+    });
+    return run;
+};
+
+// Ids of the stored audit entries (read from AUDIT_FILE on first use), so resent entries are not duplicated
+let auditIds = null;
+
+/**
+ * Read the shared audit log
+ * @returns {Promise<Array<Object>>} - Entries in the order they were stored
+ */
+const readAuditEntries = async () => {
+    let contents;
+    try {
+        contents = await fs.readFile(AUDIT_FILE, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+
+    return contents.split('\n').filter(Boolean).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch (e) {
+            log('Skipped an unreadable audit log line', 'WARN');
+            return [];
+        }
+    });
+};
+
+/**
+ * Append audit entries to the shared log, skipping entries already stored
+ * @param {Array<Object>} entries - Entries with a string id
+ * @returns {Promise<number>} - Number of entries stored
+ */
+const appendAuditEntries = (entries) => withKeyLock(AUDIT_LOCK, async () => {
+    if (!auditIds) {
+        auditIds = new Set((await readAuditEntries()).map(entry => entry.id));
+    }
+
+    const fresh = entries.filter(entry => !auditIds.has(entry.id));
+    if (fresh.length > 0) {
+        await fs.mkdir(DATA_DIR, { recursive: true });
+        await fs.appendFile(AUDIT_FILE, fresh.map(entry => JSON.stringify(entry) + '\n').join(''), 'utf8');
+        fresh.forEach(entry => auditIds.add(entry.id));
+    }
+    return fresh.length;
+});
+
+/**
+ * Get the path of a rotated client log file
+ * @param {number} index - Rotation index (1 is the most recent)
+ * @returns {string} - Absolute file path
+ */
+const rotatedClientLog = (index) => CLIENT_LOG_FILE.replace(/\.ndjson$/, `.${index}.ndjson`);
+
+/**
+ * Append client log lines, rotating the file first when it would grow past MAX_CLIENT_LOG_BYTES
+ * @param {string} lines - NDJSON text to append
+ * @returns {Promise} - Resolves when written
+ */
+const appendClientLog = (lines) => withKeyLock(CLIENT_LOG_FILE, async () => {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+
+    let size = 0;
+    try {
+        size = (await fs.stat(CLIENT_LOG_FILE)).size;
+    } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+    }
+
+    if (size > 0 && size + Buffer.byteLength(lines) > MAX_CLIENT_LOG_BYTES) {
+        await fs.rm(rotatedClientLog(CLIENT_LOG_FILES), { force: true });
+        for (let index = CLIENT_LOG_FILES - 1; index >= 1; index--) {
+            await fs.rename(rotatedClientLog(index), rotatedClientLog(index + 1)).catch(e => {
+                if (e.code !== 'ENOENT') throw e;
+            });
+        }
+        await fs.rename(CLIENT_LOG_FILE, rotatedClientLog(1));
+        log(`Rotated ${path.basename(CLIENT_LOG_FILE)}`);
+    }
+
+    await fs.appendFile(CLIENT_LOG_FILE, lines, 'utf8');
+});
+
+/**
+ * Parse the If-Match header of a request
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {number|null} - Expected version, or null if the request is unconditional
+ */
+const expectedVersion = (req) => {
+    const header = req.headers['if-match'];
+    if (!header || header.trim() === '*') return null;
+    const version = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return Number.isNaN(version) ? null : version;
+};
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {any} body - Body to serialise
+ * @param {Object} headers - Extra response headers
+ */
+const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], ...headers });
+    res.end(JSON.stringify(body));
+};
+
+/**
+ * Send the 409 response for a write based on an outdated version
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} key - Storage key
+ * @param {Object|null} record - Current stored record
+ */
+const sendConflict = (res, key, record) => {
+    const version = versionOf(record);
+    sendJson(res, 409, {
+        error: `Key ${key} was changed by another client`,
+        key,
+        version,
+        updated_at: record ? record.updated_at : null
+    }, { ETag: `"${version}"` });
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<any>} - Parsed body
+ */
+const readJsonBody = (req, maxBytes = MAX_BODY_BYTES) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (e) {
+            reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+        }
+    });
+
+    req.on('error', reject);
+});
+
+/**
+ * Handle /api requests
+ * @param {http.IncomingMessage} req - Request object
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request path
+ */
+const handleApi = async (req, res, pathname) => {
+    if (pathname === '/api/health') {
+        sendJson(res, 200, { status: 'ok', keys: ALLOWED_KEYS });
+        return;
+    }
+
+    // Collection endpoint: list stored keys or clear everything
+    if (pathname === '/api/data' || pathname === '/api/data/') {
+        if (req.method === 'GET') {
+            const stored = [];
+            for (const key of ALLOWED_KEYS) {
+                const record = await readKey(key);
+                if (record) stored.push({ key, updated_at: record.updated_at, version: versionOf(record) });
+            }
+            sendJson(res, 200, { keys: stored });
+        } else if (req.method === 'DELETE') {
+            await Promise.all(ALLOWED_KEYS.map(deleteKey));
+            log('Cleared all stored keys');
+            sendJson(res, 200, { cleared: true });
+        } else {
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }
+        return;
+    }
+
+    if (pathname === '/api/audit') {
+        if (req.method === 'GET') {
+            sendJson(res, 200, { entries: await readAuditEntries() });
+        } else if (req.method === 'POST') {
+            const body = await readJsonBody(req);
+            const entries = (Array.isArray(body) ? body : [body])
+                .filter(entry => entry && typeof entry === 'object' && typeof entry.id === 'string');
+            const stored = await appendAuditEntries(entries);
+            if (stored > 0) log(`Stored ${stored} audit entries`);
+            sendJson(res, 200, { received: entries.length, stored });
+        } else {
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }
+        return;
+    }
+
+    if (pathname === '/api/logs') {
+        if (req.method !== 'POST') {
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+            return;
+        }
+        const body = await readJsonBody(req, MAX_LOG_BODY_BYTES);
+        const entries = (Array.isArray(body) ? body : [body]).filter(entry => entry && typeof entry === 'object');
+        if (entries.length > MAX_LOG_ENTRIES) {
+            sendJson(res, 413, { error: `At most ${MAX_LOG_ENTRIES} log entries per request` });
+            return;
+        }
+        const address = req.socket.remoteAddress;
+        await appendClientLog(entries.map(entry => JSON.stringify({ ...entry, client: address }) + '\n').join(''));
+        sendJson(res, 200, { received: entries.length });
+        return;
+    }
+
+    const match = pathname.match(/^\/api\/data\/([^/]+)$/);
+    if (!match) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    const key = decodeURIComponent(match[1]);
+    if (!ALLOWED_KEYS.includes(key)) {
+        sendJson(res, 404, { error: `Unknown key: ${key}` });
+        return;
+    }
+
+    switch (req.method) {
+        case 'GET': {
+            const record = await readKey(key);
+            if (!record) {
+                sendJson(res, 404, { error: `No data stored for key: ${key}`, version: 0 }, { ETag: '"0"' });
+            } else {
+                sendJson(res, 200, { ...record, version: versionOf(record) }, { ETag: `"${versionOf(record)}"` });
+            }
+            break;
+        }
+        case 'PUT':
+        case 'POST': {
+            // Writes carry the version they were based on (If-Match); a stale version gets 409 instead of
+            // silently overwriting another client's changes
+            const data = await readJsonBody(req);
+            const expected = expectedVersion(req);
+            await withKeyLock(key, async () => {
+                const current = await readKey(key);
+                if (expected !== null && expected !== versionOf(current)) {
+                    log(`Rejected stale write to key ${key} (version ${expected}, stored ${versionOf(current)})`, 'WARN');
+                    sendConflict(res, key, current);
+                    return;
+                }
+                const record = await writeKey(key, data, versionOf(current) + 1);
+                log(`Saved key ${key} (version ${record.version})`);
+                sendJson(res, 200, { key, updated_at: record.updated_at, version: record.version },
+                    { ETag: `"${record.version}"` });
+            });
+            break;
+        }
+        case 'DELETE': {
+            const expected = expectedVersion(req);
+            await withKeyLock(key, async () => {
+                const current = await readKey(key);
+                if (expected !== null && expected !== versionOf(current)) {
+                    sendConflict(res, key, current);
+                    return;
+                }
+                const deleted = await deleteKey(key);
+                log(`Deleted key ${key}`);
+                sendJson(res, 200, { key, deleted, version: 0 });
+            });
+            break;
+        }
+        default:
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+};
+
+/**
+ * Check whether a path inside the repository may be served: only the app's files, never hidden files
+ * (.git, .env...) or the data directory
+ * @param {string} filePath - Absolute path
+ * @returns {boolean} - True if the file may be served
+ */
+const isServable = (filePath) => {
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) return false;
+    if (filePath === DATA_DIR || filePath.startsWith(DATA_DIR + path.sep)) return false;
+
+    const segments = path.relative(ROOT_DIR, filePath).split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+    return segments.length === 1
+        ? STATIC_FILES.includes(segments[0])
+        : STATIC_DIRS.includes(segments[0]);
+};
+
+/**
+ * Serve a static file of the app (see STATIC_FILES and STATIC_DIRS)
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} pathname - Request path
+ */
+const serveStatic = async (res, pathname) => {
+    const relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+
+    if (!isServable(filePath)) {
+        sendJson(res, 403, { error: 'Forbidden' });
+        return;
+    }
+
+    try {
+        const contents = await fs.readFile(filePath);
+        const type = MIME_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        res.end(contents);
+    } catch (e) {
+        sendJson(res, 404, { error: 'Not found' });
+    }
+};
+
+/**
+ * Check whether a request's origin may use the API: requests without an Origin header (same-origin GETs,
+ * scripts), the service's own origin and the configured ALLOWED_ORIGINS
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {boolean} - True if the origin is allowed
+ */
+const isAllowedOrigin = (req) => {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    return origin === `http://${req.headers.host}` || ALLOWED_ORIGINS.includes(origin);
+};
+
+/**
+ * Check the shared API token, when one is configured
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {boolean} - True if no token is configured or the request carries it
+ */
+const hasValidToken = (req) => {
+    if (!API_TOKEN) return true;
+    const token = String(req.headers['x-storage-token'] || '');
+    return token.length === API_TOKEN.length
+        && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(API_TOKEN));
+};
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const isApi = pathname.startsWith('/api/');
+
+    if (isApi && req.headers.origin) {
+        if (!isAllowedOrigin(req)) {
+            log(`Rejected ${req.method} ${pathname} from origin ${req.headers.origin}`, 'WARN');
+            sendJson(res, 403, { error: 'Origin not allowed' });
+            return;
+        }
+        // Only allowed origins get CORS headers (e.g. a file:// copy when ALLOWED_ORIGINS includes "null")
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+        res.setHeader('Vary', 'Origin');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, X-Storage-Token');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag');
+    }
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (isApi && !hasValidToken(req)) {
+        sendJson(res, 401, { error: 'Missing or invalid storage token' });
+        return;
+    }
+
+    try {
+        if (isApi) {
+            await handleApi(req, res, pathname);
+        } else if (req.method === 'GET') {
+            await serveStatic(res, pathname);
+        } else {
+            sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }
+    } catch (e) {
+        log(`${req.method} ${pathname} failed - ${e.message}`, 'ERROR');
+        if (!res.headersSent) {
+            sendJson(res, e.status || 500, { error: e.message });
+        }
+    }
+});
+
+server.listen(PORT, HOST, () => {
+    log(`Storage service listening on http://${HOST}:${PORT} (data in ${DATA_DIR})`);
+});
@@ -1,21 +1,69 @@
 import { Router } from './utils/router.js';
 import { Logger } from './utils/logger.js';
+import { Storage } from './utils/storage.js';
+import { Migrations } from './utils/migrations.js';
+import { Snapshots } from './utils/snapshots.js';
+import { Undo } from './utils/undo.js';
+import { Audit } from './utils/audit.js';
+import { ErrorReporter } from './utils/errors.js';
+
+/**
+ * Load src/extensions/index.js if the school has added one. A missing file is normal;
+ * a file that fails to load is reported.
+ */
+async function loadExtensions() {
+    const url = new URL('./extensions/index.js', import.meta.url).href;
+    try {
+        await import(url);
+        Logger.log('Loaded extensions');
+    } catch (error) {
+        const response = await fetch(url).catch(() => null);
+        if (response && response.ok) {
+            ErrorReporter.report(error, { source: 'extensions' });
+        }
+    }
+}
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    // Apply the saved log level and transports (see the Diagnostics page)
+    Logger.configure();
     Logger.log('Application initialized');
     
-    // Set up navigation
-    const navLinks = document.querySelectorAll('.nav-link');
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            const pageId = link.getAttribute('data-page');
-            Router.navigate(pageId);
-        });
+    // Report uncaught errors in a banner; "Reload page" re-opens the current page without a full reload
+    ErrorReporter.install({
+        banner: document.getElementById('error-banner'),
+        getRoute: () => window.location.hash.substring(1) || Router.currentPage,
+        onRetry: () => Router.navigateTo(Router.currentPage || 'masterlog', Router.currentParams)
     });
     
-    // Navigate to default page (masterlog)
-    const hash = window.location.hash.substring(1) || 'masterlog';
-    Router.navigate(hash);
+    // Undo/redo buttons and keyboard shortcuts
+    Undo.initToolbar(document.getElementById('undo-toolbar'));
+    
+    // Set up navigation (links for the registered pages)
+    Router.mountNav(document.querySelector('#main-nav ul'));
+    
+    // In-house pages register themselves from src/extensions/index.js, which is not part of the core app
+    await loadExtensions();
+    
+    // Move data into IndexedDB (one-time migration from localStorage) before pages load it
+    await Storage.initIndexedDB();
+    
+    // Let pages in other tabs know when data changes here
+    Storage.enableCrossTabSync();
+    
+    // Use the shared storage service when the app is served by it (or a URL is configured)
+    await Storage.connectServer({ baseUrl: Storage.load('server_url', ''), token: Storage.load('server_token', '') });
+    
+    // Bring stored data up to the current schema before any page reads it
+    Migrations.run();
+    
+    // Log every later change to staff, standards, groups and achievements
+    Audit.start();
+    
+    // Keep a rolling daily copy of the workspace for the History page
+    Snapshots.takeDaily();
+    
+    // Open the page and view in the URL (e.g. #achievements?staff=T042), masterlog by default
+    Router.start('masterlog');
 }); 
\ No newline at end of file
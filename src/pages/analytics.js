@@ -2,18 +2,23 @@
  * Analytics Page
  * For visualizing staff progress with dynamic charts
  */
-import { Storage, Logger, Models, Validate } from '../utils/index.js';
+import { Storage, Logger, Models, Validate, Scale, Assessments, Applicability } from '../utils/index.js';
 
 // State management
 let staffData = [];
 let standardsData = [];
 let groupsData = [];
 let assignmentsData = [];
+let levels = []; // Achievement scale, lowest level first
 let chartInstances = {};
 let currentFilters = { filters: {} };
 let filteredStaff = [];
 let filteredStandards = [];
 let currentChartType = 'bar';
+let includeLeavers = false; // Archived (leaver) staff are left out unless this is on
+
+// Unsubscribe function for storage change notifications
+let unsubscribeStorage = null;
 
 /**
  * Initialize the Analytics page
@@ -27,9 +32,10 @@ export function init(container) {
     standardsData = Storage.load('standards', []);
     groupsData = Storage.load('groups', []);
     assignmentsData = Storage.load('assignments', []);
+    levels = Scale.getLevels();
     
     // Initially, include all staff and standards
-    filteredStaff = [...staffData];
+    filteredStaff = Models.Staff.listed(staffData, includeLeavers);
     filteredStandards = [...standardsData];
     
     // Create page structure
@@ -40,6 +46,7 @@ export function init(container) {
             <div class="filter-section">
                 <h3>Filters</h3>
                 <div class="filter-row"></div>
+                <label class="show-leavers"><input type="checkbox" id="include-leavers" ${includeLeavers ? 'checked' : ''}> Include leavers</label>
             </div>
             
             <div class="charts-container">
@@ -50,6 +57,12 @@ export function init(container) {
                     <label>
                         <input type="radio" name="chart-type" value="pie"> Pie
                     </label>
+                    <label>
+                        <input type="radio" name="chart-type" value="levels"> Levels
+                    </label>
+                    <label>
+                        <input type="radio" name="chart-type" value="line"> Over Time
+                    </label>
                 </div>
                 <div class="chart-container">
                     <canvas id="main-chart"></canvas>
@@ -71,6 +84,31 @@ export function init(container) {
     
     // Add event listeners
     setupEventListeners();
+    
+    // Redraw when data changes elsewhere (another tab, an import or a restore)
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    unsubscribeStorage = Storage.subscribe(
+        ['staff', 'standards', 'groups', 'assignments', Scale.KEY],
+        handleStorageChange,
+        { element: container }
+    );
+}
+
+/**
+ * Reload data and redraw the chart after a stored key changed
+ * @param {Object} event - Storage change event ({ key, action, remote })
+ */
+function handleStorageChange(event) {
+    staffData = Storage.load('staff', []);
+    standardsData = Storage.load('standards', []);
+    groupsData = Storage.load('groups', []);
+    assignmentsData = Storage.load('assignments', []);
+    levels = Scale.getLevels();
+    
+    updateChart();
+    Logger.log(`Analytics refreshed after ${event.key || 'all data'} changed`);
 }
 
 /**
@@ -101,6 +139,12 @@ function setupEventListeners() {
         });
     });
     
+    document.getElementById('include-leavers').addEventListener('change', (e) => {
+        includeLeavers = e.target.checked;
+        applyFilters();
+        updateChart();
+    });
+    
     // Add event listeners for chart type changes
     document.querySelectorAll('input[name="chart-type"]').forEach(radio => {
         radio.addEventListener('change', (e) => {
@@ -173,20 +217,13 @@ function initFilters() {
  */
 function applyFilters() {
     // First, filter staff based on staff properties
-    const filteredStaff = staffData.filter(staff => {
+    const filteredStaff = Models.Staff.listed(staffData, includeLeavers).filter(staff => {
         for (const [field, value] of Object.entries(currentFilters.filters)) {
             // Skip special filters that aren't staff properties
             if (field === 'standard-group') continue;
             
-            const staffValue = staff[field];
-            
-            // Handle comma-separated values (like multiple phases)
-            if (staffValue && staffValue.includes(', ')) {
-                const values = staffValue.split(', ').map(v => v.trim());
-                if (!values.includes(value)) {
-                    return false;
-                }
-            } else if (staffValue !== value) {
+            // Multi-valued fields (like several phases) match if any of their values does
+            if (!Models.Staff.matchesValue(staff[field], value)) {
                 return false;
             }
         }
@@ -214,12 +251,24 @@ function applyFilters() {
     
     // Calculate statistics
     const totalStaff = filteredStaff.length;
-    const totalStandards = currentFilters.filters['standard-group'] 
-        ? standardsData.filter(s => s.group === currentFilters.filters['standard-group']).length
-        : standardsData.length;
-    
-    const achievedAssignments = filteredAssignments.filter(a => a.achieved).length;
-    const totalPossibleAssignments = totalStaff * totalStandards;
+    const standardsInScope = currentFilters.filters['standard-group'] 
+        ? standardsData.filter(s => s.group === currentFilters.filters['standard-group'])
+        : standardsData;
+    const totalStandards = standardsInScope.length;
+    
+    // Only staff–standard pairs the standard applies to are counted
+    const applies = Applicability.checker({ standards: standardsData, groups: groupsData });
+    const totalPossibleAssignments = Applicability.countPairs(filteredStaff, standardsInScope, applies);
+    
+    // Records per level; standards never assessed count at the starting level
+    const knownCodes = new Set(standardsData.map(s => s.code));
+    const assessed = filteredAssignments.filter(a => {
+        const staff = filteredStaff.find(s => s.id === a.staff_id);
+        return knownCodes.has(a.standard_code) && applies(staff, a.standard_code);
+    });
+    const achievedAssignments = assessed.filter(a => a.achieved).length;
+    const levelCounts = Scale.distribution(assessed, levels);
+    levelCounts[Scale.levelOf(undefined, levels).id] += Math.max(0, totalPossibleAssignments - assessed.length);
     
     // Calculate achievement percentage
     let achievementPercentage = 0;
@@ -227,11 +276,20 @@ function applyFilters() {
         achievementPercentage = (achievedAssignments / totalPossibleAssignments) * 100;
     }
     
+    // Unsuccessful assessments before standards were first achieved, from the assessment histories
+    const attempts = assessed.map(a => Assessments.attemptsBeforeAchieved(a)).filter(count => count !== null);
+    const averageAttempts = attempts.length > 0
+        ? parseFloat((attempts.reduce((sum, count) => sum + count, 0) / attempts.length).toFixed(2))
+        : null;
+    
     return {
         totalStaff,
         totalStandards,
         achievedAssignments,
         totalPossibleAssignments,
+        levelCounts,
+        assessed,
+        averageAttempts,
         achievementPercentage: parseFloat(achievementPercentage.toFixed(2))
     };
 }
@@ -245,7 +303,7 @@ function generateChart() {
         chartInstances.main.destroy();
     }
     
-    const chartType = document.getElementById('chart-type').value;
+    const chartType = currentChartType;
     const canvas = document.getElementById('main-chart');
     
     // Get filtered data
@@ -281,6 +339,9 @@ function generateChart() {
         case 'line':
             generateLineChart(canvas, displayData);
             break;
+        case 'levels':
+            generateLevelsChart(canvas, displayData);
+            break;
     }
     
     // Generate data table
@@ -398,33 +459,103 @@ function generatePieChart(canvas, data) {
 }
 
 /**
- * Generate line chart
+ * Generate a chart of how many records are at each level of the achievement scale
  * @param {HTMLCanvasElement} canvas - Canvas element
  * @param {Object} data - Chart data
  */
-function generateLineChart(canvas, data) {
+function generateLevelsChart(canvas, data) {
     const ctx = canvas.getContext('2d');
+    const total = data.totalPossibleAssignments;
     
-    // For line chart, we need a time series
-    // Since we don't have historical data, we'll use the current data point
-    // and add some simulated points based on current achievement
-    
-    const baseValue = data.achievementPercentage;
-    const simulatedData = [
-        baseValue * 0.5,  // Start at half the current value
-        baseValue * 0.7,
-        baseValue * 0.9,
-        baseValue,
-        baseValue * 1.05   // Projected future value
-    ];
+    chartInstances.main = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: levels.map(level => level.name),
+            datasets: [{
+                label: data.label,
+                data: levels.map(level => data.levelCounts[level.id] || 0),
+                backgroundColor: levels.map(level => level.color),
+                borderColor: levels.map(level => adjustColor(level.color, -20)),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Records'
+                    }
+                }
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Standards by Achievement Level'
+                },
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const count = context.parsed.y;
+                            const percentage = total > 0 ? ((count / total) * 100).toFixed(1) : 0;
+                            return `${count} of ${total} (${percentage}%)`;
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Work out the achievement percentage at the end of each of the last twelve months from the assessment histories
+ * (the current staff and standards are used as the denominator throughout)
+ * @param {Object} data - Filtered data from applyFilters()
+ * @returns {Array<Object>} - Points ({ label, achieved, percentage }), oldest first
+ */
+function achievementOverTime(data) {
+    const today = new Date();
+    const points = [];
+    for (let offset = 11; offset >= 0; offset--) {
+        // Last day of the month, or today for the current month
+        const end = offset === 0
+            ? today
+            : new Date(Date.UTC(today.getFullYear(), today.getMonth() - offset + 1, 0));
+        const date = end.toISOString().slice(0, 10);
+        const achieved = data.assessed.filter(a => Assessments.achievedAt(a, date)).length;
+        points.push({
+            label: end.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+            achieved,
+            percentage: data.totalPossibleAssignments > 0
+                ? parseFloat(((achieved / data.totalPossibleAssignments) * 100).toFixed(2))
+                : 0
+        });
+    }
+    return points;
+}
+
+/**
+ * Generate line chart of achievement over the last twelve months
+ * @param {HTMLCanvasElement} canvas - Canvas element
+ * @param {Object} data - Chart data
+ */
+function generateLineChart(canvas, data) {
+    const ctx = canvas.getContext('2d');
+    const points = achievementOverTime(data);
     
     chartInstances.main = new Chart(ctx, {
         type: 'line',
         data: {
-            labels: ['Q1', 'Q2', 'Q3', 'Current', 'Projected'],
+            labels: points.map(point => point.label),
             datasets: [{
                 label: data.label,
-                data: simulatedData,
+                data: points.map(point => point.percentage),
                 borderColor: data.color,
                 backgroundColor: adjustColor(data.color, 0, 0.2),
                 tension: 0.3
@@ -446,17 +577,16 @@ function generateLineChart(canvas, data) {
             plugins: {
                 title: {
                     display: true,
-                    text: 'Standards Achievement Over Time (Simulated)'
+                    text: 'Standards Achievement Over Time'
                 },
                 tooltip: {
                     callbacks: {
                         label: function(context) {
-                            const index = context.dataIndex;
-                            const item = data[index];
+                            const point = points[context.dataIndex];
                             return [
-                                `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`,
-                                `Current: ${item.achievementPercentage}%`,
-                                `Staff: ${item.totalStaff}, Standards: ${item.totalStandards}`
+                                `${context.dataset.label}: ${point.percentage}%`,
+                                `Achieved: ${point.achieved} of ${data.totalPossibleAssignments}`,
+                                `Staff: ${data.totalStaff}, Standards: ${data.totalStandards}`
                             ];
                         }
                     }
@@ -484,6 +614,7 @@ function generateDataTable(data) {
                     <th>Achieved</th>
                     <th>Total Possible</th>
                     <th>Achievement %</th>
+                    <th title="Average unsuccessful assessments before a standard was achieved">Attempts Before Achieved</th>
                 </tr>
             </thead>
             <tbody>
@@ -494,9 +625,36 @@ function generateDataTable(data) {
                     <td>${data.achievedAssignments}</td>
                     <td>${data.totalPossibleAssignments}</td>
                     <td>${data.achievementPercentage}%</td>
+                    <td>${data.averageAttempts !== null ? data.averageAttempts : '-'}</td>
                 </tr>
             </tbody>
         </table>
+        
+        <h3>Levels</h3>
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>Level</th>
+                    <th>Records</th>
+                    <th>%</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${levels.map(level => {
+                    const count = data.levelCounts[level.id] || 0;
+                    const percentage = data.totalPossibleAssignments > 0
+                        ? ((count / data.totalPossibleAssignments) * 100).toFixed(1)
+                        : '0.0';
+                    return `
+                        <tr>
+                            <td><span class="color-dot" style="background-color: ${level.color}"></span>${level.name}${level.achieved ? ' (achieved)' : ''}</td>
+                            <td>${count}</td>
+                            <td>${percentage}%</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
     `;
     
     // Add style for color dot if not already added
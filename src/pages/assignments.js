@@ -2,32 +2,57 @@
  * Achievements Page
  * For tracking staff achievement of standards
  */
-import { Storage, Logger, Models, Validate } from '../utils/index.js';
+import { Storage, Logger, Models, Validate, Undo, Audit, Scale, Assessments, Applicability, Codes, Router, CommonUtils } from '../utils/index.js';
 
 // State management
 let staffData = [];
 let standardsData = [];
 let groupsData = [];
 let assignmentsData = [];
+let levels = []; // Achievement scale, lowest level first
 let filteredStaff = [];
 let filteredStandards = [];
 let currentFilter = {};
+let showLeavers = false; // Archived (leaver) staff are hidden unless this is on
+
+// Assignments changed since the last save, keyed by staff_id|standard_code
+let pendingChanges = new Map();
+
+// Assessment events made by changing a level in the grid since the last save; changing the level again
+// replaces such an event instead of adding another one
+let unsavedEvents = new Set();
+
+// Open assessment history popover ({ element, onDocumentClick, onKeydown }) or null
+let historyPopover = null;
+
+// Unsubscribe function for storage change notifications
+let unsubscribeStorage = null;
 
 /**
  * Initialize the Achievements page
  * @param {HTMLElement} container - Container element for the page
+ * @param {Object} params - Route params: filters by field (`staff` for the ID filter, `group` by group code or name,
+ *                          `standards`, `name`, classifications), a leading '!' excluding a value; `leavers=1` shows leavers
  */
-export function init(container) {
+export async function init(container, params = {}) {
     Logger.log('Initializing Achievements page');
     
     // Load data
     staffData = Storage.load('staff', []);
     standardsData = Storage.load('standards', []);
     groupsData = Storage.load('groups', []);
-    assignmentsData = Storage.load('assignments', []);
+    assignmentsData = await Storage.loadAsync('assignments', []);
+    levels = Scale.getLevels();
+    pendingChanges = new Map();
+    unsavedEvents = new Set();
+    closeHistoryPopover();
+    
+    // The route describes the whole view, so filters from an earlier visit are not kept
+    currentFilter = {};
+    showLeavers = params.leavers === '1';
     
     // Initially, show all staff and standards
-    filteredStaff = [...staffData];
+    filteredStaff = [...listedStaff()];
     filteredStandards = [...standardsData];
     
     // Create page structure
@@ -63,6 +88,8 @@ export function init(container) {
             <div class="assignments-actions mb-1">
                 <button id="save-assignments" class="button">Save Changes</button>
                 <button id="bulk-assign" class="button button-secondary">Bulk Assign</button>
+                <button id="edit-scale" class="button button-secondary">Achievement Scale</button>
+                <label class="show-leavers"><input type="checkbox" id="show-leavers" ${showLeavers ? 'checked' : ''}> Show leavers</label>
             </div>
             
             <div id="assignments-container">
@@ -93,11 +120,83 @@ export function init(container) {
     // Render filter controls
     renderFilterControls();
     
-    // Render the assignments table with filtered data
-    renderAssignmentsTable();
+    // Add the filters in the route, then render the assignments table with filtered data
+    if (applyRouteFilters(params)) {
+        applyFilters(true);
+    } else {
+        renderAssignmentsTable();
+    }
     
     // Add event listeners
     setupEventListeners();
+    
+    // Refresh when data changes elsewhere (another tab, an import or a restore)
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    unsubscribeStorage = Storage.subscribe(
+        ['staff', 'standards', 'groups', 'assignments', Scale.KEY],
+        handleStorageChange,
+        { element: container }
+    );
+    
+    // Ask before leaving with achievement changes that have not been saved
+    Router.setGuard({
+        isDirty: () => pendingChanges.size > 0,
+        message: () => `You have ${pendingChanges.size} unsaved achievement change${pendingChanges.size === 1 ? '' : 's'}.`,
+        save: () => saveAssignments(false),
+        discard: () => {
+            pendingChanges = new Map();
+            unsavedEvents = new Set();
+        }
+    });
+}
+
+/**
+ * Show the filters in new route params (Back or Forward between filtered views) without reloading the page,
+ * so unsaved achievement edits are kept
+ * @param {Object} params - Route params (see init)
+ */
+export function update(params = {}) {
+    clearFilterInputs();
+    currentFilter = {};
+    showLeavers = params.leavers === '1';
+    const showLeaversInput = document.getElementById('show-leavers');
+    if (showLeaversInput) {
+        showLeaversInput.checked = showLeavers;
+    }
+    applyRouteFilters(params);
+    applyFilters(true);
+}
+
+/**
+ * Reload data after a stored key changed, keeping unsaved achievement edits
+ * @param {Object} event - Storage change event ({ key, action, remote })
+ */
+function handleStorageChange(event) {
+    const current = { staff: staffData, standards: standardsData, groups: groupsData, assignments: assignmentsData };
+    if (event.key && Storage.matches(event.key, current[event.key])) return; // Our own save
+    
+    staffData = Storage.load('staff', []);
+    standardsData = Storage.load('standards', []);
+    groupsData = Storage.load('groups', []);
+    assignmentsData = Storage.load('assignments', []);
+    levels = Scale.getLevels();
+    
+    // Re-apply edits that have not been saved yet
+    pendingChanges.forEach(change => {
+        const index = assignmentsData.findIndex(a =>
+            a.staff_id === change.staff_id && a.standard_code === change.standard_code
+        );
+        if (index !== -1) {
+            assignmentsData[index] = change;
+        } else {
+            assignmentsData.push(change);
+        }
+    });
+    
+    applyFilters(true);
+    Logger.log(`Achievements refreshed after ${event.key || 'all data'} changed`);
 }
 
 /**
@@ -196,14 +295,19 @@ function addAssignmentStyles() {
                 padding: 2px;
                 border: 1px solid #e0e0e0;
             }
-            .assignment-checkbox {
-                width: 16px;
-                height: 16px;
-                cursor: pointer;
-                margin: 0;
+            .assignment-cell.not-applicable {
+                background-color: #f0f0f0;
+                color: #9e9e9e;
+                font-size: 0.8em;
             }
-            .assignment-checkbox:checked {
-                accent-color: #2ecc71;
+            .assignment-level {
+                width: 100%;
+                min-width: 90px;
+                padding: 2px;
+                border: 1px solid #ccc;
+                border-radius: 3px;
+                font-size: 0.85em;
+                cursor: pointer;
             }
             /* Group background colors will be applied dynamically */
             .group-colored {
@@ -253,7 +357,10 @@ function renderFilterControls() {
     renderFilterGroup(filterGroups.classification, classificationFilters);
     
     // Render standards filters
-    renderFilterGroup([{ id: 'standards', name: 'Filter:', type: 'text' }], standardsFilters, true);
+    renderFilterGroup([
+        { id: 'standards', name: 'Filter:', type: 'text' },
+        { id: 'group', name: 'Group', type: 'dropdown', options: groupsData.map(g => g.name) }
+    ], standardsFilters, true);
     
     // Add event listeners for the clear filters button
     document.getElementById('clear-filters').addEventListener('click', clearFilters);
@@ -346,6 +453,7 @@ function renderTableHeader() {
     }
     
     // Sort standards by group and then by code
+    const compareCodes = Codes.comparator(groupsData);
     const sortedStandards = [...filteredStandards].sort((a, b) => {
         // First sort by group
         if (a.group !== b.group) {
@@ -355,7 +463,7 @@ function renderTableHeader() {
             return a.group.localeCompare(b.group);
         }
         // Then sort by code within same group
-        return a.code.localeCompare(b.code);
+        return compareCodes(a.code, b.code);
     });
     
     // Create header cells for each standard
@@ -432,16 +540,18 @@ function renderTableHeader() {
 }
 
 /**
- * Render the table body with staff rows and achievement checkboxes
+ * Render the table body with staff rows and a level selector per standard
  */
 function renderTableBody() {
     const tableBody = document.getElementById('table-body');
     tableBody.innerHTML = '';  // Clear existing content
+    closeHistoryPopover();
     
     // Sort staff by name
     const sortedStaff = [...filteredStaff].sort((a, b) => a.name.localeCompare(b.name));
     
     // Sort standards by group and then by code (same as header)
+    const compareCodes = Codes.comparator(groupsData);
     const sortedStandards = [...filteredStandards].sort((a, b) => {
         // First sort by group
         if (a.group !== b.group) {
@@ -451,9 +561,12 @@ function renderTableBody() {
             return a.group.localeCompare(b.group);
         }
         // Then sort by code within same group
-        return a.code.localeCompare(b.code);
+        return compareCodes(a.code, b.code);
     });
     
+    // Which staff each standard applies to
+    const applies = Applicability.checker({ standards: standardsData, groups: groupsData });
+    
     // Map of group names to their RGB color values
     const groupColorMap = {};
     groupsData.forEach(group => {
@@ -472,11 +585,17 @@ function renderTableBody() {
         // Create cell for staff information
         const staffCell = document.createElement('td');
         staffCell.className = 'staff-cell';
-        const staffName = staff.name;
-        const staffDetails = `${staff.department || ''} ${staff.year_group ? '| ' + staff.year_group : ''}`;
+        // Staff text is user input, so it is escaped before going into the markup
+        const staffName = CommonUtils.escapeHtml(staff.name);
+        const yearGroups = Models.Staff.formatValue(staff.year_group);
+        const staffDetails = CommonUtils.escapeHtml(`${Models.Staff.formatValue(staff.department)} ${yearGroups ? '| ' + yearGroups : ''}`);
+        if (Models.Staff.isLeaver(staff)) {
+            row.classList.add('leaver-row');
+        }
         staffCell.innerHTML = `
-            <strong class="staff-name" title="${staffName}">${staffName}</strong>
+            <strong class="staff-name" title="${staffName}"><a href="${CommonUtils.escapeHtml(Router.formatHash('staff', { path: staff.id }))}" class="staff-profile-link">${staffName}</a></strong>
             <div class="staff-details" title="${staffDetails}">${staffDetails}</div>
+            ${Models.Staff.isLeaver(staff) ? `<span class="leaver-badge">Left ${CommonUtils.escapeHtml(staff.leave_date)}</span>` : ''}
         `;
         row.appendChild(staffCell);
         
@@ -493,18 +612,33 @@ function renderTableBody() {
                 cell.classList.add('group-colored');
             }
             
+            // Standards that do not apply to this staff member are greyed out and not counted
+            if (!applies(staff, standard.code)) {
+                cell.classList.add('not-applicable');
+                cell.innerHTML = `<span title="${standard.code} does not apply to ${staff.name}">N/A</span>`;
+                row.appendChild(cell);
+                return;
+            }
+            
             // Check if assignment exists
             const assignment = assignmentsData.find(a => 
                 a.staff_id === staff.id && a.standard_code === standard.code
             );
             
-            const achieved = assignment ? assignment.achieved : false;
+            const level = Scale.levelOf(assignment, levels);
+            const assessments = Assessments.historyOf(assignment).length;
             
             cell.innerHTML = `
-                <input type="checkbox" class="assignment-checkbox" 
-                       ${achieved ? 'checked' : ''} 
-                       data-staff-id="${staff.id}" 
-                       data-standard-code="${standard.code}">
+                <div class="assignment-cell-content">
+                    <select class="assignment-level" style="background-color: ${level.color}"
+                            title="${staff.name}: ${standard.code} - ${level.name}"
+                            data-staff-id="${staff.id}" 
+                            data-standard-code="${standard.code}">
+                        ${levels.map(l => `<option value="${l.id}" ${l.id === level.id ? 'selected' : ''}>${l.name}</option>`).join('')}
+                    </select>
+                    <button class="history-button ${assessments > 1 ? 'has-history' : ''}" title="Assessment history (${assessments})"
+                            data-staff-id="${staff.id}" data-standard-code="${standard.code}">🕘</button>
+                </div>
             `;
             
             row.appendChild(cell);
@@ -513,59 +647,233 @@ function renderTableBody() {
         tableBody.appendChild(row);
     });
     
-    // Add event listeners to checkboxes
-    document.querySelectorAll('.assignment-checkbox').forEach(checkbox => {
-        checkbox.addEventListener('change', handleAssignmentChange);
+    // Add event listeners to level selectors and history buttons
+    document.querySelectorAll('.assignment-level').forEach(select => {
+        select.addEventListener('change', handleAssignmentChange);
+    });
+    document.querySelectorAll('.history-button').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showHistoryPopover(button, button.dataset.staffId, button.dataset.standardCode);
+        });
     });
 }
 
 /**
- * Handle change in assignment checkbox
+ * Handle a change of level in the grid
  * @param {Event} event - Change event
  */
 function handleAssignmentChange(event) {
-    const checkbox = event.target;
-    const staffId = checkbox.dataset.staffId;
-    const standardCode = checkbox.dataset.standardCode;
-    const achieved = checkbox.checked;
+    const select = event.target;
+    const staffId = select.dataset.staffId;
+    const standardCode = select.dataset.standardCode;
+    const level = Scale.getLevel(select.value, levels);
     
-    Logger.log(`Assignment changed: Staff ${staffId}, Standard ${standardCode}, Achieved: ${achieved}`);
+    Logger.log(`Assignment changed: Staff ${staffId}, Standard ${standardCode}, Level: ${level.name}`);
+    select.style.backgroundColor = level.color;
     
-    // Update or create assignment in memory
-    const existingIndex = assignmentsData.findIndex(a => 
-        a.staff_id === staffId && a.standard_code === standardCode
-    );
+    const assignment = findOrCreateAssignment(staffId, standardCode);
     
-    if (existingIndex !== -1) {
-        // Update existing assignment
-        assignmentsData[existingIndex].achieved = achieved;
-        assignmentsData[existingIndex].date_achieved = achieved ? new Date().toISOString() : null;
+    // Changing the level again before saving corrects the assessment just made rather than adding another
+    const history = Assessments.historyOf(assignment);
+    const latest = history[history.length - 1];
+    if (latest && unsavedEvents.has(latest.id)) {
+        Assessments.update(assignment, latest.id, { level: level.id }, levels);
     } else {
-        // Create new assignment
-        assignmentsData.push({
-            staff_id: staffId,
-            standard_code: standardCode,
-            achieved: achieved,
-            date_achieved: achieved ? new Date().toISOString() : null
-        });
+        const assessment = Assessments.createEvent({ level: level.id, assessor: Audit.getUser() }, levels);
+        Assessments.record(assignment, assessment, levels);
+        unsavedEvents.add(assessment.id);
     }
+    markChanged(assignment);
+    updateHistoryButton(staffId, standardCode);
     
     // Note: We don't save to storage here; that happens when the user clicks "Save Changes"
 }
 
+/**
+ * Find the assignment for a staff member and standard, creating it in memory if there is none
+ * @param {string} staffId - Staff ID
+ * @param {string} standardCode - Standard code
+ * @returns {Object} - Assignment
+ */
+function findOrCreateAssignment(staffId, standardCode) {
+    let assignment = assignmentsData.find(a => 
+        a.staff_id === staffId && a.standard_code === standardCode
+    );
+    
+    if (!assignment) {
+        assignment = Models.Assignment.createDefault(staffId, standardCode);
+        assignmentsData.push(assignment);
+    }
+    return assignment;
+}
+
+/**
+ * Refresh the level selector and history button of a grid cell after its assessments changed
+ * @param {string} staffId - Staff ID
+ * @param {string} standardCode - Standard code
+ */
+function updateHistoryButton(staffId, standardCode) {
+    const cell = document.querySelector(`.assignment-cell[data-staff-id="${CSS.escape(staffId)}"][data-standard-code="${CSS.escape(standardCode)}"]`);
+    if (!cell) return;
+    
+    const assignment = assignmentsData.find(a => a.staff_id === staffId && a.standard_code === standardCode);
+    const level = Scale.levelOf(assignment, levels);
+    const count = Assessments.historyOf(assignment).length;
+    
+    const select = cell.querySelector('.assignment-level');
+    select.value = level.id;
+    select.style.backgroundColor = level.color;
+    
+    const button = cell.querySelector('.history-button');
+    button.classList.toggle('has-history', count > 1);
+    button.title = `Assessment history (${count})`;
+}
+
+/**
+ * Show the assessment history of a staff member and standard next to its grid cell,
+ * with a form to add an assessment (saved with the other changes)
+ * @param {HTMLElement} anchor - Button the popover opens from
+ * @param {string} staffId - Staff ID
+ * @param {string} standardCode - Standard code
+ */
+function showHistoryPopover(anchor, staffId, standardCode) {
+    closeHistoryPopover();
+    
+    const staff = staffData.find(s => s.id === staffId);
+    const standard = standardsData.find(s => s.code === standardCode);
+    const assignment = assignmentsData.find(a => a.staff_id === staffId && a.standard_code === standardCode);
+    const history = Assessments.historyOf(assignment).reverse(); // Newest first
+    const attempts = Assessments.attemptsBeforeAchieved(assignment);
+    const current = Scale.levelOf(assignment, levels);
+    
+    const element = document.createElement('div');
+    element.className = 'history-popover';
+    element.innerHTML = `
+        <div class="history-popover-header">
+            <strong>${staff ? staff.name : staffId} &mdash; ${standardCode}${standard ? `: ${standard.name}` : ''}</strong>
+            <button class="modal-close">×</button>
+        </div>
+        <p class="help-text">
+            ${history.length === 0 ? 'Not assessed yet.' : `${history.length} assessment${history.length === 1 ? '' : 's'}.`}
+            ${attempts !== null ? ` Achieved after ${attempts} earlier attempt${attempts === 1 ? '' : 's'}.` : ''}
+        </p>
+        ${history.length > 0 ? `
+            <table class="table history-table">
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Outcome</th>
+                        <th>Assessor</th>
+                        <th>Notes</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${history.map(event => {
+                        const level = Scale.getLevel(event.level, levels);
+                        return `
+                            <tr>
+                                <td>${event.date || 'Unknown'}</td>
+                                <td><span class="color-dot" style="background-color: ${level ? level.color : '#bdbdbd'}"></span>${level ? level.name : event.level}</td>
+                                <td>${event.assessor || ''}</td>
+                                <td>${event.notes || ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        <div class="history-form">
+            <input type="date" id="history-date" class="form-control" value="${new Date().toISOString().slice(0, 10)}">
+            <select id="history-level" class="form-control">
+                ${levels.map(level => `<option value="${level.id}" ${level.id === current.id ? 'selected' : ''}>${level.name}</option>`).join('')}
+            </select>
+            <input type="text" id="history-assessor" class="form-control" placeholder="Assessor" value="${Audit.getUser()}">
+            <textarea id="history-notes" class="form-control" rows="2" placeholder="Notes"></textarea>
+            <button id="add-assessment" class="button button-small">Add Assessment</button>
+        </div>
+    `;
+    document.body.appendChild(element);
+    
+    // Place below the cell, kept inside the window
+    const rect = anchor.getBoundingClientRect();
+    const left = Math.min(rect.left + window.scrollX, window.scrollX + document.documentElement.clientWidth - element.offsetWidth - 8);
+    element.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    element.style.left = `${Math.max(8, left)}px`;
+    
+    const onDocumentClick = (e) => {
+        if (!element.contains(e.target)) closeHistoryPopover();
+    };
+    const onKeydown = (e) => {
+        if (e.key === 'Escape') closeHistoryPopover();
+    };
+    document.addEventListener('click', onDocumentClick);
+    document.addEventListener('keydown', onKeydown);
+    historyPopover = { element, onDocumentClick, onKeydown };
+    
+    element.querySelector('.modal-close').addEventListener('click', closeHistoryPopover);
+    element.querySelector('#add-assessment').addEventListener('click', () => {
+        const date = element.querySelector('#history-date').value;
+        if (!date) {
+            alert('Enter the date of the assessment.');
+            return;
+        }
+        
+        const target = findOrCreateAssignment(staffId, standardCode);
+        Assessments.record(target, Assessments.createEvent({
+            level: element.querySelector('#history-level').value,
+            date,
+            assessor: element.querySelector('#history-assessor').value,
+            notes: element.querySelector('#history-notes').value
+        }, levels), levels);
+        markChanged(target);
+        Logger.log(`Added assessment for staff ${staffId}, standard ${standardCode} (not saved yet)`);
+        
+        updateHistoryButton(staffId, standardCode);
+        showHistoryPopover(anchor, staffId, standardCode);
+    });
+}
+
+/**
+ * Close the assessment history popover if it is open
+ */
+function closeHistoryPopover() {
+    if (!historyPopover) return;
+    document.removeEventListener('click', historyPopover.onDocumentClick);
+    document.removeEventListener('keydown', historyPopover.onKeydown);
+    historyPopover.element.remove();
+    historyPopover = null;
+}
+
+/**
+ * Record an assignment as changed so only changed records are written on save
+ * @param {Object} assignment - Changed assignment
+ */
+function markChanged(assignment) {
+    pendingChanges.set(`${assignment.staff_id}|${assignment.standard_code}`, assignment);
+}
+
 /**
  * Save assignment changes to storage
+ * @param {boolean} notify - Whether to confirm the save with an alert (false when saving before leaving the page)
  */
-function saveAssignments() {
-    Storage.save('assignments', assignmentsData);
-    Logger.log('Saved assignment changes');
-    alert('Assignments saved successfully!');
+async function saveAssignments(notify = true) {
+    const changed = [...pendingChanges.values()];
+    await Undo.record(`Save ${changed.length} achievement changes`, ['assignments'], () => Storage.putRecords('assignments', changed));
+    pendingChanges = new Map();
+    unsavedEvents = new Set();
+    Logger.log(`Saved ${changed.length} assignment changes`);
+    if (notify) {
+        alert('Assignments saved successfully!');
+    }
 }
 
 /**
  * Apply filters to staff data and standards columns
+ * @param {boolean} replaceHistory - Write the filters over the current history entry instead of adding one
+ *                                   (when showing a route rather than following a user's change)
  */
-function applyFilters() {
+function applyFilters(replaceHistory = false) {
     // Get additional filter values from inputs that don't have tags yet
     document.querySelectorAll('#filter-section select').forEach(select => {
         if (select.value) {
@@ -623,11 +931,11 @@ function applyFilters() {
     
     // Filter the staff rows based on staff-related filters
     const staffFilters = Object.entries(currentFilter).filter(([field]) => 
-        field !== 'standards'
+        field !== 'standards' && field !== 'group'
     );
     
     if (staffFilters.length > 0) {
-        filteredStaff = staffData.filter(staff => {
+        filteredStaff = listedStaff().filter(staff => {
             // Check each staff-related field's filter criteria
             for (const [field, filters] of staffFilters) {
                 // Special handling for name filter
@@ -645,7 +953,8 @@ function applyFilters() {
                 if (field === 'id') {
                     for (const filter of filters) {
                         const staffId = String(staff.id).toLowerCase();
-                        const matches = staffId.includes(filter.value);
+                        // Typed IDs match part of the ID; links name one staff member (exact)
+                        const matches = filter.exact ? staffId === filter.value : staffId.includes(filter.value);
                         if ((filter.mode === 'include' && !matches) || (filter.mode === 'exclude' && matches)) {
                             return false;
                         }
@@ -656,8 +965,8 @@ function applyFilters() {
                 // Regular field filters
                 if (staff[field] !== undefined) {
                     for (const filter of filters) {
-                        // For dropdown selections, do exact matching
-                        const matches = staff[field].toLowerCase() === filter.value;
+                        // For dropdown selections, match one of the staff member's values exactly
+                        const matches = Models.Staff.matchesValue(staff[field], filter.value);
                         if ((filter.mode === 'include' && !matches) || (filter.mode === 'exclude' && matches)) {
                             return false;
                         }
@@ -668,7 +977,7 @@ function applyFilters() {
         });
     } else {
         // If no staff filters, show all staff
-        filteredStaff = [...staffData];
+        filteredStaff = [...listedStaff()];
     }
     
     // Filter the standard columns based on standards filters
@@ -700,6 +1009,19 @@ function applyFilters() {
         filteredStandards = [...standardsData];
     }
     
+    // Filter the standard columns by group
+    if (currentFilter.group && currentFilter.group.length > 0) {
+        filteredStandards = filteredStandards.filter(standard => {
+            for (const filter of currentFilter.group) {
+                const matches = String(standard.group || '').toLowerCase() === filter.value;
+                if ((filter.mode === 'include' && !matches) || (filter.mode === 'exclude' && matches)) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+    
     // Remove temporary filters after applying
     for (const field in currentFilter) {
         if (Array.isArray(currentFilter[field])) {
@@ -714,13 +1036,75 @@ function applyFilters() {
     renderTableHeader();
     renderTableBody();
     
+    // Keep the URL in step so the filtered view can be shared, and Back undoes a filter change
+    if (replaceHistory) {
+        Router.setParams(routeParams());
+    } else {
+        Router.pushParams(routeParams());
+    }
+    
     Logger.log(`Applied filters: ${JSON.stringify(currentFilter)}`);
 }
 
 /**
- * Clear all filters
+ * Add filter tags for the filters in the route params
+ * @param {Object} params - Route params (see init)
+ * @returns {boolean} - True if any filter was added
  */
-function clearFilters() {
+function applyRouteFilters(params) {
+    let added = false;
+    Object.entries(params).forEach(([key, values]) => {
+        // staff= names one staff member by exact ID; id= is the ID filter as typed (part of an ID)
+        const field = key === 'staff' ? 'id' : key;
+        const exact = key === 'staff';
+        // Only fields with a filter control on the page
+        if (!document.getElementById(`filter-tags-${field}`)) return;
+        
+        [].concat(values).forEach(item => {
+            const exclude = String(item).startsWith('!');
+            let value = exclude ? String(item).slice(1) : String(item);
+            if (field === 'group') {
+                // Links name groups by code (e.g. group=B)
+                const group = groupsData.find(g =>
+                    String(g.code || '').toLowerCase() === value.toLowerCase() || g.name.toLowerCase() === value.toLowerCase());
+                if (group) value = group.name;
+            }
+            if (value) {
+                addFilterTag(field, value, exclude ? 'exclude' : 'include', false, exact);
+                added = true;
+            }
+        });
+    });
+    return added;
+}
+
+/**
+ * Describe the current filters as route params (the reverse of applyRouteFilters)
+ * @returns {Object} - Route params
+ */
+function routeParams() {
+    const params = {};
+    Object.entries(currentFilter).forEach(([field, filters]) => {
+        filters.forEach(filter => {
+            const key = field === 'id' && filter.exact ? 'staff' : field;
+            let value = filter.label || filter.value;
+            if (field === 'group') {
+                const group = groupsData.find(g => g.name.toLowerCase() === filter.value);
+                if (group && group.code) value = group.code;
+            }
+            params[key] = [...(params[key] || []), filter.mode === 'exclude' ? `!${value}` : value];
+        });
+    });
+    if (showLeavers) {
+        params.leavers = '1';
+    }
+    return params;
+}
+
+/**
+ * Empty the filter inputs and remove the filter tags (the filter state is left to the caller)
+ */
+function clearFilterInputs() {
     // Reset filter inputs
     document.querySelectorAll('#filter-section select').forEach(select => {
         select.value = '';
@@ -734,17 +1118,25 @@ function clearFilters() {
     document.querySelectorAll('.filter-tags').forEach(container => {
         container.innerHTML = '';
     });
+}
+
+/**
+ * Clear all filters
+ */
+function clearFilters() {
+    clearFilterInputs();
     
     // Reset filter state
     currentFilter = {};
     
     // Reset filtered data
-    filteredStaff = [...staffData];
+    filteredStaff = [...listedStaff()];
     filteredStandards = [...standardsData];
     
     // Re-render table
     renderTableHeader();
     renderTableBody();
+    Router.pushParams(routeParams());
     
     Logger.log('Cleared all filters');
 }
@@ -822,15 +1214,10 @@ function showBulkAssignModal() {
             </div>
             
             <div class="form-group">
-                <label>Achievement Status:</label>
-                <div class="radio-group">
-                    <label>
-                        <input type="radio" name="bulk-status" value="true" checked> Achieved
-                    </label>
-                    <label>
-                        <input type="radio" name="bulk-status" value="false"> Not Achieved
-                    </label>
-                </div>
+                <label for="bulk-level">Level:</label>
+                <select id="bulk-level" class="form-control">
+                    ${levels.map(level => `<option value="${level.id}" ${level === levels.find(l => l.achieved) ? 'selected' : ''}>${level.name}</option>`).join('')}
+                </select>
             </div>
             
             <div class="form-actions">
@@ -857,11 +1244,6 @@ function showBulkAssignModal() {
             .checkbox-item {
                 margin-bottom: 0.5rem;
             }
-            .radio-group {
-                display: flex;
-                gap: 1rem;
-                margin-top: 0.5rem;
-            }
         `;
         document.head.appendChild(style);
     }
@@ -877,7 +1259,7 @@ function showBulkAssignModal() {
         document.body.removeChild(modal);
     });
     
-    modal.querySelector('#apply-bulk').addEventListener('click', () => {
+    modal.querySelector('#apply-bulk').addEventListener('click', async () => {
         // Get selected standards
         const selectedStandards = Array.from(modal.querySelectorAll('.bulk-standard-checkbox:checked'))
             .map(checkbox => checkbox.dataset.code);
@@ -886,8 +1268,8 @@ function showBulkAssignModal() {
         const selectedStaff = Array.from(modal.querySelectorAll('.bulk-staff-checkbox:checked'))
             .map(checkbox => checkbox.dataset.id);
             
-        // Get assignment status
-        const achieved = modal.querySelector('input[name="bulk-status"]:checked').value === 'true';
+        // Get the level to set
+        const level = Scale.getLevel(modal.querySelector('#bulk-level').value, levels);
         
         // Validate selections
         if (selectedStandards.length === 0) {
@@ -900,30 +1282,27 @@ function showBulkAssignModal() {
             return;
         }
         
-        // Create/update assignments
+        // Create/update assignments, skipping standards that do not apply to a staff member
         let updatedCount = 0;
+        let skippedCount = 0;
+        const bulkRecords = [];
+        const applies = Applicability.checker({ standards: standardsData, groups: groupsData });
         
         selectedStaff.forEach(staffId => {
+            const staff = staffData.find(s => s.id === staffId);
             selectedStandards.forEach(standardCode => {
-                // Check if assignment already exists
-                const existingIndex = assignmentsData.findIndex(a => 
-                    a.staff_id === staffId && a.standard_code === standardCode
-                );
-                
-                if (existingIndex !== -1) {
-                    // Update existing assignment
-                    assignmentsData[existingIndex].achieved = achieved;
-                    assignmentsData[existingIndex].date_achieved = achieved ? new Date().toISOString() : null;
-                } else {
-                    // Create new assignment
-                    assignmentsData.push({
-                        staff_id: staffId,
-                        standard_code: standardCode,
-                        achieved: achieved,
-                        date_achieved: achieved ? new Date().toISOString() : null
-                    });
+                if (staff && !applies(staff, standardCode)) {
+                    skippedCount++;
+                    return;
                 }
                 
+                // Add an assessment to the existing assignment or a new one
+                const assignment = findOrCreateAssignment(staffId, standardCode);
+                Assessments.record(assignment, Assessments.createEvent({ level: level.id, assessor: Audit.getUser() }, levels), levels);
+                bulkRecords.push(assignment);
+                
+                // The bulk change is saved straight away, so it no longer counts as pending
+                pendingChanges.delete(`${staffId}|${standardCode}`);
                 updatedCount++;
             });
         });
@@ -932,11 +1311,161 @@ function showBulkAssignModal() {
         document.body.removeChild(backdrop);
         document.body.removeChild(modal);
         
+        // Save as one undoable action
+        const label = `Bulk set ${selectedStandards.length} standards to ${level.name} for ${selectedStaff.length} staff`;
+        await Undo.record(label, ['assignments'], () => Storage.putRecords('assignments', bulkRecords));
+        
         // Update table to reflect changes
         renderTableBody();
         
-        Logger.log(`Bulk assigned ${updatedCount} standards`);
-        alert(`Updated ${updatedCount} assignments. Remember to click "Save Changes" to save these updates.`);
+        Logger.log(`Bulk assigned ${updatedCount} standards`, { skipped: skippedCount });
+        alert(`Updated and saved ${updatedCount} assignments.` +
+            (skippedCount > 0 ? ` Skipped ${skippedCount} that do not apply to the staff member.` : ''));
+    });
+}
+
+/**
+ * Show the achievement scale editor: level names, colours, order and which levels count as achieved
+ */
+function showScaleEditor() {
+    if (pendingChanges.size > 0) {
+        alert('Save your achievement changes before editing the scale.');
+        return;
+    }
+    
+    let edited = levels.map(level => ({ ...level }));
+    const counts = Scale.distribution(assignmentsData, levels);
+    
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Achievement Scale</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <p>Levels are listed from lowest to highest. Achieved percentages count the records at levels marked "Achieved".</p>
+            
+            <table class="table scale-table">
+                <thead>
+                    <tr>
+                        <th>Level</th>
+                        <th>Colour</th>
+                        <th>Achieved</th>
+                        <th>Records</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="scale-body"></tbody>
+            </table>
+            
+            <div class="form-actions mt-1">
+                <button id="add-level" class="button button-secondary">Add Level</button>
+                <button id="reset-scale" class="button button-secondary">Reset to Defaults</button>
+                <button id="save-scale" class="button">Save Scale</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    function renderLevels() {
+        modal.querySelector('#scale-body').innerHTML = edited.map((level, index) => `
+            <tr data-index="${index}">
+                <td><input type="text" class="form-control level-name" value="${level.name}"></td>
+                <td><input type="color" class="level-color" value="${level.color}"></td>
+                <td><input type="checkbox" class="level-achieved" ${level.achieved ? 'checked' : ''}></td>
+                <td>${counts[level.id] || 0}</td>
+                <td>
+                    <button class="button button-small button-secondary move-level" data-direction="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="button button-small button-secondary move-level" data-direction="1" ${index === edited.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="button button-small button-danger delete-level" ${edited.length <= 2 ? 'disabled' : ''}>Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    }
+    
+    // Read the edited levels back from the table
+    function readLevels() {
+        return Array.from(modal.querySelectorAll('#scale-body tr[data-index]')).map(row => ({
+            id: edited[parseInt(row.dataset.index, 10)].id,
+            name: row.querySelector('.level-name').value.trim(),
+            color: row.querySelector('.level-color').value,
+            achieved: row.querySelector('.level-achieved').checked
+        }));
+    }
+    
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    renderLevels();
+    
+    // Add event listeners
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    
+    modal.querySelector('#scale-body').addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-index]');
+        if (!row) return;
+        const index = parseInt(row.dataset.index, 10);
+        
+        const moveButton = e.target.closest('.move-level');
+        if (moveButton) {
+            edited = readLevels();
+            const target = index + parseInt(moveButton.dataset.direction, 10);
+            [edited[index], edited[target]] = [edited[target], edited[index]];
+            renderLevels();
+        }
+        
+        const deleteButton = e.target.closest('.delete-level');
+        if (deleteButton) {
+            const used = counts[edited[index].id] || 0;
+            if (used > 0 && !confirm(`${used} achievement records are at "${edited[index].name}". They will move to the lowest level with the same achieved setting. Continue?`)) {
+                return;
+            }
+            edited = readLevels();
+            edited.splice(index, 1);
+            renderLevels();
+        }
+    });
+    
+    modal.querySelector('#add-level').addEventListener('click', () => {
+        edited = readLevels();
+        edited.push({ id: `level-${Date.now()}`, name: '', color: '#90caf9', achieved: true });
+        renderLevels();
+    });
+    
+    modal.querySelector('#reset-scale').addEventListener('click', () => {
+        if (!confirm('Replace the current scale with Not started / Developing / Secure / Exceeding?')) return;
+        Undo.record('Reset achievement scale', [Scale.KEY, 'assignments'], () => Scale.resetLevels());
+        closeModal();
+    });
+    
+    modal.querySelector('#save-scale').addEventListener('click', () => {
+        const result = readLevels();
+        if (result.some(level => !level.name)) {
+            alert('Each level needs a name.');
+            return;
+        }
+        if (new Set(result.map(level => level.name.toLowerCase())).size !== result.length) {
+            alert('Level names must be different.');
+            return;
+        }
+        if (!result.some(level => level.achieved) || result.every(level => level.achieved)) {
+            alert('At least one level must count as achieved, and at least one must not.');
+            return;
+        }
+        
+        Undo.record('Edit achievement scale', [Scale.KEY, 'assignments'], () => Scale.saveLevels(result));
+        closeModal();
+        // The grid refreshes itself from the storage change notifications
     });
 }
 
@@ -983,27 +1512,29 @@ function handleFilterChange(event) {
  * @param {string} field - Field name
  * @param {string} value - Filter value
  * @param {string} mode - Filter mode (include/exclude)
+ * @param {boolean} apply - Whether to apply the filters straight away (false when adding several)
+ * @param {boolean} exact - Match the whole value rather than part of it (staff IDs from a link)
  */
-function addFilterTag(field, value, mode) {
+function addFilterTag(field, value, mode, apply = true, exact = false) {
     const tagContainer = document.getElementById(`filter-tags-${field}`);
     
     // Don't add duplicate tags
     const isDuplicate = currentFilter[field]?.some(filter => 
-        filter.value === value.toLowerCase() && !filter.temporary);
+        filter.value === value.toLowerCase() && !filter.temporary && Boolean(filter.exact) === exact);
     
     if (isDuplicate) {
         return;
     }
     
     // Create unique ID for this tag
-    const tagId = `tag-${field}-${Date.now()}`;
+    const tagId = `tag-${field}-${Date.now()}-${currentFilter[field] ? currentFilter[field].length : 0}`;
     
     // Create filter tag element
     const tag = document.createElement('div');
     tag.className = `filter-tag ${mode}`;
     tag.id = tagId;
     tag.innerHTML = `
-        <span>${value}</span>
+        <span${exact ? ' title="Exactly this value"' : ''}>${exact ? `= ${value}` : value}</span>
         <span class="filter-tag-remove" title="Remove">×</span>
     `;
     
@@ -1020,15 +1551,19 @@ function addFilterTag(field, value, mode) {
         currentFilter[field] = [];
     }
     
-    // Add to filter criteria
+    // Add to filter criteria (the label keeps the value as typed, for the URL)
     currentFilter[field].push({
         id: tagId,
         value: value.toLowerCase(),
-        mode: mode
+        label: value,
+        mode: mode,
+        exact: exact
     });
     
     // Apply filters
-    applyFilters();
+    if (apply) {
+        applyFilters();
+    }
 }
 
 /**
@@ -1062,8 +1597,21 @@ function removeFilterTag(tagId, field) {
  */
 function setupEventListeners() {
     document.getElementById('clear-filters').addEventListener('click', clearFilters);
-    document.getElementById('save-assignments').addEventListener('click', saveAssignments);
+    document.getElementById('save-assignments').addEventListener('click', () => saveAssignments());
     document.getElementById('bulk-assign').addEventListener('click', showBulkAssignModal);
+    document.getElementById('edit-scale').addEventListener('click', showScaleEditor);
+    document.getElementById('show-leavers').addEventListener('change', (e) => {
+        showLeavers = e.target.checked;
+        applyFilters();
+    });
+}
+
+/**
+ * Staff members shown in the grid (leavers only when "Show leavers" is on)
+ * @returns {Array} - Staff records
+ */
+function listedStaff() {
+    return Models.Staff.listed(staffData, showLeavers);
 }
 
 /**
@@ -1180,6 +1728,17 @@ function renderFilterGroup(filters, container, isStandards = false) {
     });
     
     container.querySelectorAll('select, input[type="text"]').forEach(element => {
-        element.addEventListener('input', applyFilters);
+        element.addEventListener('input', () => applyFilters());
     });
-} 
\ No newline at end of file
+} 
+
+/**
+ * Clean up when leaving the page
+ */
+export function cleanup() {
+    closeHistoryPopover();
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+        unsubscribeStorage = null;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Audit Page
+ * Shows the audit trail of data changes, filtered by staff member, standard or data type, with CSV export
+ * and archiving of old entries
+ */
+import { Logger, Storage, Audit, CommonUtils } from '../utils/index.js';
+
+const { escapeHtml } = CommonUtils;
+
+// Number of entries rendered at once (the export always includes every matching entry)
+const MAX_ROWS = 500;
+
+const ENTITY_TYPE_LABELS = {
+    staff: 'Staff',
+    standard: 'Standard',
+    group: 'Group',
+    assignment: 'Achievement'
+};
+
+// State management
+let filters = { staffId: '', standardCode: '', entityType: '' };
+let unsubscribeStorage = null;
+let renderCount = 0; // Ignores slower renders started before the latest one
+
+/**
+ * Initialize the Audit page
+ * @param {HTMLElement} container - Container element for the page
+ */
+export function init(container) {
+    Logger.log('Initializing Audit page');
+
+    filters = { staffId: '', standardCode: '', entityType: '' };
+
+    const staffData = Storage.load('staff', []);
+    const standardsData = Storage.load('standards', []);
+
+    container.innerHTML = `
+        <div class="audit-page content-container">
+            <div class="header-content">
+                <h1>Audit</h1>
+                <div class="header-controls">
+                    <label for="audit-user">Recording changes as</label>
+                    <input type="text" id="audit-user" class="form-control audit-user" placeholder="Your name" value="${escapeHtml(Storage.load('audit_user', ''))}">
+                    <button id="export-audit" class="button">Export CSV</button>
+                </div>
+            </div>
+            <p class="help-text">Every change to staff, standards, groups and achievement records is logged here with the old and new value.
+                ${Storage.isServerConnected()
+                    ? 'The log is shared through the storage service, so changes made on every connected computer are listed.'
+                    : 'The log is kept in this browser (changes made on other computers are listed when connected to the storage service).'}
+                Nothing is removed automatically.</p>
+
+            <div class="audit-archive">
+                <label for="audit-archive-before">Archive entries logged before</label>
+                <input type="date" id="audit-archive-before" class="form-control">
+                <button id="archive-audit" class="button">Archive and remove from this browser</button>
+                <span id="audit-archive-hint" class="help-text"></span>
+            </div>
+
+            <div class="audit-filters">
+                <div class="form-group">
+                    <label for="audit-staff">Staff member</label>
+                    <select id="audit-staff" class="form-control">
+                        <option value="">All staff</option>
+                        ${staffData.map(staff => `<option value="${escapeHtml(staff.id)}">${escapeHtml(staff.name)} (${escapeHtml(staff.id)})</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="audit-standard">Standard</label>
+                    <select id="audit-standard" class="form-control">
+                        <option value="">All standards</option>
+                        ${standardsData.map(standard => `<option value="${escapeHtml(standard.code)}">${escapeHtml(standard.code)} - ${escapeHtml(standard.name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="audit-entity-type">Data type</label>
+                    <select id="audit-entity-type" class="form-control">
+                        <option value="">All types</option>
+                        ${Object.entries(ENTITY_TYPE_LABELS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+
+            <div id="audit-summary" class="help-text"></div>
+            <div class="table-container">
+                <table class="table audit-table">
+                    <thead>
+                        <tr>
+                            <th>When</th>
+                            <th>User</th>
+                            <th>Type</th>
+                            <th>Record</th>
+                            <th>Change</th>
+                            <th>Field</th>
+                            <th>Old value</th>
+                            <th>New value</th>
+                        </tr>
+                    </thead>
+                    <tbody id="audit-entries"></tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    renderEntries();
+
+    // Add event listeners
+    document.getElementById('audit-user').addEventListener('change', (e) => {
+        Audit.setUser(e.target.value);
+        e.target.value = Storage.load('audit_user', '');
+    });
+
+    document.getElementById('audit-staff').addEventListener('change', (e) => {
+        filters.staffId = e.target.value;
+        renderEntries();
+    });
+
+    document.getElementById('audit-standard').addEventListener('change', (e) => {
+        filters.standardCode = e.target.value;
+        renderEntries();
+    });
+
+    document.getElementById('audit-entity-type').addEventListener('change', (e) => {
+        filters.entityType = e.target.value;
+        renderEntries();
+    });
+
+    document.getElementById('export-audit').addEventListener('click', async () => {
+        Audit.download(await Audit.listAll(filters));
+    });
+
+    document.getElementById('archive-audit').addEventListener('click', archiveEntries);
+
+    // Show new entries as they are written (from this tab or others)
+    if (unsubscribeStorage) unsubscribeStorage();
+    unsubscribeStorage = Storage.subscribe(Audit.LOG_KEY, () => renderEntries(), { element: container });
+}
+
+/**
+ * Archive old entries: download them as a JSON file, then remove them from this browser once the user confirms.
+ * When connected, they are sent to the storage service first and stay in its shared log.
+ */
+async function archiveEntries() {
+    const date = document.getElementById('audit-archive-before').value;
+    if (!date) {
+        alert('Choose the date to archive entries before.');
+        return;
+    }
+
+    await Audit.share();
+    const entries = Audit.entriesBefore(date);
+    if (entries.length === 0) {
+        alert(`No entries in this browser were logged before ${new Date(date).toLocaleDateString()}.`);
+        return;
+    }
+
+    const fileName = Audit.downloadArchive(entries);
+    const unshared = Storage.load(Audit.LOG_KEY, []).filter(entry => !entry.shared && entries.some(archived => archived.id === entry.id));
+    const warning = unshared.length > 0
+        ? `${unshared.length} of them are not on the storage service: after removal the downloaded file is their only copy.`
+        : 'They remain in the storage service\'s shared log.';
+
+    if (!confirm(`${entries.length} entries were saved to ${fileName}. Remove them from this browser?\n\n${warning}`)) {
+        return;
+    }
+    await Audit.removeEntries(entries);
+    renderEntries();
+}
+
+/**
+ * Render the log entries matching the current filters
+ */
+async function renderEntries() {
+    const body = document.getElementById('audit-entries');
+    const summary = document.getElementById('audit-summary');
+    if (!body || !summary) return;
+
+    const render = ++renderCount;
+    const entries = await Audit.listAll(filters);
+    if (render !== renderCount || !body.isConnected) return;
+
+    const hint = document.getElementById('audit-archive-hint');
+    const localCount = Storage.load(Audit.LOG_KEY, []).length;
+    if (hint) {
+        hint.textContent = localCount >= Audit.ARCHIVE_SUGGESTED_AT
+            ? `This browser holds ${localCount.toLocaleString()} entries; archiving old ones frees space.`
+            : '';
+    }
+
+    summary.textContent = entries.length > MAX_ROWS
+        ? `Showing the latest ${MAX_ROWS} of ${entries.length} entries. Export to CSV to see them all.`
+        : `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`;
+
+    if (entries.length === 0) {
+        body.innerHTML = `<tr><td colspan="8">No changes recorded.</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = entries.slice(0, MAX_ROWS).map(entry => `
+        <tr class="audit-${entry.action}">
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${escapeHtml(entry.user)}</td>
+            <td>${escapeHtml(ENTITY_TYPE_LABELS[entry.entity_type] || entry.entity_type)}</td>
+            <td>${escapeHtml(entry.entity_type === 'assignment' && entry.staff_id ? `${entry.staff_id} / ${entry.standard_code}` : entry.entity_id)}</td>
+            <td>${escapeHtml(entry.action)}</td>
+            <td>${escapeHtml(entry.field || '')}</td>
+            <td class="audit-value">${escapeHtml(Audit.formatValue(entry.old_value))}</td>
+            <td class="audit-value">${escapeHtml(Audit.formatValue(entry.new_value))}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Clean up when leaving the page
+ */
+export function cleanup() {
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+        unsubscribeStorage = null;
+    }
+}
@@ -0,0 +1,150 @@
+/**
+ * Diagnostics Page
+ * Hidden page (open #diagnostics) for log settings and for browsing, searching and downloading the log
+ */
+import { Logger } from '../utils/index.js';
+
+// Number of entries rendered at once (the download always includes every matching entry)
+const MAX_ROWS = 500;
+
+// State management
+let filters = { level: '', search: '' };
+
+/**
+ * Initialize the Diagnostics page
+ * @param {HTMLElement} container - Container element for the page
+ */
+export function init(container) {
+    Logger.log('Initializing Diagnostics page');
+
+    filters = { level: '', search: '' };
+    const settings = Logger.getSettings();
+    const levelOptions = (selected) => Object.keys(Logger.LEVELS)
+        .map(level => `<option value="${level}" ${level === selected ? 'selected' : ''}>${level}</option>`)
+        .join('');
+
+    container.innerHTML = `
+        <div class="diagnostics-page content-container">
+            <div class="header-content">
+                <h1>Diagnostics</h1>
+                <div class="header-controls">
+                    <button id="download-log" class="button">Download NDJSON</button>
+                    <button id="clear-log" class="button button-danger">Clear Log</button>
+                </div>
+            </div>
+
+            <form id="log-settings-form" class="diagnostics-settings">
+                <div class="form-group">
+                    <label for="log-level">Minimum level</label>
+                    <select id="log-level" class="form-control">${levelOptions(settings.level)}</select>
+                </div>
+                <div class="form-group">
+                    <label for="log-buffer-size">Entries kept</label>
+                    <input type="number" id="log-buffer-size" class="form-control" min="50" value="${settings.bufferSize}">
+                </div>
+                <div class="form-group">
+                    <label for="log-collector-url">Collector URL</label>
+                    <input type="text" id="log-collector-url" class="form-control" placeholder="e.g. http://localhost:3000/api/logs" value="${settings.collectorUrl}">
+                </div>
+                <div class="form-group">
+                    <label for="log-collector-level">Send from level</label>
+                    <select id="log-collector-level" class="form-control">${levelOptions(settings.collectorLevel)}</select>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="button button-secondary">Save Settings</button>
+                </div>
+            </form>
+
+            <div class="diagnostics-filters">
+                <select id="log-filter-level" class="form-control">
+                    <option value="">All levels</option>
+                    ${levelOptions('')}
+                </select>
+                <input type="search" id="log-search" class="form-control" placeholder="Search messages and context">
+                <button id="refresh-log" class="button button-small button-secondary">Refresh</button>
+            </div>
+
+            <div id="log-summary" class="help-text"></div>
+            <div class="table-container">
+                <table class="table log-table">
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Level</th>
+                            <th>Message</th>
+                            <th>Context</th>
+                        </tr>
+                    </thead>
+                    <tbody id="log-entries"></tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    renderEntries();
+
+    // Add event listeners
+    document.getElementById('log-settings-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const applied = Logger.configure({
+            level: document.getElementById('log-level').value,
+            bufferSize: document.getElementById('log-buffer-size').value,
+            collectorUrl: document.getElementById('log-collector-url').value,
+            collectorLevel: document.getElementById('log-collector-level').value
+        });
+        document.getElementById('log-buffer-size').value = applied.bufferSize;
+        Logger.log('Log settings updated', { ...applied });
+        renderEntries();
+    });
+
+    document.getElementById('log-filter-level').addEventListener('change', (e) => {
+        filters.level = e.target.value;
+        renderEntries();
+    });
+
+    document.getElementById('log-search').addEventListener('input', (e) => {
+        filters.search = e.target.value;
+        renderEntries();
+    });
+
+    document.getElementById('refresh-log').addEventListener('click', renderEntries);
+
+    document.getElementById('download-log').addEventListener('click', () => {
+        Logger.download(Logger.getEntries(filters));
+    });
+
+    document.getElementById('clear-log').addEventListener('click', () => {
+        if (confirm('Clear all stored log entries?')) {
+            Logger.clearEntries();
+            renderEntries();
+        }
+    });
+}
+
+/**
+ * Render the log entries matching the current filters, newest first
+ */
+function renderEntries() {
+    const body = document.getElementById('log-entries');
+    const summary = document.getElementById('log-summary');
+    if (!body || !summary) return;
+
+    const entries = Logger.getEntries(filters).reverse();
+    summary.textContent = entries.length > MAX_ROWS
+        ? `Showing the latest ${MAX_ROWS} of ${entries.length} entries. Download to see them all.`
+        : `${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`;
+
+    if (entries.length === 0) {
+        body.innerHTML = `<tr><td colspan="4">No log entries.</td></tr>`;
+        return;
+    }
+
+    body.innerHTML = entries.slice(0, MAX_ROWS).map(entry => `
+        <tr class="log-${entry.level.toLowerCase()}">
+            <td>${new Date(entry.timestamp).toLocaleString()}</td>
+            <td>${entry.level}</td>
+            <td>${entry.message}</td>
+            <td class="log-context">${entry.context ? JSON.stringify(entry.context) : ''}</td>
+        </tr>
+    `).join('');
+}
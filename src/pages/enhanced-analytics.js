@@ -3,17 +3,22 @@
  * Implements a dynamic, reusable chart generation system with live-updating charts,
  * consistent filtering, and interactive features
  */
-import { Storage, Logger, Models, FilterSystem, ChartSystem, DrilldownFilterSystem } from '../utils/index.js';
+import { Storage, Logger, Models, FilterSystem, ChartSystem, DrilldownFilterSystem, Snapshots, ErrorReporter, Scale, Assessments, Applicability } from '../utils/index.js';
 
 // State management
 let staffData = [];
 let standardsData = [];
 let groupsData = [];
 let assignmentsData = [];
+let levels = []; // Achievement scale, lowest level first
+let includeLeavers = false; // Archived (leaver) staff are left out of the analysis unless this is on
 let filterSystem = null;
 let drilldownFilterSystem = null;
 let isSplitView = false;
 
+// Unsubscribe function for storage change notifications
+let unsubscribeStorage = null;
+
 // Configuration options
 const config = {
     // Set to true to show filter testing panel
@@ -32,6 +37,7 @@ export function init(container) {
     standardsData = Storage.load('standards', []);
     groupsData = Storage.load('groups', []);
     assignmentsData = Storage.load('assignments', []);
+    levels = Scale.getLevels();
     
     // Create page structure
     container.innerHTML = `
@@ -86,6 +92,13 @@ export function init(container) {
                                 </label>
                                 <span class="toggle-label">Total View</span>
                             </div>
+                            <div class="chart-view-toggle">
+                                <label class="toggle-switch">
+                                    <input type="checkbox" id="include-leavers-toggle" ${includeLeavers ? 'checked' : ''}>
+                                    <span class="toggle-slider"></span>
+                                </label>
+                                <span class="toggle-label">Include leavers</span>
+                            </div>
                         </div>
                         
                         <div id="main-chart-container" class="main-chart-container">
@@ -177,11 +190,53 @@ export function init(container) {
     document.getElementById('select-all-standards').addEventListener('click', selectAllStandards);
     document.getElementById('deselect-all-standards').addEventListener('click', deselectAllStandards);
     document.getElementById('split-standards-toggle').addEventListener('change', handleSplitViewToggle);
+    document.getElementById('include-leavers-toggle').addEventListener('change', handleIncludeLeaversToggle);
     document.getElementById('load-example-data').addEventListener('click', loadExampleData);
     document.getElementById('remove-example-data').addEventListener('click', removeExampleData);
     
     // Set up cleanup for when navigating away
     window.addEventListener('beforeunload', cleanup);
+    
+    // Refresh when data changes elsewhere (another tab, an import or a restore)
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    unsubscribeStorage = Storage.subscribe(
+        ['staff', 'standards', 'groups', 'assignments', Scale.KEY],
+        handleStorageChange,
+        { element: container }
+    );
+}
+
+/**
+ * Reload data and refresh filters, the standards tree and charts after a stored key changed
+ * @param {Object} event - Storage change event ({ key, action, remote })
+ */
+function handleStorageChange(event) {
+    const current = { staff: staffData, standards: standardsData, groups: groupsData, assignments: assignmentsData };
+    if (event.key && Storage.matches(event.key, current[event.key])) return; // Our own save
+    
+    staffData = Storage.load('staff', []);
+    standardsData = Storage.load('standards', []);
+    groupsData = Storage.load('groups', []);
+    assignmentsData = Storage.load('assignments', []);
+    levels = Scale.getLevels();
+    
+    filterSystem.updateData({
+        staffData: analysedStaff(),
+        standardsData: standardsData
+    });
+    
+    if (drilldownFilterSystem) {
+        drilldownFilterSystem.updateData(analysedStaff());
+    }
+    
+    // Keep the user's tree selection across the rebuild; deleted standards simply drop out of it
+    const unselected = Array.from(document.querySelectorAll('.standard-checkbox:not(:checked)'))
+        .map(checkbox => checkbox.dataset.code);
+    initStandardsTree();
+    restoreStandardsSelection(unselected);
+    Logger.log(`Enhanced analytics refreshed after ${event.key || 'all data'} changed`);
 }
 
 /**
@@ -196,6 +251,12 @@ export function cleanup() {
     // Remove global event listeners
     window.removeEventListener('beforeunload', cleanup);
     
+    // Stop listening for storage changes
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+        unsubscribeStorage = null;
+    }
+    
     // Clear any global references
     window.changeChartDataCategory = null;
     
@@ -240,13 +301,37 @@ function loadChartJsCDN() {
     };
     
     script.onerror = () => {
-        Logger.error('Failed to load Chart.js');
-        alert('Failed to load chart library. Please check your internet connection.');
+        ErrorReporter.report(new Error('Failed to load the chart library. Please check your internet connection.'), {
+            source: 'chart.js',
+            url: script.src
+        });
     };
     
     document.head.appendChild(script);
 }
 
+/**
+ * Staff members included in the analysis (leavers only when "Include leavers" is on)
+ * @returns {Array} - Staff records
+ */
+function analysedStaff() {
+    return Models.Staff.listed(staffData, includeLeavers);
+}
+
+/**
+ * Include or leave out archived staff, e.g. for historical reporting
+ * @param {Event} event - Change event
+ */
+function handleIncludeLeaversToggle(event) {
+    includeLeavers = event.target.checked;
+    
+    if (drilldownFilterSystem) {
+        drilldownFilterSystem.updateData(analysedStaff());
+    }
+    filterSystem.updateData({ staffData: analysedStaff() });
+    Logger.log(`Enhanced analytics ${includeLeavers ? 'includes' : 'leaves out'} leavers`);
+}
+
 /**
  * Initialize filter system and ensure stylesheet is loaded
  */
@@ -261,7 +346,7 @@ function initFilterSystem() {
     filterSystem = new FilterSystem({
         filterSection: document.getElementById('filter-section'),
         onFilterChange: handleFilterChange,
-        staffData: staffData,
+        staffData: analysedStaff(),
         standardsData: standardsData,
         // Specify to only include staff filters (not standards filters)
         includeStandardsFilters: false,
@@ -313,7 +398,7 @@ function initDrilldownFilterSystem() {
         // Update filter system
         if (filterSystem) {
             filterSystem.updateData({
-                staffData: staffData,
+                staffData: analysedStaff(),
                 standardsData: standardsData
             });
         }
@@ -342,7 +427,7 @@ function initDrilldownFilterSystem() {
     try {
         drilldownFilterSystem = new DrilldownFilterSystem({
             container: wrapper,
-            staffData: staffData,
+            staffData: analysedStaff(),
             filterFields: filterFields,
             onFilterChange: handleDrilldownFilterChange,
             filterSystem: filterSystem  // Pass reference to main filter system
@@ -428,6 +513,12 @@ function initStandardsTree() {
     
     if (!treeContainer) return;
     
+    // Replace the search box when the tree is rebuilt
+    const existingSearch = treeContainer.parentNode.querySelector('.standards-search-container');
+    if (existingSearch) {
+        existingSearch.remove();
+    }
+    
     // Add search box above the tree
     const searchContainer = document.createElement('div');
     searchContainer.className = 'standards-search-container mb-2';
@@ -652,6 +743,31 @@ function renderStandardNode(standard, standardsMap) {
     return html;
 }
 
+/**
+ * Uncheck standards that were unchecked before the tree was rebuilt and update the charts
+ * @param {Array<string>} unselectedCodes - Codes of standards that were not selected
+ */
+function restoreStandardsSelection(unselectedCodes) {
+    const checkboxes = Array.from(document.querySelectorAll('.standard-checkbox'))
+        .filter(checkbox => unselectedCodes.includes(checkbox.dataset.code));
+    if (checkboxes.length === 0) return;
+    
+    checkboxes.forEach(checkbox => {
+        checkbox.checked = false;
+    });
+    checkboxes.forEach(updateParentCheckboxes);
+    
+    document.querySelectorAll('.tree-group').forEach(treeGroup => {
+        const groupCheckbox = treeGroup.querySelector('.group-checkbox');
+        const standardCheckboxes = Array.from(treeGroup.querySelectorAll('.standard-checkbox'));
+        const anyChecked = standardCheckboxes.some(cb => cb.checked);
+        groupCheckbox.checked = anyChecked;
+        groupCheckbox.indeterminate = anyChecked && !standardCheckboxes.every(cb => cb.checked);
+    });
+    
+    updateChartsBasedOnSelectedStandards();
+}
+
 /**
  * Update parent checkbox states based on child selections
  * @param {HTMLElement} checkbox - Child checkbox that was changed
@@ -1071,8 +1187,19 @@ function renderStaffDataTable(filteredStaff) {
     // Get column headers based on staff data and custom classifications
     const columnHeaders = getStaffTableColumns(filteredStaff);
     
+    // Level distribution across everyone shown
+    const levelTotals = {};
+    levels.forEach(level => {
+        levelTotals[level.id] = filteredStaff.reduce((sum, staff) => sum + ((staffAchievements[staff.id] || {}).levels || {})[level.id] || 0, 0);
+    });
+    
     // Create table HTML
     let tableHtml = `
+        <h3 class="staff-table-header">Level Distribution</h3>
+        ${renderLevelBar(levelTotals)}
+        <div class="level-legend">
+            ${levels.map(level => `<span><span class="color-dot" style="background-color: ${level.color}"></span>${level.name}: ${levelTotals[level.id]}</span>`).join('')}
+        </div>
         <h3 class="staff-table-header">Staff Data (${filteredStaff.length})</h3>
         <div class="table-scroll-wrapper">
             <table class="staff-data-table">
@@ -1081,6 +1208,7 @@ function renderStaffDataTable(filteredStaff) {
                         ${columnHeaders.map(col => `<th>${col.name}</th>`).join('')}
                         <th>Achievements</th>
                         <th>Completion Rate</th>
+                        <th>Levels</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -1088,16 +1216,17 @@ function renderStaffDataTable(filteredStaff) {
     
     // Add rows for each staff member
     filteredStaff.forEach(staff => {
-        const achievements = staffAchievements[staff.id] || { achieved: 0, total: 0 };
+        const achievements = staffAchievements[staff.id] || { achieved: 0, total: 0, levels: {} };
         const completionRate = achievements.total > 0 
             ? Math.round((achievements.achieved / achievements.total) * 100) 
             : 0;
             
         tableHtml += `
             <tr>
-                ${columnHeaders.map(col => `<td>${staff[col.id] || '-'}</td>`).join('')}
+                ${columnHeaders.map(col => `<td>${Models.Staff.formatValue(staff[col.id]) || '-'}</td>`).join('')}
                 <td>${achievements.achieved} / ${achievements.total}</td>
                 <td>${completionRate}%</td>
+                <td>${renderLevelBar(achievements.levels)}</td>
             </tr>
         `;
     });
@@ -1111,6 +1240,25 @@ function renderStaffDataTable(filteredStaff) {
     container.innerHTML = tableHtml;
 }
 
+/**
+ * Render a bar split into the share of records at each level
+ * @param {Object} counts - { levelId: count }
+ * @returns {string} - HTML for the bar
+ */
+function renderLevelBar(counts) {
+    const total = levels.reduce((sum, level) => sum + (counts[level.id] || 0), 0);
+    if (total === 0) return '<div class="level-bar"></div>';
+    
+    return `
+        <div class="level-bar">
+            ${levels.filter(level => counts[level.id] > 0).map(level => `
+                <span style="width: ${(counts[level.id] / total) * 100}%; background-color: ${level.color}"
+                      title="${level.name}: ${counts[level.id]} (${Math.round((counts[level.id] / total) * 100)}%)"></span>
+            `).join('')}
+        </div>
+    `;
+}
+
 /**
  * Get staff table columns based on available data
  * @param {Array} staffData - Staff data array
@@ -1143,14 +1291,14 @@ function getStaffTableColumns(staffData) {
     
     // Check which standard columns have data in at least one staff record
     standardColumns.forEach(col => {
-        if (staffData.some(staff => staff[col.id])) {
+        if (staffData.some(staff => Models.Staff.formatValue(staff[col.id]))) {
             availableColumns.push(col);
         }
     });
     
     // Check which custom columns have data in at least one staff record
     customColumns.forEach(col => {
-        if (staffData.some(staff => staff[col.id])) {
+        if (staffData.some(staff => Models.Staff.formatValue(staff[col.id]))) {
             availableColumns.push(col);
         }
     });
@@ -1161,28 +1309,31 @@ function getStaffTableColumns(staffData) {
 /**
  * Calculate achievement counts for each staff member
  * @param {Array} filteredStaff - Filtered staff data
- * @returns {Object} - Object with staff ID as key and achievement counts as value
+ * @returns {Object} - Object with staff ID as key and achievement counts ({ achieved, total, levels }) as value
  */
 function calculateStaffAchievements(filteredStaff) {
-    const staffIDs = filteredStaff.map(staff => staff.id);
     const filteredStandards = filterSystem.getFilteredData().filteredStandards;
     const standardCodes = filteredStandards.map(standard => standard.code);
+    const applies = Applicability.checker({ standards: standardsData, groups: groupsData });
     
     // Initialize result object
     const result = {};
     
     // Initialize achievement counts for each staff
-    staffIDs.forEach(staffId => {
-        result[staffId] = { achieved: 0, total: 0 };
+    filteredStaff.forEach(staff => {
+        result[staff.id] = { achieved: 0, total: 0, levels: Scale.distribution([], levels) };
     });
     
     // Count achievements
-    for (const staffId of staffIDs) {
-        // Total standards applicable to this staff
-        result[staffId].total = standardCodes.length;
+    for (const staff of filteredStaff) {
+        const staffId = staff.id;
+        
+        // Only standards that apply to this staff member count
+        const applicableCodes = standardCodes.filter(code => applies(staff, code));
+        result[staffId].total = applicableCodes.length;
         
         // Count achieved standards
-        for (const standardCode of standardCodes) {
+        for (const standardCode of applicableCodes) {
             const assignment = assignmentsData.find(
                 a => a.staff_id === staffId && a.standard_code === standardCode
             );
@@ -1190,6 +1341,9 @@ function calculateStaffAchievements(filteredStaff) {
             if (assignment && assignment.achieved) {
                 result[staffId].achieved += 1;
             }
+            
+            // Standards never assessed count at the starting level
+            result[staffId].levels[Scale.levelOf(assignment, levels).id] += 1;
         }
     }
     
@@ -1291,9 +1445,9 @@ function generateLazyLoadedNameData(filteredStaff) {
             }
         } 
         // Or try by department
-        else if (staff.department) {
+        else if (Models.Staff.getValues(staff.department).length > 0) {
             // For departments, we can try to find a group that might be related by first letter
-            const firstChar = staff.department.charAt(0).toUpperCase();
+            const firstChar = Models.Staff.getValues(staff.department)[0].charAt(0).toUpperCase();
             const group = groupsData.find(g => g.code === firstChar);
             if (group && group.color) {
                 color = group.color;
@@ -1421,6 +1575,17 @@ function generateChartData(filteredData) {
     };
 }
 
+/**
+ * Get the category values of a staff member
+ * @param {Object} staff - Staff record
+ * @param {string} category - Category field (e.g. 'phase')
+ * @returns {Array<string>} - Each value of the field, or ['Uncategorized'] when it has none
+ */
+function staffCategoryValues(staff, category) {
+    const values = Models.Staff.getValues(staff[category]);
+    return values.length > 0 ? values : ['Uncategorized'];
+}
+
 /**
  * Calculate completion rates by a specific category
  * @param {Array} filteredStaff - Filtered staff data
@@ -1431,21 +1596,9 @@ function calculateCompletionByCategory(filteredStaff, category) {
     // Extract all unique category values, handling multiple values per staff
     const categoryValues = new Set();
     
-    // First, extract all unique values including those in comma-separated lists
+    // First, extract all unique values, counting each value of a multi-valued field
     filteredStaff.forEach(staff => {
-        const value = staff[category] || 'Uncategorized';
-        
-        // Handle comma-separated values
-        if (value.includes(', ')) {
-            // Split by comma and space, then trim each value
-            const values = value.split(', ').map(v => v.trim());
-            
-            // Add each value to our set
-            values.forEach(v => categoryValues.add(v));
-        } else {
-            // Single value
-            categoryValues.add(value);
-        }
+        staffCategoryValues(staff, category).forEach(v => categoryValues.add(v));
     });
     
     // Convert to array
@@ -1460,20 +1613,7 @@ function calculateCompletionByCategory(filteredStaff, category) {
     // Group staff by category, allowing staff to be in multiple groups
     const staffByCategory = {};
     uniqueCategoryValues.forEach(value => {
-        staffByCategory[value] = filteredStaff.filter(staff => {
-            const staffValue = staff[category] || 'Uncategorized';
-            
-            // Handle comma-separated values
-            if (staffValue.includes(', ')) {
-                // Split by comma and space, then trim each value
-                const values = staffValue.split(', ').map(v => v.trim());
-                // Check if this value is in the staff's list
-                return values.includes(value);
-            }
-            
-            // Direct comparison for single values
-            return staffValue === value;
-        });
+        staffByCategory[value] = filteredStaff.filter(staff => staffCategoryValues(staff, category).includes(value));
     });
     
     // Calculate completion rate for each category
@@ -2227,8 +2367,9 @@ function generateSplitStandardsChartData(filteredData, customCategory = null) {
     // Use provided category or year_group as default category for the x-axis
     const categoryField = customCategory || 'year_group';
     
-    // Get unique category values
-    const categoryValues = [...new Set(filteredStaff.map(staff => staff[categoryField] || 'Uncategorized'))];
+    // Get unique category values (staff with several values count in each)
+    const categoryValues = [...new Set(filteredStaff.flatMap(staff => staffCategoryValues(staff, categoryField)))];
+    const applies = Applicability.checker({ standards: standardsData, groups: groupsData });
     
     // Generate datasets for each standard
     const datasets = filteredStandards.map((standard, index) => {
@@ -2257,8 +2398,9 @@ function generateSplitStandardsChartData(filteredData, customCategory = null) {
         
         // Calculate completion rate for each category value for this standard
         const data = categoryValues.map(categoryValue => {
+            // Only staff the standard applies to are counted
             const staffInCategory = filteredStaff.filter(staff => 
-                (staff[categoryField] || 'Uncategorized') === categoryValue
+                staffCategoryValues(staff, categoryField).includes(categoryValue) && applies(staff, standard.code)
             );
             
             if (staffInCategory.length === 0) return 0;
@@ -2441,6 +2583,8 @@ function hexToHue(hex, level = 0) {
  */
 function loadExampleData() {
     if (confirm('This will replace any existing data with example data. Are you sure you want to continue?')) {
+        Snapshots.take('Before loading example data');
+        
         // Clear existing data first
         clearAllData();
         
@@ -2461,13 +2605,13 @@ function loadExampleData() {
         
         // Update filter system
         filterSystem.updateData({
-            staffData: staffData,
+            staffData: analysedStaff(),
             standardsData: standardsData
         });
         
         // Update drill-down filter system
         if (drilldownFilterSystem) {
-            drilldownFilterSystem.updateData(staffData);
+            drilldownFilterSystem.updateData(analysedStaff());
         }
         
         // Rebuild standards tree
@@ -2483,10 +2627,11 @@ function loadExampleData() {
  */
 function removeExampleData() {
     if (confirm('This will remove all data including staff, standards, and saved charts. Are you sure you want to continue?')) {
+        Snapshots.take('Before removing all data');
         clearAllData();
         
         // Show success message
-        alert('All data has been removed successfully!');
+        alert('All data has been removed successfully! It can be restored from the History page.');
     }
 }
 
@@ -2501,9 +2646,6 @@ function clearAllData() {
     Storage.delete('assignments');
     Storage.delete('saved_charts');
     
-    // Clear saved charts
-    localStorage.removeItem('saved_charts');
-    
     // Reset local variables
     staffData = [];
     standardsData = [];
@@ -2512,13 +2654,13 @@ function clearAllData() {
     
     // Update filter system
     filterSystem.updateData({
-        staffData: staffData,
+        staffData: analysedStaff(),
         standardsData: standardsData
     });
     
     // Update drill-down filter system
     if (drilldownFilterSystem) {
-        drilldownFilterSystem.updateData(staffData);
+        drilldownFilterSystem.updateData(analysedStaff());
     }
     
     // Rebuild standards tree
@@ -2673,10 +2815,10 @@ function generateSampleData() {
         sampleStaff.push({
             id: 1000 + i,
             name: `${firstName} ${lastName}`,
-            phase: phase,
-            year_group: yearGroup,
-            department: department,
-            overseas_thai: isThai ? 'Thai' : 'Overseas'
+            phase: [phase],
+            year_group: [yearGroup],
+            department: [department],
+            overseas_thai: [isThai ? 'Thai' : 'Overseas']
         });
     }
     
@@ -2695,19 +2837,19 @@ function generateSampleData() {
             let achieved = false;
             
             // Different groups of standards are more likely to be achieved by different staff types
-            if (staff.phase === 'Primary' && standard.code.startsWith('A')) {
+            if (staff.phase.includes('Primary') && standard.code.startsWith('A')) {
                 achieved = Math.random() < 0.85; // Primary teachers excel at teaching standards
             } 
-            else if (staff.phase === 'Secondary' && standard.code.startsWith('C')) {
+            else if (staff.phase.includes('Secondary') && standard.code.startsWith('C')) {
                 achieved = Math.random() < 0.8; // Secondary teachers excel at professional development
             }
-            else if (staff.department === 'Computer Science' && standard.code.startsWith('E')) {
+            else if (staff.department.includes('Computer Science') && standard.code.startsWith('E')) {
                 achieved = Math.random() < 0.9; // Computer Science teachers excel at digital competency
             }
-            else if (staff.overseas_thai === 'Thai' && standard.code.startsWith('B')) {
+            else if (staff.overseas_thai.includes('Thai') && standard.code.startsWith('B')) {
                 achieved = Math.random() < 0.85; // Thai staff excel at classroom management
             }
-            else if (standard.code.startsWith('D') && ['Mathematics', 'Science'].includes(staff.department)) {
+            else if (standard.code.startsWith('D') && ['Mathematics', 'Science'].some(d => staff.department.includes(d))) {
                 achieved = Math.random() < 0.85; // Maths/Science teachers excel at assessment
             }
             // Default case - roughly 70% achievement
@@ -2722,16 +2864,20 @@ function generateSampleData() {
                 achieved = achieved && (Math.random() < 0.7);
             }
             
-            sampleAssignments.push({
-                id: assignmentId++,
-                staff_id: staff.id,
-                standard_code: standard.code,
-                achieved: achieved,
-                date_assessed: getRandomDate(),
+            // Spread the records over the levels with the same achieved setting
+            const levelChoices = levels.filter(level => level.achieved === achieved);
+            
+            const assignment = Models.Assignment.createDefault(staff.id, standard.code);
+            assignment.id = assignmentId++;
+            sampleAssignments.push(Assessments.record(assignment, Assessments.createEvent({
+                level: levelChoices.length > 0
+                    ? levelChoices[Math.floor(Math.random() * levelChoices.length)].id
+                    : Scale.levelOf({ achieved }, levels).id,
+                date: getRandomDate().slice(0, 10),
                 notes: achieved ? 
                     selectRandomNote(true) : 
                     selectRandomNote(false)
-            });
+            }, levels), levels));
         });
     });
     
@@ -2792,8 +2938,10 @@ function getRandomDate() {
     return new Date(randomTimestamp).toISOString();
 }
 
-// Expose the function globally to allow calling from other components
-window.changeChartDataCategory = changeChartDataCategory;
+// Expose the function globally to allow calling from other components (guarded so the module also loads in Node)
+if (typeof window !== 'undefined') {
+    window.changeChartDataCategory = changeChartDataCategory;
+}
 
 /**
  * Create a custom chart
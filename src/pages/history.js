@@ -0,0 +1,206 @@
+/**
+ * History Page
+ * Lists workspace snapshots and restores the whole workspace or a single data type from one
+ */
+import { Logger, Snapshots } from '../utils/index.js';
+
+// State management
+let selectedSnapshotId = null;
+
+/**
+ * Initialize the History page
+ * @param {HTMLElement} container - Container element for the page
+ */
+export function init(container) {
+    Logger.log('Initializing History page');
+
+    selectedSnapshotId = null;
+
+    container.innerHTML = `
+        <div class="history-page content-container">
+            <div class="header-content">
+                <h1>History</h1>
+                <div class="header-controls">
+                    <label for="snapshot-limit">Keep last</label>
+                    <input type="number" id="snapshot-limit" class="form-control snapshot-limit" min="1" max="100" value="${Snapshots.getLimit()}">
+                    <span>snapshots</span>
+                    <button id="take-snapshot" class="button">Take Snapshot Now</button>
+                </div>
+            </div>
+            <p class="help-text">Snapshots of the whole workspace are taken automatically once a day and before destructive actions such as clearing or replacing data.</p>
+
+            <div class="history-layout">
+                <div class="history-list">
+                    <table class="table">
+                        <thead>
+                            <tr>
+                                <th>Taken</th>
+                                <th>Reason</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="snapshot-list"></tbody>
+                    </table>
+                </div>
+                <div id="snapshot-preview" class="history-preview"></div>
+            </div>
+        </div>
+    `;
+
+    renderSnapshotList();
+    renderPreview();
+
+    // Add event listeners
+    document.getElementById('take-snapshot').addEventListener('click', () => {
+        Snapshots.take();
+        renderSnapshotList();
+    });
+
+    document.getElementById('snapshot-limit').addEventListener('change', (e) => {
+        Snapshots.setLimit(e.target.value);
+        e.target.value = Snapshots.getLimit();
+        renderSnapshotList();
+        renderPreview();
+    });
+
+    document.getElementById('snapshot-list').addEventListener('click', handleListClick);
+    document.getElementById('snapshot-preview').addEventListener('click', handlePreviewClick);
+}
+
+/**
+ * Render the list of snapshots
+ */
+function renderSnapshotList() {
+    const listBody = document.getElementById('snapshot-list');
+    const snapshots = Snapshots.list();
+
+    if (snapshots.length === 0) {
+        listBody.innerHTML = `<tr><td colspan="3">No snapshots yet.</td></tr>`;
+        return;
+    }
+
+    listBody.innerHTML = snapshots.map(snapshot => `
+        <tr class="snapshot-row ${snapshot.id === selectedSnapshotId ? 'selected' : ''}" data-id="${snapshot.id}">
+            <td>${new Date(snapshot.created_at).toLocaleString()}</td>
+            <td>${snapshot.reason}</td>
+            <td><button class="button button-small button-danger delete-snapshot" data-id="${snapshot.id}">Delete</button></td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render the preview of the selected snapshot
+ */
+function renderPreview() {
+    const preview = document.getElementById('snapshot-preview');
+    const snapshot = selectedSnapshotId ? Snapshots.get(selectedSnapshotId) : null;
+
+    if (!snapshot) {
+        selectedSnapshotId = null;
+        preview.innerHTML = `<p class="info-message">Select a snapshot to see its contents.</p>`;
+        return;
+    }
+
+    const counts = Snapshots.summarize(snapshot);
+    const diff = Snapshots.diff(snapshot);
+
+    preview.innerHTML = `
+        <h2>${snapshot.reason}</h2>
+        <p>Taken ${new Date(snapshot.created_at).toLocaleString()}</p>
+
+        <table class="table">
+            <thead>
+                <tr>
+                    <th>Data</th>
+                    <th>In snapshot</th>
+                    <th>Restoring would change</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${counts.map(entry => {
+                    const changes = diff.find(d => d.key === entry.key);
+                    const summary = formatChanges(changes);
+                    return `
+                        <tr>
+                            <td>${entry.label}</td>
+                            <td>${entry.count}</td>
+                            <td>${summary}</td>
+                            <td>
+                                <button class="button button-small button-secondary restore-entity" data-key="${entry.key}" ${summary === 'No changes' ? 'disabled' : ''}>Restore</button>
+                            </td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+
+        <div class="form-actions mt-1">
+            <button id="restore-snapshot" class="button">Restore Whole Workspace</button>
+        </div>
+    `;
+}
+
+/**
+ * Describe a diff entry in words
+ * @param {Object} changes - Diff entry ({ added, removed, changed })
+ * @returns {string} - Summary text
+ */
+function formatChanges(changes) {
+    const parts = [];
+    if (changes.added) parts.push(`${changes.added} added`);
+    if (changes.removed) parts.push(`${changes.removed} removed`);
+    if (changes.changed) parts.push(`${changes.changed} changed`);
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+/**
+ * Handle clicks in the snapshot list (select or delete)
+ * @param {Event} event - Click event
+ */
+function handleListClick(event) {
+    const deleteButton = event.target.closest('.delete-snapshot');
+    if (deleteButton) {
+        if (confirm('Delete this snapshot? It cannot be recovered.')) {
+            Snapshots.remove(deleteButton.dataset.id);
+            renderSnapshotList();
+            renderPreview();
+        }
+        return;
+    }
+
+    const row = event.target.closest('.snapshot-row');
+    if (row) {
+        selectedSnapshotId = row.dataset.id;
+        renderSnapshotList();
+        renderPreview();
+    }
+}
+
+/**
+ * Handle restore buttons in the preview
+ * @param {Event} event - Click event
+ */
+function handlePreviewClick(event) {
+    if (!selectedSnapshotId) return;
+
+    const entityButton = event.target.closest('.restore-entity');
+    const wholeButton = event.target.closest('#restore-snapshot');
+    if (!entityButton && !wholeButton) return;
+
+    const entityKey = entityButton ? entityButton.dataset.key : null;
+    const question = entityKey
+        ? 'Restore this data type from the snapshot? The current workspace will be snapshotted first.'
+        : 'Restore the whole workspace from this snapshot? The current workspace will be snapshotted first.';
+
+    if (!confirm(question)) return;
+
+    if (Snapshots.restore(selectedSnapshotId, entityKey)) {
+        alert('Snapshot restored successfully.');
+    } else {
+        alert('The snapshot could not be restored. See console for details.');
+    }
+
+    renderSnapshotList();
+    renderPreview();
+}
@@ -0,0 +1,234 @@
+/**
+ * Data Check Page
+ * Scans the data for orphaned records, broken parent/child links, duplicates and dangling group references,
+ * lists the problems by severity and repairs them after showing what would change
+ */
+import { Logger, Storage, Snapshots, Undo, Integrity } from '../utils/index.js';
+
+// Keys the repairs may change
+const REPAIR_KEYS = ['staff', 'standards', 'groups', 'assignments'];
+
+// State management
+let issues = [];
+let selected = new Set();
+let unsubscribeStorage = null;
+
+/**
+ * Initialize the Data Check page
+ * @param {HTMLElement} container - Container element for the page
+ */
+export function init(container) {
+    Logger.log('Initializing Data Check page');
+
+    container.innerHTML = `
+        <div class="integrity-page content-container">
+            <div class="header-content">
+                <h1>Data Check</h1>
+                <div class="header-controls">
+                    <button id="rescan-integrity" class="button button-secondary">Scan Again</button>
+                    <button id="repair-selected" class="button">Repair Selected</button>
+                </div>
+            </div>
+            <p class="help-text">Finds achievement records for deleted staff or standards, sub-standard links that disagree, duplicate IDs and codes, and standards in groups that no longer exist.</p>
+
+            <div id="integrity-summary" class="integrity-summary"></div>
+            <div id="integrity-issues"></div>
+        </div>
+    `;
+
+    scan();
+
+    // Add event listeners
+    document.getElementById('rescan-integrity').addEventListener('click', scan);
+
+    document.getElementById('repair-selected').addEventListener('click', () => {
+        const chosen = issues.filter(issue => selected.has(issue.id));
+        if (chosen.length === 0) {
+            alert('Select the problems to repair first.');
+            return;
+        }
+        showRepairPreview(chosen);
+    });
+
+    const list = document.getElementById('integrity-issues');
+    list.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[type="checkbox"]');
+        if (!checkbox) return;
+
+        if (checkbox.dataset.severity) {
+            // "Select all" for a severity
+            issues.filter(issue => issue.severity === checkbox.dataset.severity).forEach(issue => {
+                if (checkbox.checked) selected.add(issue.id); else selected.delete(issue.id);
+            });
+            renderIssues();
+        } else if (checkbox.dataset.id) {
+            if (checkbox.checked) selected.add(checkbox.dataset.id); else selected.delete(checkbox.dataset.id);
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('.repair-issue');
+        if (!button) return;
+        const issue = issues.find(i => i.id === button.dataset.id);
+        if (issue) showRepairPreview([issue]);
+    });
+
+    // Rescan when the data changes here or in another tab
+    if (unsubscribeStorage) unsubscribeStorage();
+    unsubscribeStorage = Storage.subscribe(REPAIR_KEYS, scan, { element: container });
+}
+
+/**
+ * Scan the data and render the problems found
+ */
+function scan() {
+    issues = Integrity.scan();
+    // Keep selections for problems that are still present
+    const ids = new Set(issues.map(issue => issue.id));
+    selected = new Set([...selected].filter(id => ids.has(id)));
+    renderIssues();
+}
+
+/**
+ * Render the summary and the problems grouped by severity
+ */
+function renderIssues() {
+    const summary = document.getElementById('integrity-summary');
+    const list = document.getElementById('integrity-issues');
+    if (!summary || !list) return;
+
+    if (issues.length === 0) {
+        summary.innerHTML = '<p class="integrity-ok">No problems found.</p>';
+        list.innerHTML = '';
+        return;
+    }
+
+    summary.innerHTML = Object.entries(Integrity.SEVERITIES).map(([severity, info]) => {
+        const count = issues.filter(issue => issue.severity === severity).length;
+        return `<span class="integrity-count integrity-${severity}">${info.label}: ${count}</span>`;
+    }).join('');
+
+    list.innerHTML = Object.entries(Integrity.SEVERITIES).map(([severity, info]) => {
+        const group = issues.filter(issue => issue.severity === severity);
+        if (group.length === 0) return '';
+
+        const allSelected = group.every(issue => selected.has(issue.id));
+        return `
+            <section class="integrity-section integrity-${severity}">
+                <h2>
+                    <label><input type="checkbox" data-severity="${severity}" ${allSelected ? 'checked' : ''}> ${info.label} (${group.length})</label>
+                </h2>
+                <p class="help-text">${info.description}</p>
+                <table class="table integrity-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Problem</th>
+                            <th>Repair</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${group.map(issue => `
+                            <tr>
+                                <td><input type="checkbox" data-id="${issue.id}" ${selected.has(issue.id) ? 'checked' : ''}></td>
+                                <td>${issue.message}</td>
+                                <td>${issue.repair}</td>
+                                <td><button class="button button-small repair-issue" data-id="${issue.id}">Repair</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `;
+    }).join('');
+}
+
+/**
+ * Show what repairing the given problems would change and apply the repairs on confirmation
+ * @param {Array<Object>} chosen - Problems to repair
+ */
+function showRepairPreview(chosen) {
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+
+    const summary = Integrity.preview(chosen).filter(entry => entry.removed !== 0 || entry.changed > 0);
+
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Repair ${chosen.length} Problem${chosen.length === 1 ? '' : 's'}</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <ul class="integrity-repairs">
+                ${chosen.map(issue => `<li><strong>${issue.message}</strong><br>${issue.repair}</li>`).join('')}
+            </ul>
+
+            ${summary.length === 0 ? '<p>These repairs would not change any data.</p>' : `
+                <table class="table">
+                    <thead>
+                        <tr>
+                            <th>Data</th>
+                            <th>Records before</th>
+                            <th>Records after</th>
+                            <th>Changed</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${summary.map(entry => `
+                            <tr>
+                                <td>${entry.label}</td>
+                                <td>${entry.before}</td>
+                                <td>${entry.after}</td>
+                                <td>${entry.changed}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            <p class="help-text">A snapshot is taken first, and the repair can be undone.</p>
+
+            <div class="form-actions mt-1">
+                <button id="confirm-repair" class="button" ${summary.length === 0 ? 'disabled' : ''}>Repair</button>
+                <button id="cancel-repair" class="button button-secondary">Cancel</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+
+    // Add event listeners
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#cancel-repair').addEventListener('click', closeModal);
+    modal.querySelector('#confirm-repair').addEventListener('click', () => {
+        Snapshots.take(`Before repairing ${chosen.length} data problem${chosen.length === 1 ? '' : 's'}`);
+        Undo.record(`Repair ${chosen.length} data problem${chosen.length === 1 ? '' : 's'}`, REPAIR_KEYS, () => {
+            Integrity.repair(chosen);
+        });
+        chosen.forEach(issue => selected.delete(issue.id));
+        closeModal();
+        // The list refreshes itself from the storage change notifications
+    });
+}
+
+/**
+ * Clean up when leaving the page
+ */
+export function cleanup() {
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+        unsubscribeStorage = null;
+    }
+    issues = [];
+    selected = new Set();
+}
@@ -2,16 +2,16 @@
  * Masterlog Page
  * Core functionality for managing staff profiles
  */
-import { Storage, Logger, Models, Validate, FilterSystem } from '../utils/index.js';
+import { Storage, Logger, Models, Validate, FilterSystem, Workspace, Snapshots, Undo, Cascade, CommonUtils, Router } from '../utils/index.js';
 
 // Column definitions
 const columns = [
     { id: 'name', name: 'Name', type: 'text', width: '20%', visible: true, sortable: true, isCore: true },
     { id: 'id', name: 'ID', type: 'text', width: '10%', visible: true, sortable: true, isCore: true },
-    { id: 'phase', name: 'Phase', type: 'dropdown', width: '15%', options: Models.Staff.phaseOptions, visible: true, sortable: true },
-    { id: 'overseas_thai', name: 'Overseas/Thai', type: 'dropdown', width: '15%', options: Models.Staff.overseasThaiOptions, visible: true, sortable: true },
-    { id: 'year_group', name: 'Year Group', type: 'dropdown', width: '15%', options: Models.Staff.yearGroupOptions, visible: true, sortable: true },
-    { id: 'department', name: 'Department', type: 'dropdown', width: '15%', options: Models.Staff.departmentOptions, visible: true, sortable: true },
+    { id: 'phase', name: 'Phase', type: 'dropdown', width: '15%', options: Models.Staff.phaseOptions, multiple: true, visible: true, sortable: true },
+    { id: 'overseas_thai', name: 'Overseas/Thai', type: 'dropdown', width: '15%', options: Models.Staff.overseasThaiOptions, multiple: true, visible: true, sortable: true },
+    { id: 'year_group', name: 'Year Group', type: 'dropdown', width: '15%', options: Models.Staff.yearGroupOptions, multiple: true, visible: true, sortable: true },
+    { id: 'department', name: 'Department', type: 'dropdown', width: '15%', options: Models.Staff.departmentOptions, multiple: true, visible: true, sortable: true },
     { id: 'actions', name: 'Actions', type: 'actions', width: '10%', visible: true, sortable: false, isCore: true }
 ];
 
@@ -25,10 +25,14 @@ let editingCell = null;
 let sortColumn = null;
 let sortDirection = 'asc';
 let filterSystem = null; // Store reference to FilterSystem instance
+let showLeavers = false; // Archived (leaver) staff are hidden unless this is on
 
 // State management for custom classifications
 let customClassifications = [];
 
+// Unsubscribe function for storage change notifications
+let unsubscribeStorage = null;
+
 // Load column settings
 function loadColumnSettings() {
     const savedColumns = Storage.load('masterlog_columns', null);
@@ -59,7 +63,7 @@ export function init(container) {
     
     // Load staff data
     staffData = Storage.load('staff', []);
-    filteredData = [...staffData];
+    filteredData = [...listedStaff()];
     
     // Create page structure
     container.innerHTML = `
@@ -67,8 +71,11 @@ export function init(container) {
         <div class="masterlog-controls mb-1">
             <button id="add-staff" class="button">Add Staff</button>
             <button id="bulk-add-staff" class="button">Bulk Add Staff</button>
-            <button id="export-data" class="button button-secondary">Export</button>
+            <button id="export-data" class="button button-secondary">Export Workspace</button>
+            <button id="import-data" class="button button-secondary">Import Workspace</button>
             <button id="manage-columns" class="button button-secondary">Manage Columns</button>
+            <button id="consistency-rules" class="button button-secondary">Consistency Rules</button>
+            <label class="show-leavers"><input type="checkbox" id="show-leavers" ${showLeavers ? 'checked' : ''}> Show leavers</label>
         </div>
         
         <!-- Filter section container -->
@@ -149,13 +156,78 @@ export function init(container) {
     document.getElementById('add-staff').addEventListener('click', handleAddStaff);
     document.getElementById('bulk-add-staff').addEventListener('click', handleBulkAddStaff);
     document.getElementById('export-data').addEventListener('click', handleExportData);
+    document.getElementById('import-data').addEventListener('click', handleImportData);
     document.getElementById('manage-columns').addEventListener('click', showColumnManager);
+    document.getElementById('consistency-rules').addEventListener('click', showConsistencyRules);
+    document.getElementById('show-leavers').addEventListener('change', (e) => {
+        showLeavers = e.target.checked;
+        filterSystem.updateData({ staffData: listedStaff() });
+    });
     
     // Handle clicks outside of editing cells and close all dropdowns
     document.addEventListener('click', handleGlobalClick);
     
     // Setup cell selection and context menu
     setupTableSelection();
+    
+    // Refresh when the data changes elsewhere (another tab, an import or a restore)
+    subscribeToStorageChanges(container);
+}
+
+/**
+ * Subscribe to changes of the keys this page shows
+ * @param {HTMLElement} container - Page container
+ */
+function subscribeToStorageChanges(container) {
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    
+    unsubscribeStorage = Storage.subscribe(
+        ['staff', 'masterlog_columns', 'custom_classifications', 'model_options'],
+        (event) => handleStorageChange(event, container),
+        { element: container }
+    );
+}
+
+/**
+ * Refresh the page after a stored key changed
+ * @param {Object} event - Storage change event ({ key, action, remote })
+ * @param {HTMLElement} container - Page container
+ */
+function handleStorageChange(event, container) {
+    if (event.key === 'staff') {
+        if (Storage.matches('staff', staffData)) return; // Our own save
+        
+        staffData = Storage.load('staff', []);
+        if (editingCell) {
+            cancelEdit();
+        }
+        filterSystem.updateData({ staffData: listedStaff() });
+        Logger.log('Masterlog refreshed after staff data changed');
+        return;
+    }
+    
+    if (event.key === 'masterlog_columns' && Storage.matches('masterlog_columns', columns)) return;
+    if (event.key === 'custom_classifications' && Storage.matches('custom_classifications', customClassifications)) return;
+    if (event.key === 'model_options' && Storage.matches('model_options', {
+        phaseOptions: Models.Staff.phaseOptions,
+        overseasThaiOptions: Models.Staff.overseasThaiOptions,
+        yearGroupOptions: Models.Staff.yearGroupOptions,
+        departmentOptions: Models.Staff.departmentOptions
+    })) return;
+    
+    // Columns or classifications changed - rebuild the whole page
+    Logger.log(`Masterlog reloading after ${event.key || 'all data'} changed`);
+    init(container);
+}
+
+/**
+ * Staff members listed in the table (leavers only when "Show leavers" is on)
+ * @returns {Array} - Staff records
+ */
+function listedStaff() {
+    return Models.Staff.listed(staffData, showLeavers);
 }
 
 /**
@@ -176,7 +248,7 @@ function initializeFilterSystem() {
     
     filterSystem = new FilterSystem({
         filterSection: filterSection,
-        staffData: staffData,
+        staffData: listedStaff(),
         includeStandardsFilters: false,
         onFilterChange: handleFilterChange,
         customFilters: customFilters
@@ -716,8 +788,8 @@ function handleSortColumn(columnId) {
     
     // Sort the data
     filteredData.sort((a, b) => {
-        const aValue = a[columnId]?.toLowerCase() || '';
-        const bValue = b[columnId]?.toLowerCase() || '';
+        const aValue = Models.Staff.formatValue(a[columnId]).toLowerCase();
+        const bValue = Models.Staff.formatValue(b[columnId]).toLowerCase();
         
         if (sortDirection === 'asc') {
             return aValue.localeCompare(bValue);
@@ -768,6 +840,10 @@ function renderTable() {
     visibleData.forEach((staff, index) => {
         const row = document.createElement('tr');
         row.dataset.staffIndex = startIndex + index;
+        if (Models.Staff.isLeaver(staff)) {
+            row.classList.add('leaver-row');
+            row.title = `Left ${staff.leave_date || ''}${staff.leave_reason ? ` (${staff.leave_reason})` : ''}`;
+        }
         
         // Add cells for each visible column
         columns.filter(column => column.visible).forEach(column => {
@@ -779,21 +855,40 @@ function renderTable() {
             // Special rendering for action column
             if (column.type === 'actions') {
                 cell.className = 'actions';
+                const leaver = Models.Staff.isLeaver(staff);
                 cell.innerHTML = `
-                    <button class="button-small edit-staff" title="Edit staff member">
+                    <a class="button-small view-profile" href="${CommonUtils.escapeHtml(Router.formatHash('staff', { path: staff.id }))}" title="View profile">
+                        <span class="icon">👤</span>
+                    </a>
+                    <button class="button-small edit-staff" data-id="${staff.id}" title="Edit staff member">
                         <span class="icon">✏️</span>
                     </button>
-                    <button class="button-small delete-staff" title="Delete staff member">
+                    ${leaver ? `
+                        <button class="button-small restore-staff" data-id="${staff.id}" title="Restore as current staff">
+                            <span class="icon">↩️</span>
+                        </button>
+                    ` : `
+                        <button class="button-small archive-staff" data-id="${staff.id}" title="Archive as leaver">
+                            <span class="icon">📦</span>
+                        </button>
+                    `}
+                    <button class="button-small delete-staff" data-id="${staff.id}" title="Delete staff member">
                         <span class="icon">🗑️</span>
                     </button>
+                    ${leaver ? `<span class="leaver-badge">Left ${staff.leave_date || ''}</span>` : ''}
                 `;
                 
                 // Add event listeners for action buttons
                 cell.querySelector('.edit-staff').addEventListener('click', handleEditStaff);
                 cell.querySelector('.delete-staff').addEventListener('click', handleDeleteStaff);
+                if (leaver) {
+                    cell.querySelector('.restore-staff').addEventListener('click', handleRestoreStaff);
+                } else {
+                    cell.querySelector('.archive-staff').addEventListener('click', handleArchiveStaff);
+                }
             } else {
                 // Standard cell - display the value
-                cell.textContent = staff[column.id] || '';
+                cell.textContent = Models.Staff.formatValue(staff[column.id]);
                 
                 // For dropdown columns, add options as data attribute
                 if (column.type === 'dropdown' && column.options) {
@@ -932,8 +1027,8 @@ function handleCellClick(event) {
         
         const currentValue = cell.textContent.trim();
         
-        // Split current value if it contains multiple selections
-        const currentValues = currentValue ? currentValue.split(', ') : [];
+        // The cell shows the selected values joined with ", "
+        const currentValues = Models.Staff.getValues(currentValue);
         
         // Create multi-select dropdown
         const dropdownContainer = document.createElement('div');
@@ -977,11 +1072,8 @@ function handleCellClick(event) {
                 optionsList.querySelectorAll('input[type="checkbox"]:checked')
             ).map(checkbox => checkbox.value);
             
-            // Join selected options with comma and save
-            const newValue = selectedOptions.join(', ');
-            
             // Save the edit - this will also clean up the dropdown
-            saveEdit(cell, column, rowIndex, newValue);
+            saveEdit(cell, column, rowIndex, selectedOptions);
         });
         
         // Add cancel button
@@ -1077,30 +1169,36 @@ function handleCellClick(event) {
  * @param {HTMLElement} cell - The cell being edited
  * @param {string} column - Column ID
  * @param {number} rowIndex - Row index
- * @param {string} value - New value
+ * @param {string|Array<string>} value - New value (a list, or comma-separated text, for multi-valued columns)
  */
 function saveEdit(cell, column, rowIndex, value) {
     const startIndex = (currentPage - 1) * rowsPerPage;
     const dataIndex = startIndex + rowIndex;
     
-    // Special validation for ID field
-    if (column === 'id') {
-        const existingIds = staffData
-            .filter((_, idx) => idx !== dataIndex)
-            .map(staff => staff.id);
-            
-        if (!Validate.staffId(value, existingIds)) {
-            alert('Invalid or duplicate ID. Please provide a unique ID.');
-            cancelEdit();
-            return;
-        }
+    // Multi-valued columns store a list of values
+    const columnDef = columns.find(col => col.id === column);
+    if (columnDef && columnDef.multiple) {
+        value = Models.Staff.getValues(value);
     }
     
-    // Handle comma-separated values for dropdown columns
-    const columnDef = columns.find(col => col.id === column);
-    if (columnDef && columnDef.type === 'dropdown' && value) {
-        // Split and trim values
-        const values = value.split(',').map(v => v.trim()).filter(v => v);
+    // Validate the edited field (unknown dropdown options are offered as new options below)
+    const editedStaff = filteredData[dataIndex];
+    const errors = Validate.staff({ ...editedStaff, [column]: value }, {
+        existing: staffData.filter(staff => staff !== editedStaff),
+        customClassifications
+    });
+    // Consistency rules are checked below, once the value is normalized
+    const fieldErrors = errors.filter(error => error.field === column && error.code !== 'option' && error.code !== 'rule');
+    
+    if (fieldErrors.length > 0) {
+        alert(fieldErrors.map(error => error.message).join('\n'));
+        cancelEdit();
+        return;
+    }
+    
+    // Check the values of dropdown columns against their options
+    if (columnDef && columnDef.type === 'dropdown' && value.length > 0) {
+        const values = columnDef.multiple ? value : [value];
         
         // Check for invalid options
         const invalidOptions = values.filter(v => !columnDef.options.includes(v));
@@ -1133,31 +1231,134 @@ function saveEdit(cell, column, rowIndex, value) {
                 return;
             }
         }
-        
-        // Standardize format with comma-space
-        value = values.join(', ');
     }
     
+    // A value that breaks a consistency rule is not saved on its own;
+    // the user can change the related field in the same edit instead
+    const ruleErrors = Validate.checkRules({ ...editedStaff, [column]: value })
+        .filter(error => error.fields.includes(column));
+    if (ruleErrors.length > 0) {
+        cancelEdit();
+        showRuleFixPrompt(editedStaff, column, value, ruleErrors, (changes) => commitEdit(cell, editedStaff, column, changes));
+        return;
+    }
+    
+    commitEdit(cell, editedStaff, column, { [column]: value });
+}
+
+/**
+ * Save an inline edit of one or more fields of a staff record
+ * @param {HTMLElement} cell - Edited table cell
+ * @param {Object} editedStaff - Staff record being edited
+ * @param {string} column - Column ID of the edited cell
+ * @param {Object} changes - New values by field
+ */
+function commitEdit(cell, editedStaff, column, changes) {
+    const columnDef = columns.find(col => col.id === column);
+    
     // Update data model
-    filteredData[dataIndex][column] = value;
+    Object.assign(editedStaff, changes);
     
-    // If we're filtering, we need to find the actual index in the original data
-    const originalIndex = staffData.findIndex(staff => staff.id === filteredData[dataIndex].id);
+    // If we're filtering, we need to find the actual record in the original data
+    const originalIndex = staffData.findIndex(staff => staff.id === editedStaff.id);
     if (originalIndex !== -1) {
-        staffData[originalIndex][column] = value;
+        Object.assign(staffData[originalIndex], changes);
         
         // Save to storage
-        Storage.save('staff', staffData);
-        Logger.log(`Updated ${column} for staff ID ${staffData[originalIndex].id}`);
+        const staffName = staffData[originalIndex].name || staffData[originalIndex].id;
+        const label = Object.keys(changes)
+            .map(field => (columns.find(col => col.id === field) || { name: field }).name)
+            .join(' and ');
+        Undo.record(`Edit ${label || (columnDef ? columnDef.name : column)} of ${staffName}`, ['staff'], () => {
+            Storage.save('staff', staffData);
+        });
+        Logger.log(`Updated ${Object.keys(changes).join(', ')} for staff ID ${staffData[originalIndex].id}`);
     }
     
-    // Update cell display
-    cell.textContent = value;
+    // Update cell display (other edited fields need the whole row redrawn)
+    if (Object.keys(changes).length > 1) {
+        renderTable();
+    } else {
+        cell.textContent = Models.Staff.formatValue(changes[column]);
+    }
     
     // Clear editing state
     editingCell = null;
 }
 
+/**
+ * Explain why an inline edit breaks a consistency rule and offer to change the related field with it
+ * @param {Object} staff - Staff record being edited
+ * @param {string} column - Edited field
+ * @param {string} value - New value of the edited field
+ * @param {Array<Object>} ruleErrors - Rule errors from Validate.checkRules()
+ * @param {Function} onApply - Called with the changes ({ field: value }) once they pass the rules
+ */
+function showRuleFixPrompt(staff, column, value, ruleErrors, onApply) {
+    const edited = { ...staff, [column]: value };
+    const fixes = ruleErrors.map(error => Validate.ruleFixOptions(edited, error, column));
+    const nameOf = (field) => (columns.find(col => col.id === field) || { name: field }).name;
+    
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Consistency Rule</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            ${ruleErrors.map(error => `<p class="error-message">${CommonUtils.escapeHtml(error.message)}</p>`).join('')}
+            ${fixes.map((fix, index) => `
+                <div class="form-group">
+                    <label for="rule-fix-${index}">Change ${CommonUtils.escapeHtml(nameOf(fix.field))} to</label>
+                    <select id="rule-fix-${index}" class="form-control rule-fix" data-field="${CommonUtils.escapeHtml(fix.field)}">
+                        ${fix.options.map(option => `<option value="${CommonUtils.escapeHtml(option)}">${CommonUtils.escapeHtml(option)}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+            <div class="form-actions mt-1">
+                <button id="apply-rule-fix" class="button" ${fixes.some(fix => fix.options.length === 0) ? 'disabled' : ''}>Save Both</button>
+                <button id="cancel-rule-fix" class="button button-secondary">Cancel Edit</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#cancel-rule-fix').addEventListener('click', closeModal);
+    modal.querySelector('#apply-rule-fix').addEventListener('click', () => {
+        const changes = { [column]: value };
+        modal.querySelectorAll('.rule-fix').forEach(select => {
+            // Multi-valued columns store a list of values
+            const fixColumn = columns.find(col => col.id === select.dataset.field);
+            changes[select.dataset.field] = fixColumn && fixColumn.multiple ? [select.value] : select.value;
+        });
+        
+        // Several rules can relate the same fields, so check the combined change again
+        const remaining = Validate.checkRules({ ...staff, ...changes })
+            .filter(error => error.fields.some(field => field in changes));
+        if (remaining.length > 0) {
+            alert(remaining.map(error => error.message).join('\n'));
+            return;
+        }
+        
+        closeModal();
+        onApply(changes);
+    });
+}
+
 /**
  * Cancel the current edit operation
  */
@@ -1217,6 +1418,15 @@ function handleEditStaff(event) {
         return;
     }
     
+    showEditStaffModal(staff);
+}
+
+/**
+ * Show the edit modal for a staff member
+ * @param {Object} staff - Staff record
+ * @param {Function} onSaved - Called after the changes are saved (optional)
+ */
+function showEditStaffModal(staff, onSaved = null) {
     // Create a list of all form groups for each field
     const formGroups = [];
     
@@ -1306,7 +1516,7 @@ function handleEditStaff(event) {
     customClassifications.forEach(custom => {
         const container = document.getElementById(`${custom.id}-container`);
         if (container) {
-            container.innerHTML = createMultiSelectCheckboxes(custom.id, custom.options, staff[custom.id] || '');
+            container.innerHTML = createMultiSelectCheckboxes(custom.id, custom.options, staff[custom.id]);
         }
     });
     
@@ -1334,14 +1544,37 @@ function handleEditStaff(event) {
             }
         });
         
+        // Show any problems next to the fields and keep the modal open
+        const errors = Validate.staff(updatedStaff, {
+            existing: staffData.filter(s => s.id !== staff.id),
+            customClassifications
+        });
+        if (errors.length > 0) {
+            const fieldElements = {
+                name: '#edit-name',
+                id: '#edit-id',
+                phase: '#phase-container',
+                overseas_thai: '#overseas-thai-container',
+                year_group: '#year-group-container',
+                department: '#department-container'
+            };
+            customClassifications.forEach(custom => {
+                fieldElements[custom.id] = `#${custom.id}-container`;
+            });
+            Validate.showErrors(modal.querySelector('.modal-content'), errors, fieldElements);
+            return;
+        }
+        
         // Update staff data
         const staffIndex = staffData.findIndex(s => s.id === staff.id);
         if (staffIndex >= 0) {
             staffData[staffIndex] = updatedStaff;
-            Storage.save('staff', staffData);
+            Undo.record(`Edit staff ${updatedStaff.name || updatedStaff.id}`, ['staff'], () => {
+                Storage.save('staff', staffData);
+            });
             
             // Update filtered data
-            filteredData = [...staffData];
+            filteredData = [...listedStaff()];
             
             // Re-render table
             renderTable();
@@ -1352,6 +1585,7 @@ function handleEditStaff(event) {
         }
         
         closeModal();
+        if (onSaved) onSaved(updatedStaff);
     });
     
     // Modal close function
@@ -1365,12 +1599,11 @@ function handleEditStaff(event) {
  * Helper to create multi-select checkboxes for the edit form
  * @param {string} fieldName - Field name 
  * @param {Array<string>} options - Available options
- * @param {string} currentValue - Current comma-separated values
+ * @param {Array<string>|string} currentValue - Current values
  * @returns {string} HTML for checkboxes
  */
 function createMultiSelectCheckboxes(fieldName, options, currentValue) {
-    // Split by comma and space, then trim each value
-    const currentValues = currentValue ? currentValue.split(', ').map(v => v.trim()).filter(v => v) : [];
+    const currentValues = Models.Staff.getValues(currentValue);
     
     return options.map(option => `
         <div class="multi-select-item">
@@ -1384,58 +1617,293 @@ function createMultiSelectCheckboxes(fieldName, options, currentValue) {
 }
 
 /**
- * Helper to get comma-separated values from multi-select checkboxes
+ * Helper to get the selected values from multi-select checkboxes
  * @param {HTMLElement} container - Container element
  * @param {string} fieldName - Field name
- * @returns {string} Comma-separated values
+ * @returns {Array<string>} Selected values
  */
 function getMultiSelectValues(container, fieldName) {
     const selected = Array.from(
         container.querySelectorAll(`input[name="${fieldName}"]:checked`)
     ).map(checkbox => checkbox.value);
     
-    return selected.join(', ');
+    return selected;
 }
 
 /**
- * Delete a staff member
+ * Delete a staff member, together with (or archiving) their achievement records
  * @param {Event} event - Click event
  */
 function handleDeleteStaff(event) {
     const staffId = event.currentTarget.dataset.id;
+    const staff = staffData.find(s => s.id === staffId);
+    const impact = Cascade.impact({ staffIds: [staffId] });
+    
+    Cascade.confirm({
+        title: 'Delete Staff Member',
+        message: `Are you sure you want to delete ${staff ? `${staff.name} (${staffId})` : `staff member with ID ${staffId}`}?`,
+        impact,
+        onConfirm: (mode) => {
+            // Remove from data
+            staffData = staffData.filter(s => s.id !== staffId);
+            filteredData = filteredData.filter(s => s.id !== staffId);
+            
+            if (impact.assignments.length > 0) {
+                Snapshots.take(`Before deleting staff ${staffId} and their achievement records`);
+            }
+            
+            // Save to storage
+            Undo.record(`Delete staff ${staffId}`, ['staff', ...Cascade.KEYS], () => {
+                Storage.save('staff', staffData);
+                Cascade.apply(impact, mode, `Staff ${staffId} deleted`);
+            });
+            Logger.log(`Deleted staff with ID ${staffId}`, { assignments: impact.assignments.length, mode });
+            
+            // Update table
+            renderTable();
+            renderPagination();
+        }
+    });
+}
+
+/**
+ * Archive a staff member as a leaver, recording their leave date and reason.
+ * Their achievement records are kept for historical reporting.
+ * @param {Event} event - Click event
+ */
+function handleArchiveStaff(event) {
+    const staffId = event.currentTarget.dataset.id;
+    const staff = staffData.find(s => s.id === staffId);
+    if (!staff) return;
+    
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Archive ${staff.name || staffId}</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <p>Leavers are hidden from the masterlog, achievements and analytics unless leavers are shown. Their achievement history is kept.</p>
+            <form id="archive-staff-form" novalidate>
+                <div class="form-group">
+                    <label for="leave-date">Leave date</label>
+                    <input type="date" id="leave-date" class="form-control" value="${new Date().toISOString().slice(0, 10)}">
+                </div>
+                <div class="form-group">
+                    <label for="leave-reason">Reason</label>
+                    <input type="text" id="leave-reason" class="form-control" list="leave-reason-options" placeholder="Choose or type a reason">
+                    <datalist id="leave-reason-options">
+                        ${Models.Staff.leaveReasonOptions.map(reason => `<option value="${reason}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-actions mt-1">
+                    <button type="submit" class="button">Archive</button>
+                    <button type="button" id="cancel-archive" class="button button-secondary">Cancel</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
     
-    if (confirm(`Are you sure you want to delete staff member with ID ${staffId}?`)) {
-        // Remove from data
-        staffData = staffData.filter(staff => staff.id !== staffId);
-        filteredData = filteredData.filter(staff => staff.id !== staffId);
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    // Add event listeners
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#cancel-archive').addEventListener('click', closeModal);
+    modal.querySelector('#archive-staff-form').addEventListener('submit', (e) => {
+        e.preventDefault();
         
-        // Save to storage
-        Storage.save('staff', staffData);
-        Logger.log(`Deleted staff with ID ${staffId}`);
+        const archivedStaff = {
+            ...staff,
+            archived: true,
+            leave_date: modal.querySelector('#leave-date').value || null,
+            leave_reason: modal.querySelector('#leave-reason').value.trim()
+        };
         
-        // Update table
-        renderTable();
-        renderPagination();
+        const errors = Validate.staff(archivedStaff, { skipRules: true })
+            .filter(error => error.field === 'leave_date' || error.field === 'leave_reason');
+        if (errors.length > 0) {
+            Validate.showErrors(modal.querySelector('#archive-staff-form'), errors, {
+                leave_date: modal.querySelector('#leave-date'),
+                leave_reason: modal.querySelector('#leave-reason')
+            });
+            return;
+        }
+        
+        staffData = staffData.map(s => s.id === staffId ? archivedStaff : s);
+        Undo.record(`Archive staff ${staff.name || staffId}`, ['staff'], () => {
+            Storage.save('staff', staffData);
+        });
+        Logger.log(`Archived staff ${staffId} as a leaver`, { leave_date: archivedStaff.leave_date, leave_reason: archivedStaff.leave_reason });
+        
+        closeModal();
+        filterSystem.updateData({ staffData: listedStaff() });
+    });
+}
+
+/**
+ * Restore an archived staff member to the current staff
+ * @param {Event} event - Click event
+ */
+function handleRestoreStaff(event) {
+    const staffId = event.currentTarget.dataset.id;
+    const staff = staffData.find(s => s.id === staffId);
+    if (!staff) return;
+    
+    if (!confirm(`Restore ${staff.name || staffId} as a current staff member?`)) {
+        return;
     }
+    
+    staffData = staffData.map(s => s.id === staffId ? { ...s, archived: false, leave_date: null, leave_reason: '' } : s);
+    Undo.record(`Restore staff ${staff.name || staffId}`, ['staff'], () => {
+        Storage.save('staff', staffData);
+    });
+    Logger.log(`Restored staff ${staffId}`);
+    
+    filterSystem.updateData({ staffData: listedStaff() });
 }
 
 /**
- * Export staff data to JSON
+ * Export the whole workspace (staff, standards, groups, achievements, settings) to one JSON file
  */
 function handleExportData() {
-    const jsonData = JSON.stringify(staffData, null, 2);
-    const blob = new Blob([jsonData], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'staff_data.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    Logger.log('Exported staff data');
+    Workspace.download();
+}
+
+/**
+ * Pick a workspace archive file and show the restore preview
+ */
+function handleImportData() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    
+    input.addEventListener('change', () => {
+        const file = input.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            const { archive, errors } = Workspace.parse(reader.result);
+            if (errors.length > 0) {
+                Logger.warn(`Rejected workspace file ${file.name}: ${errors.join('; ')}`);
+                alert(`This file cannot be imported:\n\n- ${errors.join('\n- ')}`);
+                return;
+            }
+            showImportPreview(archive, file.name);
+        };
+        reader.onerror = () => {
+            Logger.error(`Could not read workspace file ${file.name}`);
+            alert('The file could not be read.');
+        };
+        reader.readAsText(file);
+    });
+    
+    input.click();
+}
+
+/**
+ * Show what restoring a workspace archive would change and let the user replace or merge
+ * @param {Object} archive - Validated workspace archive
+ * @param {string} fileName - Name of the imported file
+ */
+function showImportPreview(archive, fileName) {
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Import Workspace</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <p><strong>${fileName}</strong>${archive.exported_at ? ` &mdash; exported ${new Date(archive.exported_at).toLocaleString()}` : ''}</p>
+            
+            <div class="form-group">
+                <label><input type="radio" name="import-mode" value="replace" checked> Replace: the workspace becomes exactly the file's contents</label><br>
+                <label><input type="radio" name="import-mode" value="merge"> Merge: add and update records from the file, keep everything else</label>
+            </div>
+            
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>Data</th>
+                        <th>Added</th>
+                        <th>Removed</th>
+                        <th>Changed</th>
+                        <th>Unchanged</th>
+                    </tr>
+                </thead>
+                <tbody id="import-diff"></tbody>
+            </table>
+            
+            <div class="form-actions mt-1">
+                <button id="confirm-import" class="button">Import</button>
+                <button id="cancel-import" class="button button-secondary">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const getMode = () => modal.querySelector('input[name="import-mode"]:checked').value;
+    
+    function renderDiff() {
+        const summary = Workspace.preview(archive, getMode());
+        modal.querySelector('#import-diff').innerHTML = summary.map(entry => `
+            <tr>
+                <td>${entry.label}</td>
+                <td>${entry.added}</td>
+                <td>${entry.removed}</td>
+                <td>${entry.changed}</td>
+                <td>${entry.unchanged}</td>
+            </tr>
+        `).join('');
+    }
+    
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    renderDiff();
+    
+    // Add event listeners
+    modal.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+        radio.addEventListener('change', renderDiff);
+    });
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#cancel-import').addEventListener('click', closeModal);
+    modal.querySelector('#confirm-import').addEventListener('click', () => {
+        const mode = getMode();
+        if (mode === 'replace' && !confirm('Replace the current workspace with the contents of this file?')) {
+            return;
+        }
+        
+        Snapshots.take(`Before importing ${fileName}`);
+        if (Workspace.restore(archive, mode)) {
+            closeModal();
+            // The page refreshes itself from the storage change notifications
+            alert('Workspace imported successfully.');
+        } else {
+            alert('The workspace could not be imported. See console for details.');
+        }
+    });
 }
 
 /**
@@ -1665,13 +2133,7 @@ function showColumnSettings(column) {
         const option = optionsArray[index];
         
         // Check if this option is used in any staff records
-        const isUsed = staffData.some(staff => {
-            if (!staff[column.id]) return false;
-            
-            // Handle multi-select values
-            const values = staff[column.id].split(', ');
-            return values.includes(option);
-        });
+        const isUsed = staffData.some(staff => Models.Staff.getValues(staff[column.id]).includes(option));
         
         if (isUsed) {
             if (!confirm(`The option "${option}" is currently used by staff records. Removing it may cause data inconsistencies. Continue?`)) {
@@ -1710,34 +2172,38 @@ function showColumnSettings(column) {
  * @param {Object} column - Column to delete
  */
 function deleteCategory(column) {
-    // First, remove from columns array
-    const colIndex = columns.findIndex(col => col.id === column.id);
-    if (colIndex !== -1) {
-        columns.splice(colIndex, 1);
-    }
+    Snapshots.take(`Before deleting category ${column.name}`);
     
-    // If it's a custom classification, remove from customClassifications array
-    if (column.isCustom) {
-        const customIndex = customClassifications.findIndex(cc => cc.id === column.id);
-        if (customIndex !== -1) {
-            customClassifications.splice(customIndex, 1);
-            saveCustomClassifications();
+    Undo.record(`Delete category ${column.name}`, ['staff', 'masterlog_columns', 'custom_classifications'], () => {
+        // First, remove from columns array
+        const colIndex = columns.findIndex(col => col.id === column.id);
+        if (colIndex !== -1) {
+            columns.splice(colIndex, 1);
         }
-    }
-    
-    // Remove the field from all staff records
-    staffData.forEach(staff => {
-        if (staff.hasOwnProperty(column.id)) {
-            delete staff[column.id];
+        
+        // If it's a custom classification, remove from customClassifications array
+        if (column.isCustom) {
+            const customIndex = customClassifications.findIndex(cc => cc.id === column.id);
+            if (customIndex !== -1) {
+                customClassifications.splice(customIndex, 1);
+                saveCustomClassifications();
+            }
         }
-    });
+        
+        // Remove the field from all staff records
+        staffData.forEach(staff => {
+            if (staff.hasOwnProperty(column.id)) {
+                delete staff[column.id];
+            }
+        });
     
-    // Save updated staff data
-    Storage.save('staff', staffData);
-    filteredData = [...staffData];
+        // Save updated staff data
+        Storage.save('staff', staffData);
+        filteredData = [...listedStaff()];
     
-    // Save column settings
-    Storage.save('masterlog_columns', columns);
+        // Save column settings
+        Storage.save('masterlog_columns', columns);
+    });
     
     // Re-render components
     renderTableHeader();
@@ -1845,7 +2311,7 @@ function checkAndUpdateStaffData() {
             // Check if staff has value for this column
             if (staff[columnId] === undefined || staff[columnId] === null) {
                 // Use first option as default
-                staff[columnId] = columnOptions[columnId][0] || '';
+                staff[columnId] = Models.Staff.getValues(columnOptions[columnId][0]);
                 updated = true;
             }
         });
@@ -1854,7 +2320,7 @@ function checkAndUpdateStaffData() {
     // Save updated staff data if changes were made
     if (updated) {
         Storage.save('staff', staffData);
-        filteredData = [...staffData];
+        filteredData = [...listedStaff()];
         
         // Re-render components
         renderTableHeader();
@@ -1866,6 +2332,195 @@ function checkAndUpdateStaffData() {
     }
 }
 
+/**
+ * Show the consistency rules between staff fields (e.g. phase and year group),
+ * with an editor for the rules and a report of staff records that break them
+ */
+function showConsistencyRules() {
+    let rules = Validate.getRules();
+    const fieldColumns = columns.filter(col => col.type === 'dropdown');
+    
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'page-modal modal-large';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Consistency Rules</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <p>Each rule reads: when a staff member's first field includes the value, their second field may only contain the allowed values.
+               Rules are checked when staff are edited or bulk added.</p>
+            
+            <table class="table rules-table">
+                <thead>
+                    <tr>
+                        <th>On</th>
+                        <th>When</th>
+                        <th>Includes</th>
+                        <th>Then</th>
+                        <th>Allowed values (comma-separated)</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody id="rules-body"></tbody>
+            </table>
+            
+            <div class="form-actions mt-1">
+                <button id="add-rule" class="button button-secondary">Add Rule</button>
+                <button id="reset-rules" class="button button-secondary">Reset to Defaults</button>
+                <button id="save-rules" class="button">Save Rules</button>
+            </div>
+            
+            <h3 class="mt-1">Records that break the rules</h3>
+            <div id="rule-violations"></div>
+        </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    const fieldSelect = (className, selected) => `
+        <select class="form-control ${className}">
+            ${fieldColumns.map(col => `<option value="${col.id}" ${col.id === selected ? 'selected' : ''}>${col.name}</option>`).join('')}
+        </select>
+    `;
+    
+    function renderRules() {
+        modal.querySelector('#rules-body').innerHTML = rules.length === 0
+            ? '<tr><td colspan="6">No rules.</td></tr>'
+            : rules.map((rule, index) => `
+                <tr data-index="${index}">
+                    <td><input type="checkbox" class="rule-enabled" ${rule.enabled !== false ? 'checked' : ''}></td>
+                    <td>${fieldSelect('rule-field', rule.field)}</td>
+                    <td><input type="text" class="form-control rule-value" value="${rule.value || ''}"></td>
+                    <td>${fieldSelect('rule-dependent', rule.dependentField)}</td>
+                    <td><input type="text" class="form-control rule-allowed" value="${(rule.allowed || []).join(', ')}"></td>
+                    <td><button class="button button-small button-danger delete-rule">Delete</button></td>
+                </tr>
+            `).join('');
+    }
+    
+    function renderViolations() {
+        const violations = Validate.findRuleViolations(staffData, rules);
+        const container = modal.querySelector('#rule-violations');
+        
+        if (violations.length === 0) {
+            container.innerHTML = '<p class="info-message">All staff records follow the rules.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <p>${violations.length} staff ${violations.length === 1 ? 'record breaks' : 'records break'} the rules.</p>
+            <table class="table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>ID</th>
+                        <th>Problem</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${violations.map(({ record, errors }) => `
+                        <tr>
+                            <td>${record.name || ''}</td>
+                            <td>${record.id}</td>
+                            <td>${errors.map(error => error.message).join('<br>')}</td>
+                            <td><button class="button button-small edit-violation" data-id="${record.id}">Edit</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    // Read the edited rules back from the table
+    function readRules() {
+        return Array.from(modal.querySelectorAll('#rules-body tr[data-index]')).map(row => {
+            const original = rules[parseInt(row.dataset.index, 10)];
+            return {
+                id: original.id,
+                field: row.querySelector('.rule-field').value,
+                value: row.querySelector('.rule-value').value.trim(),
+                dependentField: row.querySelector('.rule-dependent').value,
+                allowed: row.querySelector('.rule-allowed').value.split(',').map(v => v.trim()).filter(v => v),
+                enabled: row.querySelector('.rule-enabled').checked
+            };
+        });
+    }
+    
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    renderRules();
+    renderViolations();
+    
+    // Add event listeners
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    
+    modal.querySelector('#rules-body').addEventListener('click', (e) => {
+        const deleteButton = e.target.closest('.delete-rule');
+        if (deleteButton) {
+            rules = readRules();
+            rules.splice(parseInt(deleteButton.closest('tr').dataset.index, 10), 1);
+            renderRules();
+        }
+    });
+    
+    modal.querySelector('#add-rule').addEventListener('click', () => {
+        rules = readRules();
+        rules.push({
+            id: `rule-${Date.now()}`,
+            field: 'phase',
+            value: '',
+            dependentField: 'year_group',
+            allowed: [],
+            enabled: true
+        });
+        renderRules();
+    });
+    
+    modal.querySelector('#reset-rules').addEventListener('click', () => {
+        if (!confirm('Replace the current rules with the default phase and year group rules?')) return;
+        Undo.record('Reset consistency rules', ['validation_rules'], () => Validate.resetRules());
+        rules = Validate.getRules();
+        renderRules();
+        renderViolations();
+    });
+    
+    modal.querySelector('#save-rules').addEventListener('click', () => {
+        const edited = readRules();
+        const incomplete = edited.filter(rule => !rule.value || rule.allowed.length === 0 || rule.field === rule.dependentField);
+        if (incomplete.length > 0) {
+            alert('Each rule needs a value, at least one allowed value, and two different fields.');
+            return;
+        }
+        
+        rules = edited;
+        Undo.record('Edit consistency rules', ['validation_rules'], () => Validate.saveRules(rules));
+        renderRules();
+        renderViolations();
+    });
+    
+    modal.querySelector('#rule-violations').addEventListener('click', (e) => {
+        const editButton = e.target.closest('.edit-violation');
+        if (!editButton) return;
+        
+        const staff = staffData.find(s => s.id === editButton.dataset.id);
+        if (staff) {
+            closeModal();
+            showEditStaffModal(staff, () => showConsistencyRules());
+        }
+    });
+}
+
 /**
  * Show the column manager modal
  */
@@ -2270,6 +2925,8 @@ function handleBulkAddStaff() {
         const newStaffMembers = [];
         const invalidValues = {};
         
+        const rowErrors = [];
+        
         // Get all rows with data
         const rows = Array.from(bulkAddTable.querySelectorAll('tbody tr')).filter(row => {
             const cells = row.querySelectorAll('td');
@@ -2290,8 +2947,8 @@ function handleBulkAddStaff() {
                     // Check if the value is in the options for dropdown columns
                     const column = columns.find(col => col.id === columnId);
                     if (column && column.type === 'dropdown' && column.options) {
-                        // Split by comma and process each value separately
-                        const values = value.split(',').map(v => v.trim()).filter(v => v);
+                        // Multi-valued columns take comma-separated values in the grid
+                        const values = column.multiple ? Models.Staff.getValues(value) : [value];
                         
                         // Check if any values are not in the options
                         values.forEach(singleValue => {
@@ -2304,8 +2961,8 @@ function handleBulkAddStaff() {
                             }
                         });
                         
-                        // Set the value as comma-space separated list
-                        newStaff[columnId] = values.join(', ');
+                        // Store a list for multi-valued columns
+                        newStaff[columnId] = column.multiple ? values : value;
                     } else {
                         // Set the value as is for non-dropdown columns
                         newStaff[columnId] = value;
@@ -2313,12 +2970,36 @@ function handleBulkAddStaff() {
                 }
             });
             
-            // Only add staff with a name
-            if (newStaff.name) {
+            // Unknown dropdown values are offered as new options instead of being reported
+            const errors = Validate.staff(newStaff, {
+                existing: [...staffData, ...newStaffMembers],
+                customClassifications
+            }).filter(error => error.code !== 'option');
+            
+            if (errors.length > 0) {
+                rowErrors.push({ row, rowNumber: Array.from(row.parentNode.children).indexOf(row) + 1, errors });
+            } else {
                 newStaffMembers.push(newStaff);
             }
         });
         
+        // Mark the problem cells and list the problems above the table
+        if (rowErrors.length > 0) {
+            const summary = rowErrors.flatMap(({ rowNumber, errors }) =>
+                errors.map(error => ({ ...error, field: null, message: `Row ${rowNumber}: ${error.message}` })));
+            Validate.showErrors(modal.querySelector('.modal-body'), summary);
+            bulkAddTable.querySelectorAll('td[title]').forEach(cell => cell.removeAttribute('title'));
+            
+            rowErrors.forEach(({ row, errors }) => {
+                errors.forEach(error => {
+                    const cell = row.querySelector(`td[data-column="${error.field}"]`) || row.querySelector('td');
+                    cell.classList.add('is-invalid');
+                    cell.title = cell.title ? `${cell.title}\n${error.message}` : error.message;
+                });
+            });
+            return;
+        }
+        
         // Check if there are any invalid values to add to options
         if (Object.keys(invalidValues).length > 0) {
             showInvalidValuesPrompt(invalidValues, newStaffMembers, closeModal);
@@ -2989,7 +3670,9 @@ function addNewStaffMembers(staffMembers) {
     filteredData.push(...staffMembers);
     
     // Save to storage
-    Storage.save('staff', staffData);
+    Undo.record(`Add ${staffMembers.length} staff members`, ['staff'], () => {
+        Storage.save('staff', staffData);
+    });
     Logger.log(`Added ${staffMembers.length} new staff members`);
     
     // Navigate to the last page
@@ -3043,6 +3726,7 @@ function loadCustomClassifications() {
                 type: 'dropdown',
                 width: '15%',
                 options: classification.options || [],
+                multiple: true,
                 visible: true,
                 sortable: true,
                 isCustom: true
@@ -3185,6 +3869,7 @@ function showAddClassificationModal() {
             name: name,
             type: 'dropdown',
             options: options,
+            multiple: true,
             width: '15%',
             visible: true,
             sortable: true,
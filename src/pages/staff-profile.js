@@ -0,0 +1,318 @@
+/**
+ * Staff Profile Page
+ * One staff member at a glance (#staff/T042): their record and classifications, progress in each standard group,
+ * recently achieved standards and the standards still outstanding
+ */
+import { Storage, Logger, Models, Scale, Assessments, Applicability, Codes, Router, CommonUtils } from '../utils/index.js';
+
+// Staff, standard and assessment text comes from user input (and staffId from the URL), so it is always escaped
+const { escapeHtml } = CommonUtils;
+
+// How many recently achieved standards to list
+const RECENT_LIMIT = 10;
+
+// Staff record fields shown before the custom classifications
+const RECORD_FIELDS = [
+    { id: 'id', name: 'ID' },
+    { id: 'name', name: 'Name' },
+    { id: 'phase', name: 'Phase' },
+    { id: 'overseas_thai', name: 'Overseas/Thai' },
+    { id: 'year_group', name: 'Year Group' },
+    { id: 'department', name: 'Department' }
+];
+
+// Colour of the ungrouped standards' progress bar
+const UNGROUPED_COLOR = '#9e9e9e';
+
+// State management
+let staffId = null;
+let unsubscribeStorage = null;
+
+/**
+ * Initialize the Staff Profile page
+ * @param {HTMLElement} container - Container element for the page
+ * @param {Object} params - Route params (`path` is the staff ID, e.g. #staff/T042)
+ */
+export async function init(container, params = {}) {
+    Logger.log('Initializing Staff Profile page');
+    staffId = params.path || null;
+
+    container.innerHTML = `
+        <div class="staff-profile-page content-container">
+            <div id="staff-profile"></div>
+        </div>
+    `;
+
+    await renderProfile();
+
+    // Refresh when data changes here or in another tab
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    unsubscribeStorage = Storage.subscribe(
+        ['staff', 'standards', 'groups', 'assignments', 'custom_classifications', Scale.KEY],
+        () => renderProfile(),
+        { element: container }
+    );
+}
+
+/**
+ * Show another staff member (Back or Forward between profiles) without reloading the page
+ * @param {Object} params - Route params (see init)
+ */
+export async function update(params = {}) {
+    staffId = params.path || null;
+    await renderProfile();
+}
+
+/**
+ * Render the profile of the staff member in the route
+ */
+async function renderProfile() {
+    const element = document.getElementById('staff-profile');
+    if (!element) return;
+
+    const staff = Storage.load('staff', []).find(s => String(s.id) === String(staffId));
+    if (!staff) {
+        element.innerHTML = `
+            <h1>Staff Profile</h1>
+            <div class="info-message">
+                <p>${staffId ? `There is no staff member with ID ${escapeHtml(staffId)}.` : 'No staff member was chosen.'}
+                   Open a profile from the <a href="#masterlog">Masterlog</a> or <a href="#achievements">Achievements</a> page.</p>
+            </div>
+        `;
+        return;
+    }
+
+    const standards = Storage.load('standards', []);
+    const groups = Storage.load('groups', []);
+    const levels = Scale.getLevels();
+    const assignments = (await Storage.loadAsync('assignments', []))
+        .filter(a => String(a.staff_id) === String(staff.id));
+
+    const applies = Applicability.checker({ standards, groups });
+    const applicable = standards.filter(standard => applies(staff, standard.code));
+    const records = new Map(assignments.map(a => [a.standard_code, a]));
+    const isAchieved = (standard) => Boolean(records.get(standard.code) && records.get(standard.code).achieved);
+    const achievedCount = applicable.filter(isAchieved).length;
+
+    element.innerHTML = `
+        <div class="header-content">
+            <h1>${escapeHtml(staff.name || staff.id)}</h1>
+            <div class="header-controls">
+                <a href="${escapeHtml(Router.formatHash('achievements', { staff: staff.id, leavers: Models.Staff.isLeaver(staff) ? '1' : '' }))}" class="button button-secondary">Open in Achievements</a>
+            </div>
+        </div>
+        ${Models.Staff.isLeaver(staff) ? `
+            <div class="info-message">
+                <p>Left ${escapeHtml(staff.leave_date)}${staff.leave_reason ? ` (${escapeHtml(staff.leave_reason)})` : ''}</p>
+            </div>
+        ` : ''}
+        <p class="help-text">
+            ${achievedCount} of ${applicable.length} applicable standards achieved
+            (${percentOf(achievedCount, applicable.length)}%)
+        </p>
+
+        <div class="staff-profile-grid">
+            <section class="staff-profile-section">
+                <h2>Record</h2>
+                ${renderRecord(staff)}
+            </section>
+            <section class="staff-profile-section">
+                <h2>Progress by Group</h2>
+                ${renderGroupProgress(applicable, groups, isAchieved)}
+            </section>
+        </div>
+
+        <section class="staff-profile-section">
+            <h2>Recently Achieved</h2>
+            ${renderRecentlyAchieved(assignments, standards, levels)}
+        </section>
+
+        <section class="staff-profile-section">
+            <h2>Outstanding Standards (${applicable.length - achievedCount})</h2>
+            ${renderOutstanding(applicable.filter(standard => !isAchieved(standard)), groups, records, levels)}
+        </section>
+    `;
+
+    Logger.log(`Rendered staff profile for ${staff.id}`);
+}
+
+/**
+ * Render the staff record and custom classifications
+ * @param {Object} staff - Staff record
+ * @returns {string} - HTML
+ */
+function renderRecord(staff) {
+    const customClassifications = Storage.load('custom_classifications', []);
+    const row = (name, value) => `
+        <tr>
+            <th>${escapeHtml(name)}</th>
+            <td>${escapeHtml(Models.Staff.formatValue(value)) || '<span class="text-muted">Not set</span>'}</td>
+        </tr>
+    `;
+
+    return `
+        <table class="table staff-profile-record">
+            <tbody>
+                ${RECORD_FIELDS.map(field => row(field.name, staff[field.id])).join('')}
+            </tbody>
+        </table>
+        ${customClassifications.length > 0 ? `
+            <h3>Custom Classifications</h3>
+            <table class="table staff-profile-record">
+                <tbody>
+                    ${customClassifications.map(c => row(c.name, staff[c.id])).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+    `;
+}
+
+/**
+ * Render an achieved/applicable bar for each standard group
+ * @param {Array<Object>} applicable - Standards that apply to the staff member
+ * @param {Array<Object>} groups - Groups
+ * @param {Function} isAchieved - (standard) => boolean
+ * @returns {string} - HTML
+ */
+function renderGroupProgress(applicable, groups, isAchieved) {
+    const rows = [
+        ...groups.map(group => ({
+            name: group.name,
+            color: group.color,
+            standards: applicable.filter(standard => standard.group === group.name)
+        })),
+        { name: 'Ungrouped', color: UNGROUPED_COLOR, standards: applicable.filter(standard => !standard.group) }
+    ].filter(row => row.standards.length > 0);
+
+    if (rows.length === 0) {
+        return '<p class="text-muted">No standards apply to this staff member.</p>';
+    }
+
+    return rows.map(row => {
+        const achieved = row.standards.filter(isAchieved).length;
+        const percent = percentOf(achieved, row.standards.length);
+        return `
+            <div class="profile-progress">
+                <div class="profile-progress-label">
+                    <span><span class="group-swatch" style="background-color: ${escapeHtml(row.color)}"></span>${escapeHtml(row.name)}</span>
+                    <span>${achieved} / ${row.standards.length} (${percent}%)</span>
+                </div>
+                <div class="profile-progress-track">
+                    <div class="profile-progress-bar" style="width: ${percent}%; background-color: ${escapeHtml(row.color)}"></div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the latest achieved standards with the date and notes of the assessment that achieved them
+ * @param {Array<Object>} assignments - The staff member's achievement records
+ * @param {Array<Object>} standards - All standards
+ * @param {Array<Object>} levels - Achievement scale
+ * @returns {string} - HTML
+ */
+function renderRecentlyAchieved(assignments, standards, levels) {
+    const achieved = assignments
+        .filter(a => a.achieved)
+        .sort((a, b) => String(b.date_achieved || '').localeCompare(String(a.date_achieved || '')))
+        .slice(0, RECENT_LIMIT);
+
+    if (achieved.length === 0) {
+        return '<p class="text-muted">No standards achieved yet.</p>';
+    }
+
+    return `
+        <table class="table">
+            <thead>
+                <tr><th>Date</th><th>Standard</th><th>Level</th><th>Assessor</th><th>Notes</th></tr>
+            </thead>
+            <tbody>
+                ${achieved.map(a => {
+                    const standard = standards.find(s => s.code === a.standard_code);
+                    // The assessment the current run of achievement started with
+                    const event = Assessments.historyOf(a).find(e => e.achieved && e.date === a.date_achieved);
+                    return `
+                        <tr>
+                            <td>${a.date_achieved ? escapeHtml(String(a.date_achieved).slice(0, 10)) : ''}</td>
+                            <td>${standardLink(a.standard_code)} ${standard ? escapeHtml(standard.name) : ''}</td>
+                            <td>${escapeHtml(Scale.levelOf(a, levels).name)}</td>
+                            <td>${event ? escapeHtml(event.assessor) : ''}</td>
+                            <td>${escapeHtml((event && event.notes) || a.notes || '')}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render the applicable standards not achieved yet, in code order, with their current level
+ * @param {Array<Object>} outstanding - Standards not achieved
+ * @param {Array<Object>} groups - Groups
+ * @param {Map<string, Object>} records - Achievement records by standard code
+ * @param {Array<Object>} levels - Achievement scale
+ * @returns {string} - HTML
+ */
+function renderOutstanding(outstanding, groups, records, levels) {
+    if (outstanding.length === 0) {
+        return '<p class="text-muted">Every applicable standard has been achieved.</p>';
+    }
+
+    const compareCodes = Codes.comparator(groups);
+    return `
+        <table class="table">
+            <thead>
+                <tr><th>Standard</th><th>Group</th><th>Current Level</th><th>Last Assessed</th></tr>
+            </thead>
+            <tbody>
+                ${[...outstanding].sort((a, b) => compareCodes(a.code, b.code)).map(standard => {
+                    const record = records.get(standard.code);
+                    const group = groups.find(g => g.name === standard.group);
+                    const level = Scale.levelOf(record, levels);
+                    return `
+                        <tr>
+                            <td>${standardLink(standard.code)} ${escapeHtml(standard.name)}</td>
+                            <td>${group ? `<span class="group-swatch" style="background-color: ${escapeHtml(group.color)}"></span>${escapeHtml(group.name)}` : ''}</td>
+                            <td>${record ? `<span class="level-chip" style="background-color: ${escapeHtml(level.color)}">${escapeHtml(level.name)}</span>` : '<span class="text-muted">Not assessed</span>'}</td>
+                            <td>${record && record.date_assessed ? escapeHtml(String(record.date_assessed).slice(0, 10)) : ''}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Link to a standard on the standards page
+ * @param {string} code - Standard code
+ * @returns {string} - HTML
+ */
+function standardLink(code) {
+    return `<a href="${escapeHtml(Router.formatHash('standards', { path: code }))}" class="standard-code-link">${escapeHtml(code)}</a>`;
+}
+
+/**
+ * Whole-number percentage
+ * @param {number} part - Part
+ * @param {number} total - Total
+ * @returns {number} - Percentage (0 when the total is 0)
+ */
+function percentOf(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * Clean up when leaving the page
+ */
+export function cleanup() {
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+        unsubscribeStorage = null;
+    }
+    staffId = null;
+}
@@ -2,7 +2,7 @@
  * Standards Page
  * For defining and managing standards with grouping
  */
-import { Storage, Logger, Models, Validate } from '../utils/index.js';
+import { Storage, Logger, Models, Validate, Snapshots, Undo, Cascade, Applicability, Codes, Router } from '../utils/index.js';
 
 // Debug log to check Models object
 console.log('Models loaded:', Models);
@@ -47,6 +47,9 @@ if (Models && Models.Standard) {
     }
 }
 
+// Keys changed when standard codes are renamed (see applyCodeChanges); list them all in the Undo.record
+const CODE_CHANGE_KEYS = ['standards', 'assignments', Cascade.ARCHIVE_KEY, 'saved_charts'];
+
 // Define standard table columns with customizable properties
 const standardColumns = [
     { id: 'code', name: 'Code', width: '15%', visible: true },
@@ -58,6 +61,10 @@ const standardColumns = [
 // State management
 let standardsData = [];
 let groupsData = [];
+let codeComparator = null; // Cached Codes.comparator(), rebuilt on each render
+
+// Unsubscribe function for storage change notifications
+let unsubscribeStorage = null;
 
 // Load column settings
 function loadColumnSettings() {
@@ -90,8 +97,9 @@ function saveColumnSettings() {
 /**
  * Initialize the Standards page
  * @param {HTMLElement} container - Container element for the page
+ * @param {Object} params - Route params (`path` is the code of a standard to show, e.g. #standards/A.1.2)
  */
-export function init(container) {
+export function init(container, params = {}) {
     Logger.log('Initializing Standards page');
     
     // Safety check for Models
@@ -128,20 +136,21 @@ export function init(container) {
     container.innerHTML = `
         <h1>Standards Management</h1>
         <div class="page-description">
-            <p>Manage standards in a hierarchical system. Each group is assigned a letter (A, B, C...) 
-               and all standards within that group have codes starting with that letter.</p>
+            <p>Manage standards in a hierarchical system. Each group has a code (A, B, C... or e.g. TS) 
+               and all standards within that group have codes starting with it, in the format of the group's code template.</p>
         </div>
         <div class="standards-controls mb-1">
             <button id="add-standard" class="button">Add Standard</button>
             <button id="manage-groups" class="button button-secondary">Manage Groups</button>
+            <button id="manage-code-templates" class="button button-secondary">Code Templates</button>
             <button id="manage-columns" class="button button-secondary">Manage Columns</button>
         </div>
         
         ${promptForGroup ? `
             <div class="info-message">
                 <p>No standard groups defined yet. Create a group to organize your standards.</p>
-                <p>Each group gets a letter code (A, B, C...) and all standards in that group will 
-                   have codes starting with that letter, like A.1, A.2, etc.</p>
+                <p>Each group gets a code (A, B, C...) and all standards in that group will 
+                   have codes starting with it, like A.1, A.2, etc. Code templates allow other formats such as TS3.b or PS-02.</p>
                 <button id="create-first-group" class="button mt-1">Create First Group</button>
             </div>
         ` : ''}
@@ -169,13 +178,17 @@ export function init(container) {
     
     // Initialize components
     if (!promptForGroup) {
-        renderStandards();
-        renderStandardsTree();
+        const linkedCode = standardsData.some(s => s.code === params.path) ? params.path : null;
+        renderStandards(linkedCode);
+        if (linkedCode) {
+            scrollToStandard(linkedCode);
+        }
     }
     
     // Add event listeners
     document.getElementById('add-standard').addEventListener('click', handleAddStandard);
     document.getElementById('manage-groups').addEventListener('click', handleManageGroups);
+    document.getElementById('manage-code-templates').addEventListener('click', showCodeTemplates);
     document.getElementById('manage-columns').addEventListener('click', handleManageColumns);
     
     if (promptForGroup) {
@@ -206,6 +219,60 @@ export function init(container) {
             });
         }, 500);
     }
+    
+    // Refresh when standards or groups change elsewhere (another tab, an import or a restore)
+    if (unsubscribeStorage) {
+        unsubscribeStorage();
+    }
+    unsubscribeStorage = Storage.subscribe(
+        ['standards', 'groups'],
+        (event) => handleStorageChange(event, container),
+        { element: container }
+    );
+}
+
+/**
+ * Refresh the page after standards or groups changed
+ * @param {Object} event - Storage change event ({ key, action, remote })
+ * @param {HTMLElement} container - Page container
+ */
+function handleStorageChange(event, container) {
+    if (event.key === 'standards' && Storage.matches('standards', standardsData)) return; // Our own save
+    if (event.key === 'groups' && Storage.matches('groups', groupsData)) return;
+    
+    const wasEmpty = groupsData.length === 0 && standardsData.length === 0;
+    const latestStandards = Storage.load('standards', []);
+    const latestGroups = Storage.load('groups', []);
+    
+    // Switching between the "create first group" prompt and the standards view needs a full rebuild
+    if (wasEmpty !== (latestGroups.length === 0 && latestStandards.length === 0)) {
+        init(container);
+        return;
+    }
+    
+    standardsData = latestStandards;
+    groupsData = latestGroups;
+    standardsData.forEach(standard => {
+        if (standard.level === undefined) {
+            standard.level = Models.Standard.getLevel(standard.code);
+        }
+    });
+    
+    renderStandards();
+    Logger.log('Standards refreshed after stored data changed');
+}
+
+/**
+ * Show the standard in new route params (Back or Forward between #standards/... addresses) without reloading the page
+ * @param {Object} params - Route params (`path` is a standard code)
+ */
+export function update(params = {}) {
+    if (standardsData.length === 0) return;
+    const code = standardsData.some(s => s.code === params.path) ? params.path : null;
+    renderStandards(code);
+    if (code) {
+        scrollToStandard(code);
+    }
 }
 
 /**
@@ -215,6 +282,7 @@ export function init(container) {
 function renderStandards(highlightCode = null) {
     Logger.log('Rendering standards');
     console.log('Rendering standards with highlightCode:', highlightCode);
+    codeComparator = null; // Groups or code templates may have changed
     
     // Render grouped standards
     renderGroupedStandards(highlightCode);
@@ -227,6 +295,28 @@ function renderStandards(highlightCode = null) {
     
     // Add event listeners
     addEventListeners();
+    
+    // Link to the highlighted standard (#standards/A.1.2)
+    if (highlightCode) {
+        Router.setParams({ path: highlightCode });
+    }
+}
+
+/**
+ * Scroll a standard's row into view and flash it
+ * @param {string} code - Standard code
+ */
+function scrollToStandard(code) {
+    const standardRow = document.querySelector(`tr[data-code="${code}"]`);
+    if (standardRow) {
+        standardRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        standardRow.classList.add('highlight-row');
+        
+        // Remove highlight after a short delay
+        setTimeout(() => {
+            standardRow.classList.remove('highlight-row');
+        }, 2000);
+    }
 }
 
 /**
@@ -285,11 +375,13 @@ function renderGroupedStandards(highlightCode = null) {
                 <h3 class="group-title"><span class="group-code">${group.code || ''}</span>${group.name || 'Unnamed Group'}</h3>
                 <div class="group-header-description">${group.description || ''}</div>
                 <div class="group-header-count">${countGroupStandards(group.name)} standards</div>
+                ${renderAppliesTo(group)}
             </div>
             <div class="group-header-controls">
                 <button class="button button-secondary toggle-group-collapse" data-group="${group.name}">
                     ${group.collapsed && !shouldExpandGroup ? 'Expand' : 'Collapse'}
                 </button>
+                <button class="button button-secondary renumber-group" data-group="${group.name}" title="Number every level 1, 2, 3... in order">Renumber</button>
                 <button class="button edit-group" data-group="${group.name}">Edit</button>
             </div>
         `;
@@ -403,7 +495,7 @@ function renderGroupedStandards(highlightCode = null) {
                         </div>
                     </td>`;
                 } else if (col.id === 'name') {
-                    rowHtml += `<td>${standard.name}</td>`;
+                    rowHtml += `<td>${standard.name}${renderAppliesTo(standard)}</td>`;
                 } else if (col.id === 'description') {
                     rowHtml += `<td>${standard.description}</td>`;
                 } else if (col.id === 'actions') {
@@ -456,6 +548,10 @@ function renderGroupedStandards(highlightCode = null) {
     container.querySelectorAll('.edit-group').forEach(button => {
         button.addEventListener('click', handleEditGroup);
     });
+    
+    container.querySelectorAll('.renumber-group').forEach(button => {
+        button.addEventListener('click', (event) => renumberGroup(event.currentTarget.dataset.group));
+    });
 }
 
 /**
@@ -598,7 +694,7 @@ function renderUngroupedStandards(highlightCode = null) {
                     </div>
                 </td>`;
             } else if (col.id === 'name') {
-                rowHtml += `<td>${standard.name}</td>`;
+                rowHtml += `<td>${standard.name}${renderAppliesTo(standard)}</td>`;
             } else if (col.id === 'description') {
                 rowHtml += `<td>${standard.description}</td>`;
             } else if (col.id === 'actions') {
@@ -724,6 +820,11 @@ function showStandardForm(standard = null) {
                     <label for="standard-description">Description:</label>
                     <textarea id="standard-description">${isEdit ? standard.description : ''}</textarea>
                 </div>
+                <div class="form-group">
+                    <label>Applies To:</label>
+                    <div id="standard-applies-to" class="applicability-editor"></div>
+                    <small>Sub-standards follow these conditions and the group's as well</small>
+                </div>
                 ${isEdit && Models.Standard.hasChildren(standard) ? `
                 <div class="form-group">
                     <label>Sub-Standards:</label>
@@ -770,6 +871,7 @@ function showStandardForm(standard = null) {
     `;
     
     document.body.appendChild(modal);
+    Applicability.renderEditor(modal.querySelector('#standard-applies-to'), isEdit ? standard.applies_to || [] : []);
     
     // Add event listeners for form actions
     modal.querySelector('.modal-close').addEventListener('click', closeModal);
@@ -907,7 +1009,9 @@ function showStandardForm(standard = null) {
                 }
                 
                 // Save to storage
-                Storage.save('standards', standardsData);
+                Undo.record(`Add sub-standard ${childStandard.code}`, ['standards'], () => {
+                    Storage.save('standards', standardsData);
+                });
                 
                 // Close modal
                 closeModal();
@@ -933,45 +1037,30 @@ function showStandardForm(standard = null) {
         const description = document.getElementById('standard-description').value.trim();
         const group = document.getElementById('standard-group').value;
         const parentCode = document.getElementById('standard-parent').value;
+        const appliesTo = Applicability.readEditor(modal.querySelector('#standard-applies-to'));
         
         console.log('Saving standard:', { code, name, description, group, parentCode, isEdit });
         
-        // Validate
-        if (!code) {
-            alert('Standard code is required. Please select a group or parent standard.');
-            return;
-        }
-        
-        if (!name) {
-            alert('Standard name is required');
+        // Validate and show any problems next to the fields
+        const errors = Validate.standard({ code, name, description, group, parent_code: parentCode, applies_to: appliesTo }, {
+            existing: standardsData.filter(s => !isEdit || s.code !== standard.code),
+            standards: standardsData,
+            groups: groupsData
+        }).map(error => (error.field === 'code' && error.code === 'required')
+            ? { ...error, message: 'Code is required - select a group or parent standard to generate one' }
+            : error);
+        
+        if (errors.length > 0) {
+            Validate.showErrors(modal.querySelector('#standard-form'), errors, {
+                code: '#standard-code',
+                name: '#standard-name',
+                description: '#standard-description',
+                group: '#standard-group',
+                parent_code: '#standard-parent'
+            });
             return;
         }
         
-        // Ensure code follows hierarchy rules
-        if (parentCode) {
-            // For child standards, ensure code starts with parent code
-            if (!code.startsWith(parentCode + '.')) {
-                alert(`Child standard code must start with parent code (${parentCode})`);
-                return;
-            }
-        } else if (group) {
-            // For top-level standards, ensure code starts with group letter
-            const groupObj = groupsData.find(g => g.name === group);
-            if (groupObj && !code.startsWith(groupObj.code + '.')) {
-                alert(`Standard code must start with group code (${groupObj.code})`);
-                return;
-            }
-        }
-        
-        // Check for duplicate code if adding new standard
-        if (!isEdit) {
-            const isDuplicate = standardsData.some(s => s.code === code);
-            if (isDuplicate) {
-                alert(`Standard with code ${code} already exists`);
-                return;
-            }
-        }
-        
         // Calculate level based on code structure
         const level = Models.Standard.getLevel(code);
         console.log('Calculated level:', level);
@@ -1016,6 +1105,7 @@ function showStandardForm(standard = null) {
                 standardsData[index].group = group;
                 standardsData[index].parent_code = parentCode;
                 standardsData[index].level = level;
+                standardsData[index].applies_to = appliesTo;
                 
                 // Only change code if it's actually different
                 if (codeChanged) {
@@ -1072,7 +1162,8 @@ function showStandardForm(standard = null) {
                 group,
                 parent_code: parentCode,
                 children: [],
-                level
+                level,
+                applies_to: appliesTo
             };
             
             console.log('Adding new standard:', newStandard);
@@ -1103,7 +1194,9 @@ function showStandardForm(standard = null) {
         }
         
         // Save to storage
-        Storage.save('standards', standardsData);
+        Undo.record(`${isEdit ? 'Edit' : 'Add'} standard ${code}`, ['standards'], () => {
+            Storage.save('standards', standardsData);
+        });
         console.log('Saved standardsData:', standardsData);
         
         // Close modal and refresh the view
@@ -1114,35 +1207,23 @@ function showStandardForm(standard = null) {
 }
 
 /**
- * Validate a standard code format
+ * Validate a standard code against its group's code template
  * @param {string} code - Code to validate
  * @param {string} parentCode - Parent code (if any)
  * @param {string} groupName - Group name (if any)
  * @returns {boolean} - True if valid
  */
 function validateStandardCode(code, parentCode, groupName) {
-    // Basic pattern check - allow any format with letters, numbers and dots
-    // But require at least one letter followed by numbers separated by dots
-    if (!/^[A-Z](\.[0-9]+)+$/.test(code)) {
-        alert('Standard code must follow the pattern: Letter.Number or Parent.Number (example: A.1 or A.1.2)');
-        return false;
-    }
-    
-    // If has parent, check that code starts with parent code
-    if (parentCode && !code.startsWith(parentCode + '.')) {
-        alert(`Child standard code must start with parent code (${parentCode}.)`);
+    const group = groupsData.find(g => g.name === groupName);
+    const problem = Codes.validate(code, {
+        template: group ? Codes.templateOf(group) : Codes.templateForCode(parentCode || code, groupsData),
+        groupCode: group && !parentCode ? group.code : null,
+        parentCode: parentCode || null
+    });
+    if (problem) {
+        alert(problem);
         return false;
     }
-    
-    // If in a group, check that code starts with group code (only for top-level standards)
-    if (groupName && !parentCode) {
-        const group = groupsData.find(g => g.name === groupName);
-        if (group && group.code && !code.startsWith(group.code)) {
-            alert(`Top-level standard code must start with group code (${group.code})`);
-            return false;
-        }
-    }
-    
     return true;
 }
 
@@ -1152,20 +1233,7 @@ function validateStandardCode(code, parentCode, groupName) {
  * @returns {string} - Suggested standard code
  */
 function suggestGroupStandardCode(groupCode) {
-    // Find all standards in this group
-    const groupStandards = standardsData.filter(s => {
-        const parts = s.code.split('.');
-        return parts[0] === groupCode && parts.length === 2;
-    });
-    
-    // Find highest number
-    const maxNumber = Math.max(0, ...groupStandards.map(s => {
-        const parts = s.code.split('.');
-        return parseInt(parts[1], 10);
-    }));
-    
-    // Next number
-    return `${groupCode}.${maxNumber + 1}`;
+    return Models.Standard.generateNewCode(standardsData, null, groupCode, groupsData);
 }
 
 /**
@@ -1175,12 +1243,13 @@ function suggestGroupStandardCode(groupCode) {
  */
 function updateChildrenCodes(oldParentCode, newParentCode) {
     Logger.log(`Updating child codes: ${oldParentCode} -> ${newParentCode}`);
+    const separator = Codes.templateForCode(newParentCode, groupsData).separator || '.';
     
     // Find all standards with the old parent as a prefix in their code
     standardsData.forEach(standard => {
-        if (standard.code.startsWith(oldParentCode + '.')) {
+        if (standard.code.startsWith(oldParentCode + separator)) {
             // Replace the prefix with the new parent code
-            const newCode = standard.code.replace(oldParentCode, newParentCode);
+            const newCode = Codes.rebase(standard.code, oldParentCode, newParentCode);
             
             Logger.log(`Updating child code: ${standard.code} -> ${newCode}`);
             
@@ -1221,6 +1290,9 @@ function showGroupForm(group = null) {
         group.code = Models.Group.generateNextCode(groupsData);
     }
     
+    const templates = Codes.getTemplates();
+    const originalTemplate = Codes.templateOf(group, templates);
+    
     // Create modal backdrop
     const backdrop = document.createElement('div');
     backdrop.className = 'modal-backdrop';
@@ -1235,20 +1307,31 @@ function showGroupForm(group = null) {
             <button class="modal-close">×</button>
         </div>
         <div class="modal-body">
-            <form id="group-form">
+            <form id="group-form" novalidate>
                 <div class="form-group">
                     <label for="group-name">Group Name:</label>
                     <input type="text" id="group-name" value="${group.name || ''}" required>
                 </div>
                 <div class="form-group">
-                    <label for="group-code">Group Code (A-Z):</label>
-                    <input type="text" id="group-code" value="${group.code || ''}" pattern="^[A-Z]$" required>
-                    <small>Single uppercase letter (A-Z)</small>
+                    <label for="group-code-template">Code Template:</label>
+                    <select id="group-code-template">
+                        ${templates.map(template => `<option value="${template.id}" ${template.id === originalTemplate.id ? 'selected' : ''}>${template.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="group-code">Group Code:</label>
+                    <input type="text" id="group-code" value="${group.code || ''}" required>
+                    <small id="group-code-hint"></small>
                 </div>
                 <div class="form-group">
                     <label for="group-description">Description:</label>
                     <textarea id="group-description">${group.description || ''}</textarea>
                 </div>
+                <div class="form-group">
+                    <label>Applies To:</label>
+                    <div id="group-applies-to" class="applicability-editor"></div>
+                    <small>Every standard in the group follows these conditions</small>
+                </div>
                 <div class="form-group">
                     <label for="group-color">Color:</label>
                     <input type="color" id="group-color" value="${group.color || '#ffffff'}">
@@ -1282,6 +1365,23 @@ function showGroupForm(group = null) {
     `;
     
     document.body.appendChild(modal);
+    Applicability.renderEditor(modal.querySelector('#group-applies-to'), group.applies_to || []);
+    
+    // Describe the codes of the chosen template, and suggest a fitting code for a new group
+    const templateSelect = modal.querySelector('#group-code-template');
+    const codeInput = modal.querySelector('#group-code');
+    function updateCodeHint() {
+        const template = Codes.getTemplate(templateSelect.value, templates);
+        if (!isEdit && !Codes.isValidGroupCode(codeInput.value.trim().toUpperCase(), template)) {
+            codeInput.value = Models.Group.generateNextCode(groupsData, template);
+        }
+        const code = codeInput.value.trim().toUpperCase();
+        modal.querySelector('#group-code-hint').textContent = `Group code: ${Codes.describeGroupCode(template)}. ` +
+            `Standard codes look like ${Codes.example(template, Codes.isValidGroupCode(code, template) ? code : undefined)}`;
+    }
+    templateSelect.addEventListener('change', updateCodeHint);
+    codeInput.addEventListener('input', updateCodeHint);
+    updateCodeHint();
     
     // Add event listeners
     modal.querySelector('.modal-close').addEventListener('click', closeModal);
@@ -1302,51 +1402,67 @@ function showGroupForm(group = null) {
         const code = document.getElementById('group-code').value.trim().toUpperCase();
         const description = document.getElementById('group-description').value.trim();
         const color = document.getElementById('group-color').value;
-        
-        // Validate code format
-        if (!/^[A-Z]$/.test(code)) {
-            alert('Group code must be a single uppercase letter (A-Z)');
-            return;
-        }
-        
-        // Check if code is already in use (unless it's the same group being edited)
-        if (!isEdit || code !== group.code) {
-            const existingGroup = groupsData.find(g => g.code === code);
-            if (existingGroup) {
-                alert(`Group code '${code}' is already in use. Please choose another.`);
-                return;
-            }
-        }
+        const codeTemplate = templateSelect.value;
         
         // Create or update group
         const updatedGroup = {
             name: name,
             code: code,
+            code_template: codeTemplate,
             description: description,
             color: color,
-            collapsed: isEdit ? group.collapsed : false
+            collapsed: isEdit ? group.collapsed : false,
+            applies_to: Applicability.readEditor(modal.querySelector('#group-applies-to'))
         };
         
-        if (isEdit) {
-            // When editing a group, also update all standards in that group
-            // if the group code has changed
-            if (code !== group.code) {
-                // Update standard codes
-                updateStandardCodesForGroup(group.name, group.code, code);
-            }
-            
-            // Update the group in groupsData
-            const groupIndex = groupsData.findIndex(g => g.name === group.name);
-            if (groupIndex !== -1) {
-                groupsData[groupIndex] = updatedGroup;
-            }
-        } else {
-            // Add new group
-            groupsData.push(updatedGroup);
+        // Validate against the other groups and show any problems next to the fields
+        const errors = Validate.group(updatedGroup, {
+            existing: groupsData.filter(g => !isEdit || g.name !== group.name)
+        });
+        if (errors.length > 0) {
+            Validate.showErrors(document.getElementById('group-form'), errors, {
+                name: '#group-name',
+                code: '#group-code',
+                description: '#group-description',
+                color: '#group-color'
+            });
+            return;
         }
         
-        // Save groups
-        Storage.save('groups', groupsData);
+        // A new template rewrites every code in the group, so ask first
+        const templateChanged = isEdit && codeTemplate !== originalTemplate.id;
+        const groupStandards = isEdit ? standardsData.filter(s => s.group === group.name).length : 0;
+        if (templateChanged && groupStandards > 0 &&
+            !confirm(`Changing the code template renumbers the ${groupStandards} standards in ${group.name} to the new format. Continue?`)) {
+            return;
+        }
+        
+        Undo.record(`${isEdit ? 'Edit' : 'Add'} group ${name}`, ['groups', ...CODE_CHANGE_KEYS], () => {
+            if (isEdit) {
+                // When editing a group, also update all standards in that group
+                // if the group code or its template has changed
+                if (templateChanged && groupStandards > 0) {
+                    const renamedGroup = { ...updatedGroup, name: group.name };
+                    applyCodeChanges(Codes.renumber(standardsData, renamedGroup, originalTemplate), Codes.templateOf(renamedGroup));
+                    Storage.save('standards', standardsData);
+                } else if (code !== group.code) {
+                    // Update standard codes
+                    updateStandardCodesForGroup(group.name, group.code, code);
+                }
+                
+                // Update the group in groupsData
+                const groupIndex = groupsData.findIndex(g => g.name === group.name);
+                if (groupIndex !== -1) {
+                    groupsData[groupIndex] = updatedGroup;
+                }
+            } else {
+                // Add new group
+                groupsData.push(updatedGroup);
+            }
+            
+            // Save groups
+            Storage.save('groups', groupsData);
+        });
         Logger.log(`${isEdit ? 'Updated' : 'Added'} group: ${name} (${code})`);
         
         // Close modal and refresh view
@@ -1360,6 +1476,264 @@ function showGroupForm(group = null) {
     }
 }
 
+/**
+ * Render a note of who a standard or group applies to, if it has conditions
+ * @param {Object} record - Standard or group
+ * @returns {string} - HTML (empty when it applies to all staff)
+ */
+function renderAppliesTo(record) {
+    if (!Array.isArray(record.applies_to) || record.applies_to.length === 0) return '';
+    return `<div class="applies-to-note" title="Applicability">Applies to: ${Applicability.describe(record.applies_to)}</div>`;
+}
+
+/**
+ * Compare standard codes in hierarchy order, following each group's code template
+ * @param {string} a - Code
+ * @param {string} b - Code
+ * @returns {number} - Sort order
+ */
+function compareCodes(a, b) {
+    if (!codeComparator) {
+        codeComparator = Codes.comparator(groupsData);
+    }
+    return codeComparator(a, b);
+}
+
+/**
+ * Rename standards and everything that refers to them: parent links, child lists, achievement records,
+ * archived achievement records and the standards filters of saved charts.
+ * The caller saves the standards (inside its Undo.record, which must include CODE_CHANGE_KEYS).
+ * @param {Map<string, string>} changes - Old code -> new code
+ * @param {Object} template - Code template to read the new levels with (defaults to each code's group template)
+ */
+function applyCodeChanges(changes, template = undefined) {
+    if (changes.size === 0) return;
+    const rename = (code) => changes.get(code) || code;
+    
+    standardsData.forEach(standard => {
+        const renamed = changes.has(standard.code);
+        standard.code = rename(standard.code);
+        if (standard.parent_code) {
+            standard.parent_code = rename(standard.parent_code);
+        }
+        standard.children = (standard.children || []).map(rename);
+        if (renamed) {
+            standard.level = Models.Standard.getLevel(standard.code, template);
+        }
+    });
+    
+    // Achievement records, current and archived
+    ['assignments', Cascade.ARCHIVE_KEY].forEach(key => {
+        const records = Storage.load(key, []);
+        if (records.some(a => changes.has(a.standard_code))) {
+            Storage.save(key, records.map(a => changes.has(a.standard_code)
+                ? { ...a, standard_code: changes.get(a.standard_code) }
+                : a));
+        }
+    });
+    
+    // Saved-chart filters naming a renamed code (filter values are usually stored in lower case)
+    const lowerChanges = new Map([...changes].map(([from, to]) => [from.toLowerCase(), to]));
+    let chartsChanged = false;
+    const charts = Storage.load('saved_charts', []).map(chart => {
+        const filters = chart.filters && Array.isArray(chart.filters.standards) ? chart.filters.standards : null;
+        if (!filters || !filters.some(filter => lowerChanges.has(String(filter.value).toLowerCase()))) return chart;
+        chartsChanged = true;
+        return {
+            ...chart,
+            filters: {
+                ...chart.filters,
+                standards: filters.map(filter => {
+                    const value = String(filter.value);
+                    const renamed = lowerChanges.get(value.toLowerCase());
+                    if (!renamed) return filter;
+                    // Keep the filter's own case
+                    return { ...filter, value: value === value.toLowerCase() ? renamed.toLowerCase() : renamed };
+                })
+            }
+        };
+    });
+    if (chartsChanged) {
+        Storage.save('saved_charts', charts);
+    }
+    Logger.log(`Renamed ${changes.size} standard codes`);
+}
+
+/**
+ * Renumber a group's standards so every level runs 1, 2, 3... (or a, b, c...) in the group's code template
+ * @param {string} groupName - Group name
+ */
+function renumberGroup(groupName) {
+    const group = groupsData.find(g => g.name === groupName);
+    if (!group) return;
+    
+    const changes = Codes.renumber(standardsData, group);
+    if (changes.size === 0) {
+        alert(`The standards in ${groupName} are already numbered in order.`);
+        return;
+    }
+    const examples = [...changes].slice(0, 5).map(([from, to]) => `${from} → ${to}`).join('\n');
+    if (!confirm(`Renumber ${changes.size} standards in ${groupName}? Achievement records follow their standards.\n\n${examples}${changes.size > 5 ? '\n...' : ''}`)) {
+        return;
+    }
+    
+    Snapshots.take(`Before renumbering group ${groupName}`);
+    Undo.record(`Renumber group ${groupName}`, CODE_CHANGE_KEYS, () => {
+        applyCodeChanges(changes, Codes.templateOf(group));
+        Storage.save('standards', standardsData);
+    });
+    renderStandards();
+}
+
+/**
+ * Show the code template editor: the formats groups can give their standard codes
+ */
+function showCodeTemplates() {
+    let templates = Codes.getTemplates().map(template => ({ ...template, segments: [...template.segments] }));
+    
+    // Create modal backdrop
+    const backdrop = document.createElement('div');
+    backdrop.className = 'modal-backdrop';
+    document.body.appendChild(backdrop);
+    
+    // Create modal content
+    const modal = document.createElement('div');
+    modal.className = 'page-modal code-templates-modal';
+    modal.innerHTML = `
+        <div class="modal-header">
+            <h2>Code Templates</h2>
+            <button class="modal-close">×</button>
+        </div>
+        <div class="modal-body">
+            <p class="help-text">A template sets how a group's standard codes are written: a fixed prefix, the group code,
+                the separator after it, the separator between levels and whether each level uses numbers or letters
+                (the last level's kind repeats for deeper levels). Choose a group's template in its Edit form.</p>
+            <div id="code-templates-list"></div>
+            <div class="form-actions mt-1">
+                <button type="button" id="add-code-template" class="button button-secondary">Add Template</button>
+                <button type="button" id="save-code-templates" class="button">Save</button>
+                <button type="button" id="cancel-code-templates" class="button button-secondary">Cancel</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    
+    const list = modal.querySelector('#code-templates-list');
+    
+    function render() {
+        list.innerHTML = templates.map((template, index) => {
+            const builtIn = template.id === Codes.DEFAULT_TEMPLATE.id;
+            const used = groupsData.filter(g => Codes.templateOf(g, templates).id === template.id).map(g => g.name);
+            const disabled = builtIn ? 'disabled' : '';
+            return `
+                <fieldset class="code-template" data-index="${index}">
+                    <legend>${template.name}${builtIn ? ' (built in)' : ''}</legend>
+                    <div class="code-template-fields">
+                        <label>Name <input type="text" data-field="name" value="${template.name}" ${disabled}></label>
+                        <label>Prefix <input type="text" data-field="prefix" value="${template.prefix || ''}" size="4" ${disabled}></label>
+                        <label>Group code
+                            <select data-field="groupCode" ${disabled}>
+                                <option value="letter" ${template.groupCode !== 'letters' ? 'selected' : ''}>One letter (A)</option>
+                                <option value="letters" ${template.groupCode === 'letters' ? 'selected' : ''}>Up to 4 letters (TS)</option>
+                            </select>
+                        </label>
+                        <label>After group code <input type="text" data-field="groupSeparator" value="${template.groupSeparator || ''}" size="2" ${disabled}></label>
+                        <label>Between levels <input type="text" data-field="separator" value="${template.separator}" size="2" ${disabled}></label>
+                        <label>Number digits <input type="number" data-field="pad" value="${template.pad || 0}" min="0" max="4" ${disabled}></label>
+                    </div>
+                    <div class="code-template-levels">
+                        ${template.segments.map((kind, level) => `
+                            <label>Level ${level + 1}
+                                <select data-level="${level}" ${disabled}>
+                                    ${Object.entries(Codes.SEGMENT_KINDS).map(([value, label]) => `<option value="${value}" ${value === kind ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
+                        ${builtIn ? '' : `
+                            <button type="button" class="button button-small add-level">Add Level</button>
+                            ${template.segments.length > 1 ? '<button type="button" class="button button-small remove-level">Remove Level</button>' : ''}
+                        `}
+                    </div>
+                    <div class="code-template-footer">
+                        <span>Example: <strong>${Codes.example(template)}</strong></span>
+                        <span>${used.length > 0 ? `Used by ${used.join(', ')}` : 'Not used'}</span>
+                        ${builtIn || used.length > 0 ? '' : '<button type="button" class="button button-small button-danger delete-template">Delete</button>'}
+                    </div>
+                </fieldset>
+            `;
+        }).join('');
+    }
+    render();
+    
+    function closeModal() {
+        document.body.removeChild(backdrop);
+        document.body.removeChild(modal);
+    }
+    
+    // Keep the edited values and refresh the examples
+    list.addEventListener('change', (e) => {
+        const fieldset = e.target.closest('.code-template');
+        if (!fieldset) return;
+        const template = templates[Number(fieldset.dataset.index)];
+        if (e.target.dataset.level !== undefined) {
+            template.segments[Number(e.target.dataset.level)] = e.target.value;
+        } else if (e.target.dataset.field === 'pad') {
+            template.pad = Math.max(0, Math.min(4, parseInt(e.target.value, 10) || 0));
+        } else if (e.target.dataset.field) {
+            template[e.target.dataset.field] = e.target.dataset.field === 'name' ? e.target.value.trim() : e.target.value;
+        }
+        render();
+    });
+    
+    list.addEventListener('click', (e) => {
+        const fieldset = e.target.closest('.code-template');
+        if (!fieldset) return;
+        const index = Number(fieldset.dataset.index);
+        if (e.target.classList.contains('add-level')) {
+            templates[index].segments.push(templates[index].segments[templates[index].segments.length - 1]);
+        } else if (e.target.classList.contains('remove-level')) {
+            templates[index].segments.pop();
+        } else if (e.target.classList.contains('delete-template')) {
+            templates = templates.filter((_, i) => i !== index);
+        } else {
+            return;
+        }
+        render();
+    });
+    
+    modal.querySelector('#add-code-template').addEventListener('click', () => {
+        templates.push({
+            ...Codes.DEFAULT_TEMPLATE,
+            id: `template-${Date.now()}`,
+            name: `Template ${templates.length}`,
+            segments: [...Codes.DEFAULT_TEMPLATE.segments]
+        });
+        render();
+    });
+    
+    modal.querySelector('.modal-close').addEventListener('click', closeModal);
+    modal.querySelector('#cancel-code-templates').addEventListener('click', closeModal);
+    modal.querySelector('#save-code-templates').addEventListener('click', () => {
+        const problem = templates.map(template => {
+            if (!template.name) return 'Every template needs a name.';
+            if (!template.separator) return `${template.name}: levels need a separator.`;
+            if (/[A-Za-z0-9]/.test(template.separator + (template.groupSeparator || ''))) {
+                return `${template.name}: separators cannot be letters or digits.`;
+            }
+            return null;
+        }).find(Boolean);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        
+        // Existing codes are left as they are; use Renumber on a group to rewrite them in a changed format
+        Undo.record('Edit code templates', [Codes.KEY], () => Codes.saveTemplates(templates));
+        closeModal();
+        renderStandards();
+    });
+}
+
 /**
  * Handle adding a new standard
  */
@@ -1408,35 +1782,43 @@ function handleEditStandard(event) {
  * @param {Event} event - Click event
  */
 function handleDeleteStandard(event) {
-    const code = event.currentTarget.dataset.code;
+    confirmDeleteStandard(event.currentTarget.dataset.code);
+}
+
+/**
+ * Show what deleting a standard removes (sub-standards, achievement records, saved-chart filters) and delete it on confirmation
+ * @param {string} code - Code of standard to delete
+ */
+function confirmDeleteStandard(code) {
     const standard = standardsData.find(s => s.code === code);
     
     if (!standard) return;
     
-    // Check if standard has children
-    if (standard.children && standard.children.length > 0) {
-        const childrenCount = standard.children.length;
-        if (!confirm(`Standard ${code} has ${childrenCount} sub-standards. Deleting it will also delete all its sub-standards. Continue?`)) {
-            return;
-        }
-        
-        // Delete recursively
-        deleteStandardAndDescendants(code);
-    } else {
-        // Simple delete for standards without children
-        if (!confirm(`Are you sure you want to delete standard ${code}?`)) {
-            return;
-        }
-        
-        deleteStandard(code);
-    }
+    const impact = Cascade.impact({ standardCodes: [code] });
     
-    // Save to storage
-    Storage.save('standards', standardsData);
-    Logger.log(`Deleted standard ${code}`);
-    
-    // Refresh view
-    renderStandards();
+    Cascade.confirm({
+        title: 'Delete Standard',
+        message: `Are you sure you want to delete standard ${code}${standard.name ? `: ${standard.name}` : ''}?`,
+        impact,
+        onConfirm: (mode) => {
+            if (impact.subStandards.length > 0 || impact.assignments.length > 0) {
+                Snapshots.take(`Before deleting standard ${code}${impact.subStandards.length > 0 ? ' and its sub-standards' : ''}`);
+            }
+            
+            // The impact includes every descendant
+            impact.standardCodes.forEach(deleteStandard);
+            
+            // Save to storage
+            Undo.record(`Delete standard ${code}`, ['standards', ...Cascade.KEYS], () => {
+                Storage.save('standards', standardsData);
+                Cascade.apply(impact, mode, `Standard ${code} deleted`);
+            });
+            Logger.log(`Deleted standard ${code}`, { subStandards: impact.subStandards.length, assignments: impact.assignments.length, mode });
+            
+            // Refresh view
+            renderStandards();
+        }
+    });
 }
 
 /**
@@ -1460,27 +1842,6 @@ function deleteStandard(code) {
     standardsData = standardsData.filter(s => s.code !== code);
 }
 
-/**
- * Delete a standard and all its descendants recursively
- * @param {string} code - Code of standard to delete
- */
-function deleteStandardAndDescendants(code) {
-    const standard = standardsData.find(s => s.code === code);
-    
-    if (!standard) return;
-    
-    // First delete all children recursively
-    if (standard.children && standard.children.length > 0) {
-        // Create a copy to avoid modification during iteration
-        [...standard.children].forEach(childCode => {
-            deleteStandardAndDescendants(childCode);
-        });
-    }
-    
-    // Then delete the standard itself
-    deleteStandard(code);
-}
-
 /**
  * Handle creating the first group
  */
@@ -1601,39 +1962,48 @@ function handleManageGroups() {
     modal.querySelectorAll('.delete-group').forEach(button => {
         button.addEventListener('click', (event) => {
             const name = event.currentTarget.dataset.name;
-            
-            // Check if group has standards
-            const groupStandards = standardsData.filter(s => s.group === name);
-            
-            if (groupStandards.length > 0) {
-                alert(`Cannot delete group "${name}" because it contains ${groupStandards.length} standards. Please reassign or delete those standards first.`);
-                return;
-            }
-            
-            if (confirm(`Are you sure you want to delete group "${name}"?`)) {
-                // Remove from data
-                groupsData = groupsData.filter(g => g.name !== name);
+            const impact = Cascade.impact({ groupNames: [name] });
+            
+            Cascade.confirm({
+                title: 'Delete Group',
+                message: `Are you sure you want to delete group "${name}"?`,
+                impact,
+                onConfirm: (mode) => {
+                    if (impact.standardCodes.length > 0) {
+                        Snapshots.take(`Before deleting group ${name} and its standards`);
+                    }
                 
-                // Save to storage
-                Storage.save('groups', groupsData);
-                Logger.log(`Deleted group ${name}`);
+                    // Remove from data, with the group's standards and their sub-standards
+                    groupsData = groupsData.filter(g => g.name !== name);
+                    impact.standardCodes.forEach(deleteStandard);
                 
-                // Refresh groups table
-                const row = tbody.querySelector(`tr[data-name="${name}"]`);
-                if (row) {
-                    tbody.removeChild(row);
-                }
+                    // Save to storage
+                    Undo.record(`Delete group ${name}`, ['groups', 'standards', ...Cascade.KEYS], () => {
+                        Storage.save('groups', groupsData);
+                        if (impact.standardCodes.length > 0) {
+                            Storage.save('standards', standardsData);
+                        }
+                        Cascade.apply(impact, mode, `Group ${name} deleted`);
+                    });
+                    Logger.log(`Deleted group ${name}`, { standards: impact.standardCodes.length, assignments: impact.assignments.length, mode });
                 
-                // If no more groups, show empty message
-                if (groupsData.length === 0) {
-                    const emptyRow = document.createElement('tr');
-                    emptyRow.innerHTML = '<td colspan="4" class="text-center">No groups defined.</td>';
-                    tbody.appendChild(emptyRow);
-                }
+                    // Refresh groups table
+                    const row = tbody.querySelector(`tr[data-name="${name}"]`);
+                    if (row) {
+                        tbody.removeChild(row);
+                    }
                 
-                // Refresh main view
-                renderStandards();
-            }
+                    // If no more groups, show empty message
+                    if (groupsData.length === 0) {
+                        const emptyRow = document.createElement('tr');
+                        emptyRow.innerHTML = '<td colspan="4" class="text-center">No groups defined.</td>';
+                        tbody.appendChild(emptyRow);
+                    }
+                
+                    // Refresh main view
+                    renderStandards();
+                }
+            });
         });
     });
 }
@@ -1925,27 +2295,7 @@ function isDescendantOf(potentialAncestorCode, descendantCode) {
  * @returns {string} - Suggested code for child
  */
 function suggestChildCode(parentCode) {
-    // Get all existing child codes for this parent
-    const parent = standardsData.find(s => s.code === parentCode);
-    if (!parent) return parentCode + '.1'; // Default to parent.1 if parent not found
-    
-    const existingChildren = parent.children || [];
-    const childStandards = existingChildren.map(code => standardsData.find(s => s.code === code)).filter(Boolean);
-    
-    if (childStandards.length === 0) {
-        // First child - use parent code plus .1
-        return parentCode + '.1';
-    }
-    
-    // Find highest number among children
-    const lastSegments = childStandards.map(child => {
-        const parts = child.code.split('.');
-        const lastPart = parts[parts.length - 1];
-        return isNaN(lastPart) ? 0 : parseInt(lastPart, 10);
-    });
-    
-    const maxNumber = Math.max(0, ...lastSegments);
-    return `${parentCode}.${maxNumber + 1}`;
+    return Models.Standard.generateNewCode(standardsData, parentCode, null, groupsData);
 }
 
 /**
@@ -1975,7 +2325,7 @@ function getStandardsWithDescendants(standards, level = 0, parentCode = null) {
     console.log(`Current level standards (${level}):`, currentLevelStandards);
     
     // Sort by code
-    const sortedStandards = [...currentLevelStandards].sort((a, b) => a.code.localeCompare(b.code));
+    const sortedStandards = [...currentLevelStandards].sort((a, b) => compareCodes(a.code, b.code));
     
     // Add each standard and its descendants
     sortedStandards.forEach(standard => {
@@ -2178,13 +2528,20 @@ function isAnyParentCollapsedExcept(standardCode, excludeParentCode = null) {
  * @param {string} newCode - New code of the group
  */
 function updateStandardCodesForGroup(groupName, oldCode, newCode) {
+    const group = groupsData.find(g => g.name === groupName);
+    const template = Codes.templateOf(group);
+    const oldStart = Codes.format(template, oldCode, []);
+    const newStart = Codes.format(template, newCode, []);
+    
+    // Rename through applyCodeChanges so achievement records, archives and saved charts follow their standards
+    const changes = new Map();
     standardsData.forEach(standard => {
         if (standard.group === groupName) {
-            if (standard.code.startsWith(oldCode)) {
-                standard.code = newCode + standard.code.slice(oldCode.length);
-            }
+            const renamed = Codes.rebase(standard.code, oldStart, newStart);
+            if (renamed !== standard.code) changes.set(standard.code, renamed);
         }
     });
+    applyCodeChanges(changes, template);
     
     // Save to storage
     Storage.save('standards', standardsData);
@@ -2361,9 +2718,7 @@ function renderStandardsTree(highlightCode = null) {
         );
         
         // Sort standards by code
-        const sortedStandards = [...topLevelStandards].sort((a, b) => 
-            (a.code || '').localeCompare(b.code || '')
-        );
+        const sortedStandards = [...topLevelStandards].sort((a, b) => compareCodes(a.code, b.code));
         
         if (group.collapsed && !shouldExpandGroup) {
             standardsList.style.display = 'none';
@@ -2413,9 +2768,7 @@ function renderStandardsTree(highlightCode = null) {
         standardsList.className = 'tree-children';
         
         // Sort ungrouped standards by code
-        const sortedUngrouped = [...ungroupedStandards].sort((a, b) => 
-            (a.code || '').localeCompare(b.code || '')
-        );
+        const sortedUngrouped = [...ungroupedStandards].sort((a, b) => compareCodes(a.code, b.code));
         
         // Add ungrouped standards
         sortedUngrouped.forEach(standard => {
@@ -2637,7 +2990,9 @@ function createStandardTreeItem(standard, highlightCode = null, standardsMap = {
             }
             
             // Save to storage
-            Storage.save('standards', standardsData);
+            Undo.record(`Add sub-standard ${childStandard.code}`, ['standards'], () => {
+                Storage.save('standards', standardsData);
+            });
             
             // Refresh view
             renderStandards(childStandard.code);
@@ -2656,38 +3011,18 @@ function createStandardTreeItem(standard, highlightCode = null, standardsMap = {
     deleteButton.addEventListener('click', (e) => {
         e.stopPropagation();
         
-        if (confirm(`Are you sure you want to delete the standard "${standard.code}: ${standard.name}"?`)) {
-            // Check if it has children
-            if (hasChildren) {
-                if (confirm(`This standard has ${childrenCodes.length} child standard(s). Delete all descendants as well?`)) {
-                    deleteStandardAndDescendants(standard.code);
-                    renderStandards();
-                }
-            } else {
-                // Delete the standard
-                deleteStandard(standard.code);
-                renderStandards();
-            }
-        }
+        confirmDeleteStandard(standard.code);
     });
     actionsSpan.appendChild(deleteButton);
     
     itemContent.appendChild(actionsSpan);
     item.appendChild(itemContent);
     
-    // Add click event to show this standard in the main view
+    // Add click event to show this standard in the main view (and in the URL, so it can be linked to and Back returns
+    // to the previous one)
     itemContent.addEventListener('click', () => {
-        // Find the standard's row in the main view and scroll to it
-        const standardRow = document.querySelector(`tr[data-code="${standard.code}"]`);
-        if (standardRow) {
-            standardRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            standardRow.classList.add('highlight-row');
-            
-            // Remove highlight after a short delay
-            setTimeout(() => {
-                standardRow.classList.remove('highlight-row');
-            }, 2000);
-        }
+        scrollToStandard(standard.code);
+        Router.pushParams({ path: standard.code });
     });
     
     // Add child standards if any exist
@@ -2697,7 +3032,7 @@ function createStandardTreeItem(standard, highlightCode = null, standardsMap = {
         childrenContainer.style.display = shouldExpandChildren ? '' : 'none';
         
         // Sort child codes to ensure consistent order
-        const sortedChildrenCodes = [...childrenCodes].sort((a, b) => a.localeCompare(b));
+        const sortedChildrenCodes = [...childrenCodes].sort(compareCodes);
         
         // Add each child recursively
         sortedChildrenCodes.forEach(childCode => {
@@ -2870,7 +3205,9 @@ function moveStandardToGroup(standard, group) {
     }
     
     // Save to storage
-    Storage.save('standards', standardsData);
+    Undo.record(`Move standard ${oldCode} to group ${group.name}`, ['standards'], () => {
+        Storage.save('standards', standardsData);
+    });
     
     // Refresh the view
     renderStandards(standard.code);
@@ -2927,7 +3264,9 @@ function moveStandardToParent(standard, parent) {
     }
     
     // Save to storage
-    Storage.save('standards', standardsData);
+    Undo.record(`Move standard ${oldCode} under ${parent.code}`, ['standards'], () => {
+        Storage.save('standards', standardsData);
+    });
     
     // Refresh the view
     renderStandards(standard.code);
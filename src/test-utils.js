@@ -1,50 +1,571 @@
 /**
  * Test file for utilities
+ * Run with npm test; exits with a non-zero code if any check fails
  */
 
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
 // Import refactored utilities
-import { Models, Storage, Validate, CommonUtils } from './utils/index.js';
+import { Models, Storage, Validate, CommonUtils, Migrations, Workspace, Snapshots, Undo, Audit, ErrorReporter, Integrity, Cascade, Scale, Assessments, Applicability, Codes, Router } from './utils/index.js';
+
+const failures = [];
+
+/**
+ * Record the outcome of a check
+ * @param {string} label - What is being checked
+ * @param {boolean} condition - True if the check passed
+ */
+const check = (label, condition) => {
+    console.log(`${condition ? 'PASS' : 'FAIL'}: ${label}`);
+    if (!condition) failures.push(label);
+};
+
+/**
+ * Compare two values by their JSON form
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Let pending background writes (e.g. audit entries) finish
+ * @returns {Promise} - Resolves on the next macrotask
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
 
 // Test Models
-console.log('Models loaded:', !!Models);
-console.log('Standard model:', !!Models.Standard);
+check('Models loaded', !!Models && !!Models.Standard);
 
 // Create a test standard
 const testStandard = Models.Standard.createDefault();
 testStandard.code = 'A.1';
 testStandard.name = 'Test Standard';
-console.log('Created standard:', testStandard);
+check('Standard.createDefault returns an editable standard', testStandard.code === 'A.1' && testStandard.name === 'Test Standard');
+
+// Test leavers: archived staff are hidden unless asked for, and need a leave date
+const roster = [{ id: 'S1', name: 'Current' }, { id: 'S2', name: 'Leaver', archived: true, leave_date: '2026-07-31', leave_reason: 'Retired' }];
+check('Staff.isLeaver is true only for archived staff', !Models.Staff.isLeaver(roster[0]) && Models.Staff.isLeaver(roster[1]));
+check('Staff.listed hides leavers by default', same(Models.Staff.listed(roster).map(s => s.id), ['S1']));
+check('Staff.listed includes leavers when asked', Models.Staff.listed(roster, true).length === 2);
+check('a leaver without a leave date is invalid', Validate.staff({ id: 'S3', name: 'No date', archived: true }, { skipRules: true })
+    .some(error => error.field === 'leave_date' && error.code === 'required'));
+
+// Test multi-valued staff fields: stored as lists, older comma-separated text still reads the same
+check('Staff.getValues splits comma-separated text', same(Models.Staff.getValues('Primary, Secondary'), ['Primary', 'Secondary']));
+check('Staff.getValues trims lists and drops blanks', same(Models.Staff.getValues([' Primary ', '']), ['Primary']));
+check('Staff.formatValue joins lists for display', Models.Staff.formatValue(['Year 7', 'Year 8']) === 'Year 7, Year 8' && Models.Staff.formatValue(null) === '');
+check('Staff.matchesValue matches one whole value, ignoring case', Models.Staff.matchesValue(['Primary', 'Secondary'], 'secondary') && !Models.Staff.matchesValue(['Primary'], 'Prim'));
+check('Staff.matchesValue matches part of the text when partial', Models.Staff.matchesValue('Jane Smith', 'smith', true));
+Storage.save('staff', [{ id: 'S1', name: 'Old', phase: 'Primary, Secondary', department: ['EAL'] }]);
+Migrations.list.find(migration => migration.version === 4).migrate();
+const migrated = Storage.load('staff', [])[0];
+check('the list migration converts comma-separated fields and keeps lists', same(migrated.phase, ['Primary', 'Secondary']) && same(migrated.department, ['EAL']));
+Storage.delete('staff');
 
 // Test Standard utility functions
-console.log('Standard level:', Models.Standard.getLevel('A.1.2'));
-console.log('Group letter:', Models.Standard.getGroupLetter('A.1.2'));
+check('Standard level of A.1.2 is 2', Models.Standard.getLevel('A.1.2') === 2);
+check('Group letter of A.1.2 is A', Models.Standard.getGroupLetter('A.1.2') === 'A');
+
+// Test Storage
+check('Storage.save returns the saved data', same(Storage.save('test-key', { test: 'data' }), { test: 'data' }));
+check('Storage.load returns the saved data', same(Storage.load('test-key', null), { test: 'data' }));
+check('Storage.load returns the default for a missing key', Storage.load('missing-key', 'fallback') === 'fallback');
+
+// Test schema migrations: data from before versioning is brought up to date once, with a backup taken first
+Storage.save('standards', [{ code: 'A' }, { code: 'A.1', parent_code: 'A' }]);
+Storage.save('staff', [{ id: 'S1', name: 'Old', year_group: 'Year7' }]);
+const migration = Migrations.run();
+check('migrations run from version 0 to the latest', migration.from === 0 && migration.to === Migrations.getLatestVersion() && !migration.error);
+check('the stored version is the latest', Migrations.getStoredVersion() === Migrations.getLatestVersion());
+const migratedStandards = Storage.load('standards', []);
+check('standards gain hierarchy fields', migratedStandards[0].parent_code === null && same(migratedStandards[0].children, ['A.1']) && migratedStandards[1].level === 1);
+check('year group labels are normalised', String(Storage.load('staff', [])[0].year_group) === 'Year 7');
+check('a second run has nothing to do', Migrations.run().applied.length === 0);
+check('restoreBackup puts back the data from before the run', Migrations.restoreBackup() && Storage.load('staff', [])[0].year_group === 'Year7' && Migrations.getStoredVersion() === 0);
+['standards', 'staff', 'schema_version', 'schema_migration_log', 'schema_backup'].forEach(key => Storage.delete(key));
+
+// Test workspace archives: validation, diff and merge by record identity, replace and merge restores
+const currentData = { staff: [{ id: 'T1', name: 'Ann' }, { id: 'T2', name: 'Ben' }] };
+const incomingData = { staff: [{ id: 'T2', name: 'Benjamin' }, { id: 'T3', name: 'Cat' }] };
+check('merge adds and updates records and removes none', same(Workspace.merge(currentData, incomingData).staff.map(s => s.name), ['Ann', 'Benjamin', 'Cat']));
+const staffDiff = Workspace.diff(currentData, incomingData).find(summary => summary.key === 'staff');
+check('diff counts added, removed and changed records', staffDiff.added === 1 && staffDiff.removed === 1 && staffDiff.changed === 1 && staffDiff.unchanged === 0);
+check('validate rejects files that are not workspace archives', Workspace.validate({ format: 'other' }).length === 1 && Workspace.parse('{').errors.length === 1);
+check('validate reports duplicate records', Workspace.validate({ format: Workspace.FORMAT, version: Workspace.VERSION, data: { staff: [{ id: 'T1' }, { id: 'T1' }] } })
+    .some(error => error.includes('duplicate')));
+Storage.save('staff', currentData.staff);
+const archive = Workspace.createArchive();
+check('createArchive includes the stored data', archive.format === Workspace.FORMAT && same(archive.data.staff, currentData.staff));
+check('a merge restore keeps records missing from the archive', Workspace.restore({ ...archive, data: incomingData }, 'merge') && Storage.load('staff', []).length === 3);
+check('a replace restore makes the archive the workspace', Workspace.restore(archive, 'replace') && same(Storage.load('staff', []), currentData.staff));
+check('an invalid archive is not restored', !Workspace.restore({ format: 'other' }) && Storage.load('staff', []).length === 2);
+
+// Test snapshots: newest first, limited in number, restorable as a whole or per data type
+const firstSnapshot = Snapshots.take('Before test edits');
+Storage.save('staff', [{ id: 'T9', name: 'Changed' }]);
+Storage.save('groups', [{ name: 'Teaching' }]);
+check('take stores a snapshot of the workspace', Snapshots.list()[0].id === firstSnapshot.id && same(firstSnapshot.data.staff, currentData.staff));
+check('diff shows what restoring a snapshot would change', Snapshots.diff(firstSnapshot).find(summary => summary.key === 'groups').removed === 1);
+check('restoring one data type leaves the others', Snapshots.restore(firstSnapshot.id, 'staff') && same(Storage.load('staff', []), currentData.staff)
+    && Storage.load('groups', []).length === 1);
+check('a restore is snapshotted first so it can be undone', Snapshots.list()[0].reason.startsWith('Before restoring') && Snapshots.list()[0].id !== firstSnapshot.id);
+check('restoring the workspace replaces every data type', Snapshots.restore(firstSnapshot.id) && Storage.load('groups', null) === null);
+check('takeDaily takes one snapshot a day', Snapshots.takeDaily() !== null && Snapshots.takeDaily() === null);
+Snapshots.setLimit(2);
+check('setLimit drops the oldest snapshots', Snapshots.list().length === 2 && !Snapshots.get(firstSnapshot.id));
+Snapshots.remove(Snapshots.list()[0].id);
+check('remove deletes a snapshot', Snapshots.list().length === 1);
+['staff', 'workspace_snapshots', 'snapshot_limit'].forEach(key => Storage.delete(key));
+
+// Test record collections (assignments are keyed by staff_id + standard_code)
+const diff = Storage.diffRecords('assignments',
+    [{ staff_id: 'S1', standard_code: 'A.1', status: 'Working Towards' }, { staff_id: 'S1', standard_code: 'A.2', status: 'Achieved' }],
+    [{ staff_id: 'S1', standard_code: 'A.1', status: 'Achieved' }, { staff_id: 'S2', standard_code: 'A.1', status: 'Achieved' }]);
+check('diffRecords finds added records', diff.added.length === 1 && diff.added[0].record.staff_id === 'S2' && diff.added[0].index === 1);
+check('diffRecords finds removed records', diff.removed.length === 1 && diff.removed[0].record.standard_code === 'A.2');
+check('diffRecords finds modified records', diff.modified.length === 1 && diff.modified[0].before.status === 'Working Towards' && diff.modified[0].after.status === 'Achieved');
+
+// Test change notifications: local changes to record keys carry the records that changed
+const events = [];
+const unsubscribe = Storage.subscribe('assignments', event => events.push(event));
+Storage.save('assignments', [{ staff_id: 'S1', standard_code: 'A.1', status: 'Working Towards' }]);
+check('subscribers are notified of saves', events.length === 1 && events[0].action === 'save' && events[0].remote === false);
+check('save events of record keys list the changed records', events[0].records.added.length === 1 && events[0].records.removed.length === 0);
+await Storage.putRecords('assignments', [{ staff_id: 'S1', standard_code: 'A.1', status: 'Achieved' }, { staff_id: 'S2', standard_code: 'A.1', status: 'Achieved' }]);
+check('putRecords updates and inserts records', same(Storage.load('assignments', []).map(record => record.status), ['Achieved', 'Achieved']));
+check('putRecords events list only the changed records', events.length === 2 && events[1].records.modified.length === 1 && events[1].records.added.length === 1);
+await Storage.deleteRecords('assignments', [{ staff_id: 'S1', standard_code: 'A.1' }]);
+check('deleteRecords removes only the given records', same(Storage.load('assignments', []).map(record => record.staff_id), ['S2']));
+Storage.delete('assignments');
+check('delete events of record keys list the removed records', events.length === 4 && events[3].action === 'delete' && events[3].records.removed.length === 1);
+unsubscribe();
+Storage.save('assignments', []);
+check('unsubscribed callbacks are not called', events.length === 4);
+Storage.delete('assignments');
+
+// Test undo/redo
+Storage.save('standards', [{ code: 'A.1', name: 'Planning' }]);
+Undo.record('Rename A.1', ['standards'], () => {
+    Storage.save('standards', [{ code: 'A.1', name: 'Planning lessons' }]);
+    Undo.record('Nested add', ['standards'], () => Storage.save('standards', [...Storage.load('standards', []), { code: 'A.2', name: 'Marking' }]));
+});
+check('nested commands are folded into one', Undo.getState().undo.length === 1);
+Undo.undo();
+check('undo restores the previous value', same(Storage.load('standards', []), [{ code: 'A.1', name: 'Planning' }]));
+Undo.redo();
+check('redo replays the command', Storage.load('standards', []).length === 2 && Storage.load('standards', [])[0].name === 'Planning lessons');
+Undo.clear();
+
+// An unrelated command run while an async one is pending is recorded on its own
+Storage.save('assignments', [{ staff_id: 'S1', standard_code: 'A.1', status: 'Working Towards' }]);
+let finishAsync;
+const asyncCommand = Undo.record('Save achievements', ['assignments', 'standards'], () => new Promise(resolve => { finishAsync = resolve; })
+    .then(() => Storage.putRecords('assignments', [{ staff_id: 'S1', standard_code: 'A.1', status: 'Achieved' }])));
+Undo.record('Add A.3', ['standards'], () => Storage.save('standards', [...Storage.load('standards', []), { code: 'A.3', name: 'Feedback' }]));
+finishAsync();
+await asyncCommand;
+check('commands run while an async command is pending are recorded separately', same(Undo.getState().undo.map(command => command.label), ['Save achievements', 'Add A.3']));
+Undo.undo();
+check('undoing the async command only reverts its own records', Storage.load('assignments', [])[0].status === 'Working Towards' && Storage.load('standards', []).length === 3);
+Undo.undo();
+check('undoing the unrelated command reverts it', Storage.load('standards', []).length === 2);
+Undo.clear();
+Storage.delete('assignments');
+Storage.delete('standards');
+
+// Test the audit trail
+Audit.start();
+Audit.setUser('Tester');
+Storage.save('staff', [{ id: 'S1', name: 'Ann', phase: 'Primary' }]);
+Storage.save('staff', [{ id: 'S1', name: 'Ann', phase: 'Secondary' }]);
+await settle();
+const staffEntries = Audit.list({ staffId: 'S1' });
+check('audit logs created records', staffEntries.some(entry => entry.action === 'create' && entry.entity_type === 'staff'));
+check('audit logs changed fields with old and new values', staffEntries.some(entry => entry.field === 'phase' && entry.old_value === 'Primary' && entry.new_value === 'Secondary' && entry.user === 'Tester'));
+await Storage.putRecords('assignments', [{ staff_id: 'S1', standard_code: 'A.1', status: 'Achieved' }]);
+await settle();
+check('audit logs achievement records from the change event', Audit.list({ entityType: 'assignment' }).length === 1);
+Array.from({ length: 30 }, (_, index) => Storage.save('staff', [{ id: 'S1', name: `Ann ${index}`, phase: 'Secondary' }]));
+await settle();
+check('audit never removes entries by itself', Audit.list().length === 33);
+const archived = Audit.entriesBefore(new Date(Date.now() + 60000));
+check('entriesBefore lists entries logged before a date', archived.length === 33);
+await Audit.removeEntries(archived.slice(0, 3));
+check('removeEntries removes only the given entries', Audit.list().length === 30);
+Storage.delete('assignments');
+Storage.delete('staff');
+await settle();
+
+// Test error capture: the banner shows error messages as text, never as markup
+const bannerMessage = { textContent: '' };
+const banner = {
+    innerHTML: '',
+    classList: { add: () => {}, remove: () => {} },
+    addEventListener: () => {},
+    querySelector: selector => (selector === '.error-banner-message' ? bannerMessage : null)
+};
+ErrorReporter.install({ banner, getRoute: () => 'masterlog' });
+const reported = ErrorReporter.report(new Error('<img src=x onerror=alert(1)>'), { source: 'test' });
+check('report records the message, route and context', reported.message === '<img src=x onerror=alert(1)>' && reported.route === 'masterlog' && reported.source === 'test');
+check('the banner markup does not include the error message', !banner.innerHTML.includes('<img'));
+check('the banner shows the error message as text', bannerMessage.textContent.includes('<img src=x onerror=alert(1)>'));
+ErrorReporter.dismiss();
+
+// Test Validation
+check('requiredString accepts a non-empty string', Validate.requiredString('Test', 'testField') === true);
+check('requiredString rejects an empty string', !Validate.requiredString('', 'testField'));
+
+// Test schema validation: errors carry the field, a code and a message
+const schemaContext = { existing: [{ id: 'S1', name: 'Ann' }], customClassifications: [], groups: [{ name: 'Teaching', code: 'A' }], standards: [{ code: 'A.1' }], staff: [{ id: 'S1' }] };
+const codesOf = errors => errors.map(error => `${error.field}:${error.code}`);
+check('a valid staff record has no errors', Validate.staff({ id: 'S2', name: 'Ben', phase: 'Primary' }, schemaContext).length === 0);
+check('missing required fields are reported', same(codesOf(Validate.staff({}, schemaContext)), ['id:required', 'name:required']));
+check('ids already in use are reported', same(codesOf(Validate.staff({ id: 'S1', name: 'Ann' }, schemaContext)), ['id:duplicate']));
+check('values outside the options are reported', same(codesOf(Validate.staff({ id: 'S2', name: 'Ben', phase: 'Primary, College' }, schemaContext)), ['phase:option']));
+check('values of the wrong type are reported', same(codesOf(Validate.staff({ id: 'S2', name: 42 }, schemaContext)), ['name:type']));
+check('errors have a readable message', Validate.staff({ id: 'S2' }, schemaContext)[0].message === 'Name is required');
+check('standard codes must follow the pattern', same(codesOf(Validate.standard({ code: 'a1', name: 'Planning' }, schemaContext)), ['code:format']));
+check('standard codes must start with the group code', same(codesOf(Validate.standard({ code: 'B.1', name: 'Planning', group: 'Teaching' }, schemaContext)), ['code:format']));
+check('references to missing records are reported', same(codesOf(Validate.assignment({ staff_id: 'S9', standard_code: 'A.1' }, schemaContext)), ['staff_id:reference']));
+check('achieved assignments need a date achieved', same(codesOf(Validate.assignment({ staff_id: 'S1', standard_code: 'A.1', achieved: true }, schemaContext)), ['date_achieved:required']));
+check('group colours must be hex colours', same(codesOf(Validate.group({ name: 'Leadership', code: 'B', color: 'blue' }, { existing: [] })), ['color:format']));
+check('records that are not objects are reported', Validate.staff(null)[0].code === 'type');
+
+// Test consistency rules (the defaults relate phase and year group)
+const rules = Validate.DEFAULT_RULES;
+check('checkRules accepts a year group allowed by the phase', Validate.checkRules({ phase: 'Primary', year_group: 'Year 3' }, rules).length === 0);
+const ruleErrors = Validate.checkRules({ phase: 'Primary', year_group: 'Year 3, Year 9' }, rules);
+check('checkRules reports a year group outside the phase on the year group', ruleErrors.length === 1 && ruleErrors[0].field === 'year_group' && ruleErrors[0].code === 'rule');
+check('checkRules combines the allowed values of several phases', Validate.checkRules({ phase: 'Primary, Secondary', year_group: 'Year 3, Year 9' }, rules).length === 0);
+check('ruleFixOptions offers the year groups of an edited phase',
+    same(Validate.ruleFixOptions({ phase: 'Foundation', year_group: 'Year 3' }, Validate.checkRules({ phase: 'Foundation', year_group: 'Year 3' }, rules)[0], 'phase', rules), { field: 'year_group', options: ['Reception'] }));
+check('ruleFixOptions offers the phases that allow an edited year group',
+    same(Validate.ruleFixOptions({ phase: 'Primary', year_group: 'Year 9' }, Validate.checkRules({ phase: 'Primary', year_group: 'Year 9' }, rules)[0], 'year_group', rules), { field: 'phase', options: ['Secondary'] }));
+check('findRuleViolations lists only records that break a rule', Validate.findRuleViolations([
+    { id: 'A', phase: 'Secondary', year_group: 'Year 10' },
+    { id: 'B', phase: 'Foundation', year_group: 'Year 1' }
+], rules).map(result => result.record.id).join() === 'B');
 
-// Test Storage with error handling
+// Test the data integrity check: issues are found, ordered by severity and repaired on a copy or in storage
+const brokenData = {
+    staff: [{ id: 'S1', name: 'Ann' }, { id: 'S1', name: 'Ann again' }],
+    groups: [{ name: 'Teaching', code: 'A' }],
+    standards: [
+        { code: 'A.1', group: 'Teaching', parent_code: null, children: ['A.1.1'], level: 1 },
+        { code: 'A.1.1', group: 'Teaching', parent_code: 'A.1', children: [], level: 3 },
+        { code: 'A.2', group: 'Teaching', parent_code: 'A.9', children: [], level: 1 }
+    ],
+    assignments: [{ staff_id: 'S9', standard_code: 'A.1' }, { staff_id: 'S1', standard_code: 'A.1' }]
+};
+const issues = Integrity.scan(brokenData);
+check('scan finds duplicates, orphans, missing parents and stale levels', same(issues.map(issue => issue.id).sort(),
+    ['duplicate:staff:S1', 'level:standards:A.1.1', 'orphan:assignments:staff-S9', 'parent:standards:A.2']));
+check('scan lists the most serious issues first', issues[0].severity === 'error' && issues[issues.length - 1].severity === 'info');
+const repairedData = Integrity.applyFixes(issues, brokenData);
+check('applyFixes repairs every issue', Integrity.scan(repairedData).length === 0 && repairedData.staff.length === 1 && repairedData.assignments.length === 1
+    && repairedData.standards.find(standard => standard.code === 'A.2').parent_code === null);
+check('applyFixes leaves the given data unchanged', brokenData.staff.length === 2 && brokenData.standards[1].level === 3);
+Object.entries(brokenData).forEach(([key, records]) => Storage.save(key, records));
+const levelIssue = issues.find(issue => issue.type === 'level');
+check('preview counts the records a repair changes', Integrity.preview([levelIssue]).find(summary => summary.key === 'standards').changed === 1);
+check('repair saves only the data it changed', same(Integrity.repair([levelIssue]), ['standards']) && Storage.load('standards', [])[1].level === 2);
+check('repaired issues are not found again', !Integrity.scan().some(issue => issue.type === 'level') && Integrity.scan().length === 3);
+Object.keys(brokenData).forEach(key => Storage.delete(key));
+
+// Test delete cascades: sub-standards and achievement records follow a deleted standard
+Storage.save('standards', [
+    { code: 'A', name: 'Planning' },
+    { code: 'A.1', name: 'Lesson plans', parent_code: 'A' },
+    { code: 'B', name: 'Assessment' }
+]);
+Storage.save('assignments', [
+    { staff_id: 'S1', standard_code: 'A.1', achieved: true },
+    { staff_id: 'S1', standard_code: 'B', achieved: false }
+]);
+Storage.save('saved_charts', [{ id: 'chart-1', filters: { standards: [{ value: 'planning', mode: 'include' }] } }]);
+const impact = Cascade.impact({ standardCodes: ['A'] });
+check('impact includes sub-standards', same(impact.subStandards, ['A.1']));
+check('impact counts the achievement records and charts involved', impact.assignments.length === 1 && impact.achieved === 1 && impact.savedCharts.length === 1);
+Cascade.apply(impact, 'archive', 'Standard retired');
+check('archiving moves the achievement records out of assignments', same(Storage.load('assignments', []).map(a => a.standard_code), ['B']));
+const archivedRecords = Storage.load('archived_assignments', []);
+check('archived records keep the reason', archivedRecords.length === 1 && archivedRecords[0].archive_reason === 'Standard retired' && Boolean(archivedRecords[0].archived_at));
+check('filters naming the deleted standard are removed from saved charts', same(Storage.load('saved_charts', [])[0].filters, {}));
+['standards', 'assignments', 'archived_assignments', 'saved_charts'].forEach(key => Storage.delete(key));
+
+// Test the achievement scale: levels decide the achieved flag, older records are read from it
+const levels = Scale.DEFAULT_LEVELS;
+check('levelOf reads records without a level from their achieved flag',
+    Scale.levelOf({ achieved: true }, levels).id === 'secure' && Scale.levelOf({ achieved: false }, levels).id === 'not_started' && Scale.levelOf(undefined, levels).id === 'not_started');
+check('distribution counts every level', same(Scale.distribution([{ level: 'secure', achieved: true }, { achieved: false }], levels),
+    { not_started: 1, developing: 0, secure: 1, exceeding: 0 }));
+Storage.save('assignments', [
+    { staff_id: 'S1', standard_code: 'A.1', level: 'exceeding', achieved: true },
+    { staff_id: 'S1', standard_code: 'A.2', level: 'secure', achieved: true }
+]);
+Scale.saveLevels([levels[0], { ...levels[2], achieved: false }]);
+const resynced = Storage.load('assignments', []);
+check('saving the scale moves records off removed levels', resynced[0].level === 'secure');
+check('saving the scale re-derives achieved flags', resynced.every(assignment => assignment.achieved === false && assignment.date_achieved === null));
+Scale.resetLevels();
+Storage.delete('assignments');
+
+// Test assessment history: the current state of a record follows its latest assessments
+const assessed = { staff_id: 'S1', standard_code: 'A.1' };
+Assessments.record(assessed, Assessments.createEvent({ level: 'developing', date: '2026-01-10', assessor: 'HoD' }, levels), levels);
+check('a first unsuccessful assessment is not achieved', assessed.level === 'developing' && assessed.achieved === false && assessed.date_achieved === null);
+Assessments.record(assessed, Assessments.createEvent({ level: 'secure', date: '2026-03-05' }, levels), levels);
+Assessments.record(assessed, Assessments.createEvent({ level: 'exceeding', date: '2026-06-20' }, levels), levels);
+check('the date achieved is the start of the latest achieved run', assessed.level === 'exceeding' && assessed.date_achieved === '2026-03-05' && assessed.date_assessed === '2026-06-20');
+check('earlier assessments are kept', Assessments.historyOf(assessed).map(event => event.level).join() === 'developing,secure,exceeding');
+check('achievedAt reads the assessment in force on a date', !Assessments.achievedAt(assessed, '2026-02-01') && Assessments.achievedAt(assessed, '2026-04-01'));
+check('attemptsBeforeAchieved counts the unsuccessful assessments', Assessments.attemptsBeforeAchieved(assessed) === 1);
+Assessments.record(assessed, Assessments.createEvent({ level: 'developing', date: '2026-09-01' }, levels), levels);
+check('a later unsuccessful assessment clears the achieved state', assessed.achieved === false && assessed.date_achieved === null);
+
+// Test applicability: standards inherit the conditions of their parents and group
+const applicabilityContext = {
+    groups: [{ name: 'Teaching', applies_to: [{ field: 'department', values: ['Support Staff'], mode: 'exclude' }] }],
+    standards: [
+        { code: 'T', group: 'Teaching' },
+        { code: 'T.1', parent_code: 'T', applies_to: [{ field: 'phase', values: ['Secondary'], mode: 'include' }] },
+        { code: 'W', group: 'Wellbeing' }
+    ]
+};
+const applies = Applicability.checker(applicabilityContext);
+const teacher = { id: 'S1', phase: ['Secondary'], department: ['EAL'] };
+const supportStaff = { id: 'S2', phase: ['Secondary'], department: ['Support Staff'] };
+const primaryTeacher = { id: 'S3', phase: 'Primary', department: 'EAL' };
+check('a standard without conditions applies to all staff', applies(supportStaff, 'W'));
+check('group conditions exclude staff', applies(teacher, 'T') && !applies(supportStaff, 'T'));
+check('sub-standards combine their own conditions with inherited ones', applies(teacher, 'T.1') && !applies(supportStaff, 'T.1') && !applies(primaryTeacher, 'T.1'));
+check('countPairs counts only applicable pairs', Applicability.countPairs([teacher, supportStaff, primaryTeacher], applicabilityContext.standards, applies) === 6);
+check('describe puts conditions in words', Applicability.describe(Applicability.rulesFor(applicabilityContext.standards[1], applicabilityContext))
+    === 'Phase is Secondary and Department is not Support Staff');
+
+// Test code templates: TS3.b (letters group code, number then letter) and PS-02 (padded numbers)
+const tsTemplate = { id: 'ts', name: 'TS3.b', prefix: '', groupCode: 'letters', groupSeparator: '', separator: '.', segments: ['number', 'lower'], pad: 0 };
+const psTemplate = { id: 'ps', name: 'PS-02', prefix: '', groupCode: 'letters', groupSeparator: '-', separator: '.', segments: ['number'], pad: 2 };
+Codes.saveTemplates([tsTemplate, psTemplate]);
+const codeGroups = [{ name: 'Teachers Standards', code: 'TS', code_template: 'ts' }, { name: 'Professional Skills', code: 'PS', code_template: 'ps' }];
+const codeStandards = [
+    { code: 'TS3', group: 'Teachers Standards', parent_code: null },
+    { code: 'TS3.a', group: 'Teachers Standards', parent_code: 'TS3' },
+    { code: 'TS3.c', group: 'Teachers Standards', parent_code: 'TS3' },
+    { code: 'PS-01', group: 'Professional Skills', parent_code: null },
+    { code: 'PS-03', group: 'Professional Skills', parent_code: null }
+];
+check('parse splits a code into its group code and segments', same(Codes.parse('TS3.b', tsTemplate), { groupCode: 'TS', segments: ['3', 'b'] })
+    && same(Codes.parse('PS-02', psTemplate), { groupCode: 'PS', segments: ['02'] }));
+check('templateForCode finds the template of the group a code belongs to', Codes.templateForCode('TS3.b', codeGroups).id === 'ts');
+check('validate accepts a code that follows its template and parent', Codes.validate('TS3.b', { template: tsTemplate, groupCode: 'TS', parentCode: 'TS3' }) === null);
+check('validate explains the expected format', String(Codes.validate('PS-2b', { template: psTemplate, groupCode: 'PS' })).includes('PS-02 format'));
+check('nextCode continues after the highest code', Codes.nextCode(codeStandards, { template: tsTemplate, parentCode: 'TS3', groupCode: 'TS' }) === 'TS3.d'
+    && Codes.nextCode(codeStandards, { template: psTemplate, groupCode: 'PS' }) === 'PS-04');
+check('compare orders segments by value, not text', Codes.compare('TS3.b', 'TS3.aa', tsTemplate) < 0 && Codes.compare('PS-02', 'PS-10', psTemplate) < 0);
+check('renumber closes gaps at every level', same([...Codes.renumber(codeStandards, codeGroups[0])], [['TS3', 'TS1'], ['TS3.a', 'TS1.a'], ['TS3.c', 'TS1.b']]));
+check('renumber keeps codes that are already in sequence', same([...Codes.renumber(codeStandards, codeGroups[1])], [['PS-03', 'PS-02']]));
+Codes.saveTemplates([]);
+
+// Test hash routes
+check('parseHash reads the page, path and params', same(Router.parseHash('#standards/A.1.2?group=B&group=C'), { pageId: 'standards', params: { path: 'A.1.2', group: ['B', 'C'] } }));
+check('formatHash is the reverse of parseHash', Router.formatHash('achievements', { staff: 'T042', group: 'B', empty: '' }) === '#achievements?staff=T042&group=B');
+check('parseHash keeps malformed escapes as typed', same(Router.parseHash('#standards/%E0'), { pageId: 'standards', params: { path: '%E0' } })
+    && Router.parseHash('#%E0').pageId === '%E0');
+
+// Test page registration: modules load on first use, once, and a failed load is tried again
+let loads = 0;
+let failLoad = true;
+Router.register({ id: 'cpd_log', title: 'CPD Log', navOrder: 50, loader: async () => {
+    loads += 1;
+    if (failLoad) throw new Error('offline');
+    return { init: () => {} };
+} });
+check('register adds the page with its nav position', Router.pages.cpd_log.title === 'CPD Log' && Router.pages.cpd_log.navOrder === 50 && loads === 0);
+let loadError = null;
+await Router.load('cpd_log').catch(error => { loadError = error; });
+failLoad = false;
+const loadedModules = await Promise.all([Router.load('cpd_log'), Router.load('cpd_log')]);
+check('a failed load is tried again, and a module loads once', loadError && loadError.message === 'offline' && loads === 2 && loadedModules[0] === loadedModules[1]);
+let badId = null;
 try {
-    // Save data to local storage
-    const saveResult = Storage.save('test-key', { test: 'data' });
-    console.log('Save result:', saveResult);
-    
-    // Load data back
-    const loadResult = Storage.load('test-key', null);
-    console.log('Load result:', loadResult);
-    
-    // Test server shorthand (should use server strategy)
-    const serverSaveResult = Storage.saveToServer('server-key', { server: 'data' });
-    console.log('Server save result:', serverSaveResult);
-} catch (e) {
-    console.error('Storage test error:', e.message);
+    Router.register({ id: 'bad/id', loader: () => ({}) });
+} catch (error) {
+    badId = error;
 }
+check('register rejects ids that cannot be used in a URL', Boolean(badId) && !Router.pages['bad/id']);
+delete Router.pages.cpd_log;
 
-// Test Validation
-console.log('Validation test:');
-const validationResult = Validate.requiredString('Test', 'testField');
-console.log('String validation result:', validationResult);
+// Test staying on a page after Back: the router returns to its history entry instead of rewriting another one
+const hashListeners = {};
+const entries = [{ hash: '#masterlog', state: null }];
+let position = 0;
+globalThis.window = {
+    addEventListener: (type, listener) => { hashListeners[type] = listener; },
+    location: { get hash() { return entries[position].hash; } },
+    history: {
+        get state() { return entries[position].state; },
+        replaceState: (state, title, hash = entries[position].hash) => { entries[position] = { hash, state }; },
+        pushState: (state, title, hash) => { entries.splice(position + 1, entries.length, { hash, state }); position += 1; },
+        go: (delta) => { position += delta; }
+    }
+};
+const { navigate, navigateTo } = Router;
+let stay = false;
+let moves = 0;
+Router.navigate = async (pageId, params) => { Router.currentPage = pageId; Router.currentParams = { ...params }; };
+Router.navigateTo = async (pageId, params) => {
+    moves += 1;
+    if (stay) return false;
+    await Router.navigate(pageId, params);
+    return true;
+};
+await Router.start('masterlog');
+entries.push({ hash: '#standards', state: null });
+position = 1;
+await hashListeners.hashchange();
+check('a followed link gets the next history index', entries[1].state.index === 1 && Router.currentPage === 'standards');
+stay = true;
+position = 0;
+await hashListeners.hashchange();
+check('cancelling after Back steps forward to the page shown', position === 1 && Router.currentPage === 'standards');
+check('cancelling after Back keeps every history entry', same(entries.map(entry => entry.hash), ['#masterlog', '#standards']));
+stay = false;
+moves = 0;
+position = 0;
+await Promise.all([hashListeners.popstate(), hashListeners.hashchange()]);
+check('Back fires popstate and hashchange but opens the page once', moves === 1 && Router.currentPage === 'masterlog');
+Object.assign(Router, { navigate, navigateTo });
+delete globalThis.window;
+
+// Test the staff profile: the staff ID from the URL and staff text are shown as text, never as markup
+const profileElement = { innerHTML: '' };
+globalThis.document = { getElementById: id => (id === 'staff-profile' ? profileElement : null) };
+const StaffProfile = await import('./pages/staff-profile.js');
+await StaffProfile.update({ path: '<img src=x onerror=alert(1)>' });
+check('an unknown staff ID from the URL is escaped', !profileElement.innerHTML.includes('<img') && profileElement.innerHTML.includes('&lt;img src=x'));
+Storage.save('standards', [{ code: 'A.1', name: '<i>Planning</i>' }]);
+Storage.save('staff', [{ id: 'S9', name: '<b>Sam</b>', department: ['<u>EAL</u>'], archived: true, leave_date: '2026-07-31', leave_reason: '<script>x</script>' }]);
+await StaffProfile.update({ path: 'S9' });
+check('staff and standard text on the profile is escaped', ['<b>', '<u>', '<script>', '<i>'].every(tag => !profileElement.innerHTML.includes(tag))
+    && profileElement.innerHTML.includes('&lt;b&gt;Sam&lt;/b&gt;'));
+StaffProfile.cleanup();
+['staff', 'standards'].forEach(key => Storage.delete(key));
+delete globalThis.document;
 
 // Test CommonUtils
-console.log('CommonUtils test:');
-console.log('isDefined null:', CommonUtils.isDefined(null));
-console.log('isDefined object:', CommonUtils.isDefined({}));
-console.log('Deep clone:', CommonUtils.deepClone({ test: 'clone' }));
+check('isDefined(null) is false', CommonUtils.isDefined(null) === false);
+check('isDefined({}) is true', CommonUtils.isDefined({}) === true);
+const original = { test: 'clone', nested: { value: 1 } };
+const clone = CommonUtils.deepClone(original);
+check('deepClone copies nested objects', same(clone, original) && clone.nested !== original.nested);
+
+// Test the storage service (server/index.js) with a second machine simulated through plain fetch calls
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-service-'));
+const port = 40000 + Math.floor(Math.random() * 10000);
+const baseUrl = `http://127.0.0.1:${port}`;
+const service = spawn(process.execPath, [fileURLToPath(new URL('../server/index.js', import.meta.url))], {
+    env: { ...process.env, PORT: String(port), HOST: '127.0.0.1', DATA_DIR: dataDir, CLIENT_LOG_MAX_BYTES: '2000' },
+    stdio: ['ignore', 'pipe', 'inherit']
+});
+
+try {
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('storage service did not start')), 10000);
+        service.stdout.on('data', chunk => {
+            if (String(chunk).includes('listening')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        service.on('exit', code => reject(new Error(`storage service exited with ${code}`)));
+    });
+
+    const otherMachine = async (method, key, body, headers = {}) => {
+        const response = await fetch(`${baseUrl}/api/data/${key}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    Storage.configureServer({ baseUrl });
+    await Storage.saveToServer('groups', [{ name: 'Year 1' }]);
+    check('saveToServer/loadFromServer round-trip a shared key', same(await Storage.loadFromServer('groups', []), [{ name: 'Year 1' }]));
+
+    check('connectServer connects to a running service', await Storage.connectServer({ baseUrl }) === true);
+    check('connectServer pulls shared keys into local storage', same(Storage.load('groups', []), [{ name: 'Year 1' }]));
+
+    Storage.save('staff', [{ id: 'S1', name: 'Ann' }]);
+    await Storage.flushServerWrites();
+    const first = await otherMachine('GET', 'staff');
+    check('local saves of shared keys are mirrored with a version', first.body.version === 1 && same(first.body.data, [{ id: 'S1', name: 'Ann' }]));
+
+    const remoteAdd = await otherMachine('PUT', 'staff', [{ id: 'S1', name: 'Ann' }, { id: 'S2', name: 'Ben' }], { 'If-Match': '"1"' });
+    check('a save based on the current version is accepted', remoteAdd.status === 200 && remoteAdd.body.version === 2);
+    const stale = await otherMachine('PUT', 'staff', [], { 'If-Match': '"1"' });
+    check('a save based on an outdated version gets 409', stale.status === 409 && stale.body.version === 2);
+
+    // This machine still has version 1: its save conflicts and is merged with the other machine's addition
+    Storage.save('staff', [{ id: 'S1', name: 'Ann Smith' }]);
+    await Storage.flushServerWrites();
+    const merged = [{ id: 'S1', name: 'Ann Smith' }, { id: 'S2', name: 'Ben' }];
+    check('concurrent changes are merged on the server', same((await otherMachine('GET', 'staff')).body.data, merged));
+    check('the merge is applied locally', same(Storage.load('staff', []), merged));
+
+    const current = await otherMachine('GET', 'staff');
+    await otherMachine('PUT', 'staff', [...merged, { id: 'S3', name: 'Cat' }], { 'If-Match': `"${current.body.version}"` });
+    const pulled = [];
+    const stopWatching = Storage.subscribe('staff', event => pulled.push(event));
+    check('syncFromServer reports keys changed elsewhere', same(await Storage.syncFromServer(), ['staff']));
+    check('syncFromServer pulls the changes', Storage.load('staff', []).length === 3);
+    check('pulled changes notify subscribers as remote changes', pulled.length === 1 && pulled[0].remote === true);
+    stopWatching();
+    check('syncFromServer skips unchanged keys', same(await Storage.syncFromServer(), []));
+
+    await settle();
+    check('audit entries are shared with the storage service', await Audit.share() === 0
+        && (await (await fetch(`${baseUrl}/api/audit`)).json()).entries.length === Audit.list().length);
+    await fetch(`${baseUrl}/api/audit`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify([{ id: 'audit-1-other-000001', timestamp: new Date(1).toISOString(), user: 'Bo', entity_type: 'staff', entity_id: 'S9', action: 'create' }])
+    });
+    const everything = await Audit.listAll();
+    check('listAll includes entries from other computers', everything.length === Audit.list().length + 1 && everything[everything.length - 1].user === 'Bo');
+
+    const postLogs = (entries) => fetch(`${baseUrl}/api/logs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entries)
+    });
+    const batch = Array.from({ length: 10 }, (_, index) => ({ level: 'INFO', message: `Log line ${index}` }));
+    for (let i = 0; i < 12; i++) await postLogs(batch);
+    const logFiles = fs.readdirSync(dataDir).filter(name => name.startsWith('client-log'));
+    check('client logs are rotated and the oldest rotation is dropped', same(logFiles.sort(), ['client-log.1.ndjson', 'client-log.2.ndjson', 'client-log.3.ndjson', 'client-log.ndjson'])
+        && logFiles.every(name => fs.statSync(path.join(dataDir, name)).size <= 2000));
+    check('oversized log posts are rejected', (await postLogs(Array.from({ length: 1001 }, () => ({ message: 'x' })))).status === 413);
+
+    const foreign = await fetch(`${baseUrl}/api/health`, { headers: { Origin: 'http://evil.example' } });
+    check('requests from other origins are rejected', foreign.status === 403 && !foreign.headers.get('access-control-allow-origin'));
+    const own = await fetch(`${baseUrl}/api/health`, { headers: { Origin: baseUrl } });
+    check('requests from the service origin are allowed', own.status === 200 && own.headers.get('access-control-allow-origin') === baseUrl);
+} catch (e) {
+    check(`storage service tests ran (${e.message})`, false);
+} finally {
+    service.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+if (failures.length > 0) {
+    console.error(`${failures.length} check(s) failed:\n- ${failures.join('\n- ')}`);
+    process.exit(1);
+}
 
-console.log('All tests complete.'); 
\ No newline at end of file
+console.log('All tests complete.');
@@ -3,6 +3,7 @@
  * Provides a dynamic, reusable chart generation system with live-updating
  * charts, consistent filtering, and interactive features
  */
+import { Storage } from './storage.js';
 
 // Store chart instances
 let chartInstances = {};
@@ -215,7 +216,7 @@ export function saveChartConfiguration(chartId, name, isDuplicate = false) {
     }
     
     // Save back to storage
-    localStorage.setItem('saved_charts', JSON.stringify(savedCharts));
+    Storage.save('saved_charts', savedCharts);
     
     return isDuplicate ? chartConfig.id : chartId;
 }
@@ -225,8 +226,7 @@ export function saveChartConfiguration(chartId, name, isDuplicate = false) {
  * @returns {Array} - Array of saved chart configurations
  */
 export function getSavedCharts() {
-    const savedCharts = localStorage.getItem('saved_charts');
-    return savedCharts ? JSON.parse(savedCharts) : [];
+    return Storage.load('saved_charts', []);
 }
 
 /**
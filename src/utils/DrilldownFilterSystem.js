@@ -4,6 +4,7 @@
  * Users can select header attributes and drill down through staff data
  */
 import { Logger } from './logger.js';
+import Models from './models.js';
 
 export class DrilldownFilterSystem {
     /**
@@ -187,18 +188,8 @@ export class DrilldownFilterSystem {
                 // Count staff with this value
                 const count = this.filteredStaff.filter(staff => {
                     try {
-                        const staffFieldValue = staff[this.activeField];
-                        
-                        // Handle multiple values (comma-separated lists)
-                        if (staffFieldValue && typeof staffFieldValue === 'string' && staffFieldValue.includes(', ')) {
-                            // Split by comma and space, then trim each value
-                            const values = staffFieldValue.split(', ').map(v => v.trim());
-                            // Check if any of the values match the filter value
-                            return values.includes(value);
-                        }
-                        
-                        // Standard exact matching for single values
-                        return staffFieldValue === value;
+                        // Multi-valued fields count once for each of their values
+                        return Models.Staff.matchesValue(staff[this.activeField], value);
                     } catch (error) {
                         console.error(`Error filtering staff for field ${this.activeField}:`, staff, error);
                         return false;
@@ -361,19 +352,8 @@ export class DrilldownFilterSystem {
             try {
                 this.filteredStaff = this.filteredStaff.filter(staff => {
                     try {
-                        // Get staff field value
-                        const staffFieldValue = staff[filter.field];
-                        
-                        // Handle multiple values (comma-separated lists)
-                        if (staffFieldValue && typeof staffFieldValue === 'string' && staffFieldValue.includes(', ')) {
-                            // Split by comma and space, then trim each value
-                            const values = staffFieldValue.split(', ').map(v => v.trim());
-                            // Check if any of the values match the filter value
-                            return values.includes(filter.value);
-                        }
-                        
-                        // Standard exact matching for single values
-                        return staffFieldValue === filter.value;
+                        // Matches if any of the staff member's values equals the filter value
+                        return Models.Staff.matchesValue(staff[filter.field], filter.value);
                     } catch (error) {
                         console.error(`Error filtering staff for field ${filter.field}:`, staff, error);
                         return false; // Exclude problematic staff members
@@ -571,31 +551,13 @@ export class DrilldownFilterSystem {
                         // Skip if this field isn't one of our filter fields
                         if (!this.filterFields.some(f => f.id === field)) continue;
                         
-                        const staffFieldValue = staff[field];
-                        
-                        // Skip if field value is missing
-                        if (!staffFieldValue) return false;
+                        // Check if any of the staff values match one of the filters
+                        const anyMatch = filters.some(filter =>
+                            Models.Staff.matchesValue(staff[field], filter.value)
+                        );
                         
-                        // Handle comma-separated values
-                        if (typeof staffFieldValue === 'string' && staffFieldValue.includes(', ')) {
-                            const values = staffFieldValue.split(', ').map(v => v.trim());
-                            
-                            // For each filter, check if any of the staff values match
-                            const anyMatch = filters.some(filter => 
-                                values.includes(filter.value)
-                            );
-                            
-                            // If no match, exclude this staff
-                            if (!anyMatch) return false;
-                        } else {
-                            // For single value, check against all filters
-                            const anyMatch = filters.some(filter => 
-                                staffFieldValue === filter.value
-                            );
-                            
-                            // If no match, exclude this staff
-                            if (!anyMatch) return false;
-                        }
+                        // If no match, exclude this staff
+                        if (!anyMatch) return false;
                     }
                     
                     // If all filter conditions met, include this staff
@@ -684,33 +646,17 @@ export class DrilldownFilterSystem {
      * Get unique values for a field
      */
     getUniqueFieldValues(fieldId) {
-        // Get all values (potentially comma-separated)
+        // Get all values (multi-valued fields contribute each of their values)
         const allValues = [];
         
         // Process each staff member
         this.filteredStaff.forEach(staff => {
             try {
-                const fieldValue = staff[fieldId];
-                
-                // Skip null/undefined/empty values or non-string values
-                if (fieldValue == null || fieldValue === '' || typeof fieldValue !== 'string') return;
-                
-                // Handle comma-separated values
-                if (fieldValue.includes(', ')) {
-                    // Split by comma and space, then trim each value
-                    const values = fieldValue.split(', ').map(v => v.trim());
-                    // Add each value to allValues
-                    values.forEach(value => {
-                        if (value && !allValues.includes(value)) {
-                            allValues.push(value);
-                        }
-                    });
-                } else {
-                    // Single value - add if not already in list
-                    if (!allValues.includes(fieldValue)) {
-                        allValues.push(fieldValue);
+                Models.Staff.getValues(staff[fieldId]).forEach(value => {
+                    if (!allValues.includes(value)) {
+                        allValues.push(value);
                     }
-                }
+                });
             } catch (error) {
                 // Log and skip any problematic data
                 console.error(`Error processing field ${fieldId} for staff:`, staff, error);
@@ -20,7 +20,8 @@
  *      Example: (Phase=Primary OR Phase=Secondary) AND NOT Phase=Year1
  * 
  * 3. Text fields (name, standard search) use partial matching
- *    while dropdown fields use exact matching
+ *    while dropdown fields use exact matching; a multi-valued field
+ *    (e.g. Phase=[Primary, Secondary]) matches if any of its values does
  */
 import { Logger, Models } from './index.js';
 
@@ -310,58 +311,16 @@ export class FilterSystem {
                     const includeFilters = this.currentFilter[field].filter(f => f.mode === 'include');
                     const excludeFilters = this.currentFilter[field].filter(f => f.mode === 'exclude');
                     
-                    // Get staff field value, ensure it's a string for comparison
-                    const staffFieldValue = String(staff[field] || '').trim();
+                    // Multi-valued fields match when one of their values equals the filter value;
+                    // name and id match on part of the text
+                    const partial = field === 'name' || field === 'id';
+                    const matches = filter => Models.Staff.matchesValue(staff[field], filter.value, partial);
                     
                     // If include filters exist, this field must match at least one include filter
-                    if (includeFilters.length > 0) {
-                        const matchesAnyInclude = includeFilters.some(filter => {
-                            // Case-insensitive matching
-                            const filterValue = filter.value.toString().toLowerCase();
-                            const staffValue = staffFieldValue.toLowerCase();
-                            
-                            // Handle comma-separated values
-                            if (staffValue.includes(', ')) {
-                                // Split by comma and space, then trim each value
-                                const values = staffValue.split(', ').map(v => v.trim().toLowerCase());
-                                // Check if any of the values match the filter value
-                                return values.some(v => v.includes(filterValue));
-                            }
-                            
-                            // For text fields like name and id, use partial matching (contains)
-                            if (field === 'name' || field === 'id') {
-                                return staffValue.includes(filterValue);
-                            }
-                            
-                            // For other fields, use exact matching
-                            return staffValue === filterValue;
-                        });
-                        
-                        if (!matchesAnyInclude) return false;
-                    }
+                    if (includeFilters.length > 0 && !includeFilters.some(matches)) return false;
                     
                     // Staff field must not match any exclude filters
-                    const matchesAnyExclude = excludeFilters.some(filter => {
-                        // Case-insensitive matching
-                        const filterValue = filter.value.toString().toLowerCase();
-                        const staffValue = staffFieldValue.toLowerCase();
-                        
-                        // Handle comma-separated values
-                        if (staffValue.includes(', ')) {
-                            // Split by comma and space, then trim each value
-                            const values = staffValue.split(', ').map(v => v.trim().toLowerCase());
-                            // Check if any of the values match the filter value
-                            return values.some(v => v.includes(filterValue));
-                        }
-                        
-                        // For text fields like name and id, use partial matching (contains)
-                        if (field === 'name' || field === 'id') {
-                            return staffValue.includes(filterValue);
-                        }
-                        
-                        // For other fields, use exact matching
-                        return staffValue === filterValue;
-                    });
+                    const matchesAnyExclude = excludeFilters.some(matches);
                     
                     if (matchesAnyExclude) return false;
                 }
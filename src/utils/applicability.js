@@ -0,0 +1,188 @@
+/**
+ * Standard applicability
+ * Rules on standards and groups that say which staff a standard applies to, based on staff attributes
+ * (e.g. classroom standards do not apply to Support Staff). Achievement percentages only count applicable
+ * staff–standard pairs, and the achievements grid greys out the others.
+ */
+import Models from './models.js';
+import { Storage } from './storage.js';
+
+/**
+ * Staff fields rules can use besides the custom classifications
+ */
+const CORE_FIELDS = [
+    { id: 'phase', name: 'Phase', options: () => Models.Staff.phaseOptions },
+    { id: 'overseas_thai', name: 'Overseas/Thai', options: () => Models.Staff.overseasThaiOptions },
+    { id: 'year_group', name: 'Year Group', options: () => Models.Staff.yearGroupOptions },
+    { id: 'department', name: 'Department', options: () => Models.Staff.departmentOptions }
+];
+
+/**
+ * Check a staff member against one condition
+ * @param {Object} staff - Staff record
+ * @param {Object} condition - { field, values, mode }
+ * @returns {boolean} - True if the condition holds
+ */
+const meetsCondition = (staff, condition) => {
+    const wanted = (condition.values || []).map(value => String(value).toLowerCase());
+    if (wanted.length === 0) return true;
+    const has = Models.Staff.getValues(staff[condition.field]).some(value => wanted.includes(value.toLowerCase()));
+    return condition.mode === 'exclude' ? !has : has;
+};
+
+export const Applicability = {
+    /**
+     * Get the staff fields rules can use
+     * @param {Array<Object>} customClassifications - Custom classifications (defaults to the stored ones)
+     * @param {Array<Object>} staff - Staff records whose values are offered as well (defaults to the stored staff)
+     * @returns {Array<Object>} - Fields ({ id, name, options })
+     */
+    getFields: (customClassifications = Storage.load('custom_classifications', []), staff = Storage.load('staff', [])) => {
+        const fields = [
+            ...CORE_FIELDS.map(field => ({ id: field.id, name: field.name, options: [...field.options()] })),
+            ...customClassifications.map(c => ({ id: c.id, name: c.name, options: [...(c.options || [])] }))
+        ];
+        // Values added in the masterlog are not in the option lists
+        fields.forEach(field => {
+            staff.forEach(member => {
+                Models.Staff.getValues(member[field.id]).forEach(value => {
+                    if (!field.options.includes(value)) field.options.push(value);
+                });
+            });
+        });
+        return fields;
+    },
+
+    /**
+     * Get the rules in force for a standard: its own, its ancestors' and its group's
+     * @param {Object} standard - Standard
+     * @param {Object} context - { standards, groups }
+     * @returns {Array<Object>} - Conditions ({ field, values, mode })
+     */
+    rulesFor: (standard, { standards = [], groups = [] } = {}) => {
+        const conditions = [];
+        const seen = new Set();
+        let current = standard;
+        while (current && !seen.has(current.code)) {
+            seen.add(current.code);
+            conditions.push(...(current.applies_to || []));
+            const group = current.group && groups.find(g => g.name === current.group);
+            if (group) conditions.push(...(group.applies_to || []));
+            current = current.parent_code ? standards.find(s => s.code === current.parent_code) : null;
+        }
+        return conditions;
+    },
+
+    /**
+     * Check a staff member against a list of conditions (all must hold)
+     * @param {Object} staff - Staff record
+     * @param {Array<Object>} conditions - Conditions
+     * @returns {boolean} - True if every condition holds
+     */
+    matches: (staff, conditions) => conditions.every(condition => meetsCondition(staff, condition)),
+
+    /**
+     * Create a check for many staff–standard pairs, working out each standard's rules once
+     * @param {Object} context - { standards, groups } (defaults to the stored data)
+     * @returns {Function} - (staff, standardCode) => boolean
+     */
+    checker: ({ standards = Storage.load('standards', []), groups = Storage.load('groups', []) } = {}) => {
+        const rules = new Map();
+        return (staff, standardCode) => {
+            if (!rules.has(standardCode)) {
+                const standard = standards.find(s => s.code === standardCode);
+                rules.set(standardCode, standard ? Applicability.rulesFor(standard, { standards, groups }) : []);
+            }
+            return Applicability.matches(staff, rules.get(standardCode));
+        };
+    },
+
+    /**
+     * Count the applicable staff–standard pairs
+     * @param {Array<Object>} staff - Staff records
+     * @param {Array<Object>} standards - Standards counted
+     * @param {Function} applies - Result of checker()
+     * @returns {number} - Number of pairs
+     */
+    countPairs: (staff, standards, applies) => staff.reduce(
+        (total, member) => total + standards.filter(standard => applies(member, standard.code)).length, 0),
+
+    /**
+     * Describe conditions in words
+     * @param {Array<Object>} conditions - Conditions
+     * @param {Array<Object>} fields - Fields from getFields() (for their names)
+     * @returns {string} - e.g. "Department is not Support Staff", or "All staff"
+     */
+    describe: (conditions, fields = Applicability.getFields(undefined, [])) => {
+        const parts = (conditions || []).filter(condition => (condition.values || []).length > 0).map(condition => {
+            const field = fields.find(f => f.id === condition.field);
+            const verb = condition.mode === 'exclude' ? 'is not' : 'is';
+            return `${field ? field.name : condition.field} ${verb} ${condition.values.join(' or ')}`;
+        });
+        return parts.length > 0 ? parts.join(' and ') : 'All staff';
+    },
+
+    /**
+     * Render an editor for a standard's or group's conditions
+     * @param {HTMLElement} container - Element to render into
+     * @param {Array<Object>} conditions - Current conditions
+     * @param {Array<Object>} fields - Fields from getFields()
+     */
+    renderEditor: (container, conditions = [], fields = Applicability.getFields()) => {
+        const renderRow = (condition = { field: fields[0] ? fields[0].id : '', values: [], mode: 'include' }) => {
+            const field = fields.find(f => f.id === condition.field) || fields[0];
+            const options = field ? [...new Set([...field.options, ...(condition.values || [])])] : [];
+            return `
+                <div class="applicability-row">
+                    <select class="applicability-field">
+                        ${fields.map(f => `<option value="${f.id}" ${field && f.id === field.id ? 'selected' : ''}>${f.name}</option>`).join('')}
+                    </select>
+                    <select class="applicability-mode">
+                        <option value="include" ${condition.mode !== 'exclude' ? 'selected' : ''}>is</option>
+                        <option value="exclude" ${condition.mode === 'exclude' ? 'selected' : ''}>is not</option>
+                    </select>
+                    <select class="applicability-values" multiple size="3">
+                        ${options.map(value => `<option value="${value}" ${(condition.values || []).includes(value) ? 'selected' : ''}>${value}</option>`).join('')}
+                    </select>
+                    <button type="button" class="button button-small button-danger remove-applicability">×</button>
+                </div>
+            `;
+        };
+
+        container.innerHTML = `
+            <div class="applicability-rows">${conditions.map(renderRow).join('')}</div>
+            <button type="button" class="button button-small add-applicability">Add Condition</button>
+            <small>Applies to all staff when there are no conditions; with several, staff must meet them all.</small>
+        `;
+
+        const rows = container.querySelector('.applicability-rows');
+        container.querySelector('.add-applicability').addEventListener('click', () => {
+            rows.insertAdjacentHTML('beforeend', renderRow());
+        });
+        rows.addEventListener('click', (e) => {
+            const remove = e.target.closest('.remove-applicability');
+            if (remove) remove.closest('.applicability-row').remove();
+        });
+        rows.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('applicability-field')) return;
+            // Offer the values of the newly chosen field
+            const row = e.target.closest('.applicability-row');
+            const field = fields.find(f => f.id === e.target.value);
+            row.querySelector('.applicability-values').innerHTML = (field ? field.options : [])
+                .map(value => `<option value="${value}">${value}</option>`).join('');
+        });
+    },
+
+    /**
+     * Read the conditions from an editor made by renderEditor()
+     * @param {HTMLElement} container - Editor element
+     * @returns {Array<Object>} - Conditions with at least one value
+     */
+    readEditor: (container) => [...container.querySelectorAll('.applicability-row')]
+        .map(row => ({
+            field: row.querySelector('.applicability-field').value,
+            values: [...row.querySelector('.applicability-values').selectedOptions].map(option => option.value),
+            mode: row.querySelector('.applicability-mode').value
+        }))
+        .filter(condition => condition.field && condition.values.length > 0)
+};
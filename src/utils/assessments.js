@@ -0,0 +1,144 @@
+/**
+ * Assessment history
+ * Each achievement record keeps a chronological list of assessment events (date, outcome level, assessor, notes).
+ * The record's current level, achieved flag and dates are derived from the latest events, so earlier attempts
+ * are never overwritten.
+ */
+import { Scale } from './scale.js';
+
+/**
+ * Compare two events chronologically (undated events first, then by assessment date, then by when they were recorded)
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} - Sort order
+ */
+const compareEvents = (a, b) => {
+    const dateA = a.date || '';
+    const dateB = b.date || '';
+    if (dateA !== dateB) return dateA < dateB ? -1 : 1;
+    const recordedA = a.recorded_at || '';
+    const recordedB = b.recorded_at || '';
+    return recordedA < recordedB ? -1 : recordedA > recordedB ? 1 : 0;
+};
+
+export const Assessments = {
+    /**
+     * Create an assessment event
+     * @param {Object} fields - Event fields
+     * @param {string} fields.level - Outcome (level id on the achievement scale)
+     * @param {string} fields.date - Date assessed (YYYY-MM-DD, defaults to today)
+     * @param {string} fields.assessor - Who assessed
+     * @param {string} fields.notes - Notes
+     * @param {Array<Object>} levels - Levels (defaults to Scale.getLevels())
+     * @returns {Object} - Event ({ id, date, level, achieved, assessor, notes, recorded_at })
+     */
+    createEvent: ({ level, date, assessor = '', notes = '' }, levels = Scale.getLevels()) => {
+        const now = new Date().toISOString();
+        return {
+            id: `assessment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            date: date || now.slice(0, 10),
+            level,
+            // Kept on the event for reading the history; Scale.syncAssignments updates it when the scale changes
+            achieved: Scale.isAchieved(level, levels),
+            assessor: String(assessor || '').trim(),
+            notes: String(notes || '').trim(),
+            recorded_at: now
+        };
+    },
+
+    /**
+     * Get the assessment events of a record, oldest first
+     * @param {Object|undefined} assignment - Assignment
+     * @returns {Array<Object>} - Events
+     */
+    historyOf: (assignment) => (assignment && Array.isArray(assignment.history) ? [...assignment.history] : [])
+        .sort(compareEvents),
+
+    /**
+     * Add an assessment event to a record and update its current state
+     * @param {Object} assignment - Assignment (changed in place)
+     * @param {Object} event - Event from createEvent()
+     * @param {Array<Object>} levels - Levels (defaults to Scale.getLevels())
+     * @returns {Object} - The updated assignment
+     */
+    record: (assignment, event, levels = Scale.getLevels()) => {
+        assignment.history = [...(Array.isArray(assignment.history) ? assignment.history : []), event];
+        return Assessments.derive(assignment, levels);
+    },
+
+    /**
+     * Replace an event of a record (e.g. one not saved yet) and update its current state
+     * @param {Object} assignment - Assignment (changed in place)
+     * @param {string} eventId - Id of the event to replace
+     * @param {Object} changes - Fields to change (level, date, assessor, notes)
+     * @param {Array<Object>} levels - Levels (defaults to Scale.getLevels())
+     * @returns {Object} - The updated assignment
+     */
+    update: (assignment, eventId, changes, levels = Scale.getLevels()) => {
+        assignment.history = (assignment.history || []).map(event => {
+            if (event.id !== eventId) return event;
+            const updated = { ...event, ...changes };
+            updated.achieved = Scale.isAchieved(updated.level, levels);
+            return updated;
+        });
+        return Assessments.derive(assignment, levels);
+    },
+
+    /**
+     * Set a record's current level, date achieved, date assessed and notes from its history.
+     * The date achieved is the start of the latest unbroken run of achieved assessments.
+     * @param {Object} assignment - Assignment (changed in place)
+     * @param {Array<Object>} levels - Levels (defaults to Scale.getLevels())
+     * @returns {Object} - The updated assignment
+     */
+    derive: (assignment, levels = Scale.getLevels()) => {
+        const history = Assessments.historyOf(assignment);
+        if (history.length === 0) return assignment;
+
+        const latest = history[history.length - 1];
+        assignment.level = latest.level;
+        assignment.achieved = Scale.isAchieved(latest.level, levels);
+        assignment.date_assessed = latest.date;
+        assignment.notes = latest.notes || assignment.notes || '';
+
+        let achievedFrom = null;
+        for (let i = history.length - 1; i >= 0 && history[i].achieved; i--) {
+            achievedFrom = history[i].date;
+        }
+        assignment.date_achieved = assignment.achieved ? achievedFrom || latest.date : null;
+        return assignment;
+    },
+
+    /**
+     * Get the event that applied on a date (the last one on or before it)
+     * @param {Object} assignment - Assignment
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {Object|null} - Event, or null if not assessed by then
+     */
+    eventAt: (assignment, date) => {
+        const history = Assessments.historyOf(assignment).filter(event => event.date && event.date.slice(0, 10) <= date);
+        return history.length > 0 ? history[history.length - 1] : null;
+    },
+
+    /**
+     * Check whether a record was achieved on a date, according to its history
+     * @param {Object} assignment - Assignment
+     * @param {string} date - Date (YYYY-MM-DD)
+     * @returns {boolean} - True if the assessment in force on that date was achieved
+     */
+    achievedAt: (assignment, date) => {
+        const event = Assessments.eventAt(assignment, date);
+        return Boolean(event && event.achieved);
+    },
+
+    /**
+     * Count the assessments made before a record was first achieved
+     * @param {Object} assignment - Assignment
+     * @returns {number|null} - Unsuccessful attempts before the first achieved assessment, or null if never achieved
+     */
+    attemptsBeforeAchieved: (assignment) => {
+        const history = Assessments.historyOf(assignment);
+        const first = history.findIndex(event => event.achieved);
+        return first === -1 ? null : first;
+    }
+};
@@ -0,0 +1,404 @@
+/**
+ * Audit trail
+ * Records every change to staff, standards, groups and achievement records field by field
+ * (who, when, old value, new value) in a durable log that can be filtered and exported.
+ * Changes are detected from the storage change bus, so every page and bulk operation is covered.
+ * Entries are never removed automatically: they are shared through the storage service when it is
+ * connected, and old entries can be archived to a file before they are removed from this browser.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Workspace } from './workspace.js';
+
+// Storage key of the log and of the name recorded as the acting user
+const LOG_KEY = 'audit_log';
+const USER_KEY = 'audit_user';
+const DEFAULT_USER = 'Unknown user';
+
+// Log size from which the Audit page suggests archiving old entries
+const ARCHIVE_SUGGESTED_AT = 10000;
+
+// Shared log on the storage service
+const SERVER_PATH = '/api/audit';
+
+/**
+ * Audited storage keys and how their records are described in the log
+ */
+const AUDITED = {
+    staff: {
+        entityType: 'staff',
+        refs: record => ({ staff_id: record.id, standard_code: null })
+    },
+    standards: {
+        entityType: 'standard',
+        refs: record => ({ staff_id: null, standard_code: record.code })
+    },
+    groups: {
+        entityType: 'group',
+        refs: () => ({ staff_id: null, standard_code: null })
+    },
+    assignments: {
+        entityType: 'assignment',
+        refs: record => ({ staff_id: record.staff_id, standard_code: record.standard_code })
+    }
+};
+
+// Last known value of each audited key that is not a record key (record keys report their changed
+// records with each change event), and the subscription that keeps it current
+const state = {
+    baselines: new Map(),
+    unsubscribe: null,
+    sequence: 0,
+    source: Math.random().toString(36).slice(2, 8) // Keeps ids from different tabs apart
+};
+
+/**
+ * Create a log entry
+ * @param {string} key - Audited storage key
+ * @param {Object|null} record - Record the entry is about (after the change, or before a delete);
+ *                               null when every record of the key was cleared at once
+ * @param {Object} fields - action, field, old_value and new_value
+ * @param {string} timestamp - ISO time of the change
+ * @returns {Object} - Log entry
+ */
+const createEntry = (key, record, fields, timestamp) => {
+    const audited = AUDITED[key];
+    state.sequence += 1;
+    return {
+        id: `audit-${Date.parse(timestamp)}-${state.source}-${String(state.sequence).padStart(6, '0')}`,
+        timestamp,
+        user: Audit.getUser(),
+        entity_type: audited.entityType,
+        entity_id: record ? String(Workspace.ENTITIES[key].identify(record)) : '*',
+        ...(record ? audited.refs(record) : { staff_id: null, standard_code: null }),
+        ...fields
+    };
+};
+
+/**
+ * Describe one record's change as log entries
+ * @param {string} key - Audited storage key
+ * @param {Object|undefined} old - Record before the change (undefined if created)
+ * @param {Object|undefined} record - Record after the change (undefined if deleted)
+ * @param {string} timestamp - ISO time of the change
+ * @returns {Array<Object>} - Log entries (one for a create or delete, one per changed field for an update)
+ */
+const describeRecord = (key, old, record, timestamp) => {
+    if (!old) {
+        return [createEntry(key, record, { action: 'create', field: null, old_value: null, new_value: record }, timestamp)];
+    }
+    if (!record) {
+        return [createEntry(key, old, { action: 'delete', field: null, old_value: old, new_value: null }, timestamp)];
+    }
+    if (Workspace.isEqual(old, record)) return [];
+
+    const fields = new Set([...Object.keys(old), ...Object.keys(record)]);
+    return [...fields].flatMap(field => {
+        const oldValue = old[field] === undefined ? null : old[field];
+        const newValue = record[field] === undefined ? null : record[field];
+        return Workspace.isEqual(oldValue, newValue)
+            ? []
+            : [createEntry(key, record, { action: 'update', field, old_value: oldValue, new_value: newValue }, timestamp)];
+    });
+};
+
+/**
+ * Compare two versions of an audited collection
+ * @param {string} key - Audited storage key
+ * @param {Array<Object>} before - Records before the change
+ * @param {Array<Object>} after - Records after the change
+ * @returns {Array<Object>} - Log entries
+ */
+const diffRecords = (key, before, after) => {
+    const identify = record => String(Workspace.ENTITIES[key].identify(record));
+    const beforeIndex = new Map((Array.isArray(before) ? before : []).map(record => [identify(record), record]));
+    const afterIndex = new Map((Array.isArray(after) ? after : []).map(record => [identify(record), record]));
+    const timestamp = new Date().toISOString();
+    const entries = [];
+
+    afterIndex.forEach((record, id) => entries.push(...describeRecord(key, beforeIndex.get(id), record, timestamp)));
+    beforeIndex.forEach((record, id) => {
+        if (!afterIndex.has(id)) entries.push(...describeRecord(key, record, undefined, timestamp));
+    });
+
+    return entries;
+};
+
+/**
+ * Turn the record changes reported by a change event into log entries
+ * @param {string} key - Audited record key
+ * @param {Object} records - Storage.diffRecords result ({ added, removed, modified })
+ * @returns {Array<Object>} - Log entries
+ */
+const describeRecordChanges = (key, { added, removed, modified }) => {
+    const timestamp = new Date().toISOString();
+    return [
+        ...added.flatMap(({ record }) => describeRecord(key, undefined, record, timestamp)),
+        ...modified.flatMap(({ before, after }) => describeRecord(key, before, after, timestamp)),
+        ...removed.flatMap(({ record }) => describeRecord(key, record, undefined, timestamp))
+    ];
+};
+
+/**
+ * Log the changes of changed keys: record keys from the records listed in the event,
+ * other keys by comparing the baseline with the stored value
+ * @param {Object} event - Storage change event ({ key, action, remote, records })
+ */
+const handleStorageChange = (event) => {
+    const keys = event.key === null ? Object.keys(AUDITED) : [event.key];
+
+    const entries = [];
+    keys.forEach(key => {
+        // Changes made in other tabs were logged there, and changes pulled from the service on the machine that made them
+        if (Storage.isRecordKey(key)) {
+            if (event.remote) return;
+            if (event.records) {
+                entries.push(...describeRecordChanges(key, event.records));
+            } else if (event.action === 'clear') {
+                entries.push(createEntry(key, null, { action: 'delete', field: null, old_value: null, new_value: null }, new Date().toISOString()));
+            }
+            return;
+        }
+
+        const after = Storage.load(key, []);
+        if (!event.remote) {
+            entries.push(...diffRecords(key, state.baselines.get(key), after));
+        }
+        state.baselines.set(key, after);
+    });
+
+    if (entries.length > 0) {
+        Logger.log(`Audit: recording ${entries.length} change(s)`, { keys, count: entries.length });
+        Storage.putRecords(LOG_KEY, entries)
+            .then(() => Audit.share())
+            .catch(e => {
+                Logger.error(`Failed to write audit entries - ${e.message}`);
+            });
+    }
+};
+
+/**
+ * Sort log entries newest first (ids start with the time of the change)
+ * @param {Array<Object>} entries - Log entries
+ * @returns {Array<Object>} - Sorted entries
+ */
+const newestFirst = (entries) => entries.sort((a, b) => (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+
+/**
+ * Apply list filters to log entries
+ * @param {Array<Object>} entries - Log entries
+ * @param {Object} filters - See Audit.list
+ * @returns {Array<Object>} - Matching entries
+ */
+const applyFilters = (entries, filters) => entries
+    .filter(entry => !filters.staffId || entry.staff_id === filters.staffId)
+    .filter(entry => !filters.standardCode || entry.standard_code === filters.standardCode)
+    .filter(entry => !filters.entityType || entry.entity_type === filters.entityType);
+
+/**
+ * Remove the local bookkeeping flag from an entry
+ * @param {Object} entry - Log entry
+ * @returns {Object} - Entry as shared and exported
+ */
+const withoutFlags = ({ shared, ...entry }) => entry;
+
+/**
+ * Format a value for display or CSV
+ * @param {any} value - Logged value
+ * @returns {string} - Text form
+ */
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    // Lists of values (e.g. a staff member's phases) read as "Primary, Secondary"
+    if (Array.isArray(value) && value.every(v => v === null || typeof v !== 'object')) return value.join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Quote a CSV cell if needed
+ * @param {string} text - Cell text
+ * @returns {string} - CSV-safe cell
+ */
+const csvCell = (text) => /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+
+export const Audit = {
+    LOG_KEY,
+    ARCHIVE_SUGGESTED_AT,
+
+    /**
+     * Start recording changes. Call once at startup, after migrations have run (and after connecting to
+     * the storage service, so entries logged while it was unreachable are shared now).
+     */
+    start: () => {
+        if (state.unsubscribe) return;
+
+        Object.keys(AUDITED).filter(key => !Storage.isRecordKey(key)).forEach(key => {
+            state.baselines.set(key, Storage.load(key, []));
+        });
+        state.unsubscribe = Storage.subscribe(Object.keys(AUDITED), handleStorageChange);
+        Audit.share();
+        Logger.log('Audit trail started');
+    },
+
+    /**
+     * Send entries not yet on the storage service to its shared log (no-op when not connected).
+     * Entries are flagged once the service has stored them.
+     * @returns {Promise<number>} - Number of entries sent
+     */
+    share: async () => {
+        if (!Storage.isServerConnected()) return 0;
+
+        const unshared = Storage.load(LOG_KEY, []).filter(entry => !entry.shared);
+        if (unshared.length === 0) return 0;
+
+        try {
+            await Storage.requestServer('POST', SERVER_PATH, unshared.map(withoutFlags));
+            await Storage.putRecords(LOG_KEY, unshared.map(entry => ({ ...entry, shared: true })));
+            return unshared.length;
+        } catch (e) {
+            Logger.error(`Could not share ${unshared.length} audit entries with the storage service - ${e.message}`);
+            return 0;
+        }
+    },
+
+    /**
+     * Stop recording changes
+     */
+    stop: () => {
+        if (state.unsubscribe) {
+            state.unsubscribe();
+            state.unsubscribe = null;
+        }
+        state.baselines.clear();
+    },
+
+    /**
+     * Get the name recorded as the acting user
+     * @returns {string} - User name
+     */
+    getUser: () => Storage.load(USER_KEY, '') || DEFAULT_USER,
+
+    /**
+     * Set the name recorded as the acting user for changes made in this browser
+     * @param {string} name - User name
+     */
+    setUser: (name) => {
+        const trimmed = String(name || '').trim();
+        if (trimmed) {
+            Storage.save(USER_KEY, trimmed);
+        } else {
+            Storage.delete(USER_KEY);
+        }
+    },
+
+    /**
+     * List log entries, newest first
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.staffId - Only entries about this staff member (their record or achievements)
+     * @param {string} filters.standardCode - Only entries about this standard (its record or achievements)
+     * @param {string} filters.entityType - Only entries of this type ('staff', 'standard', 'group', 'assignment')
+     * @returns {Array<Object>} - Log entries kept in this browser
+     */
+    list: (filters = {}) => newestFirst(applyFilters(Storage.load(LOG_KEY, []).map(withoutFlags), filters)),
+
+    /**
+     * List log entries from this browser and, when connected, the storage service's shared log
+     * (which includes changes made on other computers and entries archived from this one), newest first
+     * @param {Object} filters - Optional filters (see list)
+     * @returns {Promise<Array<Object>>} - Log entries
+     */
+    listAll: async (filters = {}) => {
+        const entries = new Map();
+        if (Storage.isServerConnected()) {
+            try {
+                const response = await Storage.requestServer('GET', SERVER_PATH);
+                ((response && response.entries) || []).forEach(entry => entries.set(entry.id, entry));
+            } catch (e) {
+                Logger.error(`Could not load the shared audit log - ${e.message}`);
+            }
+        }
+        Storage.load(LOG_KEY, []).forEach(entry => entries.set(entry.id, withoutFlags(entry)));
+        return newestFirst(applyFilters([...entries.values()], filters));
+    },
+
+    /**
+     * Entries kept in this browser that were logged before a date, oldest first
+     * @param {Date|string} date - Cut-off date
+     * @returns {Array<Object>} - Log entries
+     */
+    entriesBefore: (date) => {
+        const cutoff = new Date(date).toISOString();
+        return Audit.list().filter(entry => entry.timestamp < cutoff).reverse();
+    },
+
+    /**
+     * Download log entries as a JSON archive (the complete entries, unlike the CSV export)
+     * @param {Array<Object>} entries - Log entries
+     * @returns {string} - File name of the archive
+     */
+    downloadArchive: (entries) => {
+        const fileName = `teacherlytics_audit_archive_${new Date().toISOString().slice(0, 10)}.json`;
+        const blob = new Blob([JSON.stringify({ archived_at: new Date().toISOString(), entries }, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        Logger.log(`Archived ${entries.length} audit entries to ${fileName}`);
+        return fileName;
+    },
+
+    /**
+     * Remove entries from this browser's log (after archiving them; the shared log on the service keeps them)
+     * @param {Array<Object>} entries - Log entries to remove
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    removeEntries: async (entries) => {
+        const removed = await Storage.deleteRecords(LOG_KEY, entries);
+        Logger.warn(`Audit: removed ${removed} archived entries from this browser`);
+        return removed;
+    },
+
+    /**
+     * Format a logged value for display
+     * @param {any} value - Logged value
+     * @returns {string} - Text form
+     */
+    formatValue,
+
+    /**
+     * Convert log entries to CSV
+     * @param {Array<Object>} entries - Log entries
+     * @returns {string} - CSV text with a header row
+     */
+    toCSV: (entries) => {
+        const columns = ['timestamp', 'user', 'entity_type', 'entity_id', 'action', 'field', 'old_value', 'new_value'];
+        const rows = entries.map(entry => columns.map(column => csvCell(formatValue(entry[column]))).join(','));
+        return [columns.join(','), ...rows].join('\n');
+    },
+
+    /**
+     * Download log entries as a CSV file
+     * @param {Array<Object>} entries - Log entries
+     */
+    download: (entries) => {
+        const blob = new Blob([Audit.toCSV(entries)], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `teacherlytics_audit_${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        Logger.log(`Exported ${entries.length} audit entries`);
+    }
+};
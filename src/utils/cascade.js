@@ -0,0 +1,257 @@
+/**
+ * Delete cascade
+ * Works out what depends on staff, standards and groups being deleted (achievement records, saved-chart filters,
+ * sub-standards) so the impact can be shown before the delete, and then removes or archives those dependents.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+
+// Achievement records moved out of `assignments` when their staff member or standard is deleted
+const ARCHIVE_KEY = 'archived_assignments';
+
+// Keys a cascade may change besides the deleted records themselves (include them in Undo.record)
+const KEYS = ['assignments', ARCHIVE_KEY, 'saved_charts'];
+
+/**
+ * Collect codes together with the codes of all their descendants
+ * @param {Array<Object>} standards - All standards
+ * @param {Array<string>} codes - Codes being deleted
+ * @returns {Set<string>} - Codes including descendants
+ */
+const withDescendants = (standards, codes) => {
+    const result = new Set(codes);
+    const queue = [...codes];
+    while (queue.length > 0) {
+        const code = queue.shift();
+        const standard = standards.find(s => s.code === code);
+        // Follow both directions of the link, so a half-broken hierarchy still loses all its descendants
+        const children = [
+            ...standards.filter(s => s.parent_code === code).map(s => s.code),
+            ...(standard && Array.isArray(standard.children) ? standard.children : [])
+        ];
+        children.forEach(child => {
+            if (!result.has(child)) {
+                result.add(child);
+                queue.push(child);
+            }
+        });
+    }
+    return result;
+};
+
+/**
+ * Check whether a saved-chart filter names one of the deleted records
+ * @param {string} field - Filter field ('id', 'name', 'standards', ...)
+ * @param {Object} filter - Filter entry ({ value, mode })
+ * @param {Object} deleted - Lower-case values being deleted ({ staff, standards })
+ * @returns {boolean} - True if the filter should be removed
+ */
+const isDeletedFilter = (field, filter, deleted) => {
+    const value = String(filter && filter.value !== undefined ? filter.value : '').trim().toLowerCase();
+    if (!value) return false;
+    if (field === 'id' || field === 'name') return deleted.staff.has(value);
+    if (field === 'standards') return deleted.standards.has(value);
+    return false;
+};
+
+/**
+ * Remove filters naming deleted records from a saved chart
+ * @param {Object} chart - Saved chart
+ * @param {Object} deleted - Lower-case values being deleted
+ * @returns {Object|null} - Updated chart, or null if nothing changed
+ */
+const cleanChartFilters = (chart, deleted) => {
+    const filters = chart.filters && typeof chart.filters === 'object' ? chart.filters : {};
+    let changed = false;
+    const cleaned = {};
+
+    Object.entries(filters).forEach(([field, entries]) => {
+        if (!Array.isArray(entries)) {
+            cleaned[field] = entries;
+            return;
+        }
+        const kept = entries.filter(filter => !isDeletedFilter(field, filter, deleted));
+        if (kept.length !== entries.length) changed = true;
+        if (kept.length > 0) cleaned[field] = kept;
+    });
+
+    return changed ? { ...chart, filters: cleaned } : null;
+};
+
+/**
+ * Pluralise a count
+ * @param {number} count - Count
+ * @param {string} singular - Singular noun
+ * @param {string} plural - Plural noun
+ * @returns {string} - e.g. "1 record", "47 records"
+ */
+const countOf = (count, singular, plural = `${singular}s`) => `${count} ${count === 1 ? singular : plural}`;
+
+export const Cascade = {
+    ARCHIVE_KEY,
+    KEYS,
+
+    /**
+     * Work out what deleting staff members, standards or groups affects
+     * @param {Object} target - What is being deleted
+     * @param {Array<string>} target.staffIds - Staff IDs
+     * @param {Array<string>} target.standardCodes - Standard codes (their sub-standards are included)
+     * @param {Array<string>} target.groupNames - Group names (their standards are included)
+     * @returns {Object} - { staffIds, standardCodes (including descendants), groupNames, groupStandards, subStandards,
+     *                      assignments, achieved, savedCharts, deleted (lower-case names used to match chart filters) }
+     */
+    impact: ({ staffIds = [], standardCodes = [], groupNames = [] } = {}) => {
+        const staff = Storage.load('staff', []);
+        const standards = Storage.load('standards', []);
+        const assignments = Storage.load('assignments', []);
+
+        const groupStandards = standards.filter(s => groupNames.includes(s.group)).map(s => s.code);
+        const codes = withDescendants(standards, [...standardCodes, ...groupStandards]);
+        const ids = new Set(staffIds);
+
+        const affected = assignments.filter(a => ids.has(a.staff_id) || codes.has(a.standard_code));
+
+        // Values a saved-chart filter would use to name the deleted records
+        const deleted = { staff: new Set(), standards: new Set() };
+        staff.filter(s => ids.has(s.id)).forEach(s => {
+            deleted.staff.add(String(s.id).toLowerCase());
+            if (s.name) deleted.staff.add(String(s.name).toLowerCase());
+        });
+        standards.filter(s => codes.has(s.code)).forEach(s => {
+            deleted.standards.add(String(s.code).toLowerCase());
+            if (s.name) deleted.standards.add(String(s.name).toLowerCase());
+        });
+        groupNames.forEach(name => deleted.standards.add(String(name).toLowerCase()));
+
+        const savedCharts = Storage.load('saved_charts', [])
+            .filter(chart => cleanChartFilters(chart, deleted) !== null);
+
+        return {
+            staffIds: [...ids],
+            standardCodes: [...codes],
+            groupNames: [...groupNames],
+            subStandards: [...codes].filter(code => !standardCodes.includes(code) && !groupStandards.includes(code)),
+            groupStandards,
+            assignments: affected,
+            achieved: affected.filter(a => a.achieved).length,
+            savedCharts,
+            deleted
+        };
+    },
+
+    /**
+     * Describe an impact for the confirmation dialog
+     * @param {Object} impact - Result of impact()
+     * @returns {Array<string>} - One sentence per kind of dependent
+     */
+    describe: (impact) => {
+        const lines = [];
+        if (impact.groupStandards.length > 0) {
+            lines.push(`Deletes ${countOf(impact.groupStandards.length, 'standard')} in the group`);
+        }
+        if (impact.subStandards.length > 0) {
+            lines.push(`Deletes ${countOf(impact.subStandards.length, 'sub-standard')}`);
+        }
+        if (impact.assignments.length > 0) {
+            lines.push(`Removes ${countOf(impact.assignments.length, 'achievement record')} (${impact.achieved} achieved)`);
+        }
+        if (impact.savedCharts.length > 0) {
+            lines.push(`Removes filters for the deleted items from ${countOf(impact.savedCharts.length, 'saved chart')}`);
+        }
+        return lines;
+    },
+
+    /**
+     * Remove or archive the dependents of a delete. The caller saves the deleted records themselves,
+     * and wraps both in one Undo.record over its own keys plus Cascade.KEYS.
+     * @param {Object} impact - Result of impact()
+     * @param {string} mode - 'delete' to remove achievement records, 'archive' to move them to the archive
+     * @param {string} reason - Why the records were archived (e.g. "Staff T042 deleted")
+     */
+    apply: (impact, mode = 'delete', reason = '') => {
+        if (impact.assignments.length > 0) {
+            const ids = new Set(impact.staffIds);
+            const codes = new Set(impact.standardCodes);
+            const assignments = Storage.load('assignments', []);
+            Storage.save('assignments', assignments.filter(a => !ids.has(a.staff_id) && !codes.has(a.standard_code)));
+
+            if (mode === 'archive') {
+                const archivedAt = new Date().toISOString();
+                const archive = Storage.load(ARCHIVE_KEY, []);
+                Storage.save(ARCHIVE_KEY, [
+                    ...archive,
+                    ...impact.assignments.map(a => ({ ...a, archived_at: archivedAt, archive_reason: reason }))
+                ]);
+            }
+        }
+
+        if (impact.savedCharts.length > 0) {
+            const charts = Storage.load('saved_charts', []);
+            Storage.save('saved_charts', charts.map(chart => cleanChartFilters(chart, impact.deleted) || chart));
+        }
+
+        Logger.log(`${mode === 'archive' ? 'Archived' : 'Removed'} ${impact.assignments.length} dependent achievement records`, {
+            staffIds: impact.staffIds,
+            standardCodes: impact.standardCodes,
+            groupNames: impact.groupNames,
+            savedCharts: impact.savedCharts.length
+        });
+    },
+
+    /**
+     * Ask the user to confirm a delete, showing its impact and (when achievement records are affected)
+     * whether to delete or archive them
+     * @param {Object} options - Dialog options
+     * @param {string} options.title - Dialog title
+     * @param {string} options.message - Question (e.g. "Delete Jane Doe (T042)?")
+     * @param {Object} options.impact - Result of impact()
+     * @param {Function} options.onConfirm - Called with the chosen mode ('delete' or 'archive')
+     */
+    confirm: ({ title, message, impact, onConfirm }) => {
+        const lines = Cascade.describe(impact);
+
+        // Create modal backdrop
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop';
+        document.body.appendChild(backdrop);
+
+        // Create modal
+        const modal = document.createElement('div');
+        modal.className = 'page-modal';
+        modal.innerHTML = `
+            <div class="modal-header">
+                <h2>${title}</h2>
+                <button class="modal-close">×</button>
+            </div>
+            <div class="modal-body">
+                <p>${message}</p>
+                ${lines.length > 0 ? `<ul class="cascade-impact">${lines.map(line => `<li>${line}</li>`).join('')}</ul>` : ''}
+                ${impact.assignments.length > 0 ? `
+                    <div class="form-group">
+                        <label><input type="radio" name="cascade-mode" value="delete" checked> Delete the achievement records</label><br>
+                        <label><input type="radio" name="cascade-mode" value="archive"> Archive the achievement records (kept in the workspace, no longer counted)</label>
+                    </div>
+                ` : ''}
+                <div class="form-actions mt-1">
+                    <button id="confirm-cascade" class="button button-danger">Delete</button>
+                    <button id="cancel-cascade" class="button button-secondary">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        function closeModal() {
+            document.body.removeChild(backdrop);
+            document.body.removeChild(modal);
+        }
+
+        // Add event listeners
+        modal.querySelector('.modal-close').addEventListener('click', closeModal);
+        modal.querySelector('#cancel-cascade').addEventListener('click', closeModal);
+        modal.querySelector('#confirm-cascade').addEventListener('click', () => {
+            const checked = modal.querySelector('input[name="cascade-mode"]:checked');
+            closeModal();
+            onConfirm(checked ? checked.value : 'delete');
+        });
+    }
+};
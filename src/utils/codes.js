@@ -0,0 +1,438 @@
+/**
+ * Standard code templates
+ * Each framework numbers its standards its own way (A.1.2, TS3.b, PS-02). A template describes the format:
+ * an optional fixed prefix, the group code, the separator after it, the separator between levels and the kind of
+ * segment (number, lower-case or upper-case letters) used at each level. Groups pick a template, and code
+ * generation, validation, sorting and renumbering all follow it.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+
+// Storage key of the user-defined templates
+const TEMPLATES_KEY = 'code_templates';
+
+/**
+ * Built-in template matching the original A.1.2 codes (always available, used by groups without a template)
+ */
+const DEFAULT_TEMPLATE = {
+    id: 'default',
+    name: 'Letter and numbers (A.1.2)',
+    prefix: '',
+    groupCode: 'letter', // 'letter' (A-Z) or 'letters' (up to 4 capitals, e.g. TS)
+    groupSeparator: '.',
+    separator: '.',
+    segments: ['number'], // Segment kind per level; the last one repeats for deeper levels
+    pad: 0 // Minimum digits of number segments (2 gives 01, 02, ...)
+};
+
+// Segment kinds offered in the template editor
+const SEGMENT_KINDS = {
+    number: 'Number (1, 2, 3)',
+    lower: 'Lower-case letter (a, b, c)',
+    upper: 'Capital letter (A, B, C)'
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+const escapeRegExp = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the segment kind a template uses at a level
+ * @param {Object} template - Template
+ * @param {number} level - Level (1 = top-level standard)
+ * @returns {string} - 'number', 'lower' or 'upper'
+ */
+const kindAt = (template, level) => {
+    const segments = template.segments && template.segments.length > 0 ? template.segments : DEFAULT_TEMPLATE.segments;
+    return segments[Math.min(level, segments.length) - 1];
+};
+
+/**
+ * Pattern of one segment
+ * @param {string} kind - Segment kind
+ * @returns {string} - Regular expression source
+ */
+const segmentPattern = (kind) => {
+    if (kind === 'lower') return '[a-z]+';
+    if (kind === 'upper') return '[A-Z]+';
+    return '[0-9]+';
+};
+
+/**
+ * Pattern of group codes
+ * @param {Object} template - Template
+ * @returns {string} - Regular expression source
+ */
+const groupCodePattern = (template) => (template.groupCode === 'letters' ? '[A-Z]{1,4}' : '[A-Z]');
+
+/**
+ * Convert a segment to its position (1, 2, ... ; a = 1, z = 26, aa = 27)
+ * @param {string} segment - Segment
+ * @param {string} kind - Segment kind
+ * @returns {number} - Position, or 0 if it cannot be read
+ */
+const segmentValue = (segment, kind) => {
+    if (kind === 'number') return parseInt(segment, 10) || 0;
+    return String(segment).toLowerCase().split('').reduce((value, char) => {
+        const digit = char.charCodeAt(0) - 96;
+        return digit >= 1 && digit <= 26 ? value * 26 + digit : value;
+    }, 0);
+};
+
+/**
+ * Convert a position to a segment
+ * @param {number} value - Position (1 or more)
+ * @param {string} kind - Segment kind
+ * @param {number} pad - Minimum digits of number segments
+ * @returns {string} - Segment
+ */
+const segmentText = (value, kind, pad = 0) => {
+    if (kind === 'number') return String(value).padStart(pad || 0, '0');
+    let text = '';
+    let remaining = value;
+    while (remaining > 0) {
+        const digit = (remaining - 1) % 26;
+        text = String.fromCharCode(97 + digit) + text;
+        remaining = Math.floor((remaining - 1) / 26);
+    }
+    return kind === 'upper' ? text.toUpperCase() : text;
+};
+
+export const Codes = {
+    KEY: TEMPLATES_KEY,
+    DEFAULT_TEMPLATE,
+    SEGMENT_KINDS,
+
+    /**
+     * Get all templates, the built-in one first
+     * @returns {Array<Object>} - Templates
+     */
+    getTemplates: () => {
+        const stored = Storage.load(TEMPLATES_KEY, []);
+        return [DEFAULT_TEMPLATE, ...(Array.isArray(stored) ? stored.filter(t => t && t.id !== DEFAULT_TEMPLATE.id) : [])];
+    },
+
+    /**
+     * Save the user-defined templates (the built-in one is never stored)
+     * @param {Array<Object>} templates - Templates
+     */
+    saveTemplates: (templates) => {
+        Storage.save(TEMPLATES_KEY, templates.filter(t => t.id !== DEFAULT_TEMPLATE.id));
+        Logger.log(`Saved ${templates.length} code templates`);
+    },
+
+    /**
+     * Find a template by id
+     * @param {string} id - Template id
+     * @param {Array<Object>} templates - Templates (defaults to getTemplates())
+     * @returns {Object} - Template, or the built-in one if not found
+     */
+    getTemplate: (id, templates = Codes.getTemplates()) => templates.find(t => t.id === id) || DEFAULT_TEMPLATE,
+
+    /**
+     * Get the template of a group
+     * @param {Object|undefined} group - Group
+     * @param {Array<Object>} templates - Templates (defaults to getTemplates())
+     * @returns {Object} - Template
+     */
+    templateOf: (group, templates = Codes.getTemplates()) => Codes.getTemplate(group && group.code_template, templates),
+
+    /**
+     * Find the group a code belongs to, from its prefix and group code (the longest match wins)
+     * @param {string} code - Standard code
+     * @param {Array<Object>} groups - Groups (defaults to the stored groups)
+     * @param {Array<Object>} templates - Templates (defaults to getTemplates())
+     * @returns {Object|undefined} - Group
+     */
+    groupOfCode: (code, groups = Storage.load('groups', []), templates = Codes.getTemplates()) => {
+        let best;
+        let bestLength = -1;
+        groups.forEach(group => {
+            if (!group || !group.code) return;
+            const template = Codes.templateOf(group, templates);
+            const start = `${template.prefix || ''}${group.code}${template.groupSeparator || ''}`;
+            if (String(code).startsWith(start) && start.length > bestLength) {
+                const parsed = Codes.parse(code, template, group.code);
+                if (parsed) {
+                    best = group;
+                    bestLength = start.length;
+                }
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Get the template that applies to a code (its group's, or the built-in one)
+     * @param {string} code - Standard code
+     * @param {Array<Object>} groups - Groups (defaults to the stored groups)
+     * @returns {Object} - Template
+     */
+    templateForCode: (code, groups = Storage.load('groups', [])) => {
+        const templates = Codes.getTemplates();
+        return Codes.templateOf(Codes.groupOfCode(code, groups, templates), templates);
+    },
+
+    /**
+     * Check a group code against a template
+     * @param {string} code - Group code
+     * @param {Object} template - Template
+     * @returns {boolean} - True if valid
+     */
+    isValidGroupCode: (code, template = DEFAULT_TEMPLATE) =>
+        new RegExp(`^${groupCodePattern(template)}$`).test(String(code || '')),
+
+    /**
+     * Describe the group codes a template accepts
+     * @param {Object} template - Template
+     * @returns {string} - e.g. "a single capital letter (A-Z)"
+     */
+    describeGroupCode: (template = DEFAULT_TEMPLATE) => (template.groupCode === 'letters'
+        ? '1 to 4 capital letters (e.g. TS)'
+        : 'a single capital letter (A-Z)'),
+
+    /**
+     * Suggest an unused group code: the one after the highest in use, or else the first gap (never a duplicate)
+     * @param {Array<string>} existingCodes - Codes already in use
+     * @param {Object} template - Template
+     * @returns {string|null} - Next code, or null when every code is taken
+     */
+    nextGroupCode: (existingCodes, template = DEFAULT_TEMPLATE) => {
+        const used = new Set(existingCodes.filter(code => Codes.isValidGroupCode(code, template)));
+        const max = template.groupCode === 'letters' ? 475254 : 26; // ZZZZ / Z
+        const highest = Math.max(0, ...[...used].map(code => segmentValue(code, 'upper')));
+        // After the highest code, then any gap left lower down
+        for (let value = highest + 1; value <= max; value++) {
+            const code = segmentText(value, 'upper');
+            if (!used.has(code)) return code;
+        }
+        for (let value = 1; value < highest; value++) {
+            const code = segmentText(value, 'upper');
+            if (!used.has(code)) return code;
+        }
+        return null;
+    },
+
+    /**
+     * Build a code
+     * @param {Object} template - Template
+     * @param {string} groupCode - Group code
+     * @param {Array<string>} segments - Segments, top level first
+     * @returns {string} - Code
+     */
+    format: (template, groupCode, segments) =>
+        `${template.prefix || ''}${groupCode}${template.groupSeparator || ''}${segments.join(template.separator || '.')}`,
+
+    /**
+     * Read a code
+     * @param {string} code - Code
+     * @param {Object} template - Template
+     * @param {string} groupCode - Expected group code (read from the code when omitted)
+     * @returns {Object|null} - { groupCode, segments }, or null if the code does not follow the template
+     */
+    parse: (code, template = DEFAULT_TEMPLATE, groupCode = null) => {
+        if (typeof code !== 'string') return null;
+        const head = new RegExp(`^${escapeRegExp(template.prefix || '')}(${groupCode ? escapeRegExp(groupCode) : groupCodePattern(template)})${escapeRegExp(template.groupSeparator || '')}`);
+        // Without a separator after the group code, the group code must stop where the first segment starts
+        const match = code.match(head);
+        if (!match) return null;
+
+        const candidates = [match];
+        if (!groupCode && !template.groupSeparator && match[1].length > 1) {
+            // Try shorter group codes too (e.g. "TSA" could be group "TS" and segment "A")
+            for (let length = match[1].length - 1; length >= 1; length--) {
+                candidates.push([match[0].slice(0, (template.prefix || '').length + length), match[1].slice(0, length)]);
+            }
+        }
+
+        for (const [start, group] of candidates) {
+            const rest = code.slice(start.length);
+            if (!rest) continue;
+            const segments = rest.split(template.separator || '.');
+            const valid = segments.every((segment, index) =>
+                new RegExp(`^${segmentPattern(kindAt(template, index + 1))}$`).test(segment));
+            if (valid) return { groupCode: group, segments };
+        }
+        return null;
+    },
+
+    /**
+     * Get the level of a code (1 = top-level standard)
+     * @param {string} code - Code
+     * @param {Object} template - Template (defaults to the template of the code's group)
+     * @returns {number} - Level, or 0 if the code cannot be read
+     */
+    levelOf: (code, template = Codes.templateForCode(code)) => {
+        const parsed = Codes.parse(code, template);
+        return parsed ? parsed.segments.length : 0;
+    },
+
+    /**
+     * Check a standard code against its template and its place in the hierarchy
+     * @param {string} code - Code
+     * @param {Object} options - Where the standard sits
+     * @param {Object} options.template - Template
+     * @param {string} options.groupCode - Code of the standard's group
+     * @param {string} options.parentCode - Code of the parent standard
+     * @returns {string|null} - Problem, or null if the code is valid
+     */
+    validate: (code, { template = DEFAULT_TEMPLATE, groupCode = null, parentCode = null } = {}) => {
+        const parsed = Codes.parse(code, template, groupCode);
+        if (!parsed) {
+            const example = Codes.example(template, groupCode || undefined);
+            return `Code must follow the ${template.name} format (e.g. ${example})`;
+        }
+        const separator = template.separator || '.';
+        if (parentCode && !(code.startsWith(`${parentCode}${separator}`) &&
+            !code.slice(parentCode.length + separator.length).includes(separator))) {
+            return `Code must be the parent code followed by one more level (${parentCode}${separator}...)`;
+        }
+        if (!parentCode && parsed.segments.length !== 1) {
+            return 'A top-level standard has one level after the group code';
+        }
+        return null;
+    },
+
+    /**
+     * Show what codes of a template look like
+     * @param {Object} template - Template
+     * @param {string} groupCode - Group code to use (defaults to A, or TS for multi-letter codes)
+     * @returns {string} - e.g. "A.1, A.1.2"
+     */
+    example: (template, groupCode = template.groupCode === 'letters' ? 'TS' : 'A') => {
+        const first = Codes.format(template, groupCode, [segmentText(1, kindAt(template, 1), template.pad)]);
+        const second = `${first}${template.separator || '.'}${segmentText(2, kindAt(template, 2), template.pad)}`;
+        return `${first}, ${second}`;
+    },
+
+    /**
+     * Generate the next code for a new standard: one past the highest sibling
+     * @param {Array<Object>} standards - All standards
+     * @param {Object} options - Where the standard goes
+     * @param {Object} options.template - Template
+     * @param {string} options.parentCode - Parent code for sub-standards
+     * @param {string} options.groupCode - Group code for top-level standards
+     * @returns {string} - New code ('' if neither a parent nor a group is given)
+     */
+    nextCode: (standards, { template = DEFAULT_TEMPLATE, parentCode = null, groupCode = null } = {}) => {
+        const separator = template.separator || '.';
+        let siblingSegments;
+        let level;
+        let base;
+
+        if (parentCode) {
+            const parentLevel = Codes.levelOf(parentCode, template) || parentCode.split(separator).length;
+            level = parentLevel + 1;
+            base = `${parentCode}${separator}`;
+            siblingSegments = standards
+                .filter(s => s && s.parent_code === parentCode && typeof s.code === 'string' && s.code.startsWith(base))
+                .map(s => s.code.slice(base.length));
+        } else if (groupCode) {
+            level = 1;
+            base = Codes.format(template, groupCode, []);
+            siblingSegments = standards
+                .filter(s => s && !s.parent_code && typeof s.code === 'string')
+                .map(s => Codes.parse(s.code, template, groupCode))
+                .filter(parsed => parsed && parsed.segments.length === 1)
+                .map(parsed => parsed.segments[0]);
+        } else {
+            return '';
+        }
+
+        const kind = kindAt(template, level);
+        const highest = Math.max(0, ...siblingSegments.map(segment => segmentValue(segment, kind)));
+        return `${base}${segmentText(highest + 1, kind, template.pad)}`;
+    },
+
+    /**
+     * Compare two codes in hierarchy order: group code, then each level by its position
+     * (so A.2 comes before A.10 and b before aa). Codes that do not follow their template sort naturally.
+     * @param {string} a - Code
+     * @param {string} b - Code
+     * @param {Object} template - Template (defaults to the template of each code's group)
+     * @returns {number} - Sort order
+     */
+    compare: (a, b, template = null) => Codes.comparator(undefined, template)(a, b),
+
+    /**
+     * Create a compare function for sorting many codes, looking up each code's template once
+     * @param {Array<Object>|null} groups - Groups (defaults to the stored groups; unused when a template is given)
+     * @param {Object} template - Template for every code (defaults to the template of each code's group)
+     * @returns {Function} - (a, b) => number
+     */
+    comparator: (groups = undefined, template = null) => {
+        const allGroups = template ? [] : groups || Storage.load('groups', []);
+        const templates = Codes.getTemplates();
+        const parsed = new Map();
+        const read = (code) => {
+            if (!parsed.has(code)) {
+                const codeTemplate = template || Codes.templateOf(Codes.groupOfCode(code, allGroups, templates), templates);
+                const result = Codes.parse(code, codeTemplate);
+                parsed.set(code, result && { ...result, template: codeTemplate });
+            }
+            return parsed.get(code);
+        };
+
+        return (a, b) => {
+            const codeA = String(a || '');
+            const codeB = String(b || '');
+            const parsedA = read(codeA);
+            const parsedB = read(codeB);
+            if (!parsedA || !parsedB) {
+                return codeA.localeCompare(codeB, undefined, { numeric: true });
+            }
+            if (parsedA.groupCode !== parsedB.groupCode) return parsedA.groupCode.localeCompare(parsedB.groupCode);
+            const length = Math.min(parsedA.segments.length, parsedB.segments.length);
+            for (let i = 0; i < length; i++) {
+                const kind = kindAt(parsedA.template, i + 1);
+                const difference = segmentValue(parsedA.segments[i], kind) - segmentValue(parsedB.segments[i], kind);
+                if (difference !== 0) return difference;
+            }
+            return parsedA.segments.length - parsedB.segments.length;
+        };
+    },
+
+    /**
+     * Replace the start of a code, e.g. when its parent or group code changes
+     * @param {string} code - Code
+     * @param {string} oldStart - Start being replaced (a parent code, or prefix + group code + group separator)
+     * @param {string} newStart - Replacement
+     * @returns {string} - Updated code (unchanged if it does not start with oldStart)
+     */
+    rebase: (code, oldStart, newStart) =>
+        (String(code).startsWith(oldStart) ? `${newStart}${String(code).slice(oldStart.length)}` : code),
+
+    /**
+     * Work out new codes for a group's standards so every level is numbered 1, 2, 3... in code order
+     * under the group's template
+     * @param {Array<Object>} standards - All standards
+     * @param {Object} group - Group
+     * @param {Object} currentTemplate - Template the codes are written in now, for ordering them
+     *                                   (defaults to the group's template; differs when the template is being changed)
+     * @returns {Map<string, string>} - Old code -> new code, for codes that change
+     */
+    renumber: (standards, group, currentTemplate = undefined) => {
+        const template = Codes.templateOf(group);
+        const order = currentTemplate || template;
+        const separator = template.separator || '.';
+        const changes = new Map();
+        const inGroup = standards.filter(s => s.group === group.name);
+
+        const number = (parentCode, newBase, level) => {
+            const children = inGroup
+                .filter(s => (parentCode ? s.parent_code === parentCode : !s.parent_code))
+                .sort((a, b) => Codes.compare(a.code, b.code, order));
+            children.forEach((child, index) => {
+                const segment = segmentText(index + 1, kindAt(template, level), template.pad);
+                const newCode = parentCode ? `${newBase}${separator}${segment}` : Codes.format(template, group.code, [segment]);
+                if (newCode !== child.code) changes.set(child.code, newCode);
+                number(child.code, newCode, level + 1);
+            });
+        };
+        number(null, '', 1);
+        return changes;
+    }
+};
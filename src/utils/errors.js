@@ -0,0 +1,245 @@
+/**
+ * Global error capture
+ * Logs uncaught exceptions and unhandled promise rejections with their stack traces and shows a
+ * non-blocking banner from which the user can copy a diagnostic report or reload the current page.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Workspace } from './workspace.js';
+
+// Errors kept for the diagnostic report, and log entries included with it
+const MAX_ERRORS = 20;
+const REPORT_LOG_ENTRIES = 100;
+
+const state = {
+    installed: false,
+    errors: [],
+    unseen: 0, // Errors since the banner was last dismissed
+    banner: null,
+    options: {
+        getRoute: () => (typeof window !== 'undefined' ? window.location.hash.substring(1) : ''),
+        onRetry: null
+    }
+};
+
+/**
+ * Turn whatever was thrown into a plain description
+ * @param {any} error - Thrown value or rejection reason
+ * @returns {Object} - { message, stack }
+ */
+const describeError = (error) => {
+    if (error instanceof Error) {
+        return { message: error.message || error.name, stack: error.stack || '' };
+    }
+    if (error && typeof error === 'object' && error.message) {
+        return { message: String(error.message), stack: error.stack || '' };
+    }
+    return { message: String(error), stack: '' };
+};
+
+/**
+ * Count the records and approximate size of each workspace key
+ * @returns {Object} - { key: { records, bytes } }
+ */
+const getDataSizes = () => {
+    const sizes = {};
+    Object.keys(Workspace.ENTITIES).forEach(key => {
+        try {
+            const value = Storage.load(key, null);
+            sizes[key] = {
+                records: Array.isArray(value) ? value.length : (value === null ? 0 : 1),
+                bytes: value === null ? 0 : JSON.stringify(value).length
+            };
+        } catch (e) {
+            sizes[key] = { error: e.message };
+        }
+    });
+    return sizes;
+};
+
+/**
+ * Show (or update) the error banner
+ */
+const showBanner = () => {
+    const banner = state.banner;
+    if (!banner) return;
+
+    const latest = state.errors[state.errors.length - 1];
+    const more = state.unseen > 1 ? ` (${state.unseen} errors)` : '';
+    banner.innerHTML = `
+        <span class="error-banner-message"></span>
+        <div class="error-banner-actions">
+            <button class="button button-small button-secondary" data-action="copy">Copy diagnostic report</button>
+            ${state.options.onRetry ? '<button class="button button-small button-secondary" data-action="retry">Reload page</button>' : ''}
+            <button class="button button-small button-secondary" data-action="dismiss" title="Dismiss">&times;</button>
+        </div>
+    `;
+    // Error messages can contain user data or markup, so they are set as text
+    banner.querySelector('.error-banner-message').textContent = `Something went wrong: ${latest.message}${more}`;
+    banner.classList.remove('hidden');
+};
+
+/**
+ * Show the diagnostic report in the banner, selected, for copying by hand when the clipboard is unavailable
+ */
+const showReport = () => {
+    const banner = state.banner;
+    if (!banner) return;
+
+    let textarea = banner.querySelector('.error-banner-report');
+    if (!textarea) {
+        textarea = document.createElement('textarea');
+        textarea.className = 'error-banner-report form-control';
+        textarea.readOnly = true;
+        banner.appendChild(textarea);
+    }
+    textarea.value = ErrorReporter.buildReport();
+    textarea.focus();
+    textarea.select();
+};
+
+/**
+ * Handle clicks on the banner buttons
+ * @param {Event} event - Click event
+ */
+const handleBannerClick = async (event) => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    switch (button.dataset.action) {
+        case 'copy': {
+            const copied = await ErrorReporter.copyReport();
+            button.textContent = copied ? 'Copied' : 'Copy failed - select the report below';
+            if (!copied) {
+                showReport();
+            }
+            break;
+        }
+        case 'retry':
+            ErrorReporter.dismiss();
+            state.options.onRetry();
+            break;
+        case 'dismiss':
+            ErrorReporter.dismiss();
+            break;
+    }
+};
+
+export const ErrorReporter = {
+    /**
+     * Start capturing uncaught errors and unhandled rejections
+     * @param {Object} options - Optional settings
+     * @param {HTMLElement} options.banner - Element used for the error banner
+     * @param {Function} options.getRoute - Returns the current route for reports
+     * @param {Function} options.onRetry - Re-opens the current page (shows a "Reload page" button)
+     */
+    install: (options = {}) => {
+        state.options = { ...state.options, ...options };
+        state.banner = options.banner || null;
+        if (state.banner) {
+            state.banner.addEventListener('click', handleBannerClick);
+        }
+
+        if (state.installed || typeof window === 'undefined') return;
+        state.installed = true;
+
+        window.addEventListener('error', (event) => {
+            // Cross-origin scripts only report "Script error." without an error object
+            ErrorReporter.report(event.error || event, {
+                source: 'window.onerror',
+                file: event.filename,
+                line: event.lineno,
+                column: event.colno
+            });
+        });
+
+        window.addEventListener('unhandledrejection', (event) => {
+            ErrorReporter.report(event.reason, { source: 'unhandledrejection' });
+        });
+    },
+
+    /**
+     * Record an error: log it with its stack trace and show the banner
+     * @param {any} error - Error or thrown value
+     * @param {Object} context - Extra details (e.g. { source: 'router', page })
+     * @returns {Object} - The recorded error
+     */
+    report: (error, context = {}) => {
+        const { message, stack } = describeError(error);
+        const record = {
+            timestamp: new Date().toISOString(),
+            message,
+            stack,
+            route: state.options.getRoute(),
+            ...context
+        };
+
+        state.errors.push(record);
+        state.unseen += 1;
+        if (state.errors.length > MAX_ERRORS) {
+            state.errors.shift();
+        }
+
+        Logger.error(`Uncaught error: ${message}`, record);
+        showBanner();
+        return record;
+    },
+
+    /**
+     * Errors captured this session (oldest first)
+     * @returns {Array<Object>} - Error records
+     */
+    getErrors: () => [...state.errors],
+
+    /**
+     * Hide the banner (errors stay in the diagnostic report)
+     */
+    dismiss: () => {
+        state.unseen = 0;
+        if (state.banner) {
+            state.banner.classList.add('hidden');
+            state.banner.innerHTML = '';
+        }
+    },
+
+    /**
+     * Build a diagnostic report: errors, current route, data sizes, environment and recent log entries
+     * @returns {string} - Report as formatted JSON
+     */
+    buildReport: () => {
+        // Read the log first so the loads made while measuring data sizes are not included
+        const log = Logger.getEntries().slice(-REPORT_LOG_ENTRIES);
+        return JSON.stringify({
+            generated_at: new Date().toISOString(),
+            route: state.options.getRoute(),
+            url: typeof window !== 'undefined' ? window.location.href : '',
+            user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            storage: Storage.isIndexedDBReady() ? 'indexeddb' : 'localStorage',
+            server_connected: Storage.isServerConnected(),
+            errors: state.errors,
+            data_sizes: getDataSizes(),
+            log
+        }, null, 2);
+    },
+
+    /**
+     * Copy the diagnostic report to the clipboard
+     * @returns {Promise<boolean>} - True if copied
+     */
+    copyReport: async () => {
+        const report = ErrorReporter.buildReport();
+        try {
+            await navigator.clipboard.writeText(report);
+            return true;
+        } catch (e) {
+            // Clipboard API is unavailable on file:// pages in some browsers
+            const textarea = document.createElement('textarea');
+            textarea.value = report;
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(textarea);
+            return copied;
+        }
+    }
+};
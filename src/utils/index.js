@@ -11,6 +11,18 @@ import { Router } from './router.js';
 import { FilterSystem } from './FilterSystem.js';
 import { ChartSystem } from './ChartSystem.js';
 import { DrilldownFilterSystem } from './DrilldownFilterSystem.js';
+import { Migrations } from './migrations.js';
+import { Workspace } from './workspace.js';
+import { Snapshots } from './snapshots.js';
+import { Undo } from './undo.js';
+import { Audit } from './audit.js';
+import { ErrorReporter } from './errors.js';
+import { Integrity } from './integrity.js';
+import { Cascade } from './cascade.js';
+import { Scale } from './scale.js';
+import { Assessments } from './assessments.js';
+import { Applicability } from './applicability.js';
+import { Codes } from './codes.js';
 
 // Add a CommonUtils export for shared utility functions
 export const CommonUtils = {
@@ -29,6 +41,21 @@ export const CommonUtils = {
     deepClone: (obj) => {
         if (!obj) return obj;
         return JSON.parse(JSON.stringify(obj));
+    },
+    
+    /**
+     * Escapes text for use in HTML markup (element content and quoted attributes)
+     * @param {any} value - Value to escape
+     * @returns {string} - Escaped text ('' for null or undefined)
+     */
+    escapeHtml: (value) => {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 };
 
@@ -36,4 +63,4 @@ export const CommonUtils = {
 export const Models = ModelsObject;
 
 // Re-export everything
-export { Logger, Storage, Validate, Router, FilterSystem, ChartSystem, DrilldownFilterSystem }; 
\ No newline at end of file
+export { Logger, Storage, Validate, Router, FilterSystem, ChartSystem, DrilldownFilterSystem, Migrations, Workspace, Snapshots, Undo, Audit, ErrorReporter, Integrity, Cascade, Scale, Assessments, Applicability, Codes }; 
\ No newline at end of file
@@ -0,0 +1,357 @@
+/**
+ * Data integrity checker
+ * Scans staff, standards, groups and assignments for broken references and inconsistent hierarchy data,
+ * and repairs the problems found. Every issue carries its own fix, so any subset can be previewed and applied.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Workspace } from './workspace.js';
+import Models from './models.js';
+import { Codes } from './codes.js';
+
+// Keys the checker reads and repairs
+const KEYS = ['staff', 'standards', 'groups', 'assignments'];
+
+/**
+ * Severity levels, most serious first
+ */
+const SEVERITIES = {
+    error: { label: 'Errors', description: 'Data that is wrong or unreachable' },
+    warning: { label: 'Warnings', description: 'Data that disagrees with itself' },
+    info: { label: 'Notices', description: 'Stored values that can be recalculated' }
+};
+
+// Fixes run in this order so later fixes see the result of earlier ones (e.g. duplicates removed before links rebuilt)
+const REPAIR_ORDER = {
+    duplicate: 1,
+    orphan: 2,
+    parent: 3,
+    cycle: 3,
+    group: 4,
+    children: 5,
+    level: 6
+};
+
+/**
+ * Keep the first record for each identity
+ * @param {Array<Object>} records - Records
+ * @param {Function} identify - Record identity
+ * @returns {Array<Object>} - Records without later duplicates
+ */
+const keepFirst = (records, identify) => {
+    const seen = new Set();
+    return records.filter(record => {
+        const id = identify(record);
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+};
+
+/**
+ * Keep the last record for each identity (later assignment records are the newer ones)
+ * @param {Array<Object>} records - Records
+ * @param {Function} identify - Record identity
+ * @returns {Array<Object>} - Records without earlier duplicates
+ */
+const keepLast = (records, identify) => keepFirst([...records].reverse(), identify).reverse();
+
+/**
+ * Rebuild every standard's children list from the parent_code links (parent_code is the source of truth)
+ * @param {Object} data - Working data
+ */
+const rebuildChildren = (data) => {
+    const codes = new Set(data.standards.map(s => s.code));
+    data.standards.forEach(standard => {
+        const expected = data.standards
+            .filter(s => s.parent_code === standard.code)
+            .map(s => s.code);
+        // Keep the existing order for children that remain, then add missing ones
+        const current = (Array.isArray(standard.children) ? standard.children : [])
+            .filter((code, index, list) => expected.includes(code) && codes.has(code) && list.indexOf(code) === index);
+        standard.children = [...current, ...expected.filter(code => !current.includes(code))];
+    });
+};
+
+/**
+ * Find a standard's group from the group code at the start of its code (read with the group's code template)
+ * @param {Object} standard - Standard
+ * @param {Array<Object>} groups - Groups
+ * @returns {string|null} - Group name or null
+ */
+const groupFromCode = (standard, groups) => {
+    const parsed = Codes.parse(standard.code, Codes.templateForCode(standard.code, groups));
+    const group = parsed ? groups.find(g => g.code === parsed.groupCode) : null;
+    return group ? group.name : null;
+};
+
+/**
+ * Count duplicates of an identity in a list
+ * @param {Array<Object>} records - Records
+ * @param {Function} identify - Record identity
+ * @returns {Map<string, number>} - Identity -> count, for identities seen more than once
+ */
+const findDuplicates = (records, identify) => {
+    const counts = new Map();
+    records.forEach(record => {
+        const id = identify(record);
+        counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    return new Map([...counts].filter(([, count]) => count > 1));
+};
+
+/**
+ * Load the data the checker works on
+ * @returns {Object} - { staff, standards, groups, assignments }
+ */
+const loadData = () => {
+    const data = {};
+    KEYS.forEach(key => {
+        const value = Storage.load(key, []);
+        data[key] = Array.isArray(value) ? value : [];
+    });
+    return data;
+};
+
+export const Integrity = {
+    SEVERITIES,
+
+    /**
+     * Scan the data for problems
+     * @param {Object} data - Data to scan ({ staff, standards, groups, assignments }); defaults to the stored data
+     * @returns {Array<Object>} - Issues ({ id, type, severity, entity, message, repair, fix }), most serious first
+     */
+    scan: (data = loadData()) => {
+        const issues = [];
+        const add = (issue) => issues.push({ ...issue, id: `${issue.type}:${issue.entity}:${issue.ref}` });
+
+        const staffIds = new Set(data.staff.map(s => s.id));
+        const standardsByCode = new Map(data.standards.map(s => [s.code, s]));
+        const groupNames = new Set(data.groups.map(g => g.name));
+        const assignmentId = Workspace.ENTITIES.assignments.identify;
+
+        // Duplicate identifiers
+        findDuplicates(data.staff, s => s.id).forEach((count, id) => add({
+            type: 'duplicate', severity: 'error', entity: 'staff', ref: id,
+            message: `Staff ID ${id} is used by ${count} records`,
+            repair: 'Keep the first record with this ID and remove the others',
+            fix: (d) => { d.staff = keepFirst(d.staff, s => s.id); }
+        }));
+        findDuplicates(data.standards, s => s.code).forEach((count, code) => add({
+            type: 'duplicate', severity: 'error', entity: 'standards', ref: code,
+            message: `Standard code ${code} is used by ${count} standards`,
+            repair: 'Keep the first standard with this code and remove the others',
+            fix: (d) => {
+                d.standards = keepFirst(d.standards, s => s.code);
+                rebuildChildren(d);
+            }
+        }));
+        findDuplicates(data.groups, g => g.name).forEach((count, name) => add({
+            type: 'duplicate', severity: 'error', entity: 'groups', ref: name,
+            message: `Group name ${name} is used by ${count} groups`,
+            repair: 'Keep the first group with this name and remove the others',
+            fix: (d) => { d.groups = keepFirst(d.groups, g => g.name); }
+        }));
+        findDuplicates(data.groups, g => g.code).forEach((count, code) => add({
+            type: 'duplicate', severity: 'warning', entity: 'groups', ref: `code-${code}`,
+            message: `Group code ${code} is used by ${count} groups`,
+            repair: 'Give the later groups the next free codes',
+            fix: (d) => {
+                const seen = new Set();
+                d.groups.forEach(group => {
+                    if (group.code === code && seen.has(code)) {
+                        const free = Codes.nextGroupCode(d.groups.map(g => g.code), Codes.templateOf(group));
+                        if (free) group.code = free;
+                    }
+                    seen.add(group.code);
+                });
+            }
+        }));
+        findDuplicates(data.assignments, assignmentId).forEach((count, id) => add({
+            type: 'duplicate', severity: 'warning', entity: 'assignments', ref: id,
+            message: `Achievement record ${id.replace('|', ' / ')} is stored ${count} times`,
+            repair: 'Keep the most recent record',
+            fix: (d) => { d.assignments = keepLast(d.assignments, assignmentId); }
+        }));
+
+        // Assignments pointing at deleted staff or standards
+        const orphanStaff = new Map();
+        const orphanStandards = new Map();
+        data.assignments.forEach(assignment => {
+            if (!staffIds.has(assignment.staff_id)) {
+                orphanStaff.set(assignment.staff_id, (orphanStaff.get(assignment.staff_id) || 0) + 1);
+            } else if (!standardsByCode.has(assignment.standard_code)) {
+                orphanStandards.set(assignment.standard_code, (orphanStandards.get(assignment.standard_code) || 0) + 1);
+            }
+        });
+        orphanStaff.forEach((count, staffId) => add({
+            type: 'orphan', severity: 'error', entity: 'assignments', ref: `staff-${staffId}`,
+            message: `${count} achievement record${count === 1 ? ' belongs' : 's belong'} to staff ID ${staffId}, which does not exist`,
+            repair: 'Delete these achievement records',
+            fix: (d) => { d.assignments = d.assignments.filter(a => a.staff_id !== staffId); }
+        }));
+        orphanStandards.forEach((count, code) => add({
+            type: 'orphan', severity: 'error', entity: 'assignments', ref: `standard-${code}`,
+            message: `${count} achievement record${count === 1 ? ' refers' : 's refer'} to standard ${code}, which does not exist`,
+            repair: 'Delete these achievement records',
+            fix: (d) => { d.assignments = d.assignments.filter(a => a.standard_code !== code); }
+        }));
+
+        data.standards.forEach(standard => {
+            const code = standard.code;
+
+            // Parent links
+            if (standard.parent_code && !standardsByCode.has(standard.parent_code)) {
+                add({
+                    type: 'parent', severity: 'error', entity: 'standards', ref: code,
+                    message: `Standard ${code} has parent ${standard.parent_code}, which does not exist`,
+                    repair: 'Make it a top-level standard',
+                    fix: (d) => {
+                        d.standards.filter(s => s.code === code).forEach(s => { s.parent_code = null; });
+                        rebuildChildren(d);
+                    }
+                });
+            }
+
+            // Children lists that disagree with the parent links
+            const children = Array.isArray(standard.children) ? standard.children : [];
+            const listedWrongly = children.filter(child => !standardsByCode.has(child) || standardsByCode.get(child).parent_code !== code);
+            const missing = data.standards.filter(s => s.parent_code === code && !children.includes(s.code)).map(s => s.code);
+            if (listedWrongly.length > 0 || missing.length > 0) {
+                const parts = [];
+                if (listedWrongly.length > 0) parts.push(`lists ${listedWrongly.join(', ')} as sub-standards without being their parent`);
+                if (missing.length > 0) parts.push(`does not list its sub-standards ${missing.join(', ')}`);
+                add({
+                    type: 'children', severity: 'warning', entity: 'standards', ref: code,
+                    message: `Standard ${code} ${parts.join(' and ')}`,
+                    repair: 'Rebuild the sub-standard lists from the parent links',
+                    fix: rebuildChildren
+                });
+            }
+
+            // Group references
+            if (standard.group && !groupNames.has(standard.group)) {
+                const parent = standard.parent_code ? standardsByCode.get(standard.parent_code) : null;
+                const replacement = parent && groupNames.has(parent.group) ? parent.group : groupFromCode(standard, data.groups);
+                add({
+                    type: 'group', severity: 'warning', entity: 'standards', ref: code,
+                    message: `Standard ${code} belongs to group "${standard.group}", which does not exist`,
+                    repair: replacement ? `Move it to group "${replacement}"` : 'Remove it from the group',
+                    fix: (d) => d.standards.filter(s => s.code === code).forEach(s => { s.group = replacement; })
+                });
+            } else if (standard.parent_code && standardsByCode.has(standard.parent_code)) {
+                const parentGroup = standardsByCode.get(standard.parent_code).group;
+                if (parentGroup && groupNames.has(parentGroup) && standard.group !== parentGroup) {
+                    add({
+                        type: 'group', severity: 'warning', entity: 'standards', ref: code,
+                        message: `Standard ${code} is in group "${standard.group || 'none'}" but its parent is in "${parentGroup}"`,
+                        repair: `Move it to group "${parentGroup}"`,
+                        fix: (d) => d.standards.filter(s => s.code === code).forEach(s => { s.group = parentGroup; })
+                    });
+                }
+            }
+
+            // Stored level
+            const level = Models.Standard.getLevel(code, Codes.templateForCode(code, data.groups));
+            if (code && standard.level !== undefined && standard.level !== level) {
+                add({
+                    type: 'level', severity: 'info', entity: 'standards', ref: code,
+                    message: `Standard ${code} is stored at level ${standard.level} but its code is level ${level}`,
+                    repair: `Set its level to ${level}`,
+                    fix: (d) => d.standards.filter(s => s.code === code).forEach(s => { s.level = level; })
+                });
+            }
+        });
+
+        // Parent chains that loop back on themselves
+        const reported = new Set();
+        data.standards.forEach(standard => {
+            const chain = [];
+            let current = standard;
+            while (current && current.parent_code && !chain.includes(current.code)) {
+                chain.push(current.code);
+                current = standardsByCode.get(current.parent_code);
+            }
+            if (current && chain.includes(current.code) && !reported.has(current.code)) {
+                const loop = chain.slice(chain.indexOf(current.code));
+                loop.forEach(code => reported.add(code));
+                const breakAt = current.code;
+                add({
+                    type: 'cycle', severity: 'error', entity: 'standards', ref: breakAt,
+                    message: `Standards ${loop.join(' → ')} → ${breakAt} are each other's parents`,
+                    repair: `Make ${breakAt} a top-level standard`,
+                    fix: (d) => {
+                        d.standards.filter(s => s.code === breakAt).forEach(s => { s.parent_code = null; });
+                        rebuildChildren(d);
+                    }
+                });
+            }
+        });
+
+        const order = Object.keys(SEVERITIES);
+        return issues.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+    },
+
+    /**
+     * Apply the fixes of the given issues to a copy of the data
+     * @param {Array<Object>} issues - Issues from scan()
+     * @param {Object} data - Data to repair (defaults to the stored data); not modified
+     * @returns {Object} - Repaired copy ({ staff, standards, groups, assignments })
+     */
+    applyFixes: (issues, data = loadData()) => {
+        const repaired = JSON.parse(JSON.stringify(data));
+        const fixes = [...issues].sort((a, b) => REPAIR_ORDER[a.type] - REPAIR_ORDER[b.type]);
+        const applied = new Set();
+
+        fixes.forEach(issue => {
+            // Shared fixes (e.g. rebuilding children) only need to run once
+            if (applied.has(issue.fix)) return;
+            applied.add(issue.fix);
+            issue.fix(repaired);
+        });
+        return repaired;
+    },
+
+    /**
+     * Describe what repairing the given issues would change
+     * @param {Array<Object>} issues - Issues to repair
+     * @returns {Array<Object>} - Per key: { key, label, before, after, removed, changed }
+     */
+    preview: (issues) => {
+        const current = loadData();
+        const repaired = Integrity.applyFixes(issues, current);
+
+        return KEYS.map(key => {
+            const identify = record => String(Workspace.ENTITIES[key].identify(record));
+            const afterIndex = new Map(repaired[key].map(record => [identify(record), record]));
+            const beforeFirst = keepFirst(current[key], identify);
+            const changed = beforeFirst.filter(record => afterIndex.has(identify(record))
+                && !Workspace.isEqual(record, afterIndex.get(identify(record)))).length;
+
+            return {
+                key,
+                label: Workspace.ENTITIES[key].label,
+                before: current[key].length,
+                after: repaired[key].length,
+                removed: current[key].length - repaired[key].length,
+                changed
+            };
+        });
+    },
+
+    /**
+     * Repair the given issues and save the result.
+     * Callers take a snapshot and record the repair with Undo (see the Data Check page).
+     * @param {Array<Object>} issues - Issues to repair
+     * @returns {Array<string>} - Keys that were saved
+     */
+    repair: (issues) => {
+        const current = loadData();
+        const repaired = Integrity.applyFixes(issues, current);
+        const changedKeys = KEYS.filter(key => !Workspace.isEqual(current[key], repaired[key]));
+
+        changedKeys.forEach(key => Storage.save(key, repaired[key]));
+        Logger.log(`Repaired ${issues.length} data integrity issues`, { keys: changedKeys, issues: issues.map(issue => issue.id) });
+        return changedKeys;
+    }
+};
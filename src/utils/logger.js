@@ -1,42 +1,425 @@
 /**
  * Centralized logging module for tracking user actions, errors, and system events
+ * Entries below the configured minimum level are dropped; the rest are handed to each transport
+ * (console, a ring buffer persisted in localStorage, and optionally an HTTP collector).
  */
+
+/**
+ * Log levels in increasing order of severity
+ */
+const LEVELS = {
+    DEBUG: 10,
+    INFO: 20,
+    WARN: 30,
+    ERROR: 40
+};
+
+// localStorage keys. The logger writes to localStorage directly rather than through Storage,
+// because Storage logs its own writes and would recurse.
+const SETTINGS_KEY = 'logger_settings';
+const BUFFER_KEY = 'log_buffer';
+
+// Entries kept in memory for the current session
+const HISTORY_LIMIT = 1000;
+
+const DEFAULT_SETTINGS = {
+    level: 'INFO',
+    bufferSize: 1000,
+    collectorUrl: '',
+    collectorLevel: 'WARN'
+};
+
+// Active transports by name
+const transports = new Map();
+
+/**
+ * Check whether localStorage can be used (it is missing in Node and may be blocked)
+ * @returns {boolean} - True if available
+ */
+const hasLocalStorage = () => {
+    try {
+        return typeof localStorage !== 'undefined';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - localStorage key
+ * @param {any} defaultValue - Value if missing or unreadable
+ * @returns {any} - Parsed value
+ */
+const readLocal = (key, defaultValue) => {
+    if (!hasLocalStorage()) return defaultValue;
+    try {
+        const raw = localStorage.getItem(key);
+        return raw === null ? defaultValue : JSON.parse(raw);
+    } catch (e) {
+        return defaultValue;
+    }
+};
+
+/**
+ * Write a JSON value to localStorage, ignoring quota errors
+ * @param {string} key - localStorage key
+ * @param {any} value - Value to store
+ */
+const writeLocal = (key, value) => {
+    if (!hasLocalStorage()) return;
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn(`Logger could not write ${key} - ${e.message}`);
+    }
+};
+
+/**
+ * Normalise a level name
+ * @param {string} level - Level name (any case)
+ * @returns {string} - Known level name (INFO if unknown)
+ */
+const normaliseLevel = (level) => {
+    const name = String(level || '').toUpperCase();
+    return LEVELS[name] ? name : 'INFO';
+};
+
+/**
+ * Check whether an entry's level reaches a minimum level
+ * @param {string} level - Entry level
+ * @param {string} minLevel - Minimum level
+ * @returns {boolean} - True if the entry should be kept
+ */
+const reaches = (level, minLevel) => LEVELS[level] >= LEVELS[normaliseLevel(minLevel)];
+
+/**
+ * Transport factories
+ */
+const Transports = {
+    /**
+     * Print entries to the browser console
+     * @returns {Object} - Transport
+     */
+    console: () => ({
+        name: 'console',
+        write: (entry) => {
+            const method = entry.level === 'ERROR' ? 'error' : entry.level === 'WARN' ? 'warn' : 'log';
+            const line = `[${entry.timestamp}] ${entry.level}: ${entry.message}`;
+            if (entry.context) {
+                console[method](line, entry.context);
+            } else {
+                console[method](line);
+            }
+        }
+    }),
+
+    /**
+     * Keep the most recent entries in localStorage so they survive reloads
+     * @param {Object} options - Transport options
+     * @param {number} options.size - Number of entries kept
+     * @returns {Object} - Transport
+     */
+    ringBuffer: ({ size = DEFAULT_SETTINGS.bufferSize } = {}) => {
+        let entries = readLocal(BUFFER_KEY, []);
+        let timer = null;
+
+        // Writes are batched so a burst of log calls costs one localStorage write
+        const flush = () => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            writeLocal(BUFFER_KEY, entries);
+        };
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('pagehide', flush);
+        }
+
+        return {
+            name: 'buffer',
+            write: (entry) => {
+                entries.push(entry);
+                if (entries.length > size) {
+                    entries = entries.slice(entries.length - size);
+                }
+                if (!timer) {
+                    timer = setTimeout(flush, 1000);
+                }
+            },
+            getEntries: () => [...entries],
+            clear: () => {
+                entries = [];
+                flush();
+            },
+            flush,
+            close: () => {
+                flush();
+                if (typeof window !== 'undefined') {
+                    window.removeEventListener('pagehide', flush);
+                }
+            }
+        };
+    },
+
+    /**
+     * POST entries as a JSON array to a collector (e.g. the storage service's /api/logs)
+     * @param {Object} options - Transport options
+     * @param {string} options.url - Collector URL
+     * @param {string} options.minLevel - Lowest level sent
+     * @param {number} options.batchSize - Entries sent per request
+     * @param {number} options.interval - Milliseconds to wait before sending a partial batch
+     * @returns {Object} - Transport
+     */
+    http: ({ url, minLevel = DEFAULT_SETTINGS.collectorLevel, batchSize = 20, interval = 5000 }) => {
+        let queue = [];
+        let timer = null;
+
+        const send = () => {
+            if (timer) {
+                clearTimeout(timer);
+                timer = null;
+            }
+            if (queue.length === 0 || typeof fetch !== 'function') return;
+
+            const batch = queue;
+            queue = [];
+            // Failures go to the console only; logging them would queue more entries for the same collector
+            fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(batch),
+                keepalive: true
+            }).catch(e => console.warn(`Log collector unavailable (${url}) - ${e.message}`));
+        };
+
+        return {
+            name: 'http',
+            minLevel,
+            write: (entry) => {
+                queue.push(entry);
+                if (queue.length >= batchSize) {
+                    send();
+                } else if (!timer) {
+                    timer = setTimeout(send, interval);
+                }
+            },
+            flush: send,
+            close: send
+        };
+    }
+};
+
 export const Logger = {
+    LEVELS,
+
+    /**
+     * Current minimum level (use setLevel to change it)
+     */
+    level: DEFAULT_SETTINGS.level,
+
     /**
      * Log a message with specified level
      * @param {string} message - The message to log
-     * @param {string} level - Log level (INFO, WARN, ERROR)
+     * @param {string|Object} level - Log level (DEBUG, INFO, WARN, ERROR), or a context object for an INFO entry
+     * @param {Object} context - Optional structured data stored with the entry (e.g. { key, count })
      */
-    log: (message, level = 'INFO') => {
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] ${level}: ${message}`);
-        
-        // Store log in memory for potential export
-        Logger.history.push({timestamp, level, message});
-        
-        // Placeholder for server-side logging
+    log: (message, level = 'INFO', context = undefined) => {
+        if (level && typeof level === 'object') {
+            context = level;
+            level = 'INFO';
+        }
+        level = normaliseLevel(level);
+        if (!reaches(level, Logger.getLevel())) return;
+
+        const entry = { timestamp: new Date().toISOString(), level, message: String(message) };
+        if (context !== undefined && context !== null) {
+            entry.context = context;
+        }
+
+        // Store log in memory for the session
+        Logger.history.push(entry);
+        if (Logger.history.length > HISTORY_LIMIT) {
+            Logger.history.shift();
+        }
+
+        transports.forEach(transport => {
+            if (transport.minLevel && !reaches(level, transport.minLevel)) return;
+            try {
+                transport.write(entry);
+            } catch (e) {
+                console.error(`Log transport ${transport.name} failed - ${e.message}`);
+            }
+        });
     },
-    
+
+    /**
+     * Log a debug message (dropped unless the level is DEBUG)
+     * @param {string} message - Debug message
+     * @param {Object} context - Optional structured data
+     */
+    debug: (message, context) => Logger.log(message, 'DEBUG', context),
+
+    /**
+     * Log an informational message
+     * @param {string} message - Message
+     * @param {Object} context - Optional structured data
+     */
+    info: (message, context) => Logger.log(message, 'INFO', context),
+
     /**
      * Log an error message
      * @param {string} message - Error message
+     * @param {Object} context - Optional structured data
      */
-    error: (message) => Logger.log(message, 'ERROR'),
-    
+    error: (message, context) => Logger.log(message, 'ERROR', context),
+
     /**
      * Log a warning message
      * @param {string} message - Warning message
+     * @param {Object} context - Optional structured data
      */
-    warn: (message) => Logger.log(message, 'WARN'),
-    
+    warn: (message, context) => Logger.log(message, 'WARN', context),
+
     /**
-     * Log history for potential export
+     * Log history for the current session (most recent entries)
      */
     history: [],
-    
+
     /**
      * Export log history as JSON
      * @returns {string} - JSON string of log history
      */
-    export: () => JSON.stringify(Logger.history)
-}; 
\ No newline at end of file
+    export: () => JSON.stringify(Logger.history),
+
+    /**
+     * Transport factories (console, ringBuffer, http)
+     */
+    transports: Transports,
+
+    /**
+     * Add a transport (replaces one with the same name)
+     * @param {Object} transport - { name, write(entry), minLevel?, flush?, close? }
+     */
+    addTransport: (transport) => {
+        Logger.removeTransport(transport.name);
+        transports.set(transport.name, transport);
+    },
+
+    /**
+     * Remove a transport
+     * @param {string} name - Transport name
+     */
+    removeTransport: (name) => {
+        const existing = transports.get(name);
+        if (existing && typeof existing.close === 'function') {
+            existing.close();
+        }
+        transports.delete(name);
+    },
+
+    /**
+     * Get an active transport
+     * @param {string} name - Transport name
+     * @returns {Object|undefined} - Transport
+     */
+    getTransport: (name) => transports.get(name),
+
+    /**
+     * Get the saved settings
+     * @returns {Object} - { level, bufferSize, collectorUrl, collectorLevel }
+     */
+    getSettings: () => ({ ...DEFAULT_SETTINGS, ...readLocal(SETTINGS_KEY, {}) }),
+
+    /**
+     * Get the minimum level currently logged
+     * @returns {string} - Level name
+     */
+    getLevel: () => Logger.level,
+
+    /**
+     * Set the minimum level logged
+     * @param {string} level - Level name
+     */
+    setLevel: (level) => {
+        Logger.level = normaliseLevel(level);
+    },
+
+    /**
+     * Apply settings, save them and rebuild the transports.
+     * The console and ring buffer are always active; the collector only when a URL is set.
+     * @param {Object} settings - Any of { level, bufferSize, collectorUrl, collectorLevel }
+     * @returns {Object} - Settings now in effect
+     */
+    configure: (settings = {}) => {
+        const merged = { ...Logger.getSettings(), ...settings };
+        merged.level = normaliseLevel(merged.level);
+        merged.collectorLevel = normaliseLevel(merged.collectorLevel);
+        merged.bufferSize = Math.max(50, parseInt(merged.bufferSize, 10) || DEFAULT_SETTINGS.bufferSize);
+        merged.collectorUrl = String(merged.collectorUrl || '').trim();
+        writeLocal(SETTINGS_KEY, merged);
+
+        Logger.setLevel(merged.level);
+        Logger.addTransport(Transports.console());
+        Logger.addTransport(Transports.ringBuffer({ size: merged.bufferSize }));
+        if (merged.collectorUrl) {
+            Logger.addTransport(Transports.http({ url: merged.collectorUrl, minLevel: merged.collectorLevel }));
+        } else {
+            Logger.removeTransport('http');
+        }
+        return merged;
+    },
+
+    /**
+     * Get persisted entries (from the ring buffer, or this session's history if it is not active)
+     * @param {Object} filters - Optional filters
+     * @param {string} filters.level - Minimum level
+     * @param {string} filters.search - Text matched against the message and context
+     * @returns {Array<Object>} - Entries, oldest first
+     */
+    getEntries: (filters = {}) => {
+        const buffer = transports.get('buffer');
+        const entries = buffer && buffer.getEntries ? buffer.getEntries() : [...Logger.history];
+        const search = String(filters.search || '').trim().toLowerCase();
+
+        return entries
+            .filter(entry => !filters.level || reaches(entry.level, filters.level))
+            .filter(entry => !search || `${entry.message} ${entry.context ? JSON.stringify(entry.context) : ''}`.toLowerCase().includes(search));
+    },
+
+    /**
+     * Remove persisted entries and this session's history
+     */
+    clearEntries: () => {
+        const buffer = transports.get('buffer');
+        if (buffer && buffer.clear) buffer.clear();
+        Logger.history.length = 0;
+    },
+
+    /**
+     * Convert entries to newline-delimited JSON
+     * @param {Array<Object>} entries - Log entries
+     * @returns {string} - One JSON object per line
+     */
+    toNDJSON: (entries) => entries.map(entry => JSON.stringify(entry)).join('\n'),
+
+    /**
+     * Download entries as an NDJSON file
+     * @param {Array<Object>} entries - Log entries (defaults to every persisted entry)
+     */
+    download: (entries = Logger.getEntries()) => {
+        const blob = new Blob([Logger.toNDJSON(entries)], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `teacherlytics_log_${new Date().toISOString().slice(0, 10)}.ndjson`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+};
+
+// Console output works before configure() is called (and in Node, where nothing else applies)
+Logger.addTransport(Transports.console());
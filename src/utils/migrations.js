@@ -0,0 +1,375 @@
+/**
+ * Schema migrations for stored data
+ * Keeps stored data in step with the current models. Each migration transforms data in place
+ * and returns a list of the changes it made; pending migrations run in order at startup.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import ModelsObject from './models.js';
+import { Scale } from './scale.js';
+import { Assessments } from './assessments.js';
+
+const SCHEMA_VERSION_KEY = 'schema_version';
+const MIGRATION_LOG_KEY = 'schema_migration_log';
+const BACKUP_KEY = 'schema_backup';
+
+/**
+ * Keys included in the pre-migration backup
+ */
+const BACKUP_KEYS = [
+    'staff',
+    'standards',
+    'groups',
+    'assignments',
+    'saved_charts',
+    'masterlog_columns',
+    'standards_columns',
+    'model_options',
+    'custom_classifications',
+    'achievement_scale',
+    'code_templates'
+];
+
+/**
+ * Normalise a year group label ('Year7' -> 'Year 7')
+ * @param {string} value - Year group label
+ * @returns {string} - Normalised label
+ */
+const normaliseYearGroup = (value) => {
+    if (typeof value !== 'string') return value;
+    return value.replace(/^Year\s*(\d+)$/i, 'Year $1');
+};
+
+/**
+ * Ordered list of migrations. Never reorder or renumber - add new ones at the end.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Add hierarchy fields to standards',
+        migrate: () => {
+            const standards = Storage.load('standards', []);
+            const changes = [];
+
+            standards.forEach(standard => {
+                const added = [];
+                if (standard.parent_code === undefined) {
+                    standard.parent_code = null;
+                    added.push('parent_code');
+                }
+                if (!Array.isArray(standard.children)) {
+                    // Rebuild from the parent links of the other standards
+                    standard.children = standards
+                        .filter(other => other.parent_code === standard.code)
+                        .map(other => other.code);
+                    added.push('children');
+                }
+                if (typeof standard.level !== 'number') {
+                    standard.level = ModelsObject.Standard.getLevel(standard.code);
+                    added.push('level');
+                }
+                if (standard.group === undefined) {
+                    standard.group = null;
+                    added.push('group');
+                }
+                if (added.length > 0) {
+                    changes.push(`Standard ${standard.code}: added ${added.join(', ')}`);
+                }
+            });
+
+            // Position is the order of each standard among its siblings
+            const siblingCounts = {};
+            standards.forEach(standard => {
+                if (typeof standard.position === 'number') return;
+                const parentKey = standard.parent_code || `group:${standard.group || ''}`;
+                siblingCounts[parentKey] = siblingCounts[parentKey] || 0;
+                standard.position = siblingCounts[parentKey]++;
+                changes.push(`Standard ${standard.code}: set position ${standard.position}`);
+            });
+
+            if (changes.length > 0) {
+                Storage.save('standards', standards);
+            }
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        name: 'Add assessment fields to assignments',
+        migrate: () => {
+            const assignments = Storage.load('assignments', []);
+            let updated = 0;
+
+            assignments.forEach(assignment => {
+                let changed = false;
+                if (typeof assignment.achieved !== 'boolean') {
+                    assignment.achieved = !!assignment.achieved;
+                    changed = true;
+                }
+                if (assignment.date_achieved === undefined) {
+                    assignment.date_achieved = assignment.achieved ? (assignment.date_assessed || null) : null;
+                    changed = true;
+                }
+                if (assignment.date_assessed === undefined) {
+                    assignment.date_assessed = null;
+                    changed = true;
+                }
+                if (assignment.notes === undefined) {
+                    assignment.notes = '';
+                    changed = true;
+                }
+                if (changed) updated++;
+            });
+
+            if (updated > 0) {
+                Storage.save('assignments', assignments);
+                return [`Added missing achieved/date_achieved/date_assessed/notes fields to ${updated} assignments`];
+            }
+            return [];
+        }
+    },
+    {
+        version: 3,
+        name: "Normalise year group labels ('Year7' -> 'Year 7')",
+        migrate: () => {
+            const changes = [];
+
+            const staff = Storage.load('staff', []);
+            staff.forEach(member => {
+                if (typeof member.year_group !== 'string' || !member.year_group) return;
+                const normalised = member.year_group.split(',')
+                    .map(value => normaliseYearGroup(value.trim()))
+                    .join(', ');
+                if (normalised !== member.year_group) {
+                    changes.push(`Staff ${member.id}: year_group '${member.year_group}' -> '${normalised}'`);
+                    member.year_group = normalised;
+                }
+            });
+            if (changes.length > 0) {
+                Storage.save('staff', staff);
+            }
+
+            const modelOptions = Storage.load('model_options', null);
+            if (modelOptions && Array.isArray(modelOptions.yearGroupOptions)) {
+                const normalised = [...new Set(modelOptions.yearGroupOptions.map(normaliseYearGroup))];
+                if (JSON.stringify(normalised) !== JSON.stringify(modelOptions.yearGroupOptions)) {
+                    modelOptions.yearGroupOptions = normalised;
+                    Storage.save('model_options', modelOptions);
+                    changes.push('Normalised saved year group options');
+                }
+            }
+
+            return changes;
+        }
+    },
+    {
+        version: 4,
+        name: 'Store multi-valued staff fields as lists',
+        migrate: () => {
+            const classifications = Storage.load('custom_classifications', []);
+            const fields = [
+                ...ModelsObject.Staff.multiValueFields,
+                ...classifications.map(classification => classification.id)
+            ];
+            const staff = Storage.load('staff', []);
+            let updated = 0;
+
+            staff.forEach(member => {
+                let changed = false;
+                fields.forEach(field => {
+                    if (member[field] === undefined || Array.isArray(member[field])) return;
+                    member[field] = ModelsObject.Staff.getValues(member[field]);
+                    changed = true;
+                });
+                if (changed) updated++;
+            });
+
+            if (updated > 0) {
+                Storage.save('staff', staff);
+                return [`Converted comma-separated ${fields.join('/')} values to lists for ${updated} staff`];
+            }
+            return [];
+        }
+    },
+    {
+        version: 5,
+        name: 'Add achievement levels to assignments',
+        migrate: () => {
+            const levels = Scale.getLevels();
+            const assignments = Storage.load('assignments', []);
+            let updated = 0;
+
+            assignments.forEach(assignment => {
+                if (assignment.level !== undefined) return;
+                assignment.level = Scale.levelOf(assignment, levels).id;
+                updated++;
+            });
+
+            if (updated > 0) {
+                Storage.save('assignments', assignments);
+                return [`Set the level of ${updated} assignments from their achieved flag`];
+            }
+            return [];
+        }
+    },
+    {
+        version: 6,
+        name: 'Start assessment histories',
+        migrate: () => {
+            const levels = Scale.getLevels();
+            const startLevel = Scale.levelOf(undefined, levels).id;
+            const assignments = Storage.load('assignments', []);
+            let updated = 0;
+            let started = 0;
+
+            assignments.forEach(assignment => {
+                if (Array.isArray(assignment.history)) return;
+                assignment.history = [];
+                updated++;
+                // Records that were assessed become the first event of their history
+                const level = Scale.levelOf(assignment, levels).id;
+                const date = assignment.date_assessed || assignment.date_achieved;
+                if (level === startLevel && !date) return;
+
+                const event = Assessments.createEvent({ level, notes: assignment.notes }, levels);
+                event.date = date ? String(date).slice(0, 10) : null;
+                event.achieved = Boolean(assignment.achieved);
+                assignment.history.push(event);
+                started++;
+            });
+
+            if (updated > 0) {
+                Storage.save('assignments', assignments);
+                return [`Added assessment histories to ${updated} assignments (${started} starting from their current state)`];
+            }
+            return [];
+        }
+    }
+];
+
+export const Migrations = {
+    /**
+     * Registered migrations in the order they run
+     */
+    list: MIGRATIONS,
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {number} - Stored schema version (0 if never migrated)
+     */
+    getStoredVersion: () => Storage.load(SCHEMA_VERSION_KEY, 0),
+
+    /**
+     * Record the schema version of the stored data (e.g. after restoring older data)
+     * @param {number} version - Schema version
+     */
+    setStoredVersion: (version) => Storage.save(SCHEMA_VERSION_KEY, version),
+
+    /**
+     * Get the schema version the application expects
+     * @returns {number} - Latest migration version
+     */
+    getLatestVersion: () => MIGRATIONS.reduce((max, migration) => Math.max(max, migration.version), 0),
+
+    /**
+     * Get the log of applied migrations
+     * @returns {Array<Object>} - Log entries ({ version, name, applied_at, changes })
+     */
+    getLog: () => Storage.load(MIGRATION_LOG_KEY, []),
+
+    /**
+     * Get the backup taken before the last migration run
+     * @returns {Object|null} - Backup ({ schema_version, created_at, data }) or null
+     */
+    getBackup: () => Storage.load(BACKUP_KEY, null),
+
+    /**
+     * Restore the data backed up before the last migration run
+     * @returns {boolean} - True if a backup was restored
+     */
+    restoreBackup: () => {
+        const backup = Migrations.getBackup();
+        if (!backup || !backup.data) {
+            Logger.warn('No schema backup to restore');
+            return false;
+        }
+
+        BACKUP_KEYS.forEach(key => {
+            if (backup.data[key] === undefined) {
+                Storage.delete(key);
+            } else {
+                Storage.save(key, backup.data[key]);
+            }
+        });
+        Storage.save(SCHEMA_VERSION_KEY, backup.schema_version);
+        Logger.log(`Restored schema backup from ${backup.created_at} (version ${backup.schema_version})`);
+        return true;
+    },
+
+    /**
+     * Run all pending migrations. A backup of every data key is taken first;
+     * a failing migration stops the run and leaves the version at the last successful step.
+     * @returns {Object} - Result ({ from, to, applied: Array<Object>, error })
+     */
+    run: () => {
+        const from = Migrations.getStoredVersion();
+        const pending = MIGRATIONS
+            .filter(migration => migration.version > from)
+            .sort((a, b) => a.version - b.version);
+
+        if (pending.length === 0) {
+            return { from, to: from, applied: [], error: null };
+        }
+
+        Logger.log(`Running ${pending.length} schema migrations (version ${from} -> ${pending[pending.length - 1].version})`);
+
+        // Back up everything before touching it
+        const backup = {
+            schema_version: from,
+            created_at: new Date().toISOString(),
+            data: {}
+        };
+        BACKUP_KEYS.forEach(key => {
+            const value = Storage.load(key, undefined);
+            if (value !== undefined && value !== null) {
+                backup.data[key] = value;
+            }
+        });
+        Storage.save(BACKUP_KEY, backup);
+
+        const savedBackup = Migrations.getBackup();
+        if (!savedBackup || savedBackup.created_at !== backup.created_at) {
+            Logger.error('Could not store schema backup - migrations skipped');
+            return { from, to: from, applied: [], error: 'Backup failed' };
+        }
+
+        const log = Migrations.getLog();
+        const applied = [];
+        let version = from;
+
+        for (const migration of pending) {
+            try {
+                const changes = migration.migrate() || [];
+                version = migration.version;
+                Storage.save(SCHEMA_VERSION_KEY, version);
+
+                const entry = {
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: new Date().toISOString(),
+                    changes
+                };
+                log.push(entry);
+                applied.push(entry);
+                Logger.log(`Migration ${migration.version} (${migration.name}): ${changes.length} changes`, { version: migration.version, changes });
+            } catch (e) {
+                Logger.error(`Migration ${migration.version} (${migration.name}) failed - ${e.message}`, { version: migration.version, stack: e.stack });
+                Storage.save(MIGRATION_LOG_KEY, log);
+                return { from, to: version, applied, error: e.message };
+            }
+        }
+
+        Storage.save(MIGRATION_LOG_KEY, log);
+        return { from, to: version, applied, error: null };
+    }
+};
@@ -2,6 +2,8 @@
  * Data models for the application
  * Centralizes data structure definitions
  */
+import { Codes } from './codes.js';
+import { Storage } from './storage.js';
 
 // Common utility functions
 const CommonUtils = {
@@ -48,10 +50,13 @@ const ModelsObject = {
         createDefault: () => ({
             id: '', // Unique identifier
             name: '',
-            phase: 'Foundation', // Foundation, Primary, Secondary
-            overseas_thai: 'All', // Overseas, Thai, All
-            year_group: 'Reception', // Reception, Year1-Year13
-            department: 'Outclass' // Outclass, EAL, LSA, Support Staff
+            phase: ['Foundation'], // Foundation, Primary, Secondary
+            overseas_thai: ['All'], // Overseas, Thai, All
+            year_group: ['Reception'], // Reception, Year1-Year13
+            department: ['Outclass'], // Outclass, EAL, LSA, Support Staff
+            archived: false, // True once the staff member has left
+            leave_date: null, // YYYY-MM-DD, set when archived
+            leave_reason: ''
         }),
         
         /**
@@ -68,12 +73,89 @@ const ModelsObject = {
          * Year group options
          */
         yearGroupOptions: ['Reception', 'Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5', 'Year 6', 
-                           'Year7', 'Year8', 'Year9', 'Year 10', 'Year 11', 'Year 12', 'Year 13'],
+                           'Year 7', 'Year 8', 'Year 9', 'Year 10', 'Year 11', 'Year 12', 'Year 13'],
         
         /**
          * Department options
          */
-        departmentOptions: ['Outclass', 'EAL', 'LSA', 'Support Staff']
+        departmentOptions: ['Outclass', 'EAL', 'LSA', 'Support Staff'],
+        
+        /**
+         * Reasons offered when a staff member is archived as a leaver
+         */
+        leaveReasonOptions: ['Resigned', 'Retired', 'End of contract', 'Moved to another school', 'Other'],
+        
+        /**
+         * Check whether a staff member has left (is archived)
+         * @param {Object} staff - Staff record
+         * @returns {boolean} - True for leavers
+         */
+        isLeaver: (staff) => Boolean(staff && staff.archived),
+        
+        /**
+         * Staff members to show: current staff only, unless leavers are included
+         * @param {Array} staff - Staff records
+         * @param {boolean} includeLeavers - Also return archived staff
+         * @returns {Array} - Staff records
+         */
+        listed: (staff, includeLeavers = false) => includeLeavers
+            ? staff
+            : staff.filter(member => !ModelsObject.Staff.isLeaver(member)),
+        
+        /**
+         * Fields that hold a list of values (custom classifications are multi-valued too)
+         */
+        multiValueFields: ['phase', 'overseas_thai', 'year_group', 'department'],
+        
+        /**
+         * Check whether a staff field holds a list of values
+         * @param {string} field - Field name
+         * @param {Array} customClassifications - Custom classifications ({ id, name, options })
+         * @returns {boolean} - True for multi-valued fields
+         */
+        isMultiValued: (field, customClassifications = []) =>
+            ModelsObject.Staff.multiValueFields.includes(field) ||
+            customClassifications.some(classification => classification.id === field),
+        
+        /**
+         * Get the values of a multi-valued field. Older data stored them as "Primary, Secondary" strings.
+         * @param {Array|string} value - Stored value
+         * @returns {Array<string>} - Individual values
+         */
+        getValues: (value) => {
+            if (Array.isArray(value)) {
+                return value.map(v => String(v).trim()).filter(v => v);
+            }
+            if (value === undefined || value === null) return [];
+            return String(value).split(',').map(v => v.trim()).filter(v => v);
+        },
+        
+        /**
+         * Format a field value for display and export
+         * @param {any} value - Stored value
+         * @returns {string} - Values joined with ", "
+         */
+        formatValue: (value) => {
+            if (Array.isArray(value)) return ModelsObject.Staff.getValues(value).join(', ');
+            return value === undefined || value === null ? '' : String(value);
+        },
+        
+        /**
+         * Check a field value against a filter value. Multi-valued fields match when one of their values equals
+         * the filter value; with `partial` set, the formatted value only has to contain it (used for names and IDs).
+         * Both comparisons ignore case.
+         * @param {any} value - Stored value
+         * @param {string} filterValue - Value to look for
+         * @param {boolean} partial - Match part of the text instead of a whole value
+         * @returns {boolean} - True if the value matches
+         */
+        matchesValue: (value, filterValue, partial = false) => {
+            const wanted = String(filterValue === undefined || filterValue === null ? '' : filterValue).trim().toLowerCase();
+            if (partial) {
+                return ModelsObject.Staff.formatValue(value).toLowerCase().includes(wanted);
+            }
+            return ModelsObject.Staff.getValues(value).some(v => v.toLowerCase() === wanted);
+        }
     },
     
     /**
@@ -88,7 +170,8 @@ const ModelsObject = {
             parent_code: null, // Parent standard code or null if top-level
             children: [], // Array of child standard codes
             level: 0, // Hierarchy level (0 = top level, 1 = standard, 2 = substandard, etc.)
-            position: 0 // Position within its level for ordering
+            position: 0, // Position within its level for ordering
+            applies_to: [] // Staff the standard applies to ({ field, values, mode }), see Applicability
         }),
 
         /**
@@ -108,89 +191,53 @@ const ModelsObject = {
         },
         
         /**
-         * Get the level of a standard based on its code
-         * @param {string} code - Standard code (e.g., "A.1.2")
+         * Get the level of a standard based on its code, read with its group's code template
+         * @param {string} code - Standard code (e.g., "A.1.2" or "TS3.b")
+         * @param {Object} template - Code template (defaults to the template of the code's group)
          * @returns {number} - Level of the standard (0 = group code only, 1 = standard, 2 = substandard, etc.)
          */
-        getLevel: function(code) {
+        getLevel: function(code, template = undefined) {
+            const level = Codes.levelOf(code, template);
+            if (level > 0) return level;
+            // Codes that do not follow a template are read as dotted codes
             const segments = CommonUtils.splitCode(code);
             return segments.length > 1 ? segments.length - 1 : 0;
         },
         
         /**
-         * Extract the group letter from a standard code
+         * Extract the group code from a standard code
          * @param {string} code - Standard code
-         * @returns {string} - Group letter or empty string if invalid
+         * @param {Array} groups - Groups (defaults to the stored groups)
+         * @returns {string} - Group code (e.g. "A" or "TS") or empty string if invalid
          */
-        getGroupLetter: function(code) {
+        getGroupLetter: function(code, groups = undefined) {
             if (!code || typeof code !== 'string') return '';
+            const group = Codes.groupOfCode(code, groups);
+            if (group) return group.code;
             const match = code.match(/^([A-Z])/);
             return match ? match[1] : '';
         },
         
         /**
          * Generate a code for a new standard at the specified level 
-         * within the specified parent or group
+         * within the specified parent or group, following the group's code template
          * @param {Array} standards - All standards
          * @param {string} parentCode - Parent code or null for top-level
-         * @param {string} groupLetter - Group letter (A-Z) for top-level standards
+         * @param {string} groupLetter - Group code for top-level standards
+         * @param {Array} groups - Groups (defaults to the stored groups)
          * @returns {string} - New code
          */
-        generateNewCode: function(standards, parentCode, groupLetter) {
-            console.log('Generating new code:', { standards, parentCode, groupLetter });
-            
+        generateNewCode: function(standards, parentCode, groupLetter, groups = undefined) {
             if (!Array.isArray(standards)) {
                 standards = [];
             }
             
             if (parentCode) {
-                // For sub-standards, find siblings and generate next number
-                const siblings = standards.filter(s => s && s.parent_code === parentCode);
-                console.log('Found siblings:', siblings);
-                
-                if (siblings.length === 0) {
-                    return `${parentCode}.1`;
-                }
-                
-                // Extract the last segment of codes and find max
-                const segments = siblings.map(s => {
-                    if (!s.code) return 0;
-                    const parts = CommonUtils.splitCode(s.code);
-                    return parseInt(parts[parts.length - 1], 10) || 0;
-                });
-                
-                const maxSegment = Math.max(0, ...segments);
-                const newSegment = CommonUtils.generateNextCode(String(maxSegment), false);
-                const newCode = `${parentCode}.${newSegment}`;
-                console.log(`Generated new code for child of ${parentCode}: ${newCode}`);
-                return newCode;
+                // Sub-standards follow the template of the parent's group
+                return Codes.nextCode(standards, { template: Codes.templateForCode(parentCode, groups), parentCode });
             } else if (groupLetter) {
-                // For top-level standards, find siblings in the same group
-                const siblings = standards.filter(s => 
-                    s && 
-                    (!s.parent_code || s.parent_code === '') &&  // Only top-level standards
-                    s.code && typeof s.code === 'string' &&
-                    s.code.startsWith(groupLetter + '.')  // In the specified group
-                );
-                
-                console.log('Found top-level siblings in group:', siblings);
-                
-                if (siblings.length === 0) {
-                    return `${groupLetter}.1`;
-                }
-                
-                // Extract the number part and find max
-                const segments = siblings.map(s => {
-                    if (!s.code) return 0;
-                    const parts = CommonUtils.splitCode(s.code);
-                    return parseInt(parts[1], 10) || 0;
-                });
-                
-                const maxSegment = Math.max(0, ...segments);
-                const newSegment = CommonUtils.generateNextCode(String(maxSegment), false);
-                const newCode = `${groupLetter}.${newSegment}`;
-                console.log(`Generated new code for group ${groupLetter}: ${newCode}`);
-                return newCode;
+                const group = (groups || Storage.load('groups', [])).find(g => g.code === groupLetter);
+                return Codes.nextCode(standards, { template: Codes.templateOf(group), groupCode: groupLetter });
             }
             
             return '';
@@ -204,8 +251,12 @@ const ModelsObject = {
         createDefault: (staffId = '', standardCode = '') => ({
             staff_id: staffId,
             standard_code: standardCode,
-            achieved: false,
-            date_achieved: null
+            level: 'not_started', // Id of a level on the achievement scale (see Scale)
+            achieved: false, // Whether the level counts as achieved
+            date_achieved: null,
+            date_assessed: null, // Date the standard was last assessed
+            notes: '',
+            history: [] // Assessment events, see Assessments
         })
     },
     
@@ -215,46 +266,33 @@ const ModelsObject = {
     Group: {
         createDefault: (name = '', code = '') => ({
             name: name,
-            code: code, // Letter code (A, B, C, etc.)
+            code: code, // Group code (A, B, C... or longer, following the code template)
+            code_template: Codes.DEFAULT_TEMPLATE.id, // Code template of the group's standards, see Codes
             color: '#ffffff', // Default color (white)
             description: '',
-            collapsed: false // UI state for collapsible groups
+            collapsed: false, // UI state for collapsible groups
+            applies_to: [] // Staff the group's standards apply to, see Applicability
         }),
         
         /**
-         * Generate the next available group code based on existing groups
+         * Generate the next available group code based on existing groups (never one already in use)
          * @param {Array} existingGroups - Array of existing group objects
-         * @returns {string} - Next available group code
+         * @param {Object} template - Code template the group will use (defaults to the built-in A-Z one)
+         * @returns {string} - Next available group code, or '' when every code is taken
          */
-        generateNextCode: (existingGroups) => {
-            if (!existingGroups || existingGroups.length === 0) {
-                return 'A';
-            }
-            
-            // Get all existing codes
-            const existingCodes = existingGroups.map(group => group.code || '');
-            
-            // Filter out non-alphabetic single-character codes and sort them
-            const validCodes = existingCodes
-                .filter(code => /^[A-Z]$/.test(code))
-                .sort();
-            
-            if (validCodes.length === 0) {
-                return 'A';
-            }
-            
-            // Get the last code and generate next one
-            const lastCode = validCodes[validCodes.length - 1];
-            return CommonUtils.generateNextCode(lastCode, true);
+        generateNextCode: (existingGroups, template = Codes.DEFAULT_TEMPLATE) => {
+            const existingCodes = (existingGroups || []).map(group => group.code || '');
+            return Codes.nextGroupCode(existingCodes, template) || '';
         },
         
         /**
          * Validate a group code
          * @param {string} code - Group code to validate
+         * @param {Object} template - Code template of the group (defaults to the built-in A-Z one)
          * @returns {boolean} - Whether the code is valid
          */
-        isValidCode: (code) => {
-            return /^[A-Z]$/.test(code);
+        isValidCode: (code, template = Codes.DEFAULT_TEMPLATE) => {
+            return Codes.isValidGroupCode(code, template);
         }
     },
     
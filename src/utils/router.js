@@ -1,30 +1,136 @@
 /**
- * Router module for handling navigation between pages
+ * Router module for handling navigation between pages.
+ * Pages are registered with Router.register() and their modules are only loaded when first visited.
  */
 import { Logger } from './logger.js';
+import { ErrorReporter } from './errors.js';
 
-// Define routes with their module paths
-const routes = {
-    masterlog: { module: import('../pages/masterlog.js') },
-    standards: { module: import('../pages/standards.js') },
-    achievements: { module: import('../pages/assignments.js') },
-    analytics: { module: import('../pages/analytics.js') },
-    enhanced_analytics: { module: import('../pages/enhanced-analytics.js') }
-};
+// Loaded (or loading) page modules by page id
+const modules = new Map();
+
+// Navigation list the nav links are rendered into (see mountNav)
+let navList = null;
+
+// Counts navigations, so a slow page load does not replace a page opened after it
+let navigationCount = 0;
 
 // Keep track of the current route
 let currentRoute = null;
 
+// Unsaved-changes guard declared by the current page ({ isDirty, save, discard, message }) or null
+let guard = null;
+
+// Whether the leave prompt is open (further navigation waits for it to be answered)
+let prompting = false;
+
+// Position of the shown view in the tab's history. Entries written by the router carry theirs in
+// history.state ({ index }), so staying on a page after Back or Forward can step back to it.
+let historyIndex = 0;
+
+// Hash of the view shown or being opened. Going Back fires both popstate and hashchange; comparing with this
+// makes the second event (and events for addresses the router wrote itself) a no-op.
+let routeHash = null;
+
+/**
+ * Encode one part of a route, keeping characters common in codes and IDs readable
+ * @param {string} value - Value
+ * @returns {string} - Encoded value
+ */
+const encodePart = (value) => encodeURIComponent(String(value)).replace(/%2F/gi, '/');
+
+/**
+ * Decode one part of a route. Hand-edited or truncated links can hold malformed escapes (e.g. '%E0'),
+ * which are kept as typed rather than breaking navigation.
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ */
+const decodePart = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+};
+
 export const Router = {
     /**
-     * Configuration for pages with their module paths
+     * Registered pages by id ({ id, title, loader, navOrder, icon })
+     */
+    pages: {},
+    
+    /**
+     * Register a page. Its module is loaded by `loader` the first time the page is visited and must export
+     * `init(container, params)`, and may export `cleanup()` and `update(params)`.
+     * Registering an id again replaces the page.
+     * @param {Object} page - Page
+     * @param {string} page.id - Page identifier, used in the URL (#id)
+     * @param {string} page.title - Title shown in the navigation bar
+     * @param {Function} page.loader - Returns a promise of the page module, e.g. () => import('./cpd-log.js')
+     * @param {number} page.navOrder - Position in the navigation bar (lower first); pages without one are not listed
+     * @param {string} page.icon - Text or emoji shown before the title (optional)
+     * @returns {Object} - The registered page
+     */
+    register: ({ id, title, loader, navOrder = null, icon = '' }) => {
+        if (!id || typeof id !== 'string' || /[\/?#]/.test(id)) {
+            throw new Error(`Invalid page id: ${id}`);
+        }
+        if (typeof loader !== 'function') {
+            throw new Error(`Page ${id} needs a loader function`);
+        }
+        
+        const page = { id, title: title || id, loader, navOrder: Number.isFinite(navOrder) ? navOrder : null, icon };
+        Router.pages[id] = page;
+        modules.delete(id);
+        if (navList) {
+            Router.renderNav();
+        }
+        return page;
+    },
+    
+    /**
+     * Load a page's module (once; a failed load is tried again next time)
+     * @param {string} pageId - Page identifier
+     * @returns {Promise<Object>} - Page module
+     */
+    load: (pageId) => {
+        if (!modules.has(pageId)) {
+            const loading = Promise.resolve()
+                .then(() => Router.pages[pageId].loader())
+                .catch(error => {
+                    modules.delete(pageId);
+                    throw error;
+                });
+            modules.set(pageId, loading);
+        }
+        return modules.get(pageId);
+    },
+    
+    /**
+     * Render the navigation links into a list and handle clicks on them
+     * @param {HTMLElement} list - List element (e.g. the <ul> of the navigation bar)
+     */
+    mountNav: (list) => {
+        navList = list;
+        list.addEventListener('click', (e) => {
+            const link = e.target.closest('.nav-link');
+            if (!link) return;
+            e.preventDefault();
+            Router.navigateTo(link.getAttribute('data-page'));
+        });
+        Router.renderNav();
+    },
+    
+    /**
+     * Render the links of the registered pages that have a navOrder
      */
-    pages: {
-        masterlog: 'masterlog',
-        standards: 'standards',
-        achievements: 'assignments',
-        analytics: 'analytics',
-        enhanced_analytics: 'enhanced-analytics'
+    renderNav: () => {
+        if (!navList) return;
+        navList.innerHTML = Object.values(Router.pages)
+            .filter(page => page.navOrder !== null)
+            .sort((a, b) => a.navOrder - b.navOrder)
+            .map(page => `
+                <li><a href="#${page.id}" class="nav-link ${page.id === Router.currentPage ? 'active' : ''}" data-page="${page.id}">${page.icon ? `<span class="nav-icon">${page.icon}</span> ` : ''}${page.title}</a></li>
+            `).join('');
     },
     
     /**
@@ -32,6 +138,156 @@ export const Router = {
      */
     currentPage: null,
     
+    /**
+     * Params of the current view (as written to the URL hash)
+     */
+    currentParams: {},
+    
+    /**
+     * Split a location hash into a page and its params. Text after a slash becomes `params.path`,
+     * and a key repeated in the query string becomes an array.
+     * '#achievements?staff=T042&group=B' -> { pageId: 'achievements', params: { staff: 'T042', group: 'B' } }
+     * '#standards/A.1.2' -> { pageId: 'standards', params: { path: 'A.1.2' } }
+     * @param {string} hash - Location hash (with or without '#')
+     * @returns {Object} - { pageId, params }
+     */
+    parseHash: (hash) => {
+        const text = String(hash || '').replace(/^#/, '');
+        const queryStart = text.indexOf('?');
+        const route = queryStart === -1 ? text : text.slice(0, queryStart);
+        const slash = route.indexOf('/');
+        const params = {};
+        
+        if (slash !== -1 && slash < route.length - 1) {
+            params.path = decodePart(route.slice(slash + 1));
+        }
+        if (queryStart !== -1) {
+            new URLSearchParams(text.slice(queryStart + 1)).forEach((value, key) => {
+                if (key === 'path') return;
+                params[key] = params.hasOwnProperty(key) ? [].concat(params[key], value) : value;
+            });
+        }
+        
+        return { pageId: decodePart(slash === -1 ? route : route.slice(0, slash)), params };
+    },
+    
+    /**
+     * Build the location hash for a page and its params (the reverse of parseHash).
+     * Empty values are left out.
+     * @param {string} pageId - Page identifier
+     * @param {Object} params - Params ({ path, key: value or [values] })
+     * @returns {string} - Hash, e.g. '#achievements?staff=T042&group=B'
+     */
+    formatHash: (pageId, params = {}) => {
+        const { path, ...query } = params || {};
+        const pairs = [];
+        Object.entries(query).forEach(([key, value]) => {
+            [].concat(value).forEach(item => {
+                if (item === undefined || item === null || item === '') return;
+                pairs.push(`${encodePart(key)}=${encodePart(item)}`);
+            });
+        });
+        return `#${pageId}${path ? `/${encodePart(path)}` : ''}${pairs.length > 0 ? `?${pairs.join('&')}` : ''}`;
+    },
+    
+    /**
+     * Write the current view's params to the URL (e.g. as the user filters or selects), without reloading the page
+     * or adding a history entry, so the address can be shared to open the same view
+     * @param {Object} params - Params of the current view
+     */
+    setParams: (params = {}) => {
+        if (!Router.currentPage) return;
+        Router.currentParams = { ...params };
+        routeHash = Router.formatHash(Router.currentPage, Router.currentParams);
+        if (window.location.hash !== routeHash) {
+            window.history.replaceState(window.history.state, '', routeHash);
+        }
+    },
+    
+    /**
+     * Add a history entry for a new view of the current page (e.g. a filter added or a standard opened),
+     * so Back returns to the previous view. Going Back or Forward calls the page's `update(params)`
+     * if it has one, and otherwise opens the page again with those params.
+     * Does nothing if the params give the address already shown.
+     * @param {Object} params - Params of the new view
+     */
+    pushParams: (params = {}) => {
+        if (!Router.currentPage) return;
+        const hash = Router.formatHash(Router.currentPage, params);
+        if (hash === routeHash) return;
+        Router.currentParams = { ...params };
+        routeHash = hash;
+        historyIndex += 1;
+        window.history.pushState({ index: historyIndex }, '', hash);
+    },
+    
+    /**
+     * Show the view in the address bar after Back, Forward, a pasted link or an edited address
+     * @param {string} defaultPage - Page shown when the hash is empty
+     */
+    followLocation: async (defaultPage = 'masterlog') => {
+        const { pageId, params } = Router.parseHash(window.location.hash);
+        const target = pageId || defaultPage;
+        const hash = Router.formatHash(target, params);
+        if (hash === routeHash) return;
+        
+        // Back/Forward land on an entry with an index; a pasted or edited address adds one right after the shown view
+        const state = window.history.state;
+        const known = Boolean(state && Number.isInteger(state.index));
+        const entry = known ? state.index : historyIndex + 1;
+        
+        // Claim the address before anything is awaited, so the other event for the same move returns above
+        const shown = routeHash;
+        const shownIndex = historyIndex;
+        routeHash = hash;
+        historyIndex = entry;
+        if (!known) window.history.replaceState({ ...(state || {}), index: entry }, '');
+        
+        // Another view of the page already shown: let the page update itself, keeping its state
+        if (target === Router.currentPage) {
+            const module = await Router.load(target);
+            if (typeof module.update === 'function') {
+                Router.currentParams = { ...params };
+                Logger.log(`Updating page ${target} for ${hash}`);
+                await module.update(params);
+                return;
+            }
+        }
+        
+        if (!(await Router.navigateTo(target, params))) {
+            // Stayed on the page: step back to its entry, leaving the history as it was
+            // (the events this fires name the view shown and return above)
+            routeHash = shown;
+            historyIndex = shownIndex;
+            if (entry !== shownIndex) window.history.go(shownIndex - entry);
+        }
+    },
+    
+    /**
+     * Open the page in the URL hash, and follow later changes of the address (Back and Forward, pasted links,
+     * edited addresses)
+     * @param {string} defaultPage - Page shown when the hash is empty
+     * @returns {Promise} - Resolves when the first page has loaded
+     */
+    start: (defaultPage = 'masterlog') => {
+        window.addEventListener('popstate', () => Router.followLocation(defaultPage));
+        window.addEventListener('hashchange', () => Router.followLocation(defaultPage));
+        
+        // Closing or reloading the tab can only be confirmed with the browser's own prompt
+        window.addEventListener('beforeunload', (event) => {
+            if (!Router.hasUnsavedChanges()) return;
+            event.preventDefault();
+            event.returnValue = '';
+        });
+        
+        const state = window.history.state;
+        historyIndex = state && Number.isInteger(state.index) ? state.index : 0;
+        window.history.replaceState({ ...(state || {}), index: historyIndex }, '');
+        
+        const { pageId, params } = Router.parseHash(window.location.hash);
+        return Router.navigate(pageId || defaultPage, params);
+    },
+    
     /**
      * Clean up the current page before navigation
      * @returns {boolean} - True if cleanup was successful
@@ -41,7 +297,7 @@ export const Router = {
         
         try {
             // Get the current page module
-            const module = await routes[currentRoute]?.module;
+            const module = Router.pages[currentRoute] ? await Router.load(currentRoute) : null;
             
             // Call cleanup function if it exists
             if (module && typeof module.cleanup === 'function') {
@@ -56,35 +312,159 @@ export const Router = {
     },
     
     /**
-     * Navigate to a specific page with cleanup
+     * Declare that the current page may hold unsaved changes. Before the page is left (nav links, hash changes,
+     * closing the tab) the user is asked to save, discard or cancel while `isDirty()` is true.
+     * The guard is removed when the page is left.
+     * @param {Object|null} options - Guard, or null to remove it
+     * @param {Function} options.isDirty - Returns true while there are unsaved changes
+     * @param {Function} options.save - Saves the changes (may be async; returning false keeps the user on the page)
+     * @param {Function} options.discard - Drops the changes (optional)
+     * @param {string|Function} options.message - What is unsaved, or a function returning it (e.g. "You have 3 unsaved changes.")
+     */
+    setGuard: (options) => {
+        guard = options || null;
+    },
+    
+    /**
+     * Check whether the current page has unsaved changes
+     * @returns {boolean} - True if its guard reports unsaved changes
+     */
+    hasUnsavedChanges: () => {
+        try {
+            return Boolean(guard && guard.isDirty());
+        } catch (error) {
+            Logger.error(`Error checking for unsaved changes: ${error.message}`);
+            return false;
+        }
+    },
+    
+    /**
+     * Ask whether to save or discard unsaved changes before leaving the current page
+     * @returns {Promise<boolean>} - True if the page can be left
+     */
+    confirmLeave: () => {
+        if (prompting) return Promise.resolve(false);
+        if (!Router.hasUnsavedChanges()) return Promise.resolve(true);
+        const current = guard;
+        const message = typeof current.message === 'function' ? current.message() : current.message;
+        prompting = true;
+        
+        return new Promise(resolve => {
+            // Create modal backdrop
+            const backdrop = document.createElement('div');
+            backdrop.className = 'modal-backdrop';
+            document.body.appendChild(backdrop);
+            
+            // Create modal
+            const modal = document.createElement('div');
+            modal.className = 'page-modal';
+            modal.innerHTML = `
+                <div class="modal-header">
+                    <h2>Unsaved Changes</h2>
+                    <button class="modal-close">×</button>
+                </div>
+                <div class="modal-body">
+                    <p>${message || 'This page has unsaved changes.'}</p>
+                    <p>Save them before leaving?</p>
+                    <div class="form-actions mt-1">
+                        <button id="leave-save" class="button">Save</button>
+                        <button id="leave-discard" class="button button-danger">Discard</button>
+                        <button id="leave-cancel" class="button button-secondary">Cancel</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+            
+            const close = (canLeave) => {
+                document.body.removeChild(backdrop);
+                document.body.removeChild(modal);
+                prompting = false;
+                resolve(canLeave);
+            };
+            
+            modal.querySelector('#leave-save').addEventListener('click', async () => {
+                try {
+                    const saved = await current.save();
+                    close(saved !== false);
+                } catch (error) {
+                    ErrorReporter.report(error, { source: 'router', action: 'save before leaving' });
+                    close(false);
+                }
+            });
+            modal.querySelector('#leave-discard').addEventListener('click', () => {
+                if (typeof current.discard === 'function') {
+                    current.discard();
+                }
+                Logger.log(`Discarded unsaved changes on page: ${currentRoute}`);
+                close(true);
+            });
+            modal.querySelector('#leave-cancel').addEventListener('click', () => close(false));
+            modal.querySelector('.modal-close').addEventListener('click', () => close(false));
+        });
+    },
+    
+    /**
+     * Navigate to a specific page, first asking about unsaved changes on the current one
      * @param {string} pageId - Page identifier (must be in Router.pages)
      * @param {Object} params - Parameters to pass to the page (optional)
+     * @returns {Promise<boolean>} - False if the user chose to stay on the current page
      */
     navigateTo: async (pageId, params = {}) => {
-        // Clean up current page first
-        await Router.cleanupCurrentPage();
+        if (!(await Router.confirmLeave())) {
+            Logger.log(`Stayed on page ${currentRoute} with unsaved changes`);
+            return false;
+        }
         
-        // Then navigate to the new page
+        // navigate() cleans up the current page first
         await Router.navigate(pageId, params);
+        return true;
     },
     
     /**
-     * Navigate to a specific page
+     * Navigate to a specific page without asking about unsaved changes (use navigateTo for user navigation).
+     * The current page's cleanup always runs first.
      * @param {string} pageId - Page identifier (must be in Router.pages)
      * @param {Object} params - Parameters to pass to the page (optional)
      */
     navigate: async (pageId, params = {}) => {
-        if (!Router.pages.hasOwnProperty(pageId)) {
+        const invalid = !Router.pages.hasOwnProperty(pageId);
+        if (invalid) {
             Logger.error(`Invalid page requested: ${pageId}`);
             pageId = 'masterlog'; // Default to masterlog on invalid page
+            params = {};
+        }
+        
+        // Update URL hash (without triggering the handlers in start()). When the address already names this view
+        // (the first page, Back/Forward, a pasted link) it is only tidied, so no extra history entry is made.
+        const hash = Router.formatHash(pageId, params);
+        if (window.location.hash !== hash) {
+            const location = Router.parseHash(window.location.hash);
+            if (invalid || !location.pageId || Router.formatHash(location.pageId, location.params) === hash) {
+                window.history.replaceState(window.history.state, '', hash);
+            } else {
+                historyIndex += 1;
+                window.history.pushState({ index: historyIndex }, '', hash);
+            }
         }
+        routeHash = hash;
+        Router.currentParams = { ...params };
         
-        // Update URL hash
-        window.location.hash = pageId;
+        // Let the outgoing page release its subscriptions, popovers and timers; its guard goes with it
+        await Router.cleanupCurrentPage();
+        currentRoute = null;
+        guard = null;
         
-        // Clear current content
+        // Dialogs belong to the page that opened them (e.g. after Back while a form was open)
+        document.querySelectorAll('body > .modal-backdrop, body > .page-modal, body > .modal').forEach(element => element.remove());
+        
+        // Clear current content, showing a loading indicator until the page module is ready
+        const navigation = ++navigationCount;
         const contentContainer = document.getElementById('content');
-        contentContainer.innerHTML = `<div id="${pageId}-container" class="page-container"></div>`;
+        contentContainer.innerHTML = `
+            <div id="${pageId}-container" class="page-container">
+                <div class="page-loading" role="status"><span class="page-loading-spinner"></span> Loading ${Router.pages[pageId].title}...</div>
+            </div>
+        `;
         
         // Update active state in navigation
         document.querySelectorAll('.nav-link').forEach(link => {
@@ -92,21 +472,45 @@ export const Router = {
         });
         
         try {
-            // Dynamically import the page module
-            const module = await import(`../pages/${Router.pages[pageId]}.js`);
+            // Load the page module (the first visit fetches it)
+            const module = await Router.load(pageId);
+            if (navigation !== navigationCount) return; // Another page was opened meanwhile
             
             // Check if module has an init function
             if (typeof module.init === 'function') {
-                module.init(document.getElementById(`${pageId}-container`), params);
                 Router.currentPage = pageId;
                 currentRoute = pageId; // Update current route for cleanup
+                const container = document.getElementById(`${pageId}-container`);
+                container.innerHTML = '';
+                await module.init(container, params);
                 Logger.log(`Navigated to page: ${pageId}`);
             } else {
                 Logger.error(`Page module ${pageId} has no init function`);
             }
         } catch (e) {
-            Logger.error(`Failed to load page module ${pageId}: ${e.message}`);
-            contentContainer.innerHTML = `<div class="error-message">Failed to load page. See console for details.</div>`;
+            if (navigation !== navigationCount) return;
+            ErrorReporter.report(e, { source: 'router', page: pageId });
+            contentContainer.innerHTML = `
+                <div class="error-message">
+                    <p>This page could not be loaded: ${e.message}</p>
+                    <button id="retry-page" class="button button-small">Try Again</button>
+                </div>
+            `;
+            document.getElementById('retry-page').addEventListener('click', () => Router.navigateTo(pageId, params));
         }
     }
-}; 
\ No newline at end of file
+};
+
+// Core pages (in-house pages register themselves the same way; see src/extensions in the docs)
+[
+    { id: 'masterlog', title: 'Masterlog', loader: () => import('../pages/masterlog.js'), navOrder: 10 },
+    { id: 'standards', title: 'Standards', loader: () => import('../pages/standards.js'), navOrder: 20 },
+    { id: 'achievements', title: 'Achievements', loader: () => import('../pages/assignments.js'), navOrder: 30 },
+    { id: 'analytics', title: 'Analytics', loader: () => import('../pages/analytics.js'), navOrder: 40 },
+    { id: 'enhanced_analytics', title: 'Enhanced Analytics', loader: () => import('../pages/enhanced-analytics.js'), navOrder: 50 },
+    { id: 'history', title: 'History', loader: () => import('../pages/history.js'), navOrder: 60 },
+    { id: 'audit', title: 'Audit', loader: () => import('../pages/audit.js'), navOrder: 70 },
+    { id: 'integrity', title: 'Data Check', loader: () => import('../pages/integrity.js'), navOrder: 80 },
+    { id: 'staff', title: 'Staff Profile', loader: () => import('../pages/staff-profile.js') }, // Opened from a staff member (#staff/T042)
+    { id: 'diagnostics', title: 'Diagnostics', loader: () => import('../pages/diagnostics.js') } // Not in the nav bar; open #diagnostics
+].forEach(page => Router.register(page));
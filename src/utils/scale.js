@@ -0,0 +1,148 @@
+/**
+ * Achievement scale
+ * The graded levels an achievement record can have (e.g. Not started / Developing / Secure / Exceeding),
+ * their colours, and which of them count as "achieved". Each assignment stores its `level`;
+ * its `achieved` flag is kept in step with the scale so achieved percentages stay simple to compute.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Assessments } from './assessments.js';
+
+// Storage key of the configured scale
+const SCALE_KEY = 'achievement_scale';
+
+/**
+ * Default scale, lowest level first
+ */
+const DEFAULT_LEVELS = [
+    { id: 'not_started', name: 'Not started', color: '#e0e0e0', achieved: false },
+    { id: 'developing', name: 'Developing', color: '#ffb74d', achieved: false },
+    { id: 'secure', name: 'Secure', color: '#81c784', achieved: true },
+    { id: 'exceeding', name: 'Exceeding', color: '#388e3c', achieved: true }
+];
+
+export const Scale = {
+    KEY: SCALE_KEY,
+    DEFAULT_LEVELS,
+
+    /**
+     * Get the configured levels, lowest first
+     * @returns {Array<Object>} - Levels ({ id, name, color, achieved })
+     */
+    getLevels: () => {
+        const levels = Storage.load(SCALE_KEY, null);
+        return Array.isArray(levels) && levels.length > 0
+            ? levels
+            : DEFAULT_LEVELS.map(level => ({ ...level }));
+    },
+
+    /**
+     * Save an edited scale and bring every assignment's level and achieved flag in line with it
+     * (records whose level was removed fall back to the first or first achieved level)
+     * @param {Array<Object>} levels - Levels to store, lowest first
+     */
+    saveLevels: (levels) => {
+        Storage.save(SCALE_KEY, levels);
+        Scale.syncAssignments(levels);
+        Logger.log(`Saved achievement scale with ${levels.length} levels`);
+    },
+
+    /**
+     * Go back to the default scale
+     */
+    resetLevels: () => {
+        Storage.delete(SCALE_KEY);
+        Scale.syncAssignments(Scale.getLevels());
+        Logger.log('Reset achievement scale to defaults');
+    },
+
+    /**
+     * Find a level by id
+     * @param {string} id - Level id
+     * @param {Array<Object>} levels - Levels to search (defaults to getLevels())
+     * @returns {Object|undefined} - Level
+     */
+    getLevel: (id, levels = Scale.getLevels()) => levels.find(level => level.id === id),
+
+    /**
+     * Get the level of an assignment. Records from before levels were stored, and records whose level
+     * is no longer on the scale, are read from their achieved flag.
+     * @param {Object|undefined} assignment - Assignment (undefined when never assessed)
+     * @param {Array<Object>} levels - Levels (defaults to getLevels())
+     * @returns {Object} - Level
+     */
+    levelOf: (assignment, levels = Scale.getLevels()) => {
+        const level = assignment && levels.find(l => l.id === assignment.level);
+        if (level) return level;
+        if (assignment && assignment.achieved) {
+            return levels.find(l => l.achieved) || levels[levels.length - 1];
+        }
+        return levels.find(l => !l.achieved) || levels[0];
+    },
+
+    /**
+     * Check whether a level counts as achieved
+     * @param {string} id - Level id
+     * @param {Array<Object>} levels - Levels (defaults to getLevels())
+     * @returns {boolean} - True for achieved levels
+     */
+    isAchieved: (id, levels = Scale.getLevels()) => {
+        const level = levels.find(l => l.id === id);
+        return Boolean(level && level.achieved);
+    },
+
+    /**
+     * Count assignments per level
+     * @param {Array<Object>} assignments - Assignments
+     * @param {Array<Object>} levels - Levels (defaults to getLevels())
+     * @returns {Object} - { levelId: count } including levels with no records
+     */
+    distribution: (assignments, levels = Scale.getLevels()) => {
+        const counts = {};
+        levels.forEach(level => {
+            counts[level.id] = 0;
+        });
+        assignments.forEach(assignment => {
+            counts[Scale.levelOf(assignment, levels).id] += 1;
+        });
+        return counts;
+    },
+
+    /**
+     * Bring stored assignments in line with a scale: unknown levels are replaced and achieved flags re-derived.
+     * Records with an assessment history have each event re-read with the new levels and their current state
+     * derived again, so the date achieved follows the history.
+     * @param {Array<Object>} levels - Levels
+     * @returns {number} - Number of assignments changed
+     */
+    syncAssignments: (levels) => {
+        const assignments = Storage.load('assignments', []);
+        let changed = 0;
+        assignments.forEach(assignment => {
+            const before = JSON.stringify(assignment);
+            if (Assessments.historyOf(assignment).length > 0) {
+                assignment.history = assignment.history.map(event => {
+                    const level = Scale.levelOf(event, levels);
+                    return { ...event, level: level.id, achieved: level.achieved };
+                });
+                Assessments.derive(assignment, levels);
+            } else {
+                const level = Scale.levelOf(assignment, levels);
+                assignment.level = level.id;
+                if (assignment.achieved !== level.achieved) {
+                    assignment.achieved = level.achieved;
+                    // Records without a history only know when they were last assessed
+                    assignment.date_achieved = level.achieved
+                        ? String(assignment.date_assessed || new Date().toISOString()).slice(0, 10)
+                        : null;
+                }
+            }
+            if (JSON.stringify(assignment) !== before) changed += 1;
+        });
+        if (changed > 0) {
+            Storage.save('assignments', assignments);
+            Logger.log(`Updated ${changed} achievement records to match the achievement scale`);
+        }
+        return changed;
+    }
+};
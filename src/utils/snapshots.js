@@ -0,0 +1,156 @@
+/**
+ * Rolling workspace snapshots
+ * Keeps the last few copies of the whole workspace (taken before destructive operations
+ * and once a day) so any of them can be previewed and restored.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Migrations } from './migrations.js';
+import { Workspace } from './workspace.js';
+
+const SNAPSHOTS_KEY = 'workspace_snapshots';
+const SNAPSHOT_LIMIT_KEY = 'snapshot_limit';
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Reason recorded for the automatic daily snapshot
+ */
+const DAILY_REASON = 'Daily snapshot';
+
+export const Snapshots = {
+    /**
+     * Reason used for daily snapshots
+     */
+    DAILY_REASON,
+
+    /**
+     * Get the number of snapshots kept
+     * @returns {number} - Snapshot limit
+     */
+    getLimit: () => Storage.load(SNAPSHOT_LIMIT_KEY, DEFAULT_LIMIT),
+
+    /**
+     * Set the number of snapshots kept (older ones are dropped immediately)
+     * @param {number} limit - Snapshot limit (at least 1)
+     */
+    setLimit: (limit) => {
+        const value = Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT);
+        Storage.save(SNAPSHOT_LIMIT_KEY, value);
+        const snapshots = Snapshots.list();
+        if (snapshots.length > value) {
+            Storage.save(SNAPSHOTS_KEY, snapshots.slice(0, value));
+        }
+    },
+
+    /**
+     * List stored snapshots, newest first
+     * @returns {Array<Object>} - Snapshots ({ id, created_at, reason, schema_version, data })
+     */
+    list: () => Storage.load(SNAPSHOTS_KEY, []),
+
+    /**
+     * Get a snapshot by ID
+     * @param {string} id - Snapshot ID
+     * @returns {Object|null} - Snapshot or null
+     */
+    get: (id) => Snapshots.list().find(snapshot => snapshot.id === id) || null,
+
+    /**
+     * Count the records of each entity type in a snapshot
+     * @param {Object} snapshot - Snapshot
+     * @returns {Array<Object>} - Counts ({ key, label, count })
+     */
+    summarize: (snapshot) => Object.entries(Workspace.ENTITIES).map(([key, entity]) => {
+        const value = snapshot.data[key];
+        let count = 0;
+        if (Array.isArray(value)) count = value.length;
+        else if (value !== undefined && value !== null) count = 1;
+        return { key, label: entity.label, count };
+    }),
+
+    /**
+     * Take a snapshot of the whole workspace
+     * @param {string} reason - Why the snapshot was taken (shown on the History page)
+     * @returns {Object} - The new snapshot
+     */
+    take: (reason = 'Manual snapshot') => {
+        const now = new Date();
+        const snapshot = {
+            // Several snapshots can be taken in the same millisecond (e.g. just before a restore)
+            id: `snapshot-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+            created_at: now.toISOString(),
+            reason,
+            schema_version: Migrations.getStoredVersion(),
+            data: Workspace.getData()
+        };
+
+        const snapshots = [snapshot, ...Snapshots.list()].slice(0, Snapshots.getLimit());
+        Storage.save(SNAPSHOTS_KEY, snapshots);
+        Logger.log(`Took workspace snapshot: ${reason}`);
+        return snapshot;
+    },
+
+    /**
+     * Take the daily snapshot if none has been taken today
+     * @returns {Object|null} - The new snapshot, or null if today's already exists
+     */
+    takeDaily: () => {
+        const today = new Date().toISOString().slice(0, 10);
+        const hasToday = Snapshots.list().some(snapshot =>
+            snapshot.reason === DAILY_REASON && snapshot.created_at.slice(0, 10) === today
+        );
+        return hasToday ? null : Snapshots.take(DAILY_REASON);
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} id - Snapshot ID
+     */
+    remove: (id) => {
+        Storage.save(SNAPSHOTS_KEY, Snapshots.list().filter(snapshot => snapshot.id !== id));
+        Logger.log(`Deleted workspace snapshot ${id}`);
+    },
+
+    /**
+     * Compare a snapshot with the current workspace
+     * @param {Object} snapshot - Snapshot
+     * @returns {Array<Object>} - Diff summary per entity (what restoring would change)
+     */
+    diff: (snapshot) => Workspace.diff(Workspace.getData(), snapshot.data),
+
+    /**
+     * Restore a snapshot. The current workspace is snapshotted first so the restore can be undone.
+     * @param {string} id - Snapshot ID
+     * @param {string|null} entityKey - Entity type to restore (e.g. 'standards'), or null for the whole workspace
+     * @returns {boolean} - True if restored
+     */
+    restore: (id, entityKey = null) => {
+        const snapshot = Snapshots.get(id);
+        if (!snapshot) {
+            Logger.error(`Snapshot not found: ${id}`);
+            return false;
+        }
+        if (entityKey && !Workspace.ENTITIES[entityKey]) {
+            Logger.error(`Unknown entity type: ${entityKey}`);
+            return false;
+        }
+
+        const label = entityKey ? Workspace.ENTITIES[entityKey].label.toLowerCase() : 'workspace';
+        Snapshots.take(`Before restoring ${label} from ${new Date(snapshot.created_at).toLocaleString()}`);
+
+        const data = entityKey
+            ? { ...Workspace.getData(), [entityKey]: snapshot.data[entityKey] }
+            : snapshot.data;
+        if (entityKey && data[entityKey] === undefined) {
+            delete data[entityKey];
+        }
+
+        return Workspace.restore({
+            format: Workspace.FORMAT,
+            version: Workspace.VERSION,
+            schema_version: snapshot.schema_version,
+            exported_at: snapshot.created_at,
+            data
+        }, 'replace');
+    }
+};
@@ -28,6 +28,338 @@ const isLocalStorageAvailable = () => {
 // In-memory storage fallback for environments without localStorage
 const memoryStorage = new Map();
 
+/**
+ * Keys shared with the storage service when several machines use one instance
+ */
+const SHARED_KEYS = [
+    'staff',
+    'standards',
+    'groups',
+    'assignments',
+    'saved_charts',
+    'masterlog_columns',
+    'custom_classifications',
+    'validation_rules',
+    'archived_assignments',
+    'achievement_scale',
+    'code_templates'
+];
+
+/**
+ * Fields identifying one record of a shared list, used to merge concurrent changes record by record
+ */
+const SHARED_RECORD_IDS = {
+    staff: ['id'],
+    standards: ['code'],
+    groups: ['name'],
+    assignments: ['staff_id', 'standard_code'],
+    saved_charts: ['id'],
+    masterlog_columns: ['id'],
+    custom_classifications: ['id'],
+    validation_rules: ['id'],
+    archived_assignments: ['staff_id', 'standard_code', 'archived_at'],
+    achievement_scale: ['id'],
+    code_templates: ['id']
+};
+
+// How often shared keys are re-pulled from the service (they are also re-pulled when the window regains focus)
+const SYNC_INTERVAL = 30000;
+
+// Attempts at saving a key that keeps changing on the server before giving up
+const MAX_SYNC_ATTEMPTS = 3;
+
+// Server connection settings (baseUrl '' means same origin as the app)
+const serverConfig = {
+    baseUrl: '',
+    token: '',
+    timeout: 10000,
+    connected: false
+};
+
+// Per shared key: server version and data last seen (the base for merging), and the pending write
+const serverSync = {
+    versions: new Map(),
+    bases: new Map(),
+    writes: new Map(),
+    timer: null
+};
+
+/**
+ * Send a request to the storage service
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (e.g. /api/data/staff)
+ * @param {any} body - Optional body (will be JSON-stringified)
+ * @param {Object} headers - Extra request headers (e.g. If-Match)
+ * @returns {Promise<Object|null>} - Parsed JSON response, or null for a 404
+ */
+const serverRequest = async (method, path, body, headers = {}) => {
+    if (typeof fetch !== 'function') {
+        throw new Error('fetch is not available in this environment');
+    }
+    
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), serverConfig.timeout) : null;
+    
+    try {
+        const response = await fetch(`${serverConfig.baseUrl}${path}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(serverConfig.token ? { 'X-Storage-Token': serverConfig.token } : {}),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            signal: controller ? controller.signal : undefined
+        });
+        
+        if (response.status === 404 && method === 'GET') {
+            return null;
+        }
+        
+        if (!response.ok) {
+            const error = new Error(`Server responded with ${response.status} for ${method} ${path}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        return await response.json();
+    } finally {
+        if (timer) clearTimeout(timer);
+    }
+};
+
+// IndexedDB settings
+const INDEXEDDB_NAME = 'teacherlytics';
+const INDEXEDDB_VERSION = 2;
+const KEY_VALUE_STORE = 'kv';
+const MIGRATION_FLAG_KEY = 'indexeddb_migrated';
+
+/**
+ * Keys stored one record per entry, with the key path identifying each record
+ */
+const RECORD_STORES = {
+    assignments: ['staff_id', 'standard_code'],
+    audit_log: 'id'
+};
+
+/**
+ * Application keys held in IndexedDB once it is available (everything else stays in localStorage)
+ */
+const INDEXEDDB_KEYS = [
+    ...SHARED_KEYS,
+    'standards_columns',
+    'model_options',
+    'schema_backup',
+    'workspace_snapshots',
+    'audit_log'
+];
+
+// IndexedDB connection, the in-memory cache that keeps synchronous loads working and, per record key,
+// the records last written to its store (so saves only write the records that changed)
+const indexedDBState = {
+    db: null,
+    ready: false,
+    readyPromise: null,
+    cache: new Map(),
+    stored: new Map(),
+    writes: new Map() // Latest pending background write per key
+};
+
+/**
+ * Check if IndexedDB is available
+ * @returns {boolean} - True if IndexedDB is available
+ */
+const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Check whether a key is currently served from IndexedDB
+ * @param {string} key - Storage key
+ * @returns {boolean} - True if the key is IndexedDB-backed
+ */
+const isIndexedDBKey = (key) => indexedDBState.ready && INDEXEDDB_KEYS.includes(key);
+
+/**
+ * Check whether a key uses a per-record object store
+ * @param {string} key - Storage key
+ * @returns {boolean} - True if the key has a record store
+ */
+const isRecordKey = (key) => Object.prototype.hasOwnProperty.call(RECORD_STORES, key);
+
+/**
+ * Get the identifier of a record in a record store
+ * @param {string} key - Storage key
+ * @param {Object} record - Record
+ * @returns {Array|string} - Record identifier
+ */
+const getRecordId = (key, record) => {
+    const keyPath = RECORD_STORES[key];
+    return Array.isArray(keyPath) ? keyPath.map(field => record[field]) : record[keyPath];
+};
+
+/**
+ * Check that a record has a usable identifier (IndexedDB rejects missing key values)
+ * @param {string} key - Storage key
+ * @param {Object} record - Record to check
+ * @returns {boolean} - True if the record can be stored
+ */
+const hasValidRecordId = (key, record) => {
+    if (!record || typeof record !== 'object') return false;
+    const id = getRecordId(key, record);
+    const parts = Array.isArray(id) ? id : [id];
+    return parts.every(part => typeof part === 'string' || (typeof part === 'number' && !Number.isNaN(part)));
+};
+
+/**
+ * Compare two versions of a record collection by record id
+ * @param {string} key - Storage key with a record store
+ * @param {Array<Object>} before - Records before the change
+ * @param {Array<Object>} after - Records after the change
+ * @returns {Object} - Added, removed and modified records with their positions
+ */
+const diffRecords = (key, before = [], after = []) => {
+    const idOf = (record) => JSON.stringify(getRecordId(key, record));
+    const beforeById = new Map((before || []).map((record, index) => [idOf(record), { index, record }]));
+    const afterIds = new Set((after || []).map(idOf));
+    const added = [];
+    const modified = [];
+    
+    (after || []).forEach((record, index) => {
+        const previous = beforeById.get(idOf(record));
+        if (!previous) {
+            added.push({ index, record });
+        } else if (!isSameData(previous.record, record)) {
+            modified.push({ index, before: previous.record, after: record });
+        }
+    });
+    
+    const removed = (before || [])
+        .map((record, index) => ({ index, record }))
+        .filter(({ record }) => !afterIds.has(idOf(record)));
+    
+    return { added, removed, modified };
+};
+
+/**
+ * Read the current records of a record key without copying cached values (for diffing a change)
+ * @param {string} key - Storage key with a record store
+ * @returns {Array<Object>} - Current records
+ */
+const peekRecords = (key) => {
+    try {
+        const records = isIndexedDBKey(key) ? indexedDBState.cache.get(key) : StorageStrategies.local.load(key, []);
+        return Array.isArray(records) ? records : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Copy data so callers can never mutate cached values
+ * @param {any} data - Data to copy
+ * @returns {any} - Deep copy
+ */
+const cloneData = (data) => {
+    if (data === undefined || data === null) return data;
+    return typeof structuredClone === 'function' ? structuredClone(data) : JSON.parse(JSON.stringify(data));
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Wrap an IndexedDB transaction in a promise
+ * @param {IDBTransaction} transaction - Transaction to wrap
+ * @returns {Promise<void>} - Resolves when the transaction completes
+ */
+const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Open (and create or upgrade) the application database
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+const getDatabase = async () => {
+    if (indexedDBState.db) {
+        return indexedDBState.db;
+    }
+    
+    const request = indexedDB.open(INDEXEDDB_NAME, INDEXEDDB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(KEY_VALUE_STORE)) {
+            db.createObjectStore(KEY_VALUE_STORE, { keyPath: 'key' });
+        }
+        Object.entries(RECORD_STORES).forEach(([storeName, keyPath]) => {
+            if (!db.objectStoreNames.contains(storeName)) {
+                db.createObjectStore(storeName, { keyPath });
+            }
+        });
+    };
+    request.onblocked = () => Logger.warn('IndexedDB upgrade blocked by another open tab');
+    
+    indexedDBState.db = await promisifyRequest(request);
+    return indexedDBState.db;
+};
+
+/**
+ * Persist a cached key to IndexedDB in the background
+ * @param {string} key - Storage key
+ */
+const persistCachedKey = (key) => {
+    const data = indexedDBState.cache.get(key);
+    trackWrite(key, StorageStrategies.indexeddb.save(key, data).catch(e => {
+        Logger.error(`IndexedDB write for ${key} failed - ${e.message}`);
+    }));
+};
+
+/**
+ * Remember the latest background write for a key so other tabs are only told once it has landed
+ * @param {string} key - Storage key ('*' for a clear)
+ * @param {Promise} promise - Write in progress
+ */
+const trackWrite = (key, promise) => {
+    indexedDBState.writes.set(key, promise);
+    promise.then(() => {
+        if (indexedDBState.writes.get(key) === promise) {
+            indexedDBState.writes.delete(key);
+        }
+    });
+};
+
+/**
+ * Copy existing localStorage keys into IndexedDB (runs once per browser)
+ * The localStorage copies are removed afterwards to free the quota.
+ */
+const migrateLocalStorageToIndexedDB = async () => {
+    if (!isLocalStorageAvailable() || localStorage.getItem(MIGRATION_FLAG_KEY)) {
+        return;
+    }
+    
+    const migratedKeys = [];
+    for (const key of INDEXEDDB_KEYS) {
+        const raw = localStorage.getItem(key);
+        if (raw === null) continue;
+        
+        await StorageStrategies.indexeddb.save(key, JSON.parse(raw));
+        migratedKeys.push(key);
+    }
+    
+    // Only remove the originals once every key was written successfully
+    migratedKeys.forEach(key => localStorage.removeItem(key));
+    localStorage.setItem(MIGRATION_FLAG_KEY, JSON.stringify(new Date().toISOString()));
+    Logger.log(`Migrated ${migratedKeys.length} keys from localStorage to IndexedDB: ${migratedKeys.join(', ')}`);
+};
+
 /**
  * Storage strategies for different backends
  */
@@ -37,6 +369,13 @@ const StorageStrategies = {
      */
     local: {
         save: (key, data) => {
+            if (isIndexedDBKey(key)) {
+                // Served from the cache, written through to IndexedDB
+                indexedDBState.cache.set(key, cloneData(data));
+                persistCachedKey(key);
+                return data;
+            }
+            
             if (isLocalStorageAvailable()) {
                 localStorage.setItem(key, JSON.stringify(data));
             } else {
@@ -48,6 +387,11 @@ const StorageStrategies = {
         },
         
         load: (key, defaultValue = null) => {
+            if (isIndexedDBKey(key)) {
+                const cached = indexedDBState.cache.get(key);
+                return cached === undefined ? defaultValue : cloneData(cached);
+            }
+            
             let data;
             
             if (isLocalStorageAvailable()) {
@@ -66,6 +410,14 @@ const StorageStrategies = {
         },
         
         delete: (key) => {
+            if (isIndexedDBKey(key)) {
+                indexedDBState.cache.delete(key);
+                trackWrite(key, StorageStrategies.indexeddb.delete(key).catch(e => {
+                    Logger.error(`IndexedDB delete for ${key} failed - ${e.message}`);
+                }));
+                return true;
+            }
+            
             if (isLocalStorageAvailable()) {
                 localStorage.removeItem(key);
             } else {
@@ -76,6 +428,13 @@ const StorageStrategies = {
         },
         
         clear: () => {
+            if (indexedDBState.ready) {
+                indexedDBState.cache.clear();
+                trackWrite('*', StorageStrategies.indexeddb.clear().catch(e => {
+                    Logger.error(`IndexedDB clear failed - ${e.message}`);
+                }));
+            }
+            
             if (isLocalStorageAvailable()) {
                 localStorage.clear();
             } else {
@@ -87,31 +446,188 @@ const StorageStrategies = {
     },
     
     /**
-     * Server storage strategy (placeholder for future implementation)
+     * Server storage strategy using the bundled REST service (server/index.js)
      */
     server: {
         save: async (key, data) => {
-            // Future: API call to server
-            return false;
+            await queueServerWrite(key, () => pushToServer(key, () => data));
+            return data;
         },
         
         load: async (key, defaultValue = null) => {
-            // Future: API call to server
-            return defaultValue;
+            const record = await serverRequest('GET', `/api/data/${encodeURIComponent(key)}`);
+            if (!record || record.data === undefined || record.data === null) {
+                return defaultValue;
+            }
+            return record.data;
         },
         
         delete: async (key) => {
-            // Future: API call to server
-            return false;
+            await queueServerWrite(key, async () => {
+                await serverRequest('DELETE', `/api/data/${encodeURIComponent(key)}`);
+                rememberServerCopy(key, 0, null);
+            });
+            return true;
         },
         
         clear: async () => {
-            // Future: API call to server
-            return false;
+            await serverRequest('DELETE', '/api/data');
+            serverSync.versions.clear();
+            serverSync.bases.clear();
+            return true;
+        }
+    },
+    
+    /**
+     * IndexedDB strategy - record stores for large collections, a key/value store for the rest
+     */
+    indexeddb: {
+        save: async (key, data) => {
+            const db = await getDatabase();
+            
+            if (isRecordKey(key) && Array.isArray(data)) {
+                const records = data.filter(record => hasValidRecordId(key, record));
+                if (records.length !== data.length) {
+                    Logger.warn(`Skipped ${data.length - records.length} ${key} records without a valid id`);
+                }
+                
+                // Write only the records that changed since the last save; without a previous save
+                // (first write, migration) the whole collection is replaced in one transaction
+                const previous = indexedDBState.stored.get(key);
+                indexedDBState.stored.set(key, cloneData(records));
+                
+                const transaction = db.transaction([key, KEY_VALUE_STORE], 'readwrite');
+                const store = transaction.objectStore(key);
+                if (previous) {
+                    const { added, removed, modified } = diffRecords(key, previous, records);
+                    added.forEach(({ record }) => store.put(record));
+                    modified.forEach(({ after }) => store.put(after));
+                    removed.forEach(({ record }) => store.delete(getRecordId(key, record)));
+                } else {
+                    store.clear();
+                    records.forEach(record => store.put(record));
+                }
+                transaction.objectStore(KEY_VALUE_STORE).delete(key);
+                
+                try {
+                    await promisifyTransaction(transaction);
+                } catch (e) {
+                    // The store no longer matches the snapshot: rewrite it in full next time
+                    indexedDBState.stored.delete(key);
+                    throw e;
+                }
+                return data;
+            }
+            
+            const transaction = db.transaction(KEY_VALUE_STORE, 'readwrite');
+            transaction.objectStore(KEY_VALUE_STORE).put({ key, data });
+            await promisifyTransaction(transaction);
+            return data;
+        },
+        
+        load: async (key, defaultValue = null) => {
+            const db = await getDatabase();
+            
+            if (isRecordKey(key)) {
+                const records = await promisifyRequest(db.transaction(key).objectStore(key).getAll());
+                if (records.length > 0) {
+                    return records;
+                }
+            }
+            
+            const entry = await promisifyRequest(db.transaction(KEY_VALUE_STORE).objectStore(KEY_VALUE_STORE).get(key));
+            return entry ? entry.data : defaultValue;
+        },
+        
+        delete: async (key) => {
+            const db = await getDatabase();
+            const storeNames = isRecordKey(key) ? [key, KEY_VALUE_STORE] : [KEY_VALUE_STORE];
+            const transaction = db.transaction(storeNames, 'readwrite');
+            
+            if (isRecordKey(key)) {
+                transaction.objectStore(key).clear();
+                indexedDBState.stored.delete(key);
+            }
+            transaction.objectStore(KEY_VALUE_STORE).delete(key);
+            await promisifyTransaction(transaction);
+            return true;
+        },
+        
+        clear: async () => {
+            const db = await getDatabase();
+            const storeNames = [KEY_VALUE_STORE, ...Object.keys(RECORD_STORES)];
+            const transaction = db.transaction(storeNames, 'readwrite');
+            storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+            indexedDBState.stored.clear();
+            await promisifyTransaction(transaction);
+            return true;
         }
     }
 };
 
+// Change subscribers ({ keys: Set|null, callback }) and the cross-tab channel
+const subscribers = new Set();
+const syncState = {
+    channel: null,
+    enabled: false
+};
+
+const SYNC_CHANNEL_NAME = 'teacherlytics-storage';
+
+/**
+ * Call the subscribers interested in a key
+ * @param {Object} event - Change event ({ key, action, remote, records })
+ */
+const notifySubscribers = (event) => {
+    [...subscribers].forEach(subscriber => {
+        if (subscriber.keys && event.key !== null && !subscriber.keys.has(event.key)) return;
+        try {
+            subscriber.callback(event);
+        } catch (e) {
+            Logger.error(`Storage subscriber failed for ${event.key || 'all keys'} - ${e.message}`);
+        }
+    });
+};
+
+/**
+ * Tell other tabs about a local change once it has been written
+ * @param {string|null} key - Changed key (null when everything was cleared)
+ * @param {string} action - 'save', 'delete' or 'clear'
+ */
+const broadcastChange = (key, action) => {
+    if (!syncState.channel) return;
+    
+    const pending = indexedDBState.writes.get(key === null ? '*' : key);
+    Promise.resolve(pending).then(() => {
+        syncState.channel.postMessage({ key, action });
+    });
+};
+
+/**
+ * Apply a change announced by another tab: refresh the cache, then notify subscribers
+ * @param {Object} message - Message ({ key, action })
+ */
+const handleRemoteChange = async ({ key, action }) => {
+    if (indexedDBState.ready) {
+        const keys = key === null ? INDEXEDDB_KEYS : (isIndexedDBKey(key) ? [key] : []);
+        for (const changedKey of keys) {
+            try {
+                const data = await StorageStrategies.indexeddb.load(changedKey, null);
+                if (data === null) {
+                    indexedDBState.cache.delete(changedKey);
+                } else {
+                    indexedDBState.cache.set(changedKey, data);
+                }
+            } catch (e) {
+                Logger.error(`Could not refresh ${changedKey} from IndexedDB - ${e.message}`);
+            }
+        }
+    }
+    
+    Logger.log(`Storage change from another tab: ${action} ${key || 'all keys'}`);
+    notifySubscribers({ key, action, remote: true });
+};
+
 /**
  * Execute operation with standardized error handling and logging
  * @param {Function} operation - Function to execute
@@ -122,6 +638,20 @@ const StorageStrategies = {
 const executeWithErrorHandling = (operation, operationName, ...params) => {
     try {
         const result = operation(...params);
+        
+        // Async strategies (server) report success or failure when they settle
+        if (result && typeof result.then === 'function') {
+            return result
+                .then(value => {
+                    Logger.log(`${operationName} operation succeeded`);
+                    return value;
+                })
+                .catch(e => {
+                    Logger.error(`${operationName} operation failed - ${e.message}`);
+                    return params[params.length - 1];
+                });
+        }
+        
         Logger.log(`${operationName} operation succeeded`);
         return result;
     } catch (e) {
@@ -135,7 +665,7 @@ export const Storage = {
      * Save data to storage
      * @param {string} key - Storage key
      * @param {any} data - Data to store (will be JSON-stringified)
-     * @param {string} strategy - Storage strategy ('local' or 'server')
+     * @param {string} strategy - Storage strategy ('local', 'server' or 'indexeddb')
      * @returns {Promise|boolean} - Success status
      */
     save: (key, data, strategy = 'local') => {
@@ -145,14 +675,26 @@ export const Storage = {
             Logger.error(`Invalid storage strategy: ${strategy}`);
             return false;
         }
-        return executeWithErrorHandling(operation, `${strategy} save for ${key}`, key, data);
+        const before = strategy === 'local' && isRecordKey(key) && Array.isArray(data) ? peekRecords(key) : undefined;
+        const result = executeWithErrorHandling(operation, `${strategy} save for ${key}`, key, data);
+        
+        // Keep the shared server copy in step with local changes
+        if (strategy === 'local' && isMirroredKey(key)) {
+            mirrorToServer(key);
+        }
+        
+        if (strategy === 'local') {
+            Storage.emit(key, 'save', before !== undefined ? diffRecords(key, before, data) : undefined);
+        }
+        
+        return result;
     },
     
     /**
      * Load data from storage
      * @param {string} key - Storage key 
      * @param {any} defaultValue - Default value if key doesn't exist
-     * @param {string} strategy - Storage strategy ('local' or 'server')
+     * @param {string} strategy - Storage strategy ('local', 'server' or 'indexeddb')
      * @returns {Promise|any} - Retrieved data or defaultValue
      */
     load: (key, defaultValue = null, strategy = 'local') => {
@@ -168,7 +710,7 @@ export const Storage = {
     /**
      * Delete data from storage
      * @param {string} key - Storage key
-     * @param {string} strategy - Storage strategy ('local' or 'server')
+     * @param {string} strategy - Storage strategy ('local', 'server' or 'indexeddb')
      * @returns {Promise|boolean} - Success status
      */
     delete: (key, strategy = 'local') => {
@@ -178,12 +720,23 @@ export const Storage = {
             Logger.error(`Invalid storage strategy: ${strategy}`);
             return false;
         }
-        return executeWithErrorHandling(operation, `${strategy} delete for ${key}`, key);
+        const before = strategy === 'local' && isRecordKey(key) ? peekRecords(key) : undefined;
+        const result = executeWithErrorHandling(operation, `${strategy} delete for ${key}`, key);
+        
+        if (strategy === 'local' && isMirroredKey(key)) {
+            mirrorToServer(key);
+        }
+        
+        if (strategy === 'local') {
+            Storage.emit(key, 'delete', before !== undefined ? diffRecords(key, before, []) : undefined);
+        }
+        
+        return result;
     },
     
     /**
      * Clear all application data
-     * @param {string} strategy - Storage strategy ('local' or 'server')
+     * @param {string} strategy - Storage strategy ('local', 'server' or 'indexeddb')
      * @returns {Promise|boolean} - Success status
      */
     clear: (strategy = 'local') => {
@@ -193,8 +746,86 @@ export const Storage = {
             Logger.error(`Invalid storage strategy: ${strategy}`);
             return false;
         }
-        return executeWithErrorHandling(operation, `${strategy} clear`);
+        const result = executeWithErrorHandling(operation, `${strategy} clear`);
+        
+        if (strategy === 'local') {
+            Storage.emit(null, 'clear');
+        }
+        
+        return result;
+    },
+    
+    /**
+     * Subscribe to changes of stored keys (saves, deletes and clears, from this tab or others)
+     * @param {string|Array<string>|null} keys - Key or keys to watch, or null for every key
+     * @param {Function} callback - Called with { key, action, remote } (key is null after a clear)
+     * @param {Object} options - Optional settings
+     * @param {HTMLElement} options.element - Unsubscribe automatically once this element leaves the page
+     * @returns {Function} - Call to unsubscribe
+     */
+    subscribe: (keys, callback, options = {}) => {
+        const subscriber = {
+            keys: keys === null ? null : new Set(Array.isArray(keys) ? keys : [keys]),
+            callback: (event) => {
+                if (options.element && !options.element.isConnected) {
+                    unsubscribe();
+                    return;
+                }
+                callback(event);
+            }
+        };
+        const unsubscribe = () => subscribers.delete(subscriber);
+        
+        subscribers.add(subscriber);
+        return unsubscribe;
+    },
+    
+    /**
+     * Check whether the stored data for a key equals the given data
+     * (lets subscribers skip refreshing after their own saves)
+     * @param {string} key - Storage key
+     * @param {any} data - Data to compare
+     * @returns {boolean} - True if the stored data is the same
+     */
+    matches: (key, data) => JSON.stringify(Storage.load(key, null)) === JSON.stringify(data === undefined ? null : data),
+    
+    /**
+     * Announce a change to a key: notifies subscribers in this tab and, once written, other tabs
+     * (save, delete and clear call this automatically)
+     * @param {string|null} key - Changed key (null for all keys)
+     * @param {string} action - 'save', 'delete' or 'clear'
+     * @param {Object} records - Optional record changes of a record key (see diffRecords)
+     */
+    emit: (key, action = 'save', records) => {
+        notifySubscribers(records ? { key, action, remote: false, records } : { key, action, remote: false });
+        broadcastChange(key, action);
+    },
+    
+    /**
+     * Start propagating changes between browser tabs (BroadcastChannel, or the storage event as a fallback)
+     * @returns {boolean} - True if cross-tab sync is active
+     */
+    enableCrossTabSync: () => {
+        if (syncState.enabled) return true;
+        
+        if (typeof BroadcastChannel !== 'undefined') {
+            syncState.channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+            syncState.channel.onmessage = (event) => handleRemoteChange(event.data);
+        } else if (typeof window !== 'undefined') {
+            // Only covers localStorage-backed keys; IndexedDB keys need BroadcastChannel
+            window.addEventListener('storage', (event) => {
+                if (event.storageArea !== localStorage || event.key === null) return;
+                handleRemoteChange({ key: event.key, action: event.newValue === null ? 'delete' : 'save' });
+            });
+        } else {
+            return false;
+        }
+        
+        syncState.enabled = true;
+        Logger.log('Cross-tab storage sync enabled');
+        return true;
     },
+
     
     /**
      * Save data to server (shorthand for save with server strategy)
@@ -210,5 +841,503 @@ export const Storage = {
      * @param {any} defaultValue - Default value if key doesn't exist
      * @returns {Promise} - Promise that resolves with retrieved data
      */
-    loadFromServer: (key, defaultValue = null) => Storage.load(key, defaultValue, 'server')
-}; 
\ No newline at end of file
+    loadFromServer: (key, defaultValue = null) => Storage.load(key, defaultValue, 'server'),
+    
+    /**
+     * Keys shared with the storage service
+     */
+    SHARED_KEYS,
+    
+    /**
+     * Configure the storage service connection
+     * @param {Object} options - Connection options
+     * @param {string} options.baseUrl - Service URL (e.g. http://192.168.1.20:3000), '' for same origin
+     * @param {string} options.token - Shared token, when the service is started with API_TOKEN
+     * @param {number} options.timeout - Request timeout in milliseconds
+     */
+    configureServer: (options = {}) => {
+        if (typeof options.baseUrl === 'string') {
+            serverConfig.baseUrl = options.baseUrl.replace(/\/+$/, '');
+        }
+        if (typeof options.token === 'string') {
+            serverConfig.token = options.token;
+        }
+        if (typeof options.timeout === 'number') {
+            serverConfig.timeout = options.timeout;
+        }
+        serverConfig.connected = false;
+    },
+    
+    /**
+     * Check whether the app is connected to the shared storage service
+     * @returns {boolean} - True if local saves of shared keys are mirrored to the server
+     */
+    isServerConnected: () => serverConfig.connected,
+    
+    /**
+     * Connect to the storage service if one is reachable.
+     * Pulls the shared keys into local storage so pages keep loading synchronously,
+     * then mirrors every local save/delete of a shared key back to the server and
+     * re-pulls keys other machines changed (on window focus and every SYNC_INTERVAL).
+     * Saves are conditional on the version last pulled, so concurrent changes are merged, not overwritten.
+     * @param {Object} options - Optional connection options (see configureServer)
+     * @returns {Promise<boolean>} - True if connected
+     */
+    connectServer: async (options) => {
+        if (options) {
+            Storage.configureServer(options);
+        }
+        
+        try {
+            const health = await serverRequest('GET', '/api/health');
+            if (!health || health.status !== 'ok') {
+                Logger.log('No storage service found, using local storage only');
+                return false;
+            }
+        } catch (e) {
+            Logger.log(`Storage service not reachable (${e.message}), using local storage only`);
+            return false;
+        }
+        
+        // Pull the shared copy before enabling mirroring so we don't push stale local data
+        try {
+            for (const key of SHARED_KEYS) {
+                const record = await serverRequest('GET', `/api/data/${encodeURIComponent(key)}`);
+                rememberServerCopy(key, record ? record.version : 0, record ? record.data : null);
+                if (record && record.data !== undefined && record.data !== null) {
+                    StorageStrategies.local.save(key, record.data);
+                }
+            }
+        } catch (e) {
+            Logger.error(`Could not pull shared data from the storage service - ${e.message}`);
+            return false;
+        }
+        
+        serverConfig.connected = true;
+        startServerSync();
+        Logger.log(`Connected to storage service${serverConfig.baseUrl ? ` at ${serverConfig.baseUrl}` : ''}`);
+        return true;
+    },
+    
+    /**
+     * Open IndexedDB, migrate existing localStorage data into it (once) and fill the cache.
+     * After this resolves, the application keys are served from IndexedDB for both the
+     * synchronous and the async API.
+     * @returns {Promise<boolean>} - True if IndexedDB is in use
+     */
+    initIndexedDB: () => {
+        if (indexedDBState.readyPromise) {
+            return indexedDBState.readyPromise;
+        }
+        
+        indexedDBState.readyPromise = (async () => {
+            if (!isIndexedDBAvailable()) {
+                Logger.log('IndexedDB not available, using localStorage');
+                return false;
+            }
+            
+            try {
+                await getDatabase();
+                await migrateLocalStorageToIndexedDB();
+                
+                for (const key of INDEXEDDB_KEYS) {
+                    const data = await StorageStrategies.indexeddb.load(key, null);
+                    if (data !== null) {
+                        indexedDBState.cache.set(key, data);
+                    }
+                    if (isRecordKey(key) && Array.isArray(data)) {
+                        indexedDBState.stored.set(key, cloneData(data));
+                    }
+                }
+                
+                indexedDBState.ready = true;
+                Logger.log(`IndexedDB storage ready (${indexedDBState.cache.size} keys loaded)`);
+                return true;
+            } catch (e) {
+                const migrated = isLocalStorageAvailable() && localStorage.getItem(MIGRATION_FLAG_KEY);
+                Logger.error(`IndexedDB initialisation failed - ${e.message}${migrated ? ' (data already migrated to IndexedDB is unavailable)' : ''}`);
+                return false;
+            }
+        })();
+        
+        return indexedDBState.readyPromise;
+    },
+    
+    /**
+     * Check whether application keys are being served from IndexedDB
+     * @returns {boolean} - True if IndexedDB is in use
+     */
+    isIndexedDBReady: () => indexedDBState.ready,
+    
+    /**
+     * Load data, waiting for IndexedDB to finish starting up if needed
+     * @param {string} key - Storage key
+     * @param {any} defaultValue - Default value if key doesn't exist
+     * @returns {Promise<any>} - Retrieved data or defaultValue
+     */
+    loadAsync: async (key, defaultValue = null) => {
+        if (indexedDBState.readyPromise) {
+            await indexedDBState.readyPromise;
+        }
+        return Storage.load(key, defaultValue);
+    },
+    
+    /**
+     * Save data and wait until it has been written
+     * @param {string} key - Storage key
+     * @param {any} data - Data to store
+     * @returns {Promise<any>} - The saved data
+     */
+    saveAsync: async (key, data) => {
+        if (indexedDBState.readyPromise) {
+            await indexedDBState.readyPromise;
+        }
+        
+        if (!isIndexedDBKey(key)) {
+            return Storage.save(key, data);
+        }
+        
+        Logger.log(`Saving data for key: ${key} using indexeddb strategy`);
+        const before = isRecordKey(key) && Array.isArray(data) ? peekRecords(key) : undefined;
+        indexedDBState.cache.set(key, cloneData(data));
+        await StorageStrategies.indexeddb.save(key, indexedDBState.cache.get(key));
+        
+        if (isMirroredKey(key)) {
+            mirrorToServer(key);
+        }
+        Storage.emit(key, 'save', before !== undefined ? diffRecords(key, before, data) : undefined);
+        return data;
+    },
+    
+    /**
+     * Insert or update individual records of a collection without rewriting the whole collection
+     * (record stores only, e.g. assignments keyed by staff_id + standard_code)
+     * @param {string} key - Storage key
+     * @param {Array<Object>} records - Records to insert or update
+     * @returns {Promise<number>} - Number of records written
+     */
+    putRecords: async (key, records = []) => {
+        if (!isRecordKey(key)) {
+            Logger.error(`putRecords is not supported for key: ${key}`);
+            return 0;
+        }
+        if (indexedDBState.readyPromise) {
+            await indexedDBState.readyPromise;
+        }
+        
+        const validRecords = records.filter(record => hasValidRecordId(key, record));
+        const recordIds = new Map(validRecords.map(record => [JSON.stringify(getRecordId(key, record)), record]));
+        
+        // Merge into the current collection (cache or localStorage)
+        const current = Storage.load(key, []);
+        const merged = current.map(record => {
+            const id = JSON.stringify(getRecordId(key, record));
+            if (recordIds.has(id)) {
+                const updated = recordIds.get(id);
+                recordIds.delete(id);
+                return updated;
+            }
+            return record;
+        });
+        merged.push(...recordIds.values());
+        
+        if (!isIndexedDBKey(key)) {
+            Storage.save(key, merged);
+            return validRecords.length;
+        }
+        
+        Logger.log(`Writing ${validRecords.length} ${key} records to IndexedDB`);
+        indexedDBState.cache.set(key, cloneData(merged));
+        await StorageStrategies.indexeddb.save(key, indexedDBState.cache.get(key));
+        
+        if (isMirroredKey(key)) {
+            mirrorToServer(key);
+        }
+        Storage.emit(key, 'save', diffRecords(key, current, merged));
+        return validRecords.length;
+    },
+    
+    /**
+     * Delete individual records of a collection (record stores only)
+     * @param {string} key - Storage key
+     * @param {Array<Object>} records - Records (or objects holding their key fields) to delete
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    deleteRecords: async (key, records = []) => {
+        if (!isRecordKey(key)) {
+            Logger.error(`deleteRecords is not supported for key: ${key}`);
+            return 0;
+        }
+        if (indexedDBState.readyPromise) {
+            await indexedDBState.readyPromise;
+        }
+        
+        const ids = new Set(records.map(record => JSON.stringify(getRecordId(key, record))));
+        const current = Storage.load(key, []);
+        const remaining = current.filter(record => !ids.has(JSON.stringify(getRecordId(key, record))));
+        const deletedCount = current.length - remaining.length;
+        
+        if (!isIndexedDBKey(key)) {
+            Storage.save(key, remaining);
+            return deletedCount;
+        }
+        
+        Logger.log(`Deleting ${deletedCount} ${key} records from IndexedDB`);
+        indexedDBState.cache.set(key, cloneData(remaining));
+        await StorageStrategies.indexeddb.save(key, indexedDBState.cache.get(key));
+        
+        if (isMirroredKey(key)) {
+            mirrorToServer(key);
+        }
+        Storage.emit(key, 'save', diffRecords(key, current, remaining));
+        return deletedCount;
+    },
+    
+    /**
+     * Compare two versions of a record collection by record id
+     * @param {string} key - Storage key with a record store (e.g. assignments)
+     * @param {Array<Object>} before - Records before the change
+     * @param {Array<Object>} after - Records after the change
+     * @returns {Object} - { added: [{ index, record }], removed: [{ index, record }], modified: [{ index, before, after }] }
+     */
+    diffRecords: (key, before, after) => diffRecords(key, before, after),
+    
+    /**
+     * Check whether a key is a record collection (its change events list the records that changed)
+     * @param {string} key - Storage key
+     * @returns {boolean} - True for record keys (e.g. assignments)
+     */
+    isRecordKey: (key) => isRecordKey(key),
+    
+    /**
+     * Re-pull the shared keys other machines changed since the last pull.
+     * Local changes not yet on the server are merged with the remote ones.
+     * @returns {Promise<Array>} - Keys updated from the server
+     */
+    syncFromServer: async () => {
+        if (!serverConfig.connected) return [];
+        
+        const updated = [];
+        try {
+            const listing = await serverRequest('GET', '/api/data');
+            for (const { key, version } of (listing && listing.keys) || []) {
+                if (!SHARED_KEYS.includes(key) || version === serverSync.versions.get(key)) continue;
+                await queueServerWrite(key, () => pullFromServer(key));
+                updated.push(key);
+            }
+        } catch (e) {
+            Logger.error(`Sync with the storage service failed - ${e.message}`);
+        }
+        return updated;
+    },
+    
+    /**
+     * Send a request to the storage service outside the per-key data API (e.g. the shared audit log)
+     * @param {string} method - HTTP method
+     * @param {string} path - Request path (e.g. /api/audit)
+     * @param {any} body - Optional JSON body
+     * @returns {Promise<Object|null>} - Parsed JSON response, or null for a 404
+     */
+    requestServer: (method, path, body) => serverRequest(method, path, body),
+    
+    /**
+     * Wait until every queued save to the storage service has finished
+     * @returns {Promise} - Resolves when the pending writes settle
+     */
+    flushServerWrites: () => Promise.all([...serverSync.writes.values()])
+};
+
+/**
+ * Run server writes for a key one after another, so each one is based on the version the previous one created
+ * @param {string} key - Storage key
+ * @param {Function} write - Async function performing the write
+ * @returns {Promise} - Result of the write
+ */
+const queueServerWrite = (key, write) => {
+    const previous = serverSync.writes.get(key) || Promise.resolve();
+    const run = previous.then(write, write);
+    const settled = run.catch(() => {});
+    serverSync.writes.set(key, settled);
+    settled.then(() => {
+        if (serverSync.writes.get(key) === settled) serverSync.writes.delete(key);
+    });
+    return run;
+};
+
+/**
+ * Record the server version of a key and the data it holds
+ * @param {string} key - Storage key
+ * @param {number} version - Server version (0 if the key is not stored)
+ * @param {any} data - Data stored at that version
+ */
+const rememberServerCopy = (key, version, data) => {
+    serverSync.versions.set(key, version);
+    serverSync.bases.set(key, data === undefined ? null : JSON.parse(JSON.stringify(data)));
+};
+
+/**
+ * Save a key to the server, conditional on the version last seen. When another machine saved it first
+ * (409), merge both changes, apply the merge locally if the key is mirrored, and try again.
+ * @param {string} key - Storage key
+ * @param {Function} read - Returns the data to save (re-read on every attempt)
+ * @returns {Promise<any>} - Data saved
+ */
+const pushToServer = async (key, read) => {
+    const path = `/api/data/${encodeURIComponent(key)}`;
+    
+    for (let attempt = 0; attempt < MAX_SYNC_ATTEMPTS; attempt++) {
+        const data = read();
+        const known = serverSync.versions.has(key);
+        if (known && isSameData(data, serverSync.bases.get(key))) {
+            return data;
+        }
+        
+        try {
+            const headers = known ? { 'If-Match': `"${serverSync.versions.get(key)}"` } : {};
+            const result = data === null
+                ? await serverRequest('DELETE', path, undefined, headers)
+                : await serverRequest('PUT', path, data, headers);
+            rememberServerCopy(key, result.version, data);
+            return data;
+        } catch (e) {
+            if (e.status !== 409) throw e;
+            
+            const remote = await serverRequest('GET', path);
+            const remoteData = remote ? remote.data : null;
+            const merged = mergeServerCopies(key, serverSync.bases.get(key), data, remoteData);
+            Logger.warn(`${key} was changed on another machine, merged both changes`);
+            rememberServerCopy(key, remote ? remote.version : 0, remoteData);
+            
+            if (isMirroredKey(key)) {
+                applyServerCopy(key, merged);
+            } else {
+                read = () => merged;
+            }
+        }
+    }
+    
+    throw new Error(`${key} keeps changing on the server, gave up after ${MAX_SYNC_ATTEMPTS} attempts`);
+};
+
+/**
+ * Pull a key another machine changed. Without unsent local changes the remote copy replaces the local one;
+ * otherwise both are merged and the merge is saved back.
+ * @param {string} key - Storage key
+ * @returns {Promise} - Resolves when the key is up to date
+ */
+const pullFromServer = async (key) => {
+    const remote = await serverRequest('GET', `/api/data/${encodeURIComponent(key)}`);
+    const remoteData = remote ? remote.data : null;
+    const local = StorageStrategies.local.load(key, null);
+    const base = serverSync.bases.get(key);
+    
+    rememberServerCopy(key, remote ? remote.version : 0, remoteData);
+    if (isSameData(local, base)) {
+        applyServerCopy(key, remoteData);
+        return;
+    }
+    
+    applyServerCopy(key, mergeServerCopies(key, base, local, remoteData));
+    await pushToServer(key, () => StorageStrategies.local.load(key, null));
+};
+
+/**
+ * Replace the local copy of a shared key with data from the server (without mirroring it back),
+ * then let subscribers and other tabs refresh
+ * @param {string} key - Storage key
+ * @param {any} data - Data to store, null to delete the key
+ */
+const applyServerCopy = (key, data) => {
+    const action = data === null || data === undefined ? 'delete' : 'save';
+    if (action === 'delete') {
+        StorageStrategies.local.delete(key);
+    } else {
+        StorageStrategies.local.save(key, data);
+    }
+    
+    notifySubscribers({ key, action, remote: true });
+    broadcastChange(key, action);
+};
+
+/**
+ * Save the current local copy of a shared key to the server
+ * @param {string} key - Storage key
+ * @returns {Promise} - Resolves when saved (failures are logged)
+ */
+const mirrorToServer = (key) => queueServerWrite(key, () => pushToServer(key, () => StorageStrategies.local.load(key, null)))
+    .catch(e => Logger.error(`server save for ${key} operation failed - ${e.message}`));
+
+/**
+ * Compare two values by their JSON form
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const isSameData = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Merge a local and a remote change to a shared key made from the same base.
+ * Lists with known record ids are merged record by record (additions and deletions from both sides are kept;
+ * a record changed on both sides keeps the local change). Other values keep the side that changed, and when
+ * both did the user chooses.
+ * @param {string} key - Storage key
+ * @param {any} base - Server copy both changes started from
+ * @param {any} local - Local copy
+ * @param {any} remote - Current server copy
+ * @returns {any} - Merged data
+ */
+const mergeServerCopies = (key, base, local, remote) => {
+    if (isSameData(local, base) || isSameData(local, remote)) return remote;
+    if (isSameData(remote, base)) return local;
+    
+    const fields = SHARED_RECORD_IDS[key];
+    if (fields && Array.isArray(local) && Array.isArray(remote) && (base === null || Array.isArray(base))) {
+        const idOf = (record) => fields.map(field => String(record?.[field])).join('|');
+        const baseById = new Map((base || []).map(record => [idOf(record), record]));
+        const localById = new Map(local.map(record => [idOf(record), record]));
+        const remoteIds = new Set(remote.map(idOf));
+        const changedLocally = (id) => !isSameData(localById.get(id), baseById.get(id));
+        
+        const merged = [];
+        remote.forEach(record => {
+            const id = idOf(record);
+            if (localById.has(id)) {
+                merged.push(changedLocally(id) ? localById.get(id) : record);
+            } else if (!baseById.has(id) || !isSameData(record, baseById.get(id))) {
+                // Added remotely, or deleted locally but changed remotely: keep it
+                merged.push(record);
+            }
+        });
+        local.forEach(record => {
+            const id = idOf(record);
+            if (remoteIds.has(id)) return;
+            // Added locally, or deleted remotely but changed locally: keep it
+            if (!baseById.has(id) || changedLocally(id)) merged.push(record);
+        });
+        return merged;
+    }
+    
+    const keepLocal = typeof window !== 'undefined' && typeof window.confirm === 'function'
+        ? window.confirm(`"${key}" was also changed on another computer.\n\nOK keeps your version, Cancel keeps theirs.`)
+        : true;
+    return keepLocal ? local : remote;
+};
+
+/**
+ * Start re-pulling shared keys on window focus and every SYNC_INTERVAL
+ */
+const startServerSync = () => {
+    if (serverSync.timer) return;
+    serverSync.timer = setInterval(() => Storage.syncFromServer(), SYNC_INTERVAL);
+    if (typeof serverSync.timer.unref === 'function') serverSync.timer.unref();
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+        window.addEventListener('focus', () => Storage.syncFromServer());
+    }
+};
+
+/**
+ * Check whether a local change to a key should be mirrored to the server
+ * @param {string} key - Storage key
+ * @returns {boolean} - True if mirrored
+ */
+const isMirroredKey = (key) => serverConfig.connected && SHARED_KEYS.includes(key); 
\ No newline at end of file
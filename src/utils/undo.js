@@ -0,0 +1,405 @@
+/**
+ * Undo/redo command history
+ * Each command records how the stored keys it touched changed, so it can be reversed and replayed.
+ * Changes are taken from Storage change events: record keys (assignments) report the records that changed,
+ * other keys are compared with a copy taken when the command started.
+ * The history lives in memory for the session and survives navigation between pages.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Workspace } from './workspace.js';
+
+// Maximum number of commands kept on the undo stack
+const MAX_COMMANDS = 50;
+
+// Command stacks (newest last), the command whose mutation is running right now, async commands still
+// waiting for their mutation to finish, and listeners for toolbar updates
+const state = {
+    undoStack: [],
+    redoStack: [],
+    current: null,
+    pending: [],
+    applying: false,
+    listeners: new Set()
+};
+
+/**
+ * Describe how a key changed. Record lists keep only the records that differ
+ * (with their positions); anything else keeps the whole before/after value.
+ * @param {string} key - Storage key
+ * @param {any} before - Value before the command
+ * @param {any} after - Value after the command
+ * @returns {Object|null} - Change description, or null if nothing changed
+ */
+const describeChange = (key, before, after) => {
+    if (Workspace.isEqual(before, after)) return null;
+
+    const entity = Workspace.ENTITIES[key];
+    if (!entity || entity.single || !Array.isArray(before) || !Array.isArray(after)) {
+        return { key, mode: 'value', before, after };
+    }
+
+    const idOf = record => String(entity.identify(record));
+    const beforeIds = new Map(before.map((record, index) => [idOf(record), index]));
+    const afterIds = new Map(after.map((record, index) => [idOf(record), index]));
+
+    // Records present before and after must keep their relative order for a record-level change
+    const commonBefore = before.map(idOf).filter(id => afterIds.has(id));
+    const commonAfter = after.map(idOf).filter(id => beforeIds.has(id));
+    if (commonBefore.join('\u0000') !== commonAfter.join('\u0000')) {
+        return { key, mode: 'value', before, after };
+    }
+
+    return {
+        key,
+        mode: 'records',
+        removed: before
+            .map((record, index) => ({ index, record }))
+            .filter(({ record }) => !afterIds.has(idOf(record))),
+        added: after
+            .map((record, index) => ({ index, record }))
+            .filter(({ record }) => !beforeIds.has(idOf(record))),
+        modified: after
+            .filter(record => beforeIds.has(idOf(record)))
+            .map(record => ({ id: idOf(record), before: before[beforeIds.get(idOf(record))], after: record }))
+            .filter(({ before: old, after: updated }) => !Workspace.isEqual(old, updated))
+    };
+};
+
+/**
+ * Describe a record-level change reported by a Storage change event
+ * @param {string} key - Storage key
+ * @param {Object} records - Storage.diffRecords result ({ added, removed, modified })
+ * @returns {Object|null} - Change description, or null if nothing changed
+ */
+const describeRecordChange = (key, records) => {
+    const { added, removed, modified } = records;
+    if (added.length === 0 && removed.length === 0 && modified.length === 0) return null;
+
+    const entity = Workspace.ENTITIES[key];
+    return {
+        key,
+        mode: 'records',
+        removed,
+        added,
+        modified: modified.map(({ before, after }) => ({ id: String(entity.identify(after)), before, after }))
+    };
+};
+
+/**
+ * Attribute a storage change to the command that made it: the command whose mutation is running,
+ * or else the most recent pending async command watching the key. Changes made while undoing/redoing,
+ * changes from other tabs or machines, and keys the command did not declare are ignored.
+ * @param {Object} event - Storage change event ({ key, action, remote, records })
+ */
+const handleStorageChange = (event) => {
+    if (state.applying || event.remote || event.key === null) return;
+
+    const command = state.current
+        ? (state.current.keys.includes(event.key) ? state.current : null)
+        : [...state.pending].reverse().find(pending => pending.keys.includes(event.key));
+    if (!command) return;
+
+    if (event.records && Storage.isRecordKey(event.key)) {
+        const change = describeRecordChange(event.key, event.records);
+        if (change) command.recordChanges.push(change);
+    } else {
+        command.touched.add(event.key);
+    }
+};
+
+Storage.subscribe(null, handleStorageChange);
+
+/**
+ * Apply one side of a change to the stored data
+ * @param {Object} change - Change description
+ * @param {string} direction - 'undo' or 'redo'
+ */
+const applyChange = (change, direction) => {
+    const undoing = direction === 'undo';
+
+    if (change.mode === 'value') {
+        const value = undoing ? change.before : change.after;
+        if (value === null || value === undefined) {
+            Storage.delete(change.key);
+        } else {
+            Storage.save(change.key, value);
+        }
+        return;
+    }
+
+    const entity = Workspace.ENTITIES[change.key];
+    const idOf = record => String(entity.identify(record));
+    const toRemove = new Set((undoing ? change.added : change.removed).map(({ record }) => idOf(record)));
+    const toInsert = undoing ? change.removed : change.added;
+    const replacements = new Map(change.modified.map(entry => [entry.id, undoing ? entry.before : entry.after]));
+
+    const records = Storage.load(change.key, [])
+        .filter(record => !toRemove.has(idOf(record)))
+        .map(record => replacements.has(idOf(record)) ? replacements.get(idOf(record)) : record);
+
+    [...toInsert]
+        .sort((a, b) => a.index - b.index)
+        .forEach(({ index, record }) => records.splice(Math.min(index, records.length), 0, record));
+
+    Storage.save(change.key, records);
+};
+
+/**
+ * Notify toolbar listeners that the history changed
+ */
+const notifyListeners = () => {
+    state.listeners.forEach(listener => {
+        try {
+            listener(Undo.getState());
+        } catch (e) {
+            Logger.error(`Undo listener failed - ${e.message}`);
+        }
+    });
+};
+
+/**
+ * Finish recording a command: collect the record changes it made and compare the other keys it touched,
+ * then push it if anything changed
+ * @param {Object} command - Command being recorded ({ label, keys, before, touched, recordChanges })
+ */
+const finishRecording = (command) => {
+    state.pending = state.pending.filter(pending => pending !== command);
+
+    const valueChanges = [...command.touched]
+        .map(key => describeChange(key, command.before[key], Storage.load(key, null)))
+        .filter(change => change !== null);
+    const changes = [...command.recordChanges, ...valueChanges];
+    if (changes.length === 0) return;
+
+    // Async commands still running compare against the value this command left, so it is not theirs too
+    valueChanges.forEach(({ key }) => {
+        state.pending
+            .filter(pending => pending.keys.includes(key) && !pending.touched.has(key))
+            .forEach(pending => {
+                pending.before[key] = Storage.load(key, null);
+            });
+    });
+
+    const { label } = command;
+    state.undoStack.push({ label, timestamp: new Date().toISOString(), changes });
+    if (state.undoStack.length > MAX_COMMANDS) {
+        state.undoStack.shift();
+    }
+    state.redoStack = [];
+    Logger.log(`Recorded undoable action: ${label}`);
+    notifyListeners();
+};
+
+export const Undo = {
+    /**
+     * Run a mutation and record it as one undoable command.
+     * Values are captured from storage, so pages may change their in-memory data before calling this
+     * as long as `fn` performs the saves. Calls made while `fn` runs are folded into this command;
+     * when `fn` is async, other commands started while it is pending are recorded separately.
+     * @param {string} label - Description shown in the history (e.g. "Edit Phase of Jane Doe")
+     * @param {Array<string>} keys - Storage keys the mutation may change
+     * @param {Function} fn - Mutation (may return a Promise)
+     * @returns {any} - Whatever `fn` returns
+     */
+    record: (label, keys, fn) => {
+        if (state.current || state.applying) {
+            return fn();
+        }
+
+        // Record keys report their changes with the change events, so only other keys need a copy
+        const before = {};
+        keys.filter(key => !Storage.isRecordKey(key)).forEach(key => {
+            before[key] = Storage.load(key, null);
+        });
+
+        const command = { label, keys, before, touched: new Set(), recordChanges: [] };
+        state.current = command;
+        let result;
+        try {
+            result = fn();
+        } catch (e) {
+            state.current = null;
+            finishRecording(command);
+            throw e;
+        }
+        state.current = null;
+
+        if (result && typeof result.then === 'function') {
+            state.pending.push(command);
+            return result.finally(() => finishRecording(command));
+        }
+
+        finishRecording(command);
+        return result;
+    },
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} - The command undone, or null if there was nothing to undo
+     */
+    undo: () => {
+        const command = state.undoStack.pop();
+        if (!command) return null;
+
+        state.applying = true;
+        try {
+            [...command.changes].reverse().forEach(change => applyChange(change, 'undo'));
+        } finally {
+            state.applying = false;
+        }
+
+        state.redoStack.push(command);
+        Logger.log(`Undid: ${command.label}`);
+        notifyListeners();
+        return command;
+    },
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} - The command redone, or null if there was nothing to redo
+     */
+    redo: () => {
+        const command = state.redoStack.pop();
+        if (!command) return null;
+
+        state.applying = true;
+        try {
+            command.changes.forEach(change => applyChange(change, 'redo'));
+        } finally {
+            state.applying = false;
+        }
+
+        state.undoStack.push(command);
+        Logger.log(`Redid: ${command.label}`);
+        notifyListeners();
+        return command;
+    },
+
+    /**
+     * Undo commands until the given one has been undone
+     * @param {number} count - Number of commands to undo
+     */
+    undoMany: (count) => {
+        for (let i = 0; i < count && state.undoStack.length > 0; i++) {
+            Undo.undo();
+        }
+    },
+
+    /**
+     * Check whether there is anything to undo
+     * @returns {boolean} - True if undo is possible
+     */
+    canUndo: () => state.undoStack.length > 0,
+
+    /**
+     * Check whether there is anything to redo
+     * @returns {boolean} - True if redo is possible
+     */
+    canRedo: () => state.redoStack.length > 0,
+
+    /**
+     * Get the current history
+     * @returns {Object} - { undo: Array<{ label, timestamp }>, redo: Array<{ label, timestamp }> } (newest first)
+     */
+    getState: () => ({
+        undo: state.undoStack.map(({ label, timestamp }) => ({ label, timestamp })).reverse(),
+        redo: state.redoStack.map(({ label, timestamp }) => ({ label, timestamp })).reverse()
+    }),
+
+    /**
+     * Forget all recorded commands
+     */
+    clear: () => {
+        state.undoStack = [];
+        state.redoStack = [];
+        notifyListeners();
+    },
+
+    /**
+     * Listen for history changes
+     * @param {Function} listener - Called with getState() after every change
+     * @returns {Function} - Call to stop listening
+     */
+    subscribe: (listener) => {
+        state.listeners.add(listener);
+        return () => state.listeners.delete(listener);
+    },
+
+    /**
+     * Add undo/redo buttons and a history list to an element, and the Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y) shortcuts
+     * @param {HTMLElement} container - Element to render the toolbar into
+     */
+    initToolbar: (container) => {
+        container.innerHTML = `
+            <button id="undo-button" class="button button-small button-secondary" title="Undo (Ctrl+Z)">Undo</button>
+            <button id="redo-button" class="button button-small button-secondary" title="Redo (Ctrl+Shift+Z)">Redo</button>
+            <button id="undo-history-button" class="button button-small button-secondary" title="Recent actions">History ▾</button>
+            <div id="undo-history-list" class="undo-history-list hidden"></div>
+        `;
+
+        const undoButton = container.querySelector('#undo-button');
+        const redoButton = container.querySelector('#redo-button');
+        const historyButton = container.querySelector('#undo-history-button');
+        const historyList = container.querySelector('#undo-history-list');
+
+        const render = ({ undo, redo }) => {
+            undoButton.disabled = undo.length === 0;
+            undoButton.title = undo.length ? `Undo ${undo[0].label} (Ctrl+Z)` : 'Nothing to undo';
+            redoButton.disabled = redo.length === 0;
+            redoButton.title = redo.length ? `Redo ${redo[0].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+
+            historyList.innerHTML = undo.length === 0 && redo.length === 0
+                ? '<div class="undo-history-empty">No actions yet</div>'
+                : [
+                    ...[...redo].reverse().map(entry => `
+                        <div class="undo-history-item undone" title="Undone">
+                            <span>${entry.label}</span>
+                            <small>${new Date(entry.timestamp).toLocaleTimeString()}</small>
+                        </div>
+                    `),
+                    ...undo.map((entry, index) => `
+                        <div class="undo-history-item" data-count="${index + 1}" title="Undo back to before this action">
+                            <span>${entry.label}</span>
+                            <small>${new Date(entry.timestamp).toLocaleTimeString()}</small>
+                        </div>
+                    `)
+                ].join('');
+        };
+
+        undoButton.addEventListener('click', () => Undo.undo());
+        redoButton.addEventListener('click', () => Undo.redo());
+        historyButton.addEventListener('click', () => historyList.classList.toggle('hidden'));
+        historyList.addEventListener('click', (e) => {
+            const item = e.target.closest('.undo-history-item[data-count]');
+            if (item) {
+                Undo.undoMany(parseInt(item.dataset.count, 10));
+                historyList.classList.add('hidden');
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (!container.contains(e.target)) {
+                historyList.classList.add('hidden');
+            }
+        });
+
+        // Leave text fields to the browser's own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                Undo.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                Undo.redo();
+            }
+        });
+
+        Undo.subscribe(render);
+        render(Undo.getState());
+    }
+};
@@ -1,7 +1,12 @@
 /**
  * Validation utilities for input validation
+ * Boolean helpers for single values, and declarative per-model schemas that return structured errors
  */
 import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import Models from './models.js';
+import { Scale } from './scale.js';
+import { Codes } from './codes.js';
 
 /**
  * Creates a validator function with common error handling
@@ -22,6 +27,297 @@ const createValidator = (validationFn, errorMessage, level = 'error') => {
     };
 };
 
+// Pattern for dates stored on records (YYYY-MM-DD, optionally followed by a time)
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Get the values of a multi-value field (a list, or a "Primary, Secondary" string in older data)
+ * @param {any} value - Stored value
+ * @returns {Array<string>} - Individual values
+ */
+const splitValues = (value) => Models.Staff.getValues(value);
+
+/**
+ * Check whether a value counts as empty
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+const isEmpty = (value) => value === undefined || value === null ||
+    (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+// Storage key of the cross-field consistency rules
+const RULES_KEY = 'validation_rules';
+
+/**
+ * Default consistency rules between phase and year group.
+ * A rule reads: when `field` includes `value`, every value of `dependentField` must be in `allowed`.
+ * When several rules match the same fields (e.g. phase "Primary, Secondary"), their allowed values are combined.
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'phase-foundation',
+        field: 'phase',
+        value: 'Foundation',
+        dependentField: 'year_group',
+        allowed: ['Reception'],
+        enabled: true
+    },
+    {
+        id: 'phase-primary',
+        field: 'phase',
+        value: 'Primary',
+        dependentField: 'year_group',
+        allowed: ['Year 1', 'Year 2', 'Year 3', 'Year 4', 'Year 5', 'Year 6'],
+        enabled: true
+    },
+    {
+        id: 'phase-secondary',
+        field: 'phase',
+        value: 'Secondary',
+        dependentField: 'year_group',
+        allowed: ['Year 7', 'Year 8', 'Year 9', 'Year 10', 'Year 11', 'Year 12', 'Year 13'],
+        enabled: true
+    }
+];
+
+/**
+ * Check the applicability conditions of a standard or group
+ * @param {Object} record - Standard or group
+ * @returns {Object|null} - Error, or null if every condition names a field and lists its values
+ */
+const checkAppliesTo = (record) => {
+    if (!Array.isArray(record.applies_to)) return null;
+    const invalid = record.applies_to.some(condition => !condition || !condition.field ||
+        !Array.isArray(condition.values) || !['include', 'exclude'].includes(condition.mode || 'include'));
+    return invalid
+        ? { field: 'applies_to', code: 'format', message: 'Each applicability condition needs a staff field and a list of values' }
+        : null;
+};
+
+/**
+ * Model schemas. Each field may declare:
+ * - type: 'string', 'number', 'boolean', 'date' or 'array'
+ * - required: value must not be empty
+ * - multiple: the value is a list; each entry is checked against `type` and `options`
+ *   (comma-separated strings from before lists were stored are still accepted)
+ * - options(context): allowed values
+ * - pattern / patternMessage: format the value must match
+ * - unique: value must not appear on `context.existing` (the other records of the collection)
+ * - reference(context): records the value must match (with `referenceKey`)
+ * `checks` hold rules that involve several fields; `extraFields(context)` adds fields defined by the user.
+ */
+const SCHEMAS = {
+    Staff: {
+        fields: {
+            id: { label: 'ID', type: 'string', required: true, unique: true },
+            name: { label: 'Name', type: 'string', required: true },
+            phase: { label: 'Phase', type: 'string', multiple: true, options: () => Models.Staff.phaseOptions },
+            overseas_thai: { label: 'Overseas/Thai', type: 'string', multiple: true, options: () => Models.Staff.overseasThaiOptions },
+            year_group: { label: 'Year Group', type: 'string', multiple: true, options: () => Models.Staff.yearGroupOptions },
+            department: { label: 'Department', type: 'string', multiple: true, options: () => Models.Staff.departmentOptions },
+            archived: { label: 'Left', type: 'boolean' },
+            leave_date: { label: 'Leave date', type: 'date' },
+            leave_reason: { label: 'Leave reason', type: 'string' }
+        },
+        checks: [
+            (staff) => staff.archived && !staff.leave_date
+                ? { field: 'leave_date', code: 'required', message: 'Leave date is required for a leaver' }
+                : null,
+            (staff, context) => context.skipRules ? null : Validate.checkRules(staff, context.rules)
+        ],
+        extraFields: (context) => {
+            const classifications = context.customClassifications || Storage.load('custom_classifications', []);
+            const fields = {};
+            classifications.forEach(classification => {
+                fields[classification.id] = {
+                    label: classification.name,
+                    type: 'string',
+                    multiple: true,
+                    options: () => classification.options || []
+                };
+            });
+            return fields;
+        }
+    },
+
+    Standard: {
+        fields: {
+            // The format comes from the group's code template (checked below)
+            code: { label: 'Code', type: 'string', required: true, unique: true },
+            name: { label: 'Name', type: 'string', required: true },
+            description: { label: 'Description', type: 'string' },
+            group: {
+                label: 'Group',
+                type: 'string',
+                reference: (context) => context.groups || Storage.load('groups', []),
+                referenceKey: 'name'
+            },
+            parent_code: {
+                label: 'Parent standard',
+                type: 'string',
+                reference: (context) => context.standards || Storage.load('standards', []),
+                referenceKey: 'code'
+            },
+            children: { label: 'Sub-standards', type: 'array' },
+            level: { label: 'Level', type: 'number' },
+            position: { label: 'Position', type: 'number' },
+            applies_to: { label: 'Applies to', type: 'array' }
+        },
+        checks: [
+            checkAppliesTo,
+            (standard, context) => {
+                if (typeof standard.code !== 'string' || isEmpty(standard.code)) return null;
+                const groups = context.groups || Storage.load('groups', []);
+                // Sub-standards follow the parent's group, which may differ from a stale group field
+                const group = groups.find(g => g.name === standard.group) ||
+                    (standard.parent_code ? Codes.groupOfCode(standard.parent_code, groups) : undefined);
+                const template = group ? Codes.templateOf(group) : Codes.templateForCode(standard.code, groups);
+                const message = Codes.validate(standard.code, {
+                    template,
+                    groupCode: group && !standard.parent_code ? group.code : null,
+                    parentCode: standard.parent_code || null
+                });
+                return message ? { field: 'code', code: 'format', message } : null;
+            }
+        ]
+    },
+
+    Assignment: {
+        fields: {
+            staff_id: {
+                label: 'Staff member',
+                type: 'string',
+                required: true,
+                reference: (context) => context.staff || Storage.load('staff', []),
+                referenceKey: 'id'
+            },
+            standard_code: {
+                label: 'Standard',
+                type: 'string',
+                required: true,
+                reference: (context) => context.standards || Storage.load('standards', []),
+                referenceKey: 'code'
+            },
+            level: { label: 'Level', type: 'string', options: () => Scale.getLevels().map(level => level.id) },
+            achieved: { label: 'Achieved', type: 'boolean' },
+            date_achieved: { label: 'Date achieved', type: 'date' },
+            date_assessed: { label: 'Date assessed', type: 'date' },
+            notes: { label: 'Notes', type: 'string' },
+            history: { label: 'Assessment history', type: 'array' }
+        },
+        checks: [
+            (assignment) => assignment.achieved === true && isEmpty(assignment.date_achieved)
+                ? { field: 'date_achieved', code: 'required', message: 'Date achieved is required when the standard is achieved' }
+                : null
+        ]
+    },
+
+    Group: {
+        fields: {
+            name: { label: 'Name', type: 'string', required: true, unique: true },
+            // The format comes from the group's code template (checked below)
+            code: { label: 'Code', type: 'string', required: true, unique: true },
+            code_template: { label: 'Code template', type: 'string', options: () => Codes.getTemplates().map(t => t.id) },
+            color: {
+                label: 'Colour',
+                type: 'string',
+                pattern: /^#[0-9a-fA-F]{6}$/,
+                patternMessage: 'Colour must be a hex colour such as #2196f3'
+            },
+            description: { label: 'Description', type: 'string' },
+            collapsed: { label: 'Collapsed', type: 'boolean' },
+            applies_to: { label: 'Applies to', type: 'array' }
+        },
+        checks: [
+            checkAppliesTo,
+            (group) => {
+                if (typeof group.code !== 'string' || isEmpty(group.code)) return null;
+                const template = Codes.templateOf(group);
+                return Codes.isValidGroupCode(group.code, template)
+                    ? null
+                    : { field: 'code', code: 'format', message: `Code must be ${Codes.describeGroupCode(template)}` };
+            }
+        ]
+    }
+};
+
+/**
+ * Check a value against its declared type
+ * @param {any} value - Non-empty value
+ * @param {string} type - Declared type
+ * @returns {boolean} - True if the value has the type
+ */
+const hasType = (value, type) => {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'date': return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+        case 'array': return Array.isArray(value);
+        default: return true;
+    }
+};
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    boolean: 'true or false',
+    date: 'a date (YYYY-MM-DD)',
+    array: 'a list'
+};
+
+/**
+ * Validate one field
+ * @param {string} field - Field name
+ * @param {Object} spec - Field schema
+ * @param {Object} record - Record being validated
+ * @param {Object} context - Validation context
+ * @returns {Array<Object>} - Errors ({ field, code, message })
+ */
+const validateField = (field, spec, record, context) => {
+    const value = record[field];
+    const label = spec.label || field;
+
+    if (isEmpty(value)) {
+        return spec.required ? [{ field, code: 'required', message: `${label} is required` }] : [];
+    }
+
+    const typed = spec.multiple && Array.isArray(value)
+        ? value.every(v => hasType(v, spec.type))
+        : hasType(value, spec.type);
+    if (spec.type && !typed) {
+        return [{ field, code: 'type', message: `${label} must be ${TYPE_NAMES[spec.type] || spec.type}` }];
+    }
+
+    const errors = [];
+
+    if (spec.pattern && !spec.pattern.test(String(value))) {
+        errors.push({ field, code: 'format', message: spec.patternMessage || `${label} has an invalid format` });
+    }
+
+    if (spec.options) {
+        const options = spec.options(context) || [];
+        const values = spec.multiple ? splitValues(value) : [value];
+        const invalid = values.filter(v => !options.includes(v));
+        if (invalid.length > 0) {
+            errors.push({ field, code: 'option', message: `${label}: ${invalid.join(', ')} ${invalid.length === 1 ? 'is not an allowed option' : 'are not allowed options'}` });
+        }
+    }
+
+    if (spec.unique && Array.isArray(context.existing) && context.existing.some(other => other && other[field] === value)) {
+        errors.push({ field, code: 'duplicate', message: `${label} ${value} is already in use` });
+    }
+
+    if (spec.reference) {
+        const records = spec.reference(context) || [];
+        if (!records.some(other => other && other[spec.referenceKey] === value)) {
+            errors.push({ field, code: 'reference', message: `${label} ${value} does not exist` });
+        }
+    }
+
+    return errors;
+};
+
 export const Validate = {
     /**
      * Validate staff ID
@@ -88,5 +384,221 @@ export const Validate = {
     /**
      * Direct access to createValidator for creating custom validators
      */
-    createCustom: createValidator
+    createCustom: createValidator,
+    
+    /**
+     * Model schemas (Staff, Standard, Assignment, Group)
+     */
+    schemas: SCHEMAS,
+    
+    /**
+     * Validate a record against a model schema
+     * @param {string} model - Schema name ('Staff', 'Standard', 'Assignment' or 'Group')
+     * @param {Object} record - Record to validate
+     * @param {Object} context - Optional data used by the checks:
+     *   existing (other records, for uniqueness), staff, standards, groups, customClassifications
+     *   (lists default to the stored data)
+     * @returns {Array<Object>} - Errors ({ field, code, message }); empty if valid.
+     *   Codes: required, type, format, option, duplicate, reference
+     */
+    validateRecord: (model, record, context = {}) => {
+        const schema = SCHEMAS[model];
+        if (!schema) {
+            throw new Error(`Unknown schema: ${model}`);
+        }
+        if (!record || typeof record !== 'object') {
+            return [{ field: null, code: 'type', message: `${model} record must be an object` }];
+        }
+        
+        const fields = { ...schema.fields, ...(schema.extraFields ? schema.extraFields(context) : {}) };
+        const errors = Object.entries(fields)
+            .flatMap(([field, spec]) => validateField(field, spec, record, context));
+        
+        // Cross-field checks only report fields that are valid on their own
+        (schema.checks || []).forEach(check => {
+            const result = check(record, context);
+            [].concat(result || []).forEach(error => {
+                if (!errors.some(e => e.field === error.field && e.code !== 'rule')) {
+                    errors.push(error);
+                }
+            });
+        });
+        
+        if (errors.length > 0) {
+            Logger.warn(`${model} validation failed`, { errors });
+        }
+        return errors;
+    },
+    
+    /**
+     * Validate a staff record
+     * @param {Object} staff - Staff record
+     * @param {Object} context - See validateRecord
+     * @returns {Array<Object>} - Errors
+     */
+    staff: (staff, context = {}) => Validate.validateRecord('Staff', staff, context),
+    
+    /**
+     * Validate a standard
+     * @param {Object} standard - Standard record
+     * @param {Object} context - See validateRecord
+     * @returns {Array<Object>} - Errors
+     */
+    standard: (standard, context = {}) => Validate.validateRecord('Standard', standard, context),
+    
+    /**
+     * Validate an assignment
+     * @param {Object} assignment - Assignment record
+     * @param {Object} context - See validateRecord
+     * @returns {Array<Object>} - Errors
+     */
+    assignment: (assignment, context = {}) => Validate.validateRecord('Assignment', assignment, context),
+    
+    /**
+     * Validate a group
+     * @param {Object} group - Group record
+     * @param {Object} context - See validateRecord
+     * @returns {Array<Object>} - Errors
+     */
+    group: (group, context = {}) => Validate.validateRecord('Group', group, context),
+    
+    /**
+     * Default consistency rules (phase and year group)
+     */
+    DEFAULT_RULES,
+    
+    /**
+     * Get the consistency rules in use (the stored rules, or the defaults if none were saved)
+     * @returns {Array<Object>} - Rules ({ id, field, value, dependentField, allowed, enabled })
+     */
+    getRules: () => Storage.load(RULES_KEY, null) || DEFAULT_RULES.map(rule => ({ ...rule, allowed: [...rule.allowed] })),
+    
+    /**
+     * Save edited consistency rules
+     * @param {Array<Object>} rules - Rules to store
+     */
+    saveRules: (rules) => {
+        Storage.save(RULES_KEY, rules);
+        Logger.log(`Saved ${rules.length} consistency rules`);
+    },
+    
+    /**
+     * Go back to the default consistency rules
+     */
+    resetRules: () => {
+        Storage.delete(RULES_KEY);
+        Logger.log('Reset consistency rules to defaults');
+    },
+    
+    /**
+     * Check a record against the consistency rules
+     * @param {Object} record - Record to check (multi-value fields are lists)
+     * @param {Array<Object>} rules - Rules to apply (defaults to getRules())
+     * @returns {Array<Object>} - Errors ({ field, code: 'rule', message, fields, rules }), reported on the dependent field
+     */
+    checkRules: (record, rules = Validate.getRules()) => {
+        const errors = [];
+        const labelOf = (field) => (SCHEMAS.Staff.fields[field] && SCHEMAS.Staff.fields[field].label) || field;
+        
+        // Rules that apply to this record, grouped by the pair of fields they relate
+        const applicable = new Map();
+        (rules || []).filter(rule => rule.enabled !== false).forEach(rule => {
+            if (isEmpty(record[rule.field]) || !splitValues(record[rule.field]).includes(rule.value)) return;
+            const pair = `${rule.field}\u0000${rule.dependentField}`;
+            if (!applicable.has(pair)) applicable.set(pair, []);
+            applicable.get(pair).push(rule);
+        });
+        
+        applicable.forEach(matched => {
+            const { field, dependentField } = matched[0];
+            if (isEmpty(record[dependentField])) return;
+            
+            const allowed = new Set(matched.flatMap(rule => rule.allowed || []));
+            const invalid = splitValues(record[dependentField]).filter(value => !allowed.has(value));
+            if (invalid.length === 0) return;
+            
+            errors.push({
+                field: dependentField,
+                code: 'rule',
+                message: `${labelOf(dependentField)} ${invalid.join(', ')} does not match ${labelOf(field)} ${matched.map(rule => rule.value).join(', ')} (allowed: ${[...allowed].join(', ')})`,
+                fields: [field, dependentField],
+                rules: matched.map(rule => rule.id)
+            });
+        });
+        
+        return errors;
+    },
+    
+    /**
+     * Suggest values for the other field of a broken rule, so both fields can be changed in one edit
+     * @param {Object} record - Record with the edited value applied
+     * @param {Object} error - Rule error from checkRules()
+     * @param {string} editedField - Field the user changed
+     * @param {Array<Object>} rules - Rules to apply (defaults to getRules())
+     * @returns {Object} - { field, options }: the field to change and the values that satisfy the rules
+     */
+    ruleFixOptions: (record, error, editedField, rules = Validate.getRules()) => {
+        const [field, dependentField] = error.fields;
+        const related = (rules || []).filter(rule => rule.enabled !== false && rule.field === field && rule.dependentField === dependentField);
+        
+        if (editedField === field) {
+            // The edited value picks the rules; offer the dependent values they allow
+            const matched = related.filter(rule => error.rules.includes(rule.id));
+            return { field: dependentField, options: [...new Set(matched.flatMap(rule => rule.allowed || []))] };
+        }
+        
+        // The dependent value was edited; offer the rule values that allow all of it
+        const values = splitValues(record[dependentField]);
+        const options = related
+            .filter(rule => values.every(value => (rule.allowed || []).includes(value)))
+            .map(rule => rule.value);
+        return { field, options: [...new Set(options)] };
+    },
+    
+    /**
+     * List records that break the consistency rules
+     * @param {Array<Object>} records - Records to check
+     * @param {Array<Object>} rules - Rules to apply (defaults to getRules())
+     * @returns {Array<Object>} - { record, errors } for each record with violations
+     */
+    findRuleViolations: (records, rules = Validate.getRules()) => (records || [])
+        .map(record => ({ record, errors: Validate.checkRules(record, rules) }))
+        .filter(result => result.errors.length > 0),
+    
+    /**
+     * Show errors inline in a form: each field's element is marked invalid and followed by its messages,
+     * errors without an element are listed at the top. Clears errors shown previously.
+     * @param {HTMLElement} container - Form or modal body
+     * @param {Array<Object>} errors - Errors ({ field, code, message })
+     * @param {Object} fieldElements - Map of field name to element (or selector within container)
+     */
+    showErrors: (container, errors, fieldElements = {}) => {
+        container.querySelectorAll('.field-error, .form-errors').forEach(el => el.remove());
+        container.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+        
+        const unplaced = [];
+        errors.forEach(error => {
+            const target = fieldElements[error.field];
+            const element = typeof target === 'string' ? container.querySelector(target) : target;
+            if (!element) {
+                unplaced.push(error);
+                return;
+            }
+            element.classList.add('is-invalid');
+            const message = document.createElement('div');
+            message.className = 'field-error';
+            message.textContent = error.message;
+            element.insertAdjacentElement('afterend', message);
+        });
+        
+        if (unplaced.length > 0) {
+            const summary = document.createElement('div');
+            summary.className = 'form-errors';
+            summary.innerHTML = `<ul>${unplaced.map(error => `<li>${error.message}</li>`).join('')}</ul>`;
+            container.prepend(summary);
+        }
+        
+        const first = container.querySelector('.is-invalid, .form-errors');
+        if (first) first.scrollIntoView({ block: 'nearest' });
+    }
 }; 
\ No newline at end of file
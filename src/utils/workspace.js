@@ -0,0 +1,390 @@
+/**
+ * Workspace archive utilities
+ * Exports every data key into one versioned JSON archive and restores archives
+ * by replacing or merging the stored data, with a per-entity diff summary.
+ */
+import { Logger } from './logger.js';
+import { Storage } from './storage.js';
+import { Migrations } from './migrations.js';
+
+const ARCHIVE_FORMAT = 'teacherlytics-workspace';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Entity types held in a workspace. Record lists are matched by `identify`;
+ * single values (like model_options) are compared as a whole.
+ */
+const ENTITIES = {
+    staff: {
+        label: 'Staff',
+        identify: record => record.id
+    },
+    standards: {
+        label: 'Standards',
+        identify: record => record.code
+    },
+    groups: {
+        label: 'Groups',
+        identify: record => record.name
+    },
+    assignments: {
+        label: 'Achievement records',
+        identify: record => (record.staff_id !== undefined && record.standard_code !== undefined)
+            ? `${record.staff_id}|${record.standard_code}`
+            : undefined
+    },
+    saved_charts: {
+        label: 'Saved charts',
+        identify: record => record.id
+    },
+    masterlog_columns: {
+        label: 'Masterlog columns',
+        identify: record => record.id
+    },
+    standards_columns: {
+        label: 'Standards columns',
+        identify: record => record.id
+    },
+    model_options: {
+        label: 'Staff profile options',
+        single: true
+    },
+    custom_classifications: {
+        label: 'Custom classifications',
+        identify: record => record.id
+    },
+    validation_rules: {
+        label: 'Consistency rules',
+        identify: record => record.id
+    },
+    archived_assignments: {
+        label: 'Archived achievement records',
+        identify: record => `${record.staff_id}|${record.standard_code}|${record.archived_at}`
+    },
+    achievement_scale: {
+        label: 'Achievement scale',
+        identify: record => record.id
+    },
+    code_templates: {
+        label: 'Code templates',
+        identify: record => record.id
+    }
+};
+
+/**
+ * Compare two JSON-compatible values structurally (key order is ignored)
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} - True if equal
+ */
+const isEqual = (a, b) => {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+    }
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+};
+
+/**
+ * Index a record list by identity
+ * @param {string} key - Entity key
+ * @param {Array<Object>} records - Records to index
+ * @returns {Map<string, Object>} - Records by identity
+ */
+const indexRecords = (key, records) => {
+    const index = new Map();
+    (records || []).forEach(record => {
+        index.set(String(ENTITIES[key].identify(record)), record);
+    });
+    return index;
+};
+
+/**
+ * Merge two single-value entities: arrays are combined, other fields are taken from the incoming value
+ * @param {Object} current - Current value
+ * @param {Object} incoming - Incoming value
+ * @returns {Object} - Merged value
+ */
+const mergeSingle = (current, incoming) => {
+    if (!current || typeof current !== 'object') return incoming;
+    if (!incoming || typeof incoming !== 'object') return current;
+
+    const merged = { ...current };
+    Object.entries(incoming).forEach(([field, value]) => {
+        if (Array.isArray(value) && Array.isArray(current[field])) {
+            merged[field] = [...current[field], ...value.filter(item => !current[field].includes(item))];
+        } else {
+            merged[field] = value;
+        }
+    });
+    return merged;
+};
+
+export const Workspace = {
+    /**
+     * Archive format identifier
+     */
+    FORMAT: ARCHIVE_FORMAT,
+
+    /**
+     * Current archive format version
+     */
+    VERSION: ARCHIVE_VERSION,
+
+    /**
+     * Entity types included in a workspace
+     */
+    ENTITIES,
+
+    /**
+     * Compare two values structurally
+     */
+    isEqual,
+
+    /**
+     * Read the current workspace data from storage
+     * @returns {Object} - Data by entity key (missing keys are omitted)
+     */
+    getData: () => {
+        const data = {};
+        Object.keys(ENTITIES).forEach(key => {
+            const value = Storage.load(key, null);
+            if (value !== null && value !== undefined) {
+                data[key] = value;
+            }
+        });
+        return data;
+    },
+
+    /**
+     * Build a workspace archive from the stored data
+     * @returns {Object} - Archive ({ format, version, schema_version, exported_at, data })
+     */
+    createArchive: () => ({
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        schema_version: Migrations.getStoredVersion(),
+        exported_at: new Date().toISOString(),
+        data: Workspace.getData()
+    }),
+
+    /**
+     * Download the whole workspace as a JSON file
+     */
+    download: () => {
+        const archive = Workspace.createArchive();
+        const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `teacherlytics_workspace_${archive.exported_at.slice(0, 10)}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        Logger.log('Exported workspace archive');
+    },
+
+    /**
+     * Parse archive file contents
+     * @param {string} text - File contents
+     * @returns {Object} - Result ({ archive, errors })
+     */
+    parse: (text) => {
+        let archive;
+        try {
+            archive = JSON.parse(text);
+        } catch (e) {
+            return { archive: null, errors: [`The file is not valid JSON (${e.message})`] };
+        }
+        return { archive, errors: Workspace.validate(archive) };
+    },
+
+    /**
+     * Validate a workspace archive
+     * @param {Object} archive - Archive to validate
+     * @returns {Array<string>} - Error messages (empty if valid)
+     */
+    validate: (archive) => {
+        if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+            return ['The file does not contain a workspace archive'];
+        }
+        if (archive.format !== ARCHIVE_FORMAT) {
+            return ['The file is not a Teacherlytics workspace archive'];
+        }
+        if (typeof archive.version !== 'number' || archive.version > ARCHIVE_VERSION) {
+            return [`Archive version ${archive.version} is not supported by this version of the application`];
+        }
+        if (typeof archive.schema_version === 'number' && archive.schema_version > Migrations.getLatestVersion()) {
+            return [`The archive was created by a newer version of the application (schema ${archive.schema_version})`];
+        }
+        if (!archive.data || typeof archive.data !== 'object' || Array.isArray(archive.data)) {
+            return ['The archive has no data section'];
+        }
+
+        const errors = [];
+        Object.entries(archive.data).forEach(([key, value]) => {
+            const entity = ENTITIES[key];
+            if (!entity) {
+                errors.push(`Unknown data type: ${key}`);
+                return;
+            }
+
+            if (entity.single) {
+                if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push(`${entity.label} must be an object`);
+                }
+                return;
+            }
+
+            if (!Array.isArray(value)) {
+                errors.push(`${entity.label} must be a list`);
+                return;
+            }
+
+            const seen = new Set();
+            let missing = 0;
+            const duplicates = new Set();
+            value.forEach(record => {
+                const id = record && typeof record === 'object' ? entity.identify(record) : undefined;
+                if (id === undefined || id === null || id === '') {
+                    missing++;
+                } else if (seen.has(String(id))) {
+                    duplicates.add(String(id));
+                } else {
+                    seen.add(String(id));
+                }
+            });
+
+            if (missing > 0) {
+                errors.push(`${entity.label}: ${missing} entries have no identifier`);
+            }
+            if (duplicates.size > 0) {
+                errors.push(`${entity.label}: duplicate entries ${[...duplicates].slice(0, 5).join(', ')}${duplicates.size > 5 ? '…' : ''}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Compare two sets of workspace data
+     * @param {Object} current - Current data by entity key
+     * @param {Object} incoming - Incoming data by entity key
+     * @returns {Array<Object>} - Summary per entity ({ key, label, added, removed, changed, unchanged })
+     */
+    diff: (current, incoming) => {
+        return Object.entries(ENTITIES).map(([key, entity]) => {
+            const summary = { key, label: entity.label, added: 0, removed: 0, changed: 0, unchanged: 0 };
+            const before = current[key];
+            const after = incoming[key];
+
+            if (entity.single) {
+                if (before == null && after != null) summary.added = 1;
+                else if (before != null && after == null) summary.removed = 1;
+                else if (before != null && after != null) {
+                    if (isEqual(before, after)) summary.unchanged = 1;
+                    else summary.changed = 1;
+                }
+                return summary;
+            }
+
+            const beforeIndex = indexRecords(key, before);
+            const afterIndex = indexRecords(key, after);
+
+            afterIndex.forEach((record, id) => {
+                if (!beforeIndex.has(id)) summary.added++;
+                else if (isEqual(beforeIndex.get(id), record)) summary.unchanged++;
+                else summary.changed++;
+            });
+            beforeIndex.forEach((_, id) => {
+                if (!afterIndex.has(id)) summary.removed++;
+            });
+
+            return summary;
+        });
+    },
+
+    /**
+     * Merge incoming data into current data. Incoming records win on conflicts; nothing is removed.
+     * @param {Object} current - Current data by entity key
+     * @param {Object} incoming - Incoming data by entity key
+     * @returns {Object} - Merged data by entity key
+     */
+    merge: (current, incoming) => {
+        const merged = { ...current };
+
+        Object.entries(incoming).forEach(([key, value]) => {
+            const entity = ENTITIES[key];
+            if (!entity) return;
+
+            if (entity.single) {
+                merged[key] = mergeSingle(current[key], value);
+                return;
+            }
+
+            const index = indexRecords(key, current[key]);
+            value.forEach(record => {
+                index.set(String(entity.identify(record)), record);
+            });
+            merged[key] = [...index.values()];
+        });
+
+        return merged;
+    },
+
+    /**
+     * Preview what restoring an archive would change
+     * @param {Object} archive - Validated archive
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {Array<Object>} - Diff summary per entity
+     */
+    preview: (archive, mode = 'replace') => {
+        const current = Workspace.getData();
+        const result = mode === 'merge' ? Workspace.merge(current, archive.data) : archive.data;
+        return Workspace.diff(current, result);
+    },
+
+    /**
+     * Restore an archive into storage
+     * @param {Object} archive - Validated archive
+     * @param {string} mode - 'replace' (archive becomes the workspace) or 'merge' (add and update records)
+     * @returns {boolean} - True if the archive was restored
+     */
+    restore: (archive, mode = 'replace') => {
+        const errors = Workspace.validate(archive);
+        if (errors.length > 0) {
+            Logger.error('Workspace restore rejected', { errors });
+            return false;
+        }
+
+        const current = Workspace.getData();
+        const result = mode === 'merge' ? Workspace.merge(current, archive.data) : archive.data;
+
+        Object.keys(ENTITIES).forEach(key => {
+            if (result[key] === undefined) {
+                if (mode === 'replace') Storage.delete(key);
+            } else {
+                Storage.save(key, result[key]);
+            }
+        });
+
+        // Bring data from an older archive up to the current schema
+        const archiveVersion = typeof archive.schema_version === 'number' ? archive.schema_version : 0;
+        if (archiveVersion < Migrations.getStoredVersion()) {
+            Migrations.setStoredVersion(archiveVersion);
+            Migrations.run();
+        }
+
+        Logger.log(`Restored workspace archive from ${archive.exported_at || 'unknown date'} (${mode})`);
+        return true;
+    }
+};